@@ -1,28 +1,52 @@
 import React from 'react';
-import { BrowserRouter as Router, Routes, Route } from 'react-router-dom';
+import { BrowserRouter as Router, Routes, Route, Outlet } from 'react-router-dom';
 import Header from './components/layout/Header';
+import ProtectedRoute from './components/layout/ProtectedRoute';
+import { AuthProvider } from './hooks/useAuth';
+import useScheduledSync from './hooks/useScheduledSync';
+import Login from './pages/Login/Login';
 import Dashboard from './pages/Dashboard/Dashboard';
 import Customers from './pages/Customers/Customers';
+import CustomerDetail from './pages/Customers/CustomerDetail';
+import Contacts from './pages/Contacts/Contacts';
+import Deals from './pages/Deals/Deals';
+import Forecast from './pages/Forecast/Forecast';
+import Notifications from './pages/Notifications/Notifications';
 import './styles/globals.css';
 
+const AppLayout = () => {
+  useScheduledSync();
+  return (
+    <div className="app">
+      <Header />
+      <main className="app__main">
+        <Outlet />
+      </main>
+    </div>
+  );
+};
+
 function App() {
   return (
-    <Router>
-      <div className="app">
-        <Header />
-        <main className="app__main">
-          <Routes>
-            <Route path="/" element={<Dashboard />} />
-            <Route path="/customers" element={<Customers />} />
-            <Route path="/contacts" element={<div className="page-placeholder"><h1>Contacts</h1><p>Coming soon...</p></div>} />
-            <Route path="/deals" element={<div className="page-placeholder"><h1>Deals</h1><p>Coming soon...</p></div>} />
-          </Routes>
-        </main>
-      </div>
-    </Router>
+    <AuthProvider>
+      <Router>
+        <Routes>
+          <Route path="/login" element={<Login />} />
+          <Route element={<ProtectedRoute />}>
+            <Route element={<AppLayout />}>
+              <Route path="/" element={<Dashboard />} />
+              <Route path="/customers" element={<Customers />} />
+              <Route path="/customers/:id" element={<CustomerDetail />} />
+              <Route path="/contacts" element={<Contacts />} />
+              <Route path="/deals" element={<Deals />} />
+              <Route path="/forecast" element={<Forecast />} />
+              <Route path="/notifications" element={<Notifications />} />
+            </Route>
+          </Route>
+        </Routes>
+      </Router>
+    </AuthProvider>
   );
 }
 
 export default App;
-
-
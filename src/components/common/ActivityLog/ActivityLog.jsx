@@ -0,0 +1,230 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../Button';
+import ActivityComposer from '../../forms/ActivityComposer';
+import usePermissions from '../../../hooks/usePermissions';
+import { crmService, ACTIVITY_TYPES } from '../../../services/crmService';
+import './ActivityLog.css';
+
+const ACTIVITY_FILTERS = [
+  { id: 'all', label: 'All' },
+  { id: 'meeting', label: 'Meetings' },
+  { id: 'call', label: 'Calls' },
+  { id: 'email', label: 'Emails' },
+  { id: 'note', label: 'Notes' },
+  { id: 'deal', label: 'Deals' },
+  { id: 'contact_added', label: 'Contacts' }
+];
+
+// Icons for the activities the app records itself
+const EVENT_ICONS = {
+  deal_won: '🎉',
+  deal_created: '✨',
+  deal_stage_changed: '🔀',
+  deal_value_changed: '💲',
+  customer_status_changed: '🔁',
+  customer_tier_changed: '🏷️',
+  contact_added: '👤',
+  task_completed: '✅'
+};
+
+const ENTITY_LABELS = {
+  customer: 'Customer',
+  contact: 'Contact',
+  deal: 'Deal'
+};
+
+const matchesActivityFilter = (activity, filter) => {
+  if (filter === 'all') return true;
+  if (filter === 'deal') return activity.type.startsWith('deal_');
+  return activity.type === filter;
+};
+
+const getActivityIcon = (type) =>
+  ACTIVITY_TYPES.find(item => item.id === type)?.icon || EVENT_ICONS[type] || '📌';
+
+const formatCurrency = (amount) => {
+  if (amount >= 1000000) {
+    return `$${(amount / 1000000).toFixed(1)}M`;
+  }
+  return `$${(amount / 1000).toFixed(0)}K`;
+};
+
+const formatDate = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+/**
+ * Activity timeline for one record with a composer for logging calls, emails, meetings and notes.
+ * A customer's timeline also includes what was logged against its contacts and deals.
+ */
+const ActivityLog = ({ entityType, entityId, title = 'Activity Timeline', showFilters = false, refreshKey }) => {
+  const { can } = usePermissions();
+  const [activities, setActivities] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [filter, setFilter] = useState('all');
+  const [composing, setComposing] = useState(false);
+  const [editingActivity, setEditingActivity] = useState(null);
+
+  const fetchActivities = useCallback(async () => {
+    try {
+      setError(null);
+      const activitiesData = entityType === 'customer'
+        ? await crmService.getCustomerActivities(entityId)
+        : await crmService.getActivities(Infinity, { entityType, entityId });
+      setActivities(activitiesData);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType, entityId]);
+
+  useEffect(() => {
+    fetchActivities();
+  }, [fetchActivities, refreshKey]);
+
+  const handleCreateActivity = async (activityData) => {
+    try {
+      await crmService.createActivity({ ...activityData, entityType, entityId });
+      setComposing(false);
+      await fetchActivities();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleUpdateActivity = async (activityData) => {
+    try {
+      await crmService.updateActivity(editingActivity.id, activityData);
+      setEditingActivity(null);
+      await fetchActivities();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteActivity = async (activityId) => {
+    if (window.confirm('Are you sure you want to delete this activity?')) {
+      try {
+        await crmService.deleteActivity(activityId);
+        setActivities(prev => prev.filter(activity => activity.id !== activityId));
+      } catch (err) {
+        setError(err.message);
+      }
+    }
+  };
+
+  const filteredActivities = activities.filter(activity => matchesActivityFilter(activity, filter));
+
+  return (
+    <div className="activity-log">
+      <div className="activity-log__header">
+        <h3 className="activity-log__heading">{title}</h3>
+        <div className="activity-log__header-actions">
+          {showFilters && ACTIVITY_FILTERS.map(item => (
+            <button
+              key={item.id}
+              type="button"
+              className={`card__tab ${filter === item.id ? 'card__tab--active' : ''}`}
+              onClick={() => setFilter(item.id)}
+            >
+              {item.label}
+            </button>
+          ))}
+          {can('create', 'activities') && !composing && (
+            <Button variant="primary" size="small" onClick={() => { setEditingActivity(null); setComposing(true); }}>
+              Log Activity
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="activity-log__error" role="alert">{error}</p>}
+
+      {composing && (
+        <ActivityComposer onSubmit={handleCreateActivity} onCancel={() => setComposing(false)} />
+      )}
+
+      {!loading && filteredActivities.length === 0 && (
+        <p className="activity-log__empty">No activity to show</p>
+      )}
+
+      <ol className="activity-log__list">
+        {filteredActivities.map(activity => (
+          editingActivity?.id === activity.id ? (
+            <li key={activity.id} className="activity-log__item activity-log__item--editing">
+              <ActivityComposer
+                activity={activity}
+                onSubmit={handleUpdateActivity}
+                onCancel={() => setEditingActivity(null)}
+              />
+            </li>
+          ) : (
+            <li key={activity.id} className="activity-log__item">
+              <span className="activity-log__icon">{getActivityIcon(activity.type)}</span>
+              <div className="activity-log__content">
+                <div className="activity-log__title">
+                  {activity.title}
+                  {activity.entityType !== entityType && ENTITY_LABELS[activity.entityType] && (
+                    <span className="activity-log__entity">{ENTITY_LABELS[activity.entityType]}</span>
+                  )}
+                </div>
+                {activity.description && <div className="activity-log__description">{activity.description}</div>}
+              </div>
+              <div className="activity-log__meta">
+                {activity.value && <div className="activity-log__value">{formatCurrency(activity.value)}</div>}
+                <time dateTime={activity.timestamp}>{formatDate(activity.timestamp)}</time>
+                <div className="activity-log__actions">
+                  {can('update', 'activities', activity) && (
+                    <button
+                      type="button"
+                      className="table-action"
+                      onClick={() => { setComposing(false); setEditingActivity(activity); }}
+                      title="Edit activity"
+                    >
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                        <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
+                      </svg>
+                    </button>
+                  )}
+                  {can('delete', 'activities', activity) && (
+                    <button
+                      type="button"
+                      className="table-action table-action--danger"
+                      onClick={() => handleDeleteActivity(activity.id)}
+                      title="Delete activity"
+                    >
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polyline points="3 6 5 6 21 6" />
+                        <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                      </svg>
+                    </button>
+                  )}
+                </div>
+              </div>
+            </li>
+          )
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+ActivityLog.propTypes = {
+  entityType: PropTypes.oneOf(['customer', 'contact', 'deal']).isRequired,
+  entityId: PropTypes.string.isRequired,
+  title: PropTypes.string,
+  showFilters: PropTypes.bool,
+  // Changing this reloads the timeline, e.g. after completing a task logged an activity
+  refreshKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.object])
+};
+
+export default ActivityLog;
@@ -0,0 +1,89 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { PAGE_SIZES } from '../../../services/listQuery';
+import './Pagination.css';
+
+// First, last and the pages around the current one, with gaps in between: 1 … 4 5 6 … 20
+const getPageNumbers = (page, pageCount) => {
+  const shown = [...new Set([1, page - 1, page, page + 1, pageCount])]
+    .filter(number => number >= 1 && number <= pageCount)
+    .sort((a, b) => a - b);
+  return shown.flatMap((number, index) => (
+    index > 0 && number - shown[index - 1] > 1 ? [`gap-${number}`, number] : [number]
+  ));
+};
+
+/**
+ * Page controls for a paginated list result
+ */
+const Pagination = ({ page, pageCount, pageSize, total, itemLabel, onPageChange, onPageSizeChange }) => {
+  const first = total === 0 ? 0 : (page - 1) * pageSize + 1;
+  const last = Math.min(page * pageSize, total);
+
+  return (
+    <div className="pagination">
+      <span className="pagination-info">
+        Showing {first}–{last} of {total} {itemLabel}
+      </span>
+
+      <div className="pagination__controls">
+        {onPageSizeChange && (
+          <label className="pagination__size">
+            Rows per page
+            <select value={pageSize} onChange={(e) => onPageSizeChange(Number(e.target.value))}>
+              {PAGE_SIZES.map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <nav className="pagination__pages" aria-label="Pagination">
+          <button
+            className="pagination__button"
+            onClick={() => onPageChange(page - 1)}
+            disabled={page <= 1}
+            aria-label="Previous page"
+          >
+            ‹
+          </button>
+          {getPageNumbers(page, pageCount).map(number => (typeof number === 'string' ? (
+            <span key={number} className="pagination__gap">…</span>
+          ) : (
+            <button
+              key={number}
+              className={`pagination__button ${number === page ? 'pagination__button--active' : ''}`}
+              onClick={() => onPageChange(number)}
+              aria-label={`Page ${number}`}
+              aria-current={number === page ? 'page' : undefined}
+            >
+              {number}
+            </button>
+          )))}
+          <button
+            className="pagination__button"
+            onClick={() => onPageChange(page + 1)}
+            disabled={page >= pageCount}
+            aria-label="Next page"
+          >
+            ›
+          </button>
+        </nav>
+      </div>
+    </div>
+  );
+};
+
+Pagination.propTypes = {
+  page: PropTypes.number.isRequired,
+  pageCount: PropTypes.number.isRequired,
+  pageSize: PropTypes.number.isRequired,
+  total: PropTypes.number.isRequired,
+  // Plural name of the records, e.g. customers
+  itemLabel: PropTypes.string.isRequired,
+  onPageChange: PropTypes.func.isRequired,
+  // Leave out to hide the page size picker
+  onPageSizeChange: PropTypes.func
+};
+
+export default Pagination;
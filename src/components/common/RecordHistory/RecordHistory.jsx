@@ -0,0 +1,127 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { crmService } from '../../../services/crmService';
+import './RecordHistory.css';
+
+const ACTION_LABELS = {
+  create: 'created',
+  update: 'updated',
+  delete: 'deleted'
+};
+
+// expectedCloseDate -> Expected close date, ownerId -> Owner
+const formatFieldName = (field) => {
+  const words = field.replace(/Id$/, '').replace(/([A-Z])/g, ' $1').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+const formatTimestamp = (timestamp) =>
+  new Date(timestamp).toLocaleString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+/**
+ * Audit history of one record: who changed what and when, newest first
+ */
+const RecordHistory = ({ entityType, entityId, title = 'History', refreshKey }) => {
+  const [entries, setEntries] = useState([]);
+  const [userNames, setUserNames] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setError(null);
+        const [entriesData, usersData] = await Promise.all([
+          crmService.getAuditLog({ entityType, entityId }),
+          crmService.getUsers()
+        ]);
+        setEntries(entriesData);
+        setUserNames(Object.fromEntries(usersData.map(user => [user.id, user.name])));
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [entityType, entityId, refreshKey]);
+
+  const formatValue = (field, value) => {
+    if (value === null || value === '') return '—';
+    if (field === 'ownerId' || field === 'userId') return userNames[value] || value;
+    if (typeof value === 'number') return value.toLocaleString('en-US');
+    if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+    if (Array.isArray(value)) return value.join(', ') || '—';
+    if (typeof value === 'object') return Object.values(value).filter(Boolean).join(', ') || '—';
+    return String(value);
+  };
+
+  const renderChanges = (entry) => (
+    <table className="record-history__changes">
+      <thead>
+        <tr>
+          <th>Field</th>
+          <th>Before</th>
+          <th>After</th>
+        </tr>
+      </thead>
+      <tbody>
+        {entry.changes.map(change => (
+          <tr key={change.field}>
+            <td>{formatFieldName(change.field)}</td>
+            <td className="record-history__before">{formatValue(change.field, change.from)}</td>
+            <td>{formatValue(change.field, change.to)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div className="record-history">
+      <h3 className="record-history__heading">{title}</h3>
+
+      {error && <p className="record-history__error" role="alert">{error}</p>}
+
+      {!loading && entries.length === 0 && (
+        <p className="record-history__empty">No changes recorded yet</p>
+      )}
+
+      <ol className="record-history__list">
+        {entries.map(entry => (
+          <li key={entry.id} className="record-history__entry">
+            <div className="record-history__summary">
+              <span>
+                <strong>{entry.userName}</strong> {ACTION_LABELS[entry.action]} this {entityType}
+              </span>
+              <time dateTime={entry.timestamp}>{formatTimestamp(entry.timestamp)}</time>
+            </div>
+            {entry.action === 'update' ? renderChanges(entry) : (
+              <details className="record-history__details">
+                <summary>{entry.changes.length} fields</summary>
+                {renderChanges(entry)}
+              </details>
+            )}
+          </li>
+        ))}
+      </ol>
+    </div>
+  );
+};
+
+RecordHistory.propTypes = {
+  entityType: PropTypes.oneOf(['customer', 'contact', 'deal', 'activity']).isRequired,
+  entityId: PropTypes.string.isRequired,
+  title: PropTypes.string,
+  // Changing this reloads the history, e.g. after the record was saved
+  refreshKey: PropTypes.oneOfType([PropTypes.string, PropTypes.number, PropTypes.object])
+};
+
+export default RecordHistory;
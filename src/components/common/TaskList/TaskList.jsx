@@ -0,0 +1,115 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import usePermissions from '../../../hooks/usePermissions';
+import { getTaskDueStatus, TASK_PRIORITIES } from '../../../services/taskService';
+import './TaskList.css';
+
+const ENTITY_LABELS = {
+  customer: 'Customer',
+  contact: 'Contact',
+  deal: 'Deal'
+};
+
+// Customers have their own page; contacts and deals open in their list page's modal
+const getRecordLink = (task) => (task.entityType === 'customer'
+  ? { to: `/customers/${task.entityId}` }
+  : { to: `/${task.entityType}s`, state: { intent: 'open', id: task.entityId } });
+
+const formatDay = (dateKey) =>
+  new Date(`${dateKey}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+const getDueLabel = (task, status) => {
+  switch (status) {
+    case 'done': return task.completedAt ? `Completed ${formatDay(task.completedAt.split('T')[0])}` : 'Completed';
+    case 'overdue': return `Overdue · ${formatDay(task.dueDate)}`;
+    case 'today': return 'Due today';
+    case 'upcoming': return `Due ${formatDay(task.dueDate)}`;
+    default: return 'No due date';
+  }
+};
+
+/**
+ * Tasks with a checkbox to complete them. Overdue tasks are highlighted.
+ */
+const TaskList = ({ tasks, userNames = {}, showRecord = false, onToggle, onEdit, onDelete, emptyMessage = 'No tasks' }) => {
+  const { can } = usePermissions();
+
+  if (tasks.length === 0) {
+    return <p className="task-list__empty">{emptyMessage}</p>;
+  }
+
+  return (
+    <ul className="task-list">
+      {tasks.map(task => {
+        const status = getTaskDueStatus(task);
+        const canUpdate = can('update', 'tasks', task);
+        const priority = TASK_PRIORITIES.find(item => item.id === task.priority);
+        return (
+          <li key={task.id} className={`task-list__item task-list__item--${status}`}>
+            <input
+              type="checkbox"
+              className="task-list__check"
+              checked={Boolean(task.done)}
+              disabled={!canUpdate}
+              onChange={() => onToggle(task)}
+              aria-label={`${task.done ? 'Reopen' : 'Complete'} ${task.title}`}
+            />
+            <div className="task-list__content">
+              <div className="task-list__title">{task.title}</div>
+              <div className="task-list__meta">
+                <span className="task-list__due">{getDueLabel(task, status)}</span>
+                {priority && (
+                  <span className={`task-list__priority task-list__priority--${priority.id}`}>{priority.label}</span>
+                )}
+                {userNames[task.assigneeId] && <span>{userNames[task.assigneeId]}</span>}
+                {showRecord && task.entityId && ENTITY_LABELS[task.entityType] && (
+                  <Link className="task-list__record" {...getRecordLink(task)}>
+                    {task.recordName || ENTITY_LABELS[task.entityType]}
+                  </Link>
+                )}
+              </div>
+            </div>
+            <div className="task-list__actions">
+              {onEdit && canUpdate && (
+                <button type="button" className="table-action" onClick={() => onEdit(task)} title="Edit task">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                    <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
+                  </svg>
+                </button>
+              )}
+              {onDelete && can('delete', 'tasks', task) && (
+                <button
+                  type="button"
+                  className="table-action table-action--danger"
+                  onClick={() => onDelete(task)}
+                  title="Delete task"
+                >
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <polyline points="3 6 5 6 21 6" />
+                    <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                  </svg>
+                </button>
+              )}
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+};
+
+TaskList.propTypes = {
+  tasks: PropTypes.arrayOf(PropTypes.object).isRequired,
+  // Assignee names by user id; assignees are only shown when given
+  userNames: PropTypes.object,
+  // Link each task to the record it belongs to
+  showRecord: PropTypes.bool,
+  onToggle: PropTypes.func.isRequired,
+  onEdit: PropTypes.func,
+  onDelete: PropTypes.func,
+  emptyMessage: PropTypes.string
+};
+
+export default TaskList;
@@ -0,0 +1,143 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../Button';
+import TaskList from '../TaskList';
+import TaskForm from '../../forms/TaskForm';
+import usePermissions from '../../../hooks/usePermissions';
+import { crmService } from '../../../services/crmService';
+import './TaskPanel.css';
+
+/**
+ * Follow-up tasks for one record, with a form for adding and editing them
+ */
+const TaskPanel = ({ entityType, entityId, title = 'Tasks', onChange }) => {
+  const { can } = usePermissions();
+  const [tasks, setTasks] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [adding, setAdding] = useState(false);
+  const [editingTask, setEditingTask] = useState(null);
+  const [showDone, setShowDone] = useState(false);
+
+  const fetchTasks = useCallback(async () => {
+    try {
+      setError(null);
+      const [tasksData, usersData, teamsData] = await Promise.all([
+        crmService.getTasks({ entityType, entityId }),
+        crmService.getUsers(),
+        crmService.getTeams()
+      ]);
+      setTasks(tasksData);
+      setUsers(usersData);
+      setTeams(teamsData);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType, entityId]);
+
+  useEffect(() => {
+    fetchTasks();
+  }, [fetchTasks]);
+
+  // Saving a task can log an activity or change the record's history, so parents may want to refresh
+  const runAndRefresh = async (action) => {
+    try {
+      await action();
+      await fetchTasks();
+      onChange?.();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleCreateTask = (taskData) => runAndRefresh(async () => {
+    await crmService.createTask({ ...taskData, entityType, entityId });
+    setAdding(false);
+  });
+
+  const handleUpdateTask = (taskData) => runAndRefresh(async () => {
+    await crmService.updateTask(editingTask.id, taskData);
+    setEditingTask(null);
+  });
+
+  const handleToggleTask = (task) => runAndRefresh(() => crmService.completeTask(task.id, !task.done));
+
+  const handleDeleteTask = (task) => {
+    if (window.confirm('Are you sure you want to delete this task?')) {
+      runAndRefresh(() => crmService.deleteTask(task.id));
+    }
+  };
+
+  const openTasks = tasks.filter(task => !task.done);
+  const doneCount = tasks.length - openTasks.length;
+  const userNames = Object.fromEntries(users.map(user => [user.id, user.name]));
+
+  return (
+    <div className="task-panel">
+      <div className="task-panel__header">
+        <h3 className="task-panel__heading">
+          {title}
+          {openTasks.length > 0 && <span className="task-panel__count">{openTasks.length}</span>}
+        </h3>
+        <div className="task-panel__header-actions">
+          {doneCount > 0 && (
+            <button
+              type="button"
+              className={`card__tab ${showDone ? 'card__tab--active' : ''}`}
+              aria-pressed={showDone}
+              onClick={() => setShowDone(prev => !prev)}
+            >
+              Completed ({doneCount})
+            </button>
+          )}
+          {can('create', 'tasks') && !adding && (
+            <Button variant="primary" size="small" onClick={() => { setEditingTask(null); setAdding(true); }}>
+              Add Task
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {error && <p className="task-panel__error" role="alert">{error}</p>}
+
+      {adding && (
+        <TaskForm users={users} teams={teams} onSubmit={handleCreateTask} onCancel={() => setAdding(false)} />
+      )}
+
+      {editingTask && (
+        <TaskForm
+          task={editingTask}
+          users={users}
+          teams={teams}
+          onSubmit={handleUpdateTask}
+          onCancel={() => setEditingTask(null)}
+        />
+      )}
+
+      {!loading && (
+        <TaskList
+          tasks={showDone ? tasks : openTasks}
+          userNames={userNames}
+          onToggle={handleToggleTask}
+          onEdit={(task) => { setAdding(false); setEditingTask(task); }}
+          onDelete={handleDeleteTask}
+          emptyMessage="No open tasks"
+        />
+      )}
+    </div>
+  );
+};
+
+TaskPanel.propTypes = {
+  entityType: PropTypes.oneOf(['customer', 'contact', 'deal']).isRequired,
+  entityId: PropTypes.string.isRequired,
+  title: PropTypes.string,
+  // Called after a task was added, changed or removed
+  onChange: PropTypes.func
+};
+
+export default TaskPanel;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../../common/Button';
+import Input from '../Input';
+import { ACTIVITY_TYPES } from '../../../services/crmService';
+import './ActivityComposer.css';
+
+// datetime-local inputs work in local time without a zone, e.g. 2024-03-14T15:00
+const toLocalInputValue = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().slice(0, 16);
+};
+
+/**
+ * Form for logging a call, email, meeting or note, or editing one that was logged before
+ */
+const ActivityComposer = ({ activity, onSubmit, onCancel }) => {
+  const [formData, setFormData] = useState(() => ({
+    type: activity?.type || ACTIVITY_TYPES[0].id,
+    title: activity?.title || '',
+    description: activity?.description || '',
+    timestamp: toLocalInputValue(activity ? new Date(activity.timestamp) : new Date())
+  }));
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!formData.title.trim()) {
+      newErrors.title = 'Subject is required';
+    }
+    if (!formData.timestamp || isNaN(new Date(formData.timestamp).getTime())) {
+      newErrors.timestamp = 'Please enter a valid date and time';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await onSubmit({
+        type: formData.type,
+        title: formData.title.trim(),
+        description: formData.description.trim(),
+        timestamp: new Date(formData.timestamp).toISOString()
+      });
+    } catch (error) {
+      console.error('Error submitting form:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Activities the app records itself, such as deal_won, keep their type when edited
+  const types = ACTIVITY_TYPES.some(type => type.id === formData.type)
+    ? ACTIVITY_TYPES
+    : [...ACTIVITY_TYPES, { id: formData.type, label: formData.type.replace(/_/g, ' ') }];
+
+  return (
+    <form onSubmit={handleSubmit} className="activity-composer">
+      <div className="activity-composer__types" role="radiogroup" aria-label="Activity type">
+        {types.map(type => (
+          <label
+            key={type.id}
+            className={`activity-composer__type ${formData.type === type.id ? 'activity-composer__type--active' : ''}`}
+          >
+            <input
+              type="radio"
+              name="activity-type"
+              value={type.id}
+              checked={formData.type === type.id}
+              onChange={() => handleInputChange('type', type.id)}
+            />
+            {type.icon && <span aria-hidden="true">{type.icon}</span>}
+            {type.label}
+          </label>
+        ))}
+      </div>
+
+      <div className="activity-composer__row">
+        <Input
+          label="Subject"
+          value={formData.title}
+          onChange={(e) => handleInputChange('title', e.target.value)}
+          error={errors.title}
+          required
+          placeholder="e.g. Discovery call with the CTO"
+        />
+
+        <Input
+          label="When"
+          type="datetime-local"
+          value={formData.timestamp}
+          onChange={(e) => handleInputChange('timestamp', e.target.value)}
+          error={errors.timestamp}
+          required
+        />
+      </div>
+
+      <div className="input-group">
+        <label htmlFor="activity-notes" className="input-label">Notes</label>
+        <textarea
+          id="activity-notes"
+          className="input activity-composer__notes"
+          rows={3}
+          value={formData.description}
+          onChange={(e) => handleInputChange('description', e.target.value)}
+          placeholder="What was discussed? Any next steps?"
+        />
+      </div>
+
+      <div className="activity-composer__actions">
+        <Button type="button" variant="secondary" size="small" onClick={onCancel} disabled={loading}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" size="small" loading={loading}>
+          {activity ? 'Save Activity' : 'Log Activity'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+ActivityComposer.propTypes = {
+  activity: PropTypes.object,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default ActivityComposer;
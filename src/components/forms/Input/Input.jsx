@@ -88,7 +88,7 @@ Input.displayName = 'Input';
 
 Input.propTypes = {
   label: PropTypes.string,
-  type: PropTypes.oneOf(['text', 'email', 'password', 'number', 'tel', 'url', 'search']),
+  type: PropTypes.oneOf(['text', 'email', 'password', 'number', 'tel', 'url', 'search', 'date']),
   value: PropTypes.string,
   onChange: PropTypes.func,
   onBlur: PropTypes.func,
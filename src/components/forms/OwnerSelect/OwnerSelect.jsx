@@ -0,0 +1,51 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { getTeamMembers } from '../../../services/territoryService';
+
+/**
+ * Select for picking a record owner, with users grouped by team. Options passed as children,
+ * such as "Unassigned", are listed first.
+ */
+const OwnerSelect = ({ users, teams, value, onChange, className = 'input', children, ...otherProps }) => {
+  const groups = teams
+    .map(team => ({ label: team.name, users: getTeamMembers(team, users) }))
+    .filter(group => group.users.length > 0);
+  const grouped = new Set(groups.flatMap(group => group.users.map(user => user.id)));
+  const ungrouped = users.filter(user => !grouped.has(user.id));
+
+  return (
+    <select
+      className={className}
+      value={value || ''}
+      onChange={(e) => onChange(e.target.value || null)}
+      {...otherProps}
+    >
+      {children}
+      {groups.map(group => (
+        <optgroup key={group.label} label={group.label}>
+          {group.users.map(user => (
+            <option key={user.id} value={user.id}>{user.name}</option>
+          ))}
+        </optgroup>
+      ))}
+      {ungrouped.length > 0 && (
+        <optgroup label={groups.length > 0 ? 'Other' : 'Users'}>
+          {ungrouped.map(user => (
+            <option key={user.id} value={user.id}>{user.name}</option>
+          ))}
+        </optgroup>
+      )}
+    </select>
+  );
+};
+
+OwnerSelect.propTypes = {
+  users: PropTypes.arrayOf(PropTypes.object).isRequired,
+  teams: PropTypes.arrayOf(PropTypes.object).isRequired,
+  value: PropTypes.string,
+  onChange: PropTypes.func.isRequired,
+  className: PropTypes.string,
+  children: PropTypes.node
+};
+
+export default OwnerSelect;
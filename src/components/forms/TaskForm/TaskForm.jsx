@@ -0,0 +1,160 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../../common/Button';
+import Input from '../Input';
+import OwnerSelect from '../OwnerSelect';
+import useAuth from '../../../hooks/useAuth';
+import { TASK_PRIORITIES } from '../../../services/taskService';
+import './TaskForm.css';
+
+/**
+ * Form for adding a follow-up task or editing one
+ */
+const TaskForm = ({ task, users, teams, canLogActivity = true, onSubmit, onCancel }) => {
+  const { user } = useAuth();
+  const [formData, setFormData] = useState(() => ({
+    title: task?.title || '',
+    dueDate: task?.dueDate || '',
+    priority: task?.priority || 'medium',
+    assigneeId: task?.assigneeId || user?.id || '',
+    notes: task?.notes || '',
+    logActivityOnComplete: task ? Boolean(task.logActivityOnComplete) : true
+  }));
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+    if (!formData.title.trim()) {
+      newErrors.title = 'Title is required';
+    }
+    if (!formData.assigneeId) {
+      newErrors.assigneeId = 'Choose who the task is for';
+    }
+    setErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await onSubmit({
+        title: formData.title.trim(),
+        dueDate: formData.dueDate || null,
+        priority: formData.priority,
+        assigneeId: formData.assigneeId,
+        notes: formData.notes.trim(),
+        logActivityOnComplete: canLogActivity && formData.logActivityOnComplete
+      });
+    } catch (error) {
+      console.error('Error submitting form:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="task-form">
+      <Input
+        label="Task"
+        value={formData.title}
+        onChange={(e) => handleInputChange('title', e.target.value)}
+        error={errors.title}
+        required
+        placeholder="e.g. Send the revised proposal"
+      />
+
+      <div className="task-form__row">
+        <Input
+          label="Due date"
+          type="date"
+          value={formData.dueDate}
+          onChange={(e) => handleInputChange('dueDate', e.target.value)}
+        />
+
+        <div className="input-group">
+          <label htmlFor="task-priority" className="input-label">Priority</label>
+          <select
+            id="task-priority"
+            className="input"
+            value={formData.priority}
+            onChange={(e) => handleInputChange('priority', e.target.value)}
+          >
+            {TASK_PRIORITIES.map(priority => (
+              <option key={priority.id} value={priority.id}>{priority.label}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="input-group">
+          <label htmlFor="task-assignee" className="input-label">Assignee</label>
+          <OwnerSelect
+            id="task-assignee"
+            className={`input ${errors.assigneeId ? 'input--error' : ''}`}
+            users={users}
+            teams={teams}
+            value={formData.assigneeId}
+            onChange={(value) => handleInputChange('assigneeId', value)}
+          />
+          {errors.assigneeId && (
+            <div className="input-error" role="alert">{errors.assigneeId}</div>
+          )}
+        </div>
+      </div>
+
+      <div className="input-group">
+        <label htmlFor="task-notes" className="input-label">Notes</label>
+        <textarea
+          id="task-notes"
+          className="input task-form__notes"
+          rows={2}
+          value={formData.notes}
+          onChange={(e) => handleInputChange('notes', e.target.value)}
+          placeholder="Anything to remember when doing this?"
+        />
+      </div>
+
+      <div className="task-form__footer">
+        {canLogActivity ? (
+          <label className="task-form__log">
+            <input
+              type="checkbox"
+              checked={formData.logActivityOnComplete}
+              onChange={(e) => handleInputChange('logActivityOnComplete', e.target.checked)}
+            />
+            Log an activity when completed
+          </label>
+        ) : <span />}
+        <div className="task-form__actions">
+          <Button type="button" variant="secondary" size="small" onClick={onCancel} disabled={loading}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" size="small" loading={loading}>
+            {task ? 'Save Task' : 'Add Task'}
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+TaskForm.propTypes = {
+  task: PropTypes.object,
+  users: PropTypes.arrayOf(PropTypes.object).isRequired,
+  teams: PropTypes.arrayOf(PropTypes.object).isRequired,
+  // Only tasks linked to a record can log an activity when they are completed
+  canLogActivity: PropTypes.bool,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default TaskForm;
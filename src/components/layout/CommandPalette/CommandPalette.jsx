@@ -0,0 +1,386 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { createPortal } from 'react-dom';
+import PropTypes from 'prop-types';
+import { useNavigate } from 'react-router-dom';
+import { crmService } from '../../../services/crmService';
+import useAuth from '../../../hooks/useAuth';
+import useLocalStorage from '../../../hooks/useLocalStorage';
+import usePermissions from '../../../hooks/usePermissions';
+import { fuzzySearch } from '../../../utils/fuzzySearch';
+import './CommandPalette.css';
+
+const MAX_RESULTS_PER_GROUP = 5;
+const MAX_RECENT_ITEMS = 5;
+
+const ACTIONS = [
+  { key: 'new-customer', title: 'New customer', keywords: 'create add company account', path: '/customers', state: { intent: 'create' }, permission: ['create', 'customers'] },
+  { key: 'new-contact', title: 'New contact', keywords: 'create add person', path: '/contacts', state: { intent: 'create' }, permission: ['create', 'contacts'] },
+  { key: 'new-deal', title: 'New deal', keywords: 'create add opportunity', path: '/deals', state: { intent: 'create' }, permission: ['create', 'deals'] },
+  { key: 'log-call', title: 'Log call for…', keywords: 'phone activity record', mode: 'log-call', permission: ['create', 'activities'] },
+  { key: 'go-dashboard', title: 'Go to Dashboard', keywords: 'home overview', path: '/' },
+  { key: 'go-customers', title: 'Go to Customers', keywords: 'companies accounts', path: '/customers' },
+  { key: 'go-contacts', title: 'Go to Contacts', keywords: 'people', path: '/contacts' },
+  { key: 'go-deals', title: 'Go to Deals', keywords: 'pipeline kanban opportunities', path: '/deals' },
+  { key: 'go-forecast', title: 'Go to Forecast', keywords: 'commit best case weighted quota', path: '/forecast' }
+].map(action => ({ ...action, kind: 'action' }));
+
+const KIND_LABELS = {
+  action: 'Action',
+  customer: 'Customer',
+  contact: 'Contact',
+  deal: 'Deal'
+};
+
+const formatCurrency = (amount) => {
+  if (!amount) return '$0';
+  if (amount >= 1000000) {
+    return `$${(amount / 1000000).toFixed(1)}M`;
+  }
+  return `$${(amount / 1000).toFixed(0)}K`;
+};
+
+const toCustomerItem = (customer) => ({
+  key: `customer-${customer.id}`,
+  kind: 'customer',
+  id: customer.id,
+  customerId: customer.id,
+  title: customer.name,
+  subtitle: customer.industry,
+  path: `/customers/${customer.id}`
+});
+
+const toContactItem = (contact, customerNames) => ({
+  key: `contact-${contact.id}`,
+  kind: 'contact',
+  id: contact.id,
+  customerId: contact.customerId,
+  title: `${contact.firstName} ${contact.lastName}`,
+  subtitle: [contact.title, customerNames[contact.customerId]].filter(Boolean).join(' · '),
+  path: '/contacts',
+  state: { intent: 'open', id: contact.id }
+});
+
+const toDealItem = (deal, customerNames) => ({
+  key: `deal-${deal.id}`,
+  kind: 'deal',
+  id: deal.id,
+  customerId: deal.customerId,
+  title: deal.title,
+  subtitle: [customerNames[deal.customerId], formatCurrency(deal.value)].filter(Boolean).join(' · '),
+  path: '/deals',
+  state: { intent: 'open', id: deal.id }
+});
+
+const CommandPalette = ({ isOpen, onClose }) => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { can } = usePermissions();
+  const listRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [records, setRecords] = useState({ customers: [], contacts: [], deals: [] });
+  const [loading, setLoading] = useState(false);
+  const [mode, setMode] = useState('search');
+  const [callTarget, setCallTarget] = useState(null);
+  const [callNotes, setCallNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  // Recent items are personal, so users sharing a browser do not see each other's records
+  const [recentItems, setRecentItems] = useLocalStorage(`nexus-crm:recent-items:${user?.id}`, []);
+
+  useEffect(() => {
+    if (!isOpen) return undefined;
+
+    setQuery('');
+    setActiveIndex(0);
+    setMode('search');
+    setCallTarget(null);
+    setCallNotes('');
+    setError(null);
+
+    let cancelled = false;
+    const loadRecords = async () => {
+      setLoading(true);
+      try {
+        const [customers, contacts, deals] = await Promise.all([
+          crmService.getCustomers(),
+          crmService.getContacts(),
+          crmService.getDeals()
+        ]);
+        if (!cancelled) setRecords({ customers, contacts, deals });
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    loadRecords();
+
+    document.body.style.overflow = 'hidden';
+    return () => {
+      cancelled = true;
+      document.body.style.overflow = 'unset';
+    };
+  }, [isOpen]);
+
+  const items = useMemo(() => {
+    const customerNames = records.customers.reduce((names, customer) => {
+      names[customer.id] = customer.name;
+      return names;
+    }, {});
+    return {
+      customers: records.customers.map(toCustomerItem),
+      contacts: records.contacts.map(contact => toContactItem(contact, customerNames)),
+      deals: records.deals.map(deal => toDealItem(deal, customerNames))
+    };
+  }, [records]);
+
+  const actions = useMemo(
+    () => ACTIONS.filter(action => !action.permission || can(...action.permission)),
+    [can]
+  );
+
+  const groups = useMemo(() => {
+    const search = (list) =>
+      fuzzySearch(list, query, item => [item.title, item.subtitle, item.keywords], MAX_RESULTS_PER_GROUP);
+
+    if (mode === 'log-call') {
+      const targets = [...items.customers, ...items.contacts];
+      return [{ label: 'Log a call for', items: query ? search(targets) : targets.slice(0, MAX_RESULTS_PER_GROUP) }];
+    }
+
+    if (!query.trim()) {
+      return [
+        { label: 'Recent', items: recentItems },
+        { label: 'Actions', items: actions }
+      ];
+    }
+
+    return [
+      { label: 'Actions', items: search(actions) },
+      { label: 'Customers', items: search(items.customers) },
+      { label: 'Contacts', items: search(items.contacts) },
+      { label: 'Deals', items: search(items.deals) }
+    ];
+  }, [mode, query, items, recentItems, actions]);
+
+  const visibleGroups = groups.filter(group => group.items.length > 0);
+  const flatItems = visibleGroups.flatMap(group => group.items);
+
+  useEffect(() => {
+    setActiveIndex(0);
+  }, [query, mode]);
+
+  useEffect(() => {
+    const active = listRef.current?.querySelector('[aria-selected="true"]');
+    active?.scrollIntoView?.({ block: 'nearest' });
+  }, [activeIndex]);
+
+  const rememberItem = (item) => {
+    const { key, kind, id, title, subtitle, path, state } = item;
+    setRecentItems(prev => [
+      { key, kind, id, title, subtitle, path, state },
+      ...prev.filter(recent => recent.key !== key)
+    ].slice(0, MAX_RECENT_ITEMS));
+  };
+
+  const runItem = (item) => {
+    if (!item) return;
+
+    if (mode === 'log-call') {
+      setCallTarget(item);
+      return;
+    }
+    if (item.mode) {
+      setMode(item.mode);
+      setQuery('');
+      return;
+    }
+    if (item.kind !== 'action') {
+      rememberItem(item);
+    }
+    onClose();
+    navigate(item.path, item.state ? { state: item.state } : undefined);
+  };
+
+  const handleLogCall = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      await crmService.createActivity({
+        type: 'call',
+        title: `Call with ${callTarget.title}`,
+        description: callNotes.trim(),
+        entityType: callTarget.kind,
+        entityId: callTarget.id
+      });
+      onClose();
+      navigate(`/customers/${callTarget.customerId}`);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const goBack = () => {
+    if (callTarget) {
+      setCallTarget(null);
+    } else if (mode !== 'search') {
+      setMode('search');
+      setQuery('');
+    } else {
+      onClose();
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      goBack();
+      return;
+    }
+    if (callTarget) {
+      if (e.key === 'Enter' && (e.metaKey || e.ctrlKey)) {
+        handleLogCall(e);
+      }
+      return;
+    }
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setActiveIndex(index => (flatItems.length ? (index + 1) % flatItems.length : 0));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setActiveIndex(index => (flatItems.length ? (index - 1 + flatItems.length) % flatItems.length : 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runItem(flatItems[activeIndex]);
+    } else if (e.key === 'Backspace' && !query && mode !== 'search') {
+      goBack();
+    }
+  };
+
+  if (!isOpen) return null;
+
+  let itemIndex = -1;
+
+  // Rendered into <body> because the header's backdrop-filter would otherwise contain the fixed overlay
+  return createPortal(
+    <div
+      className="command-palette-overlay"
+      onMouseDown={(e) => e.target === e.currentTarget && onClose()}
+    >
+      <div
+        className="command-palette"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Command palette"
+        onKeyDown={handleKeyDown}
+      >
+        {callTarget ? (
+          <form className="command-palette__form" onSubmit={handleLogCall}>
+            <div className="command-palette__form-header">
+              <span className="command-palette__kind">Log call</span>
+              <strong>{callTarget.title}</strong>
+              {callTarget.subtitle && <span className="command-palette__subtitle">{callTarget.subtitle}</span>}
+            </div>
+            <textarea
+              className="command-palette__notes"
+              placeholder="What was discussed?"
+              value={callNotes}
+              onChange={(e) => setCallNotes(e.target.value)}
+              aria-label="Call notes"
+              rows={4}
+              autoFocus
+            />
+            {error && <p className="command-palette__error">{error}</p>}
+            <div className="command-palette__form-actions">
+              <button type="button" className="command-palette__button" onClick={goBack}>
+                Back
+              </button>
+              <button type="submit" className="command-palette__button command-palette__button--primary" disabled={saving}>
+                {saving ? 'Saving…' : 'Log call'}
+              </button>
+            </div>
+          </form>
+        ) : (
+          <>
+            <div className="command-palette__search">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="11" cy="11" r="8" />
+                <path d="M21 21l-4.35-4.35" />
+              </svg>
+              {mode === 'log-call' && <span className="command-palette__scope">Log call</span>}
+              <input
+                type="text"
+                className="command-palette__input"
+                placeholder={mode === 'log-call' ? 'Find a customer or contact...' : 'Search customers, contacts, deals or actions...'}
+                value={query}
+                onChange={(e) => setQuery(e.target.value)}
+                role="combobox"
+                aria-expanded="true"
+                aria-controls="command-palette-results"
+                aria-activedescendant={flatItems[activeIndex] ? `command-palette-item-${flatItems[activeIndex].key}` : undefined}
+                autoFocus
+              />
+              <kbd className="command-palette__kbd">esc</kbd>
+            </div>
+
+            <div className="command-palette__results" id="command-palette-results" role="listbox" ref={listRef}>
+              {visibleGroups.map(group => (
+                <div key={group.label} className="command-palette__group" role="presentation">
+                  <div className="command-palette__group-label">{group.label}</div>
+                  {group.items.map(item => {
+                    itemIndex += 1;
+                    const index = itemIndex;
+                    return (
+                      <div
+                        key={item.key}
+                        id={`command-palette-item-${item.key}`}
+                        role="option"
+                        aria-selected={index === activeIndex}
+                        className={`command-palette__item ${index === activeIndex ? 'command-palette__item--active' : ''}`}
+                        onMouseMove={() => setActiveIndex(index)}
+                        onClick={() => runItem(item)}
+                      >
+                        <span className={`command-palette__icon command-palette__icon--${item.kind}`}>
+                          {KIND_LABELS[item.kind].charAt(0)}
+                        </span>
+                        <span className="command-palette__text">
+                          <span className="command-palette__title">{item.title}</span>
+                          {item.subtitle && <span className="command-palette__subtitle">{item.subtitle}</span>}
+                        </span>
+                        <span className="command-palette__kind">{KIND_LABELS[item.kind]}</span>
+                      </div>
+                    );
+                  })}
+                </div>
+              ))}
+
+              {flatItems.length === 0 && (
+                <div className="command-palette__empty">
+                  {loading ? 'Loading…' : error || `No results for “${query}”`}
+                </div>
+              )}
+            </div>
+
+            <div className="command-palette__footer">
+              <span><kbd className="command-palette__kbd">↑</kbd><kbd className="command-palette__kbd">↓</kbd> to navigate</span>
+              <span><kbd className="command-palette__kbd">↵</kbd> to select</span>
+              <span><kbd className="command-palette__kbd">esc</kbd> {mode === 'search' ? 'to close' : 'to go back'}</span>
+            </div>
+          </>
+        )}
+      </div>
+    </div>,
+    document.body
+  );
+};
+
+CommandPalette.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default CommandPalette;
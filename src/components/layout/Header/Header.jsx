@@ -1,21 +1,75 @@
-import React, { useState } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import React, { useState, useEffect } from 'react';
+import { Link, useLocation, useNavigate } from 'react-router-dom';
+import { crmService } from '../../../services/crmService';
+import useAuth from '../../../hooks/useAuth';
+import useNotifications from '../../../hooks/useNotifications';
+import usePermissions from '../../../hooks/usePermissions';
+import { formatRelativeTime } from '../../../utils/dates';
+import CommandPalette from '../CommandPalette';
 import './Header.css';
 
 const Header = () => {
   const location = useLocation();
+  const navigate = useNavigate();
+  const { user, signOut } = useAuth();
+  const { role, can } = usePermissions();
+  const { notifications, unreadCount, markRead, markAllRead } = useNotifications();
   const [showNotifications, setShowNotifications] = useState(false);
   const [showProfile, setShowProfile] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  const isMac = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform);
+
+  // ⌘K / Ctrl+K toggles the command palette from anywhere in the app
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if ((event.metaKey || event.ctrlKey) && event.key.toLowerCase() === 'k') {
+        event.preventDefault();
+        setShowPalette(open => !open);
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   const isActive = (path) => {
-    return location.pathname === path;
+    if (path === '/') {
+      return location.pathname === path;
+    }
+    return location.pathname === path || location.pathname.startsWith(`${path}/`);
+  };
+
+  const handleResetDemoData = async () => {
+    setShowProfile(false);
+    if (window.confirm('Reset all customers, contacts and deals to the original demo data? Your changes will be lost.')) {
+      try {
+        await crmService.resetDemoData();
+        window.location.reload();
+      } catch (err) {
+        window.alert(`Unable to reset demo data: ${err.message}`);
+      }
+    }
+  };
+
+  const handleSignOut = async () => {
+    setShowProfile(false);
+    await signOut();
+    navigate('/login', { replace: true });
   };
 
-  const notifications = [
-    { id: 1, title: 'New deal closed', message: 'Supabase - $185,000', time: '2h ago', unread: true },
-    { id: 2, title: 'Meeting reminder', message: 'Stripe demo at 3 PM', time: '4h ago', unread: true },
-    { id: 3, title: 'Task completed', message: 'Follow-up email sent', time: '1d ago', unread: false },
-  ];
+  const handleNotificationClick = (notification) => {
+    setShowNotifications(false);
+    if (!notification.read) {
+      markRead(notification.id);
+    }
+    if (notification.link) {
+      navigate(notification.link);
+    }
+  };
+
+  const handleViewAllNotifications = () => {
+    setShowNotifications(false);
+    navigate('/notifications');
+  };
 
   return (
     <header className="header">
@@ -95,20 +149,39 @@ const Header = () => {
                 Deals
               </Link>
             </li>
+            <li className="header__nav-item">
+              <Link 
+                to="/forecast" 
+                className={`header__nav-link ${isActive('/forecast') ? 'header__nav-link--active' : ''}`}
+              >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <line x1="18" y1="20" x2="18" y2="10" />
+                  <line x1="12" y1="20" x2="12" y2="4" />
+                  <line x1="6" y1="20" x2="6" y2="14" />
+                </svg>
+                Forecast
+              </Link>
+            </li>
           </ul>
         </nav>
 
         {/* Actions */}
         <div className="header__actions">
           {/* Search */}
-          <div className="header__search">
+          <button
+            type="button"
+            className="header__search"
+            onClick={() => setShowPalette(true)}
+            aria-label="Search and commands"
+            aria-keyshortcuts={isMac ? 'Meta+K' : 'Control+K'}
+          >
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
               <circle cx="11" cy="11" r="8" />
               <path d="M21 21l-4.35-4.35" />
             </svg>
-            <input type="text" placeholder="Search..." className="header__search-input" />
-            <span className="header__search-shortcut">⌘K</span>
-          </div>
+            <span className="header__search-input">Search...</span>
+            <span className="header__search-shortcut">{isMac ? '⌘K' : 'Ctrl K'}</span>
+          </button>
 
           {/* Notifications */}
           <div className="header__notification-wrapper">
@@ -121,29 +194,47 @@ const Header = () => {
                 <path d="M18 8A6 6 0 0 0 6 8c0 7-3 9-3 9h18s-3-2-3-9" />
                 <path d="M13.73 21a2 2 0 0 1-3.46 0" />
               </svg>
-              <span className="header__notification-badge">2</span>
+              {unreadCount > 0 && (
+                <span className="header__notification-badge" aria-label={`${unreadCount} unread`}>
+                  {unreadCount > 9 ? '9+' : unreadCount}
+                </span>
+              )}
             </button>
             
             {showNotifications && (
               <div className="header__dropdown header__dropdown--notifications">
                 <div className="header__dropdown-header">
                   <h4>Notifications</h4>
-                  <button className="header__dropdown-action">Mark all read</button>
+                  <button
+                    className="header__dropdown-action"
+                    onClick={markAllRead}
+                    disabled={unreadCount === 0}
+                  >
+                    Mark all read
+                  </button>
                 </div>
                 <div className="header__dropdown-content">
-                  {notifications.map(notif => (
-                    <div key={notif.id} className={`notification-item ${notif.unread ? 'notification-item--unread' : ''}`}>
+                  {notifications.slice(0, 5).map(notif => (
+                    <button
+                      key={notif.id}
+                      type="button"
+                      className={`notification-item ${!notif.read ? 'notification-item--unread' : ''}`}
+                      onClick={() => handleNotificationClick(notif)}
+                    >
                       <div className="notification-item__dot" />
                       <div className="notification-item__content">
                         <div className="notification-item__title">{notif.title}</div>
                         <div className="notification-item__message">{notif.message}</div>
-                        <div className="notification-item__time">{notif.time}</div>
+                        <div className="notification-item__time">{formatRelativeTime(notif.createdAt)}</div>
                       </div>
-                    </div>
+                    </button>
                   ))}
+                  {notifications.length === 0 && (
+                    <div className="header__dropdown-empty">You're all caught up</div>
+                  )}
                 </div>
                 <div className="header__dropdown-footer">
-                  <button>View all notifications</button>
+                  <button onClick={handleViewAllNotifications}>View all notifications</button>
                 </div>
               </div>
             )}
@@ -157,13 +248,13 @@ const Header = () => {
             >
               <div className="header__avatar">
                 <img 
-                  src="https://ui-avatars.com/api/?name=Alex+Morgan&background=6366f1&color=fff" 
+                  src={user.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(user.name)}&background=6366f1&color=fff`}
                   alt="Profile"
                 />
               </div>
               <div className="header__user-info">
-                <span className="header__user-name">Alex Morgan</span>
-                <span className="header__user-role">Sales Director</span>
+                <span className="header__user-name">{user.name}</span>
+                <span className="header__user-role">{user.title || role.label}</span>
               </div>
               <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" className="header__chevron">
                 <polyline points="6 9 12 15 18 9" />
@@ -172,6 +263,10 @@ const Header = () => {
 
             {showProfile && (
               <div className="header__dropdown header__dropdown--profile">
+                <div className="header__dropdown-header">
+                  <span className="header__profile-email">{user.email}</span>
+                  <span className="badge badge--neutral">{role.label}</span>
+                </div>
                 <div className="header__dropdown-content">
                   <button className="dropdown-item">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -195,8 +290,17 @@ const Header = () => {
                     </svg>
                     Help & Support
                   </button>
+                  {can('manage', 'workspace') && (
+                    <button className="dropdown-item" onClick={handleResetDemoData}>
+                      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                        <polyline points="1 4 1 10 7 10" />
+                        <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10" />
+                      </svg>
+                      Reset Demo Data
+                    </button>
+                  )}
                   <div className="dropdown-divider" />
-                  <button className="dropdown-item dropdown-item--danger">
+                  <button className="dropdown-item dropdown-item--danger" onClick={handleSignOut}>
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
                       <path d="M9 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h4" />
                       <polyline points="16 17 21 12 16 7" />
@@ -210,6 +314,8 @@ const Header = () => {
           </div>
         </div>
       </div>
+
+      <CommandPalette isOpen={showPalette} onClose={() => setShowPalette(false)} />
     </header>
   );
 };
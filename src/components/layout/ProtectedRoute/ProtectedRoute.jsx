@@ -0,0 +1,25 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { Navigate, Outlet, useLocation } from 'react-router-dom';
+import useAuth from '../../../hooks/useAuth';
+
+/**
+ * Renders its children, or the nested routes, only for signed-in users. Everyone else is sent to the
+ * login page, which returns them to the page they asked for.
+ */
+const ProtectedRoute = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const location = useLocation();
+
+  if (!isAuthenticated) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  return children || <Outlet />;
+};
+
+ProtectedRoute.propTypes = {
+  children: PropTypes.node
+};
+
+export default ProtectedRoute;
@@ -1,4 +1,5 @@
 import { useState, useEffect, useCallback } from 'react';
+import { request } from '../services/http';
 
 /**
  * Custom hook for API calls with loading, error, and data states
@@ -19,19 +20,7 @@ const useApi = (url, options = {}, immediate = true) => {
       setLoading(true);
       setError(null);
 
-      const response = await fetch(url, {
-        headers: {
-          'Content-Type': 'application/json',
-          ...options.headers,
-        },
-        ...options,
-      });
-
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-
-      const result = await response.json();
+      const result = await request(url, options);
       setData(result);
     } catch (err) {
       setError(err.message);
@@ -0,0 +1,126 @@
+import React, { createContext, useContext, useState, useEffect, useCallback, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import {
+  getIdentityProvider,
+  createSession,
+  loadSession,
+  saveSession,
+  clearSession,
+  SESSION_STORAGE_KEY
+} from '../services/auth';
+
+// setTimeout fires immediately for delays above a signed 32-bit int, so long sessions are re-checked in steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+const AuthContext = createContext(null);
+
+/**
+ * Provides the signed-in user to the app and keeps the session in sync with storage, other tabs and its expiry
+ * @param {Object} props
+ * @param {Object} props.provider - Identity provider, defaults to the configured one
+ */
+export const AuthProvider = ({ provider, children }) => {
+  const [session, setSession] = useState(() => loadSession());
+  const [sessionExpired, setSessionExpired] = useState(false);
+
+  const signIn = useCallback(async ({ email, password, remember = false }) => {
+    const identity = await (provider || getIdentityProvider()).signIn({ email, password });
+    const newSession = createSession(identity, { remember });
+    saveSession(newSession);
+    setSessionExpired(false);
+    setSession(newSession);
+    return newSession.user;
+  }, [provider]);
+
+  const signOut = useCallback(async () => {
+    const current = loadSession();
+    clearSession();
+    setSession(null);
+    try {
+      await (provider || getIdentityProvider()).signOut(current);
+    } catch (err) {
+      console.error('Error signing out:', err);
+    }
+  }, [provider]);
+
+  // The stored user, role included, can be edited in the browser, so it is read back from the provider on load
+  useEffect(() => {
+    const stored = loadSession();
+    if (!stored) return undefined;
+    let cancelled = false;
+    (provider || getIdentityProvider()).getUser(stored)
+      .then((user) => {
+        if (cancelled) return;
+        if (!user) {
+          clearSession();
+          setSession(null);
+          setSessionExpired(true);
+          return;
+        }
+        const verified = { ...stored, user };
+        saveSession(verified);
+        setSession(verified);
+      })
+      .catch(err => console.error('Error checking the session:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [provider]);
+
+  // End the session when it expires
+  useEffect(() => {
+    if (!session) return undefined;
+    const remaining = new Date(session.expiresAt).getTime() - Date.now();
+    const timer = setTimeout(() => {
+      const current = loadSession();
+      setSession(current);
+      if (!current) setSessionExpired(true);
+    }, Math.max(0, Math.min(remaining, MAX_TIMER_MS)));
+    return () => clearTimeout(timer);
+  }, [session]);
+
+  // Signing in or out in another tab applies here too
+  useEffect(() => {
+    const handleStorageChange = (e) => {
+      if (e.key === SESSION_STORAGE_KEY || e.key === null) {
+        setSession(loadSession());
+      }
+    };
+    window.addEventListener('storage', handleStorageChange);
+    return () => window.removeEventListener('storage', handleStorageChange);
+  }, []);
+
+  const value = useMemo(() => ({
+    user: session?.user || null,
+    session,
+    isAuthenticated: Boolean(session),
+    sessionExpired,
+    signIn,
+    signOut
+  }), [session, sessionExpired, signIn, signOut]);
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
+
+AuthProvider.propTypes = {
+  provider: PropTypes.shape({
+    signIn: PropTypes.func.isRequired,
+    getUser: PropTypes.func.isRequired,
+    signOut: PropTypes.func.isRequired
+  }),
+  children: PropTypes.node.isRequired
+};
+
+/**
+ * Custom hook for the current session
+ * @returns {Object} - { user, session, isAuthenticated, sessionExpired, signIn, signOut }
+ */
+const useAuth = () => {
+  const context = useContext(AuthContext);
+  if (!context) {
+    throw new Error('useAuth must be used within an AuthProvider');
+  }
+  return context;
+};
+
+export default useAuth;
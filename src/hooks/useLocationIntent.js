@@ -0,0 +1,23 @@
+import { useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+
+/**
+ * Run a one-off request passed in the router state, e.g. { intent: 'open', id } from the
+ * command palette, then clear it so it does not replay on refresh or back navigation
+ * @param {Function} handler - Called with the router state once the page is ready
+ * @param {boolean} ready - Whether the page has loaded the data the handler needs
+ */
+const useLocationIntent = (handler, ready = true) => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const handlerRef = useRef(handler);
+  handlerRef.current = handler;
+
+  useEffect(() => {
+    if (!ready || !location.state?.intent) return;
+    handlerRef.current(location.state);
+    navigate(`${location.pathname}${location.search}`, { replace: true, state: null });
+  }, [ready, location.state, location.pathname, location.search, navigate]);
+};
+
+export default useLocationIntent;
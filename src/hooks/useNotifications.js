@@ -0,0 +1,61 @@
+import { useState, useEffect, useCallback } from 'react';
+import { crmService } from '../services/crmService';
+import { subscribeToNotifications } from '../services/notificationService';
+
+/**
+ * Custom hook for the notification feed; stays in sync with changes made anywhere in the app
+ * @returns {Object} - { notifications, unreadCount, loading, error, markRead, markAllRead, refetch }
+ */
+const useNotifications = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      setError(null);
+      setNotifications(await crmService.getNotifications());
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchNotifications();
+    return subscribeToNotifications(fetchNotifications);
+  }, [fetchNotifications]);
+
+  const markRead = useCallback(async (id, read = true) => {
+    setNotifications(prev => prev.map(item => (item.id === id ? { ...item, read } : item)));
+    try {
+      await crmService.markNotificationRead(id, read);
+    } catch (err) {
+      setError(err.message);
+      fetchNotifications();
+    }
+  }, [fetchNotifications]);
+
+  const markAllRead = useCallback(async () => {
+    setNotifications(prev => prev.map(item => ({ ...item, read: true })));
+    try {
+      await crmService.markAllNotificationsRead();
+    } catch (err) {
+      setError(err.message);
+      fetchNotifications();
+    }
+  }, [fetchNotifications]);
+
+  return {
+    notifications,
+    unreadCount: notifications.filter(item => !item.read).length,
+    loading,
+    error,
+    markRead,
+    markAllRead,
+    refetch: fetchNotifications
+  };
+};
+
+export default useNotifications;
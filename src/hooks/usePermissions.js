@@ -0,0 +1,20 @@
+import { useCallback } from 'react';
+import useAuth from './useAuth';
+import { can as canUser, getRole } from '../services/auth/permissions';
+
+/**
+ * Custom hook for checking what the signed-in user may do, e.g. to hide or disable actions
+ * @returns {Object} - { role, can(action, resource, record, parent) }
+ */
+const usePermissions = () => {
+  const { user } = useAuth();
+
+  const can = useCallback(
+    (action, resource, record = null, parent = null) => canUser(user, action, resource, record, parent),
+    [user]
+  );
+
+  return { role: getRole(user), can };
+};
+
+export default usePermissions;
@@ -0,0 +1,26 @@
+import { useEffect } from 'react';
+import { crmService } from '../services/crmService';
+import useAuth from './useAuth';
+
+// How often snapshots and rule-based notifications are brought up to date while the app is open
+export const SYNC_INTERVAL_MS = 5 * 60 * 1000;
+
+/**
+ * Run crmService.runScheduledSync once a user is signed in and then on an interval
+ * @param {number} interval - Milliseconds between runs
+ */
+const useScheduledSync = (interval = SYNC_INTERVAL_MS) => {
+  const { user } = useAuth();
+  const userId = user?.id;
+
+  useEffect(() => {
+    if (!userId) return undefined;
+    const run = () => crmService.runScheduledSync()
+      .catch(err => console.error('Error running the scheduled sync:', err));
+    run();
+    const timer = setInterval(run, interval);
+    return () => clearInterval(timer);
+  }, [userId, interval]);
+};
+
+export default useScheduledSync;
@@ -0,0 +1,170 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react';
+import { getColumnCount, getNextIndex, getVirtualWindow } from '../utils/virtualList';
+
+// Where the last list was left, so coming back from a detail page lands on the same spot
+const POSITION_KEY = 'nexus-crm:list-position';
+
+const readPosition = () => {
+  try {
+    return JSON.parse(window.sessionStorage.getItem(POSITION_KEY));
+  } catch (error) {
+    return null;
+  }
+};
+
+const writePosition = (position) => {
+  try {
+    window.sessionStorage.setItem(POSITION_KEY, JSON.stringify(position));
+  } catch (error) {
+    console.error('Error saving the list position:', error);
+  }
+};
+
+/**
+ * Windowed rendering for a long list or grid of same-height items in its own scroll container.
+ * Arrow keys, Page Up/Down, Home and End move the focus between items.
+ * @param {Object} options
+ * @param {number} options.count - Number of items
+ * @param {number} options.itemHeight - Expected item height in px; the first rendered item is measured
+ * @param {number} options.minItemWidth - Narrowest a grid item may get; leave out for a single column
+ * @param {number} options.gap - Space between grid items in px
+ * @param {number} options.overscan - Rows rendered beyond each edge of the viewport
+ * @param {string} options.restoreKey - What the list shows; the scroll position is restored for the same key
+ * @param {Function} options.onActivate - Called with the index of the focused item on Enter
+ * @returns {Object} - { start, end, paddingTop, paddingBottom, columns, getContainerProps, getItemProps }
+ */
+const useVirtualList = ({ count, itemHeight, minItemWidth = 0, gap = 0, overscan = 5, restoreKey = null, onActivate }) => {
+  // A callback ref, since the container usually appears only once the data has loaded
+  const [container, setContainer] = useState(null);
+  const [viewport, setViewport] = useState({ width: 0, height: 0 });
+  const [scrollTop, setScrollTop] = useState(0);
+  const [rowHeight, setRowHeight] = useState(itemHeight + gap);
+  // Space above the first item inside the container, such as a sticky table header
+  const [offset, setOffset] = useState(0);
+  const [activeIndex, setActiveIndex] = useState(0);
+  const position = useRef({ scrollTop: 0, activeIndex: 0 });
+  const restoredKey = useRef(null);
+  const focusPending = useRef(false);
+
+  const columns = getColumnCount(viewport.width, minItemWidth, gap);
+  const range = getVirtualWindow({
+    count,
+    columns,
+    rowHeight,
+    scrollTop: Math.max(0, scrollTop - offset),
+    // Before the container is measured, render a screenful
+    viewportHeight: viewport.height || rowHeight * 10,
+    overscan
+  });
+
+  useEffect(() => {
+    if (!container) return undefined;
+    const measure = () => setViewport({ width: container.clientWidth, height: container.clientHeight });
+    measure();
+    const observer = new ResizeObserver(measure);
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, [container]);
+
+  // Items share one height, so the first one rendered tells the row height and where the rows start
+  useLayoutEffect(() => {
+    const item = container?.querySelector('[data-index]');
+    if (!item) return;
+    const box = item.getBoundingClientRect();
+    const measuredHeight = box.height + gap;
+    if (box.height > 0 && Math.abs(measuredHeight - rowHeight) > 0.5) {
+      setRowHeight(measuredHeight);
+      return;
+    }
+    const top = box.top - container.getBoundingClientRect().top + container.scrollTop;
+    const measuredOffset = top - Math.floor(Number(item.dataset.index) / columns) * rowHeight;
+    if (Math.abs(measuredOffset - offset) > 0.5) {
+      setOffset(measuredOffset);
+    }
+  }, [container, count, gap, rowHeight, columns, offset, range.start]);
+
+  // Back on the list it was left on, scroll to where it was; a list with other contents starts at the top
+  useLayoutEffect(() => {
+    if (!container || count === 0 || restoredKey.current === restoreKey) return;
+    const saved = restoredKey.current === null ? readPosition() : null;
+    restoredKey.current = restoreKey;
+    const next = saved && saved.key === restoreKey ? saved : { scrollTop: 0, activeIndex: 0 };
+    container.scrollTop = next.scrollTop;
+    position.current = { scrollTop: container.scrollTop, activeIndex: Math.min(next.activeIndex, count - 1) };
+    setScrollTop(position.current.scrollTop);
+    setActiveIndex(position.current.activeIndex);
+  }, [container, count, restoreKey]);
+
+  // Only a list that was shown saves its position, so a hidden one never overwrites it
+  useEffect(() => {
+    if (restoreKey === null) return undefined;
+    return () => {
+      if (restoredKey.current === restoreKey) {
+        writePosition({ key: restoreKey, ...position.current });
+      }
+    };
+  }, [restoreKey]);
+
+  useEffect(() => {
+    if (!focusPending.current || !container) return;
+    focusPending.current = false;
+    container.querySelector(`[data-index="${activeIndex}"]`)?.focus({ preventScroll: true });
+  });
+
+  const focusItem = (index) => {
+    // Scroll the item into view first, so it is rendered by the time it takes the focus
+    const top = Math.floor(index / columns) * rowHeight;
+    let nextScrollTop = container.scrollTop;
+    if (top < nextScrollTop) {
+      nextScrollTop = top;
+    } else if (offset + top + rowHeight > nextScrollTop + viewport.height) {
+      nextScrollTop = offset + top + rowHeight - viewport.height;
+    }
+    container.scrollTop = nextScrollTop;
+    position.current = { scrollTop: container.scrollTop, activeIndex: index };
+    setScrollTop(container.scrollTop);
+    setActiveIndex(index);
+    focusPending.current = true;
+  };
+
+  const handleKeyDown = (event) => {
+    // Keys pressed on a control inside an item belong to that control
+    if (event.target.dataset.index === undefined) return;
+    const index = Number(event.target.dataset.index);
+    if (event.key === 'Enter' && onActivate) {
+      event.preventDefault();
+      onActivate(index);
+      return;
+    }
+    const pageRows = Math.max(1, Math.floor((viewport.height - offset) / rowHeight));
+    const next = getNextIndex(event.key, index, { count, columns, pageRows });
+    if (next !== null) {
+      event.preventDefault();
+      focusItem(next);
+    }
+  };
+
+  const handleScroll = (event) => {
+    position.current = { ...position.current, scrollTop: event.currentTarget.scrollTop };
+    setScrollTop(event.currentTarget.scrollTop);
+  };
+
+  // One item is in the tab order; when it has scrolled out of the window, the first rendered one takes its place
+  const tabbableIndex = activeIndex >= range.start && activeIndex < range.end ? activeIndex : range.start;
+
+  return {
+    ...range,
+    columns,
+    getContainerProps: () => ({ ref: setContainer, onScroll: handleScroll, onKeyDown: handleKeyDown }),
+    getItemProps: (index) => ({
+      'data-index': index,
+      tabIndex: index === tabbableIndex ? 0 : -1,
+      onFocus: () => {
+        position.current = { ...position.current, activeIndex: index };
+        setActiveIndex(index);
+      }
+    })
+  };
+};
+
+export default useVirtualList;
@@ -0,0 +1,242 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../../components/common/Button';
+import Input from '../../components/forms/Input';
+import './ContactForm.css';
+
+export const DEPARTMENTS = [
+  'Executive',
+  'Operations',
+  'Sales',
+  'Marketing',
+  'Engineering',
+  'Product',
+  'Finance',
+  'Legal'
+];
+
+const ContactForm = ({ contact, customers, readOnly = false, onSubmit, onCancel }) => {
+  const [formData, setFormData] = useState({
+    firstName: '',
+    lastName: '',
+    email: '',
+    phone: '',
+    customerId: '',
+    title: '',
+    department: '',
+    linkedin: ''
+  });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (contact) {
+      setFormData({
+        firstName: contact.firstName || '',
+        lastName: contact.lastName || '',
+        email: contact.email || '',
+        phone: contact.phone || '',
+        customerId: contact.customerId || '',
+        title: contact.title || '',
+        department: contact.department || '',
+        linkedin: contact.linkedin || ''
+      });
+    }
+  }, [contact]);
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.firstName.trim()) {
+      newErrors.firstName = 'First name is required';
+    }
+
+    if (!formData.lastName.trim()) {
+      newErrors.lastName = 'Last name is required';
+    }
+
+    if (!formData.email.trim()) {
+      newErrors.email = 'Email is required';
+    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
+      newErrors.email = 'Please enter a valid email address';
+    }
+
+    if (!formData.customerId) {
+      newErrors.customerId = 'Company is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+
+    // Clear error when user starts typing
+    if (errors[field]) {
+      setErrors(prev => ({
+        ...prev,
+        [field]: ''
+      }));
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (readOnly || !validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await onSubmit(formData);
+    } catch (error) {
+      console.error('Error submitting form:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="contact-form">
+      <fieldset className="contact-form__fields" disabled={readOnly}>
+        <div className="contact-form__section">
+          <h3>Personal Information</h3>
+
+          <div className="contact-form__row">
+            <Input
+              label="First Name"
+              value={formData.firstName}
+              onChange={(e) => handleInputChange('firstName', e.target.value)}
+              error={errors.firstName}
+              required
+              placeholder="Enter first name"
+            />
+
+            <Input
+              label="Last Name"
+              value={formData.lastName}
+              onChange={(e) => handleInputChange('lastName', e.target.value)}
+              error={errors.lastName}
+              required
+              placeholder="Enter last name"
+            />
+          </div>
+
+          <Input
+            label="Email"
+            type="email"
+            value={formData.email}
+            onChange={(e) => handleInputChange('email', e.target.value)}
+            error={errors.email}
+            required
+            placeholder="Enter email address"
+          />
+
+          <div className="contact-form__row">
+            <Input
+              label="Phone"
+              type="tel"
+              value={formData.phone}
+              onChange={(e) => handleInputChange('phone', e.target.value)}
+              placeholder="Enter phone number"
+            />
+
+            <Input
+              label="LinkedIn"
+              value={formData.linkedin}
+              onChange={(e) => handleInputChange('linkedin', e.target.value)}
+              placeholder="linkedin.com/in/username"
+            />
+          </div>
+        </div>
+
+        <div className="contact-form__section">
+          <h3>Company</h3>
+
+          <div className="input-group">
+            <label htmlFor="contact-customer" className="input-label">
+              Company
+              <span className="input-required" aria-label="required">*</span>
+            </label>
+            <select
+              id="contact-customer"
+              className={`input contact-form__select ${errors.customerId ? 'input--error' : ''}`}
+              value={formData.customerId}
+              onChange={(e) => handleInputChange('customerId', e.target.value)}
+            >
+              <option value="">Select a company</option>
+              {customers.map(customer => (
+                <option key={customer.id} value={customer.id}>{customer.name}</option>
+              ))}
+            </select>
+            {errors.customerId && (
+              <div className="input-error" role="alert">{errors.customerId}</div>
+            )}
+          </div>
+
+          <div className="contact-form__row">
+            <Input
+              label="Job Title"
+              value={formData.title}
+              onChange={(e) => handleInputChange('title', e.target.value)}
+              placeholder="Enter job title"
+            />
+
+            <div className="input-group">
+              <label htmlFor="contact-department" className="input-label">Department</label>
+              <select
+                id="contact-department"
+                className="input contact-form__select"
+                value={formData.department}
+                onChange={(e) => handleInputChange('department', e.target.value)}
+              >
+                <option value="">Select a department</option>
+                {DEPARTMENTS.map(department => (
+                  <option key={department} value={department}>{department}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+        </div>
+      </fieldset>
+
+      <div className="contact-form__actions">
+        {readOnly && (
+          <span className="contact-form__read-only">You don’t have permission to {contact ? 'edit this contact' : 'add contacts'}</span>
+        )}
+        <Button
+          type="button"
+          variant="secondary"
+          onClick={onCancel}
+          disabled={loading}
+        >
+          {readOnly ? 'Close' : 'Cancel'}
+        </Button>
+        {!readOnly && (
+          <Button
+            type="submit"
+            variant="primary"
+            loading={loading}
+          >
+            {contact ? 'Update Contact' : 'Create Contact'}
+          </Button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+ContactForm.propTypes = {
+  contact: PropTypes.object,
+  readOnly: PropTypes.bool,
+  customers: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default ContactForm;
@@ -0,0 +1,533 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { crmService } from '../../services/crmService';
+import Button from '../../components/common/Button';
+import Modal from '../../components/common/Modal';
+import Pagination from '../../components/common/Pagination';
+import ActivityLog from '../../components/common/ActivityLog';
+import RecordHistory from '../../components/common/RecordHistory';
+import useLocationIntent from '../../hooks/useLocationIntent';
+import usePermissions from '../../hooks/usePermissions';
+import { DEFAULT_PAGE_SIZE } from '../../services/listQuery';
+import ContactForm from './ContactForm';
+import './Contacts.css';
+
+const getFullName = (contact) => `${contact.firstName} ${contact.lastName}`;
+
+const getAvatarUrl = (contact) => (
+  contact.avatar ||
+  `https://ui-avatars.com/api/?name=${encodeURIComponent(getFullName(contact))}&background=6366f1&color=fff`
+);
+
+const Contacts = () => {
+  const { can } = usePermissions();
+  // One page of the list, as returned by crmService.queryContacts
+  const [result, setResult] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [listVersion, setListVersion] = useState(0);
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [editingContact, setEditingContact] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterCompany, setFilterCompany] = useState('all');
+  const [filterDepartment, setFilterDepartment] = useState('all');
+  const [sortBy, setSortBy] = useState('name');
+  const [sortOrder, setSortOrder] = useState('asc');
+  const [viewMode, setViewMode] = useState('table');
+  const [page, setPage] = useState(1);
+  const [pageSize, setPageSize] = useState(DEFAULT_PAGE_SIZE);
+  const contacts = result?.items || [];
+
+  const reloadList = () => setListVersion(version => version + 1);
+
+  useEffect(() => {
+    fetchCustomers();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const fetchPage = async () => {
+      try {
+        const pageData = await crmService.queryContacts({
+          search: searchTerm,
+          customerId: filterCompany === 'all' ? undefined : filterCompany,
+          department: filterDepartment === 'all' ? undefined : filterDepartment,
+          sortBy,
+          sortOrder,
+          page,
+          pageSize
+        });
+        if (!cancelled) {
+          setResult(pageData);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchPage();
+    // A newer query replaces this one, so a slow answer never overwrites a later page
+    return () => {
+      cancelled = true;
+    };
+  }, [searchTerm, filterCompany, filterDepartment, sortBy, sortOrder, page, pageSize, listVersion]);
+
+  useEffect(() => {
+    crmService.getContactSummary()
+      .then(setSummary)
+      .catch(err => setError(err.message));
+  }, [listVersion]);
+
+  // Opened from the command palette; the contact may be on another page
+  useLocationIntent(async ({ intent, id }) => {
+    const contact = id ? await crmService.getContact(id) : undefined;
+    if ((intent === 'create' && can('create', 'contacts')) || contact) {
+      setEditingContact(contact || null);
+      setShowModal(true);
+    }
+  }, !loading);
+
+  const fetchCustomers = async () => {
+    try {
+      setCustomers(await crmService.getCustomers());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Any change other than the page itself starts over on the first page
+  const changeList = (setter) => (value) => {
+    setter(value);
+    setPage(1);
+  };
+
+  const handleCreateContact = async (contactData) => {
+    try {
+      await crmService.createContact(contactData);
+      setShowModal(false);
+      reloadList();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleUpdateContact = async (contactData) => {
+    try {
+      await crmService.updateContact(editingContact.id, contactData);
+      setShowModal(false);
+      setEditingContact(null);
+      reloadList();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteContact = async (contactId) => {
+    if (window.confirm('Are you sure you want to delete this contact?')) {
+      try {
+        await crmService.deleteContact(contactId);
+        reloadList();
+      } catch (err) {
+        setError(err.message);
+      }
+    }
+  };
+
+  const handleEditContact = (contact) => {
+    setEditingContact(contact);
+    setShowModal(true);
+  };
+
+  // Contacts may also be changed by the owner of their customer
+  const customersById = new Map(customers.map(customer => [customer.id, customer]));
+  const canChangeContact = (action, contact) => can(action, 'contacts', contact, customersById.get(contact.customerId));
+
+  const canEditContact = editingContact ? canChangeContact('update', editingContact) : can('create', 'contacts');
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingContact(null);
+  };
+
+  const handleSort = (field) => {
+    if (sortBy === field) {
+      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+    } else {
+      setSortBy(field);
+      setSortOrder('asc');
+    }
+    setPage(1);
+  };
+
+  const formatDate = (date) => {
+    if (!date) return '-';
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    });
+  };
+
+  const customerNames = customers.reduce((names, customer) => {
+    names[customer.id] = customer.name;
+    return names;
+  }, {});
+
+  const departments = summary?.departments || [];
+
+  const stats = {
+    total: summary?.total || 0,
+    active: summary?.active || 0,
+    companies: summary?.companies || 0,
+    departments: departments.length
+  };
+
+  const renderSortIcon = (field) => (
+    sortBy === field && (
+      <span className="sort-icon">{sortOrder === 'asc' ? '↑' : '↓'}</span>
+    )
+  );
+
+  if (loading) {
+    return (
+      <div className="contacts">
+        <div className="contacts__header">
+          <div className="skeleton" style={{ width: '200px', height: '40px' }} />
+          <div className="skeleton" style={{ width: '150px', height: '40px' }} />
+        </div>
+        <div className="contacts__stats">
+          {[1, 2, 3, 4].map(i => (
+            <div key={i} className="skeleton" style={{ height: '80px' }} />
+          ))}
+        </div>
+        <div className="contacts__table-wrapper">
+          {[1, 2, 3, 4, 5].map(i => (
+            <div key={i} className="skeleton" style={{ height: '60px', marginBottom: '8px' }} />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="contacts">
+      {/* Header */}
+      <div className="contacts__header">
+        <div className="contacts__header-content">
+          <h1>Contacts</h1>
+          <p>Everyone you work with across your customer accounts</p>
+        </div>
+        <div className="contacts__header-actions">
+          {can('create', 'contacts') && (
+            <Button variant="primary" onClick={() => setShowModal(true)}>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="18" height="18">
+                <line x1="12" y1="5" x2="12" y2="19" />
+                <line x1="5" y1="12" x2="19" y2="12" />
+              </svg>
+              Add Contact
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {/* Stats */}
+      <div className="contacts__stats">
+        <div className="stat-mini">
+          <div className="stat-mini__value">{stats.total}</div>
+          <div className="stat-mini__label">Total Contacts</div>
+        </div>
+        <div className="stat-mini">
+          <div className="stat-mini__value">{stats.active}</div>
+          <div className="stat-mini__label">Active</div>
+        </div>
+        <div className="stat-mini">
+          <div className="stat-mini__value">{stats.companies}</div>
+          <div className="stat-mini__label">Companies</div>
+        </div>
+        <div className="stat-mini">
+          <div className="stat-mini__value">{stats.departments}</div>
+          <div className="stat-mini__label">Departments</div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="contacts__filters">
+        <div className="contacts__search">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <circle cx="11" cy="11" r="8" />
+            <path d="M21 21l-4.35-4.35" />
+          </svg>
+          <input
+            type="text"
+            placeholder="Search contacts..."
+            value={searchTerm}
+            onChange={(e) => changeList(setSearchTerm)(e.target.value)}
+          />
+        </div>
+
+        <div className="contacts__filter-group">
+          <select
+            value={filterCompany}
+            onChange={(e) => changeList(setFilterCompany)(e.target.value)}
+            className="customers__select"
+            aria-label="Filter by company"
+          >
+            <option value="all">All Companies</option>
+            {customers.map(customer => (
+              <option key={customer.id} value={customer.id}>{customer.name}</option>
+            ))}
+          </select>
+
+          <select
+            value={filterDepartment}
+            onChange={(e) => changeList(setFilterDepartment)(e.target.value)}
+            className="customers__select"
+            aria-label="Filter by department"
+          >
+            <option value="all">All Departments</option>
+            {departments.map(department => (
+              <option key={department} value={department}>{department}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="customers__view-toggle">
+          <button
+            className={`view-btn ${viewMode === 'table' ? 'view-btn--active' : ''}`}
+            onClick={() => setViewMode('table')}
+            aria-label="Table view"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <line x1="8" y1="6" x2="21" y2="6" />
+              <line x1="8" y1="12" x2="21" y2="12" />
+              <line x1="8" y1="18" x2="21" y2="18" />
+              <line x1="3" y1="6" x2="3.01" y2="6" />
+              <line x1="3" y1="12" x2="3.01" y2="12" />
+              <line x1="3" y1="18" x2="3.01" y2="18" />
+            </svg>
+          </button>
+          <button
+            className={`view-btn ${viewMode === 'grid' ? 'view-btn--active' : ''}`}
+            onClick={() => setViewMode('grid')}
+            aria-label="Card view"
+          >
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+              <rect x="3" y="3" width="7" height="7" />
+              <rect x="14" y="3" width="7" height="7" />
+              <rect x="14" y="14" width="7" height="7" />
+              <rect x="3" y="14" width="7" height="7" />
+            </svg>
+          </button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="contacts__error">
+          <p>Error: {error}</p>
+          <Button variant="secondary" onClick={reloadList}>Retry</Button>
+        </div>
+      )}
+
+      {/* Table View */}
+      {viewMode === 'table' && (
+        <div className="contacts__table-wrapper">
+          <table className="contacts__table">
+            <thead>
+              <tr>
+                <th onClick={() => handleSort('name')} className="sortable">
+                  Name
+                  {renderSortIcon('name')}
+                </th>
+                <th onClick={() => handleSort('company')} className="sortable">
+                  Company
+                  {renderSortIcon('company')}
+                </th>
+                <th onClick={() => handleSort('title')} className="sortable">
+                  Title
+                  {renderSortIcon('title')}
+                </th>
+                <th onClick={() => handleSort('department')} className="sortable">
+                  Department
+                  {renderSortIcon('department')}
+                </th>
+                <th>Phone</th>
+                <th onClick={() => handleSort('lastContact')} className="sortable">
+                  Last Contact
+                  {renderSortIcon('lastContact')}
+                </th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {contacts.map((contact, index) => (
+                <tr key={contact.id} style={{ animationDelay: `${index * 0.03}s` }}>
+                  <td>
+                    <div className="customer-cell">
+                      <div className="customer-cell__avatar customer-cell__avatar--round">
+                        <img src={getAvatarUrl(contact)} alt={getFullName(contact)} />
+                      </div>
+                      <div className="customer-cell__info">
+                        <div className="customer-cell__name">{getFullName(contact)}</div>
+                        <div className="customer-cell__email">{contact.email}</div>
+                      </div>
+                    </div>
+                  </td>
+                  <td>
+                    <Link to={`/customers/${contact.customerId}`} className="contacts__company-link">
+                      {customerNames[contact.customerId] || 'Unknown company'}
+                    </Link>
+                  </td>
+                  <td className="text-muted">{contact.title || '-'}</td>
+                  <td>
+                    {contact.department
+                      ? <span className="badge badge--neutral">{contact.department}</span>
+                      : '-'}
+                  </td>
+                  <td className="text-muted">{contact.phone || '-'}</td>
+                  <td className="text-muted">{formatDate(contact.lastContact)}</td>
+                  <td>
+                    <div className="table-actions">
+                      {contact.linkedin && (
+                        <a
+                          className="table-action"
+                          href={`https://${contact.linkedin.replace(/^https?:\/\//, '')}`}
+                          target="_blank"
+                          rel="noopener noreferrer"
+                          title="LinkedIn profile"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M16 8a6 6 0 0 1 6 6v7h-4v-7a2 2 0 0 0-2-2 2 2 0 0 0-2 2v7h-4v-7a6 6 0 0 1 6-6z" />
+                            <rect x="2" y="9" width="4" height="12" />
+                            <circle cx="4" cy="4" r="2" />
+                          </svg>
+                        </a>
+                      )}
+                      {canChangeContact('update', contact) && (
+                        <button
+                          className="table-action"
+                          onClick={() => handleEditContact(contact)}
+                          title="Edit"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                            <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
+                          </svg>
+                        </button>
+                      )}
+                      {canChangeContact('delete', contact) && (
+                        <button
+                          className="table-action table-action--danger"
+                          onClick={() => handleDeleteContact(contact.id)}
+                          title="Delete"
+                        >
+                          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                            <polyline points="3 6 5 6 21 6" />
+                            <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                          </svg>
+                        </button>
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {contacts.length === 0 && (
+            <div className="contacts__empty">
+              <div className="empty-icon">🔍</div>
+              <p>No contacts found matching your criteria</p>
+              {can('create', 'contacts') && (
+                <Button variant="primary" onClick={() => setShowModal(true)}>
+                  Add Contact
+                </Button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Card View */}
+      {viewMode === 'grid' && (
+        <div className="contacts__grid">
+          {contacts.map((contact, index) => (
+            <div
+              key={contact.id}
+              className="contact-card"
+              style={{ animationDelay: `${index * 0.05}s` }}
+            >
+              <div className="contact-card__avatar">
+                <img src={getAvatarUrl(contact)} alt={getFullName(contact)} />
+              </div>
+              <h3>{getFullName(contact)}</h3>
+              <p className="contact-card__title">{contact.title || 'No title'}</p>
+              <Link to={`/customers/${contact.customerId}`} className="contacts__company-link">
+                {customerNames[contact.customerId] || 'Unknown company'}
+              </Link>
+              <div className="contact-card__details">
+                <span>{contact.email}</span>
+                {contact.phone && <span>{contact.phone}</span>}
+              </div>
+              <div className="contact-card__footer">
+                {contact.department && (
+                  <span className="badge badge--neutral">{contact.department}</span>
+                )}
+                {canChangeContact('update', contact) && (
+                  <button
+                    className="contact-card__edit"
+                    onClick={() => handleEditContact(contact)}
+                  >
+                    Edit
+                  </button>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Pagination */}
+      <div className="contacts__pagination">
+        {result && (
+          <Pagination
+            page={result.page}
+            pageCount={result.pageCount}
+            pageSize={result.pageSize}
+            total={result.total}
+            itemLabel="contacts"
+            onPageChange={setPage}
+            onPageSizeChange={changeList(setPageSize)}
+          />
+        )}
+      </div>
+
+      {/* Modal */}
+      <Modal
+        isOpen={showModal}
+        onClose={handleCloseModal}
+        title={editingContact ? (canEditContact ? 'Edit Contact' : 'Contact Details') : 'Add New Contact'}
+        size="medium"
+      >
+        <ContactForm
+          contact={editingContact}
+          customers={customers}
+          readOnly={!canEditContact}
+          onSubmit={editingContact ? handleUpdateContact : handleCreateContact}
+          onCancel={handleCloseModal}
+        />
+        {editingContact && (
+          <div className="contacts__activity">
+            <ActivityLog entityType="contact" entityId={editingContact.id} title="Activity" />
+            <RecordHistory entityType="contact" entityId={editingContact.id} />
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default Contacts;
@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../../components/common/Button';
+import OwnerSelect from '../../components/forms/OwnerSelect';
+import './CustomerBulkActions.css';
+
+const TIERS = [
+  { value: 'enterprise', label: 'Enterprise' },
+  { value: 'growth', label: 'Growth' },
+  { value: 'startup', label: 'Startup' }
+];
+const STATUSES = [
+  { value: 'active', label: 'Active' },
+  { value: 'inactive', label: 'Inactive' }
+];
+// Option for removing the owner; the empty value is the placeholder, which never fires a change
+const UNASSIGNED = 'unassigned';
+
+/**
+ * Actions for the selected customers. Changes apply as soon as a value is picked, since each one can be undone.
+ */
+const CustomerBulkActions = ({
+  selectedCount,
+  matchingCount,
+  users,
+  teams,
+  canUpdate,
+  canAssign,
+  canDelete,
+  onSelectAllMatching,
+  onClear,
+  onUpdate,
+  onReassign,
+  onExport,
+  onDelete
+}) => {
+  const [tag, setTag] = useState('');
+
+  const handleAddTag = async (e) => {
+    e.preventDefault();
+    if (await onUpdate({ addTag: tag })) {
+      setTag('');
+    }
+  };
+
+  return (
+    <div className="bulk-actions" role="region" aria-label="Bulk actions">
+      <div className="bulk-actions__selection">
+        <span className="bulk-actions__count">{selectedCount} selected</span>
+        {onSelectAllMatching && selectedCount < matchingCount && (
+          <button className="bulk-actions__link" onClick={onSelectAllMatching}>
+            Select all {matchingCount} matching customers
+          </button>
+        )}
+        <button className="bulk-actions__link" onClick={onClear}>Clear selection</button>
+      </div>
+
+      <div className="bulk-actions__controls">
+        {canUpdate && (
+          <>
+            <select
+              className="bulk-actions__select"
+              value=""
+              aria-label="Change tier"
+              onChange={(e) => onUpdate({ tier: e.target.value })}
+            >
+              <option value="">Change tier…</option>
+              {TIERS.map(tier => <option key={tier.value} value={tier.value}>{tier.label}</option>)}
+            </select>
+            <select
+              className="bulk-actions__select"
+              value=""
+              aria-label="Change status"
+              onChange={(e) => onUpdate({ status: e.target.value })}
+            >
+              <option value="">Change status…</option>
+              {STATUSES.map(status => <option key={status.value} value={status.value}>{status.label}</option>)}
+            </select>
+          </>
+        )}
+        {canAssign && (
+          <OwnerSelect
+            users={users}
+            teams={teams}
+            value={null}
+            onChange={(ownerId) => onReassign(ownerId === UNASSIGNED ? null : ownerId)}
+            className="bulk-actions__select"
+            aria-label="Assign owner"
+          >
+            <option value="">Assign owner…</option>
+            <option value={UNASSIGNED}>Unassigned</option>
+          </OwnerSelect>
+        )}
+        {canUpdate && (
+          <form className="bulk-actions__tag" onSubmit={handleAddTag}>
+            <input
+              type="text"
+              className="bulk-actions__input"
+              aria-label="Tag"
+              placeholder="Tag, e.g. trade-show"
+              value={tag}
+              onChange={(e) => setTag(e.target.value)}
+            />
+            <Button type="submit" variant="secondary" size="small" disabled={!tag.trim()}>Add tag</Button>
+          </form>
+        )}
+        <Button variant="secondary" size="small" onClick={onExport}>Export selected</Button>
+        {canDelete && (
+          <Button variant="danger" size="small" onClick={onDelete}>Delete selected</Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+CustomerBulkActions.propTypes = {
+  selectedCount: PropTypes.number.isRequired,
+  // Customers matching the list's search and filters, across all pages
+  matchingCount: PropTypes.number.isRequired,
+  users: PropTypes.array.isRequired,
+  teams: PropTypes.array.isRequired,
+  canUpdate: PropTypes.bool,
+  canAssign: PropTypes.bool,
+  canDelete: PropTypes.bool,
+  // Offered once the whole page is selected
+  onSelectAllMatching: PropTypes.func,
+  onClear: PropTypes.func.isRequired,
+  // Called with the changes for crmService.updateCustomers; resolves to true once applied
+  onUpdate: PropTypes.func.isRequired,
+  // Called with the new owner id, or null to unassign
+  onReassign: PropTypes.func.isRequired,
+  onExport: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default CustomerBulkActions;
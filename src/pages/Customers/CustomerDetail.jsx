@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { crmService } from '../../services/crmService';
+import Button from '../../components/common/Button';
+import Modal from '../../components/common/Modal';
+import ActivityLog from '../../components/common/ActivityLog';
+import RecordHistory from '../../components/common/RecordHistory';
+import TaskPanel from '../../components/common/TaskPanel';
+import usePermissions from '../../hooks/usePermissions';
+import { findTeamForCustomer } from '../../services/territoryService';
+import CustomerForm from './CustomerForm';
+import HealthBreakdown from './HealthBreakdown';
+import './CustomerDetail.css';
+
+const CustomerDetail = () => {
+  const { can } = usePermissions();
+  const { id } = useParams();
+  const [customer, setCustomer] = useState(null);
+  const [contacts, setContacts] = useState([]);
+  const [deals, setDeals] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [healthHistory, setHealthHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [taskRevision, setTaskRevision] = useState(0);
+
+  const fetchCustomer = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [customerData, contactsData, dealsData, usersData, teamsData, historyData] = await Promise.all([
+        crmService.getCustomer(id),
+        crmService.getContacts(id),
+        crmService.getDeals(id),
+        crmService.getUsers(),
+        crmService.getTeams(),
+        crmService.getHealthHistory(id)
+      ]);
+
+      setCustomer(customerData || null);
+      setContacts(contactsData);
+      setDeals(dealsData);
+      setUsers(usersData);
+      setTeams(teamsData);
+      setHealthHistory(historyData);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchCustomer();
+  }, [fetchCustomer]);
+
+  const handleUpdateCustomer = async (customerData) => {
+    try {
+      const updatedCustomer = await crmService.updateCustomer(customer.id, customerData);
+      setCustomer(updatedCustomer);
+      setShowModal(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    if (!amount) return '-';
+    if (amount >= 1000000000) {
+      return `$${(amount / 1000000000).toFixed(1)}B`;
+    }
+    if (amount >= 1000000) {
+      return `$${(amount / 1000000).toFixed(1)}M`;
+    }
+    return `$${(amount / 1000).toFixed(0)}K`;
+  };
+
+  const formatDate = (date) => {
+    if (!date) return '-';
+    const parsed = date.length === 10 ? new Date(`${date}T00:00:00`) : new Date(date);
+    return parsed.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  };
+
+  const getTierBadge = (tier) => {
+    const classes = {
+      enterprise: 'badge badge--primary',
+      growth: 'badge badge--info',
+      startup: 'badge badge--neutral'
+    };
+    return classes[tier] || 'badge badge--neutral';
+  };
+
+  const getHealthColor = (score) => {
+    if (score >= 90) return 'health--excellent';
+    if (score >= 75) return 'health--good';
+    if (score >= 50) return 'health--warning';
+    return 'health--danger';
+  };
+
+  if (loading) {
+    return (
+      <div className="customer-detail">
+        <div className="skeleton" style={{ width: '320px', height: '56px', marginBottom: '24px' }} />
+        <div className="customer-detail__grid">
+          {[1, 2, 3, 4].map(i => (
+            <div key={i} className="skeleton" style={{ height: '200px' }} />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  if (!customer) {
+    return (
+      <div className="customer-detail customer-detail--missing">
+        <div className="empty-icon">🔍</div>
+        <h2>{error ? 'Unable to load customer' : 'Customer not found'}</h2>
+        <p>{error || 'This customer may have been deleted.'}</p>
+        <Link to="/customers" className="btn btn--outline">Back to Customers</Link>
+      </div>
+    );
+  }
+
+  const openDeals = deals.filter(deal => deal.status === 'active');
+  const wonDeals = deals.filter(deal => deal.status === 'won');
+  const { address = {} } = customer;
+  const owner = users.find(user => user.id === customer.ownerId);
+  const territory = findTeamForCustomer(customer, teams, users);
+
+  return (
+    <div className="customer-detail">
+      <Link to="/customers" className="customer-detail__back">← All customers</Link>
+
+      {/* Header */}
+      <div className="customer-detail__header">
+        <div className="customer-detail__identity">
+          <div className="customer-detail__avatar">
+            <img
+              src={customer.logo}
+              alt={customer.name}
+              onError={(e) => {
+                e.target.onerror = null;
+                e.target.src = `https://ui-avatars.com/api/?name=${encodeURIComponent(customer.name)}&background=6366f1&color=fff`;
+              }}
+            />
+          </div>
+          <div>
+            <h1>{customer.name}</h1>
+            <div className="customer-detail__meta">
+              <span>{customer.industry}</span>
+              <span className={getTierBadge(customer.tier)}>{customer.tier}</span>
+              <span className={`status-dot status-dot--${customer.status}`}>{customer.status}</span>
+            </div>
+          </div>
+        </div>
+        {can('update', 'customers', customer) && (
+          <Button variant="primary" onClick={() => setShowModal(true)}>Edit Customer</Button>
+        )}
+      </div>
+
+      {error && (
+        <div className="customers__error">
+          <p>Error: {error}</p>
+          <Button variant="secondary" onClick={fetchCustomer}>Retry</Button>
+        </div>
+      )}
+
+      <div className="customer-detail__grid">
+        {/* Overview */}
+        <section className="detail-card">
+          <h3>Overview</h3>
+          <dl className="detail-list">
+            <dt>Email</dt>
+            <dd><a href={`mailto:${customer.email}`}>{customer.email}</a></dd>
+            <dt>Phone</dt>
+            <dd>{customer.phone || '-'}</dd>
+            <dt>Website</dt>
+            <dd>
+              {customer.website
+                ? <a href={`https://${customer.website.replace(/^https?:\/\//, '')}`} target="_blank" rel="noopener noreferrer">{customer.website}</a>
+                : '-'}
+            </dd>
+            <dt>Address</dt>
+            <dd>
+              {address.street && <div>{address.street}</div>}
+              <div>{[address.city, address.state, address.zipCode].filter(Boolean).join(', ') || '-'}</div>
+              {address.country && <div>{address.country}</div>}
+            </dd>
+            <dt>Revenue</dt>
+            <dd>{formatCurrency(customer.revenue)}</dd>
+            <dt>Employees</dt>
+            <dd>{customer.employees ? customer.employees.toLocaleString('en-US') : '-'}</dd>
+            <dt>Owner</dt>
+            <dd>{owner ? owner.name : 'Unassigned'}</dd>
+            <dt>Territory</dt>
+            <dd>{territory ? territory.name : '-'}</dd>
+            <dt>Customer since</dt>
+            <dd>{formatDate(customer.createdAt)}</dd>
+            <dt>Last contact</dt>
+            <dd>{formatDate(customer.lastContact)}</dd>
+          </dl>
+        </section>
+
+        {/* Health */}
+        <section className="detail-card">
+          <h3>Account Health</h3>
+          <div className={`customer-detail__health ${getHealthColor(customer.healthScore)}`}>
+            <span className="customer-detail__health-value">{customer.healthScore ?? '-'}%</span>
+            <div className="health-score__bar customer-detail__health-bar">
+              <div className="health-score__fill" style={{ width: `${customer.healthScore || 0}%` }} />
+            </div>
+          </div>
+          <HealthBreakdown factors={customer.healthFactors} history={healthHistory} />
+          <div className="customer-detail__kpis">
+            <div>
+              <span className="label">Tier</span>
+              <span className={getTierBadge(customer.tier)}>{customer.tier}</span>
+            </div>
+            <div>
+              <span className="label">Open pipeline</span>
+              <span className="value">{formatCurrency(openDeals.reduce((sum, d) => sum + d.value, 0))}</span>
+            </div>
+            <div>
+              <span className="label">Won revenue</span>
+              <span className="value">{formatCurrency(wonDeals.reduce((sum, d) => sum + d.value, 0))}</span>
+            </div>
+            <div>
+              <span className="label">Contacts</span>
+              <span className="value">{contacts.length}</span>
+            </div>
+          </div>
+        </section>
+
+        {/* Deals */}
+        <section className="detail-card">
+          <div className="detail-card__header">
+            <h3>Deals</h3>
+            <Link to="/deals" className="card__link">Pipeline →</Link>
+          </div>
+          <h4 className="detail-card__subheading">Open ({openDeals.length})</h4>
+          {openDeals.length === 0 && <p className="detail-card__empty">No open deals</p>}
+          <ul className="detail-deals">
+            {openDeals.map(deal => (
+              <li key={deal.id} className="detail-deal">
+                <div>
+                  <div className="detail-deal__title">{deal.title}</div>
+                  <div className="detail-deal__meta">{deal.stage} · {deal.probability}% · closes {formatDate(deal.expectedCloseDate)}</div>
+                </div>
+                <span className="detail-deal__value">{formatCurrency(deal.value)}</span>
+              </li>
+            ))}
+          </ul>
+          <h4 className="detail-card__subheading">Won ({wonDeals.length})</h4>
+          {wonDeals.length === 0 && <p className="detail-card__empty">No won deals yet</p>}
+          <ul className="detail-deals">
+            {wonDeals.map(deal => (
+              <li key={deal.id} className="detail-deal detail-deal--won">
+                <div>
+                  <div className="detail-deal__title">{deal.title}</div>
+                  <div className="detail-deal__meta">closed {formatDate(deal.actualCloseDate)}</div>
+                </div>
+                <span className="detail-deal__value">{formatCurrency(deal.value)}</span>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        {/* Contacts */}
+        <section className="detail-card">
+          <div className="detail-card__header">
+            <h3>Contacts</h3>
+            <Link to="/contacts" className="card__link">Directory →</Link>
+          </div>
+          {contacts.length === 0 && <p className="detail-card__empty">No contacts yet</p>}
+          <ul className="detail-contacts">
+            {contacts.map(contact => (
+              <li key={contact.id} className="detail-contact">
+                <img
+                  src={contact.avatar || `https://ui-avatars.com/api/?name=${encodeURIComponent(`${contact.firstName} ${contact.lastName}`)}&background=6366f1&color=fff`}
+                  alt={`${contact.firstName} ${contact.lastName}`}
+                />
+                <div>
+                  <div className="detail-contact__name">{contact.firstName} {contact.lastName}</div>
+                  <div className="detail-contact__title">{contact.title}{contact.department ? ` · ${contact.department}` : ''}</div>
+                </div>
+                <a href={`mailto:${contact.email}`} className="detail-contact__email">{contact.email}</a>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        {/* Tasks */}
+        <section className="detail-card detail-card--wide">
+          <TaskPanel entityType="customer" entityId={customer.id} onChange={() => setTaskRevision(prev => prev + 1)} />
+        </section>
+
+        {/* Timeline */}
+        <section className="detail-card detail-card--wide">
+          <ActivityLog entityType="customer" entityId={customer.id} showFilters refreshKey={taskRevision} />
+        </section>
+
+        {/* History */}
+        <section className="detail-card detail-card--wide">
+          <RecordHistory entityType="customer" entityId={customer.id} refreshKey={customer} />
+        </section>
+      </div>
+
+      <Modal
+        isOpen={showModal}
+        onClose={() => setShowModal(false)}
+        title="Edit Customer"
+        size="medium"
+      >
+        <CustomerForm
+          customer={customer}
+          users={can('assign', 'customers') ? users : []}
+          teams={teams}
+          onSubmit={handleUpdateCustomer}
+          onCancel={() => setShowModal(false)}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default CustomerDetail;
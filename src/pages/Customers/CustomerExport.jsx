@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../../components/common/Button';
+import { EXPORT_FORMATS, exportRecords } from '../../utils/export';
+import './CustomerExport.css';
+
+// Exportable customer fields; nested address fields are flattened into their own columns
+export const CUSTOMER_EXPORT_COLUMNS = [
+  { key: 'name', label: 'Company', defaultSelected: true },
+  { key: 'email', label: 'Email', defaultSelected: true },
+  { key: 'phone', label: 'Phone', defaultSelected: true },
+  { key: 'website', label: 'Website', defaultSelected: true },
+  { key: 'industry', label: 'Industry', defaultSelected: true },
+  { key: 'tier', label: 'Tier', defaultSelected: true },
+  { key: 'status', label: 'Status', defaultSelected: true },
+  { key: 'tags', label: 'Tags', defaultSelected: false },
+  { key: 'revenue', label: 'Revenue', defaultSelected: true },
+  { key: 'employees', label: 'Employees', defaultSelected: false },
+  { key: 'healthScore', label: 'Health Score', defaultSelected: true },
+  { key: 'lastContact', label: 'Last Contact', defaultSelected: false },
+  { key: 'address.street', label: 'Street', defaultSelected: false },
+  { key: 'address.city', label: 'City', defaultSelected: true },
+  { key: 'address.state', label: 'State', defaultSelected: true },
+  { key: 'address.zipCode', label: 'Zip Code', defaultSelected: false },
+  { key: 'address.country', label: 'Country', defaultSelected: true },
+  { key: 'createdAt', label: 'Created', defaultSelected: false },
+  { key: 'updatedAt', label: 'Updated', defaultSelected: false },
+  { key: 'id', label: 'ID', defaultSelected: false }
+];
+
+const defaultColumns = () =>
+  CUSTOMER_EXPORT_COLUMNS.filter(column => column.defaultSelected).map(column => column.key);
+
+const CustomerExport = ({ customers, totalCount, onComplete, onCancel }) => {
+  const [format, setFormat] = useState('csv');
+  const [selectedColumns, setSelectedColumns] = useState(defaultColumns);
+  const [error, setError] = useState(null);
+
+  const toggleColumn = (key) => {
+    setSelectedColumns(prev =>
+      prev.includes(key) ? prev.filter(item => item !== key) : [...prev, key]
+    );
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const columns = CUSTOMER_EXPORT_COLUMNS.filter(column => selectedColumns.includes(column.key));
+    try {
+      const filename = exportRecords({
+        records: customers,
+        columns,
+        format,
+        filename: `customers-${new Date().toISOString().split('T')[0]}`
+      });
+      onComplete(filename);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const isFiltered = customers.length !== totalCount;
+
+  return (
+    <form className="customer-export" onSubmit={handleSubmit}>
+      <p className="customer-export__summary">
+        {isFiltered
+          ? `Exporting ${customers.length} of ${totalCount} customers matching the current search and filters, in the current sort order.`
+          : `Exporting all ${customers.length} customers in the current sort order.`}
+      </p>
+
+      <div className="customer-export__section">
+        <h3>Format</h3>
+        <div className="customer-export__formats" role="radiogroup" aria-label="Export format">
+          {EXPORT_FORMATS.map(item => (
+            <label
+              key={item.id}
+              className={`customer-export__format ${format === item.id ? 'customer-export__format--active' : ''}`}
+            >
+              <input
+                type="radio"
+                name="export-format"
+                value={item.id}
+                checked={format === item.id}
+                onChange={() => setFormat(item.id)}
+              />
+              {item.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="customer-export__section">
+        <div className="customer-export__section-header">
+          <h3>Columns</h3>
+          <div className="customer-export__bulk">
+            <button type="button" onClick={() => setSelectedColumns(CUSTOMER_EXPORT_COLUMNS.map(column => column.key))}>
+              Select all
+            </button>
+            <button type="button" onClick={() => setSelectedColumns([])}>
+              Clear
+            </button>
+          </div>
+        </div>
+        <div className="customer-export__columns">
+          {CUSTOMER_EXPORT_COLUMNS.map(column => (
+            <label key={column.key} className="customer-export__column">
+              <input
+                type="checkbox"
+                checked={selectedColumns.includes(column.key)}
+                onChange={() => toggleColumn(column.key)}
+              />
+              {column.label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="customer-export__error">{error}</p>}
+
+      <div className="customer-export__actions">
+        <Button type="button" variant="secondary" onClick={onCancel}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" disabled={selectedColumns.length === 0 || customers.length === 0}>
+          Export {customers.length} {customers.length === 1 ? 'customer' : 'customers'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+CustomerExport.propTypes = {
+  customers: PropTypes.arrayOf(PropTypes.object).isRequired,
+  totalCount: PropTypes.number.isRequired,
+  onComplete: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default CustomerExport;
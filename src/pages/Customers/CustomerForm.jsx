@@ -2,9 +2,47 @@ import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import Button from '../../components/common/Button';
 import Input from '../../components/forms/Input';
+import OwnerSelect from '../../components/forms/OwnerSelect';
 import './CustomerForm.css';
 
-const CustomerForm = ({ customer, onSubmit, onCancel }) => {
+/**
+ * Validate customer form data; also used to check rows in the CSV import
+ * @param {Object} data - Customer fields with a nested address
+ * @returns {Object} - Error messages keyed by field, empty when valid
+ */
+export const validateCustomer = (data) => {
+  const newErrors = {};
+
+  if (!data.name.trim()) {
+    newErrors.name = 'Company name is required';
+  }
+
+  if (!data.email.trim()) {
+    newErrors.email = 'Email is required';
+  } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) {
+    newErrors.email = 'Please enter a valid email address';
+  }
+
+  if (!data.phone.trim()) {
+    newErrors.phone = 'Phone number is required';
+  }
+
+  if (!data.industry.trim()) {
+    newErrors.industry = 'Industry is required';
+  }
+
+  if (!data.address.city.trim()) {
+    newErrors.city = 'City is required';
+  }
+
+  if (!data.address.state.trim()) {
+    newErrors.state = 'State is required';
+  }
+
+  return newErrors;
+};
+
+const CustomerForm = ({ customer, users = [], teams = [], readOnly = false, onSubmit, onCancel }) => {
   const [formData, setFormData] = useState({
     name: '',
     email: '',
@@ -18,11 +56,13 @@ const CustomerForm = ({ customer, onSubmit, onCancel }) => {
       country: 'USA'
     }
   });
+  const [ownerId, setOwnerId] = useState(null);
   const [errors, setErrors] = useState({});
   const [loading, setLoading] = useState(false);
 
   useEffect(() => {
     if (customer) {
+      setOwnerId(customer.ownerId || null);
       setFormData({
         name: customer.name || '',
         email: customer.email || '',
@@ -40,34 +80,7 @@ const CustomerForm = ({ customer, onSubmit, onCancel }) => {
   }, [customer]);
 
   const validateForm = () => {
-    const newErrors = {};
-
-    if (!formData.name.trim()) {
-      newErrors.name = 'Company name is required';
-    }
-
-    if (!formData.email.trim()) {
-      newErrors.email = 'Email is required';
-    } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(formData.email)) {
-      newErrors.email = 'Please enter a valid email address';
-    }
-
-    if (!formData.phone.trim()) {
-      newErrors.phone = 'Phone number is required';
-    }
-
-    if (!formData.industry.trim()) {
-      newErrors.industry = 'Industry is required';
-    }
-
-    if (!formData.address.city.trim()) {
-      newErrors.city = 'City is required';
-    }
-
-    if (!formData.address.state.trim()) {
-      newErrors.state = 'State is required';
-    }
-
+    const newErrors = validateCustomer(formData);
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -100,14 +113,15 @@ const CustomerForm = ({ customer, onSubmit, onCancel }) => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
-    
-    if (!validateForm()) {
+
+    if (readOnly || !validateForm()) {
       return;
     }
 
     setLoading(true);
     try {
-      await onSubmit(formData);
+      // The owner can only be picked by users who may assign records
+      await onSubmit(users.length > 0 ? { ...formData, ownerId } : formData);
     } catch (error) {
       console.error('Error submitting form:', error);
     } finally {
@@ -117,111 +131,134 @@ const CustomerForm = ({ customer, onSubmit, onCancel }) => {
 
   return (
     <form onSubmit={handleSubmit} className="customer-form">
-      <div className="customer-form__section">
-        <h3>Company Information</h3>
+      <fieldset className="customer-form__fields" disabled={readOnly}>
+        <div className="customer-form__section">
+          <h3>Company Information</h3>
         
-        <Input
-          label="Company Name"
-          value={formData.name}
-          onChange={(e) => handleInputChange('name', e.target.value)}
-          error={errors.name}
-          required
-          placeholder="Enter company name"
-        />
-
-        <Input
-          label="Email"
-          type="email"
-          value={formData.email}
-          onChange={(e) => handleInputChange('email', e.target.value)}
-          error={errors.email}
-          required
-          placeholder="Enter email address"
-        />
-
-        <Input
-          label="Phone"
-          type="tel"
-          value={formData.phone}
-          onChange={(e) => handleInputChange('phone', e.target.value)}
-          error={errors.phone}
-          required
-          placeholder="Enter phone number"
-        />
-
-        <Input
-          label="Industry"
-          value={formData.industry}
-          onChange={(e) => handleInputChange('industry', e.target.value)}
-          error={errors.industry}
-          required
-          placeholder="Enter industry"
-        />
-      </div>
+          <Input
+            label="Company Name"
+            value={formData.name}
+            onChange={(e) => handleInputChange('name', e.target.value)}
+            error={errors.name}
+            required
+            placeholder="Enter company name"
+          />
 
-      <div className="customer-form__section">
-        <h3>Address Information</h3>
-        
-        <Input
-          label="Street Address"
-          value={formData.address.street}
-          onChange={(e) => handleInputChange('address.street', e.target.value)}
-          placeholder="Enter street address"
-        />
-
-        <div className="customer-form__row">
           <Input
-            label="City"
-            value={formData.address.city}
-            onChange={(e) => handleInputChange('address.city', e.target.value)}
-            error={errors.city}
+            label="Email"
+            type="email"
+            value={formData.email}
+            onChange={(e) => handleInputChange('email', e.target.value)}
+            error={errors.email}
             required
-            placeholder="Enter city"
+            placeholder="Enter email address"
           />
 
           <Input
-            label="State"
-            value={formData.address.state}
-            onChange={(e) => handleInputChange('address.state', e.target.value)}
-            error={errors.state}
+            label="Phone"
+            type="tel"
+            value={formData.phone}
+            onChange={(e) => handleInputChange('phone', e.target.value)}
+            error={errors.phone}
             required
-            placeholder="Enter state"
+            placeholder="Enter phone number"
           />
-        </div>
 
-        <div className="customer-form__row">
           <Input
-            label="ZIP Code"
-            value={formData.address.zipCode}
-            onChange={(e) => handleInputChange('address.zipCode', e.target.value)}
-            placeholder="Enter ZIP code"
+            label="Industry"
+            value={formData.industry}
+            onChange={(e) => handleInputChange('industry', e.target.value)}
+            error={errors.industry}
+            required
+            placeholder="Enter industry"
           />
 
+          {users.length > 0 && (
+            <div className="input-group">
+              <label htmlFor="customer-owner" className="input-label">Owner</label>
+              <OwnerSelect
+                id="customer-owner"
+                users={users}
+                teams={teams}
+                value={ownerId}
+                onChange={setOwnerId}
+                className="input customer-form__select"
+              >
+                <option value="">{customer ? 'Unassigned' : 'Me'}</option>
+              </OwnerSelect>
+            </div>
+          )}
+        </div>
+
+        <div className="customer-form__section">
+          <h3>Address Information</h3>
+        
           <Input
-            label="Country"
-            value={formData.address.country}
-            onChange={(e) => handleInputChange('address.country', e.target.value)}
-            placeholder="Enter country"
+            label="Street Address"
+            value={formData.address.street}
+            onChange={(e) => handleInputChange('address.street', e.target.value)}
+            placeholder="Enter street address"
           />
+
+          <div className="customer-form__row">
+            <Input
+              label="City"
+              value={formData.address.city}
+              onChange={(e) => handleInputChange('address.city', e.target.value)}
+              error={errors.city}
+              required
+              placeholder="Enter city"
+            />
+
+            <Input
+              label="State"
+              value={formData.address.state}
+              onChange={(e) => handleInputChange('address.state', e.target.value)}
+              error={errors.state}
+              required
+              placeholder="Enter state"
+            />
+          </div>
+
+          <div className="customer-form__row">
+            <Input
+              label="ZIP Code"
+              value={formData.address.zipCode}
+              onChange={(e) => handleInputChange('address.zipCode', e.target.value)}
+              placeholder="Enter ZIP code"
+            />
+
+            <Input
+              label="Country"
+              value={formData.address.country}
+              onChange={(e) => handleInputChange('address.country', e.target.value)}
+              placeholder="Enter country"
+            />
+          </div>
         </div>
-      </div>
+      </fieldset>
 
       <div className="customer-form__actions">
+        {readOnly && (
+          <span className="customer-form__read-only">You don’t have permission to {customer ? 'edit this customer' : 'add customers'}</span>
+        )}
         <Button
           type="button"
           variant="secondary"
           onClick={onCancel}
           disabled={loading}
         >
-          Cancel
-        </Button>
-        <Button
-          type="submit"
-          variant="primary"
-          loading={loading}
-        >
-          {customer ? 'Update Customer' : 'Create Customer'}
+          {readOnly ? 'Close' : 'Cancel'}
         </Button>
+        {!readOnly && (
+          <Button
+            type="submit"
+            variant="primary"
+            loading={loading}
+          >
+            {customer ? 'Update Customer' : 'Create Customer'}
+          </Button>
+        )}
       </div>
     </form>
   );
@@ -229,6 +266,9 @@ const CustomerForm = ({ customer, onSubmit, onCancel }) => {
 
 CustomerForm.propTypes = {
   customer: PropTypes.object,
+  users: PropTypes.arrayOf(PropTypes.object),
+  teams: PropTypes.arrayOf(PropTypes.object),
+  readOnly: PropTypes.bool,
   onSubmit: PropTypes.func.isRequired,
   onCancel: PropTypes.func.isRequired,
 };
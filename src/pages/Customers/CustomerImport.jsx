@@ -0,0 +1,312 @@
+import React, { useState, useMemo } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../../components/common/Button';
+import { parseCsvWithHeaders } from '../../utils/csv';
+import {
+  CUSTOMER_IMPORT_FIELDS,
+  DUPLICATE_STRATEGIES,
+  guessMapping,
+  getUnmappedRequiredFields,
+  prepareImport,
+  commitImport
+} from './customerImport';
+import './CustomerImport.css';
+
+const STEPS = ['Upload', 'Map Columns', 'Review', 'Import'];
+
+const CustomerImport = ({ existingCustomers, onComplete, onCancel }) => {
+  const [step, setStep] = useState(0);
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState([]);
+  const [strategy, setStrategy] = useState('skip');
+  const [progress, setProgress] = useState(0);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState(null);
+
+  const entries = useMemo(
+    () => (step >= 2 ? prepareImport(csv.rows, mapping, existingCustomers) : []),
+    [step, csv.rows, mapping, existingCustomers]
+  );
+
+  const invalidEntries = entries.filter(entry => entry.errors.length > 0);
+  const duplicateEntries = entries.filter(entry => entry.duplicate);
+  const newEntries = entries.filter(entry => entry.errors.length === 0 && !entry.duplicate);
+  const validCount = entries.length - invalidEntries.length;
+  const unmappedRequired = getUnmappedRequiredFields(mapping);
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    setError(null);
+    try {
+      const parsed = parseCsvWithHeaders(await file.text());
+      if (parsed.headers.length === 0 || parsed.rows.length === 0) {
+        setError('The file has no data rows. The first row must contain column names.');
+        return;
+      }
+      setFileName(file.name);
+      setCsv(parsed);
+      setMapping(guessMapping(parsed.headers));
+    } catch (err) {
+      setError(`Unable to read ${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleMappingChange = (columnIndex, fieldKey) => {
+    setMapping(prev => prev.map((key, index) => {
+      if (index === columnIndex) return fieldKey;
+      // A field can only come from one column
+      return fieldKey && key === fieldKey ? '' : key;
+    }));
+  };
+
+  const handleImport = async () => {
+    setStep(3);
+    const importResult = await commitImport(entries, strategy, setProgress);
+    setResult(importResult);
+  };
+
+  const renderUpload = () => (
+    <div className="customer-import__section">
+      <label className="customer-import__dropzone">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="32" height="32">
+          <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+          <polyline points="17 8 12 3 7 8" />
+          <line x1="12" y1="3" x2="12" y2="15" />
+        </svg>
+        <span className="customer-import__dropzone-title">
+          {fileName || 'Choose a CSV file'}
+        </span>
+        <span className="customer-import__hint">
+          {fileName
+            ? `${csv.rows.length} rows, ${csv.headers.length} columns`
+            : 'The first row must contain column names'}
+        </span>
+        <input type="file" accept=".csv,text/csv" onChange={handleFileChange} aria-label="CSV file" />
+      </label>
+    </div>
+  );
+
+  const renderMapping = () => (
+    <div className="customer-import__section">
+      <p className="customer-import__hint">
+        Choose the customer field each column should be imported into. Columns set to “Don’t import” are ignored.
+      </p>
+      <table className="customer-import__table">
+        <thead>
+          <tr>
+            <th>CSV Column</th>
+            <th>Sample</th>
+            <th>Customer Field</th>
+          </tr>
+        </thead>
+        <tbody>
+          {csv.headers.map((header, index) => (
+            <tr key={`${header}-${index}`}>
+              <td className="text-semibold">{header || `Column ${index + 1}`}</td>
+              <td className="text-muted">{csv.rows[0]?.[index] || '-'}</td>
+              <td>
+                <select
+                  className="input customer-import__select"
+                  value={mapping[index]}
+                  onChange={(e) => handleMappingChange(index, e.target.value)}
+                  aria-label={`Field for ${header || `column ${index + 1}`}`}
+                >
+                  <option value="">Don’t import</option>
+                  {CUSTOMER_IMPORT_FIELDS.map(field => (
+                    <option key={field.key} value={field.key}>
+                      {field.label}{field.required ? ' *' : ''}
+                    </option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {unmappedRequired.length > 0 && (
+        <p className="customer-import__error">
+          Map the required fields: {unmappedRequired.map(field => field.label).join(', ')}
+        </p>
+      )}
+    </div>
+  );
+
+  const renderReview = () => (
+    <div className="customer-import__section">
+      <div className="customer-import__stats">
+        <div className="stat-mini">
+          <div className="stat-mini__value">{newEntries.length}</div>
+          <div className="stat-mini__label">New customers</div>
+        </div>
+        <div className="stat-mini">
+          <div className="stat-mini__value">{duplicateEntries.length}</div>
+          <div className="stat-mini__label">Duplicates</div>
+        </div>
+        <div className="stat-mini">
+          <div className="stat-mini__value">{invalidEntries.length}</div>
+          <div className="stat-mini__label">Rows with errors</div>
+        </div>
+      </div>
+
+      {duplicateEntries.length > 0 && (
+        <div className="customer-import__group">
+          <h3>Duplicates</h3>
+          <p className="customer-import__hint">
+            These rows match an existing customer by email or website.
+          </p>
+          <div className="customer-import__strategies" role="radiogroup" aria-label="Duplicate handling">
+            {DUPLICATE_STRATEGIES.map(item => (
+              <label
+                key={item.id}
+                className={`customer-import__strategy ${strategy === item.id ? 'customer-import__strategy--active' : ''}`}
+              >
+                <input
+                  type="radio"
+                  name="duplicate-strategy"
+                  value={item.id}
+                  checked={strategy === item.id}
+                  onChange={() => setStrategy(item.id)}
+                />
+                <span>
+                  <strong>{item.label}</strong>
+                  <span className="customer-import__hint">{item.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+          <ul className="customer-import__list">
+            {duplicateEntries.map(entry => (
+              <li key={entry.rowNumber}>
+                <span className="customer-import__row">Row {entry.rowNumber}</span>
+                {entry.customer.name} matches <strong>{entry.duplicate.customer.name}</strong> by {entry.duplicate.matchedOn}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {invalidEntries.length > 0 && (
+        <div className="customer-import__group">
+          <h3>Errors</h3>
+          <p className="customer-import__hint">
+            These rows will not be imported. Fix them in the file and import it again.
+          </p>
+          <ul className="customer-import__list customer-import__list--errors">
+            {invalidEntries.map(entry => (
+              <li key={entry.rowNumber}>
+                <span className="customer-import__row">Row {entry.rowNumber}</span>
+                {entry.customer.name && <strong>{entry.customer.name}: </strong>}
+                {entry.errors.join('; ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+
+  const renderResult = () => (
+    <div className="customer-import__section">
+      {!result ? (
+        <div className="customer-import__progress">
+          <p>Importing {progress} of {validCount} rows…</p>
+          <div className="customer-import__progress-bar">
+            <div
+              className="customer-import__progress-fill"
+              style={{ width: `${validCount ? (progress / validCount) * 100 : 100}%` }}
+            />
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="customer-import__stats">
+            <div className="stat-mini">
+              <div className="stat-mini__value">{result.created}</div>
+              <div className="stat-mini__label">Created</div>
+            </div>
+            <div className="stat-mini">
+              <div className="stat-mini__value">{result.updated}</div>
+              <div className="stat-mini__label">Updated</div>
+            </div>
+            <div className="stat-mini">
+              <div className="stat-mini__value">{result.skipped + invalidEntries.length}</div>
+              <div className="stat-mini__label">Skipped</div>
+            </div>
+          </div>
+          {result.failed.length > 0 && (
+            <ul className="customer-import__list customer-import__list--errors">
+              {result.failed.map(failure => (
+                <li key={failure.rowNumber}>
+                  <span className="customer-import__row">Row {failure.rowNumber}</span>
+                  {failure.message}
+                </li>
+              ))}
+            </ul>
+          )}
+        </>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="customer-import">
+      <ol className="customer-import__steps">
+        {STEPS.map((label, index) => (
+          <li
+            key={label}
+            className={`customer-import__step ${index === step ? 'customer-import__step--active' : ''} ${index < step ? 'customer-import__step--done' : ''}`}
+          >
+            <span className="customer-import__step-number">{index + 1}</span>
+            {label}
+          </li>
+        ))}
+      </ol>
+
+      {error && <p className="customer-import__error">{error}</p>}
+
+      {step === 0 && renderUpload()}
+      {step === 1 && renderMapping()}
+      {step === 2 && renderReview()}
+      {step === 3 && renderResult()}
+
+      <div className="customer-import__actions">
+        {step < 3 && (
+          <Button type="button" variant="secondary" onClick={step === 0 ? onCancel : () => setStep(step - 1)}>
+            {step === 0 ? 'Cancel' : 'Back'}
+          </Button>
+        )}
+        {step === 0 && (
+          <Button type="button" variant="primary" disabled={!fileName} onClick={() => setStep(1)}>
+            Next
+          </Button>
+        )}
+        {step === 1 && (
+          <Button type="button" variant="primary" disabled={unmappedRequired.length > 0} onClick={() => setStep(2)}>
+            Review
+          </Button>
+        )}
+        {step === 2 && (
+          <Button type="button" variant="primary" disabled={validCount === 0} onClick={handleImport}>
+            Import {validCount} {validCount === 1 ? 'row' : 'rows'}
+          </Button>
+        )}
+        {step === 3 && (
+          <Button type="button" variant="primary" disabled={!result} onClick={() => onComplete(result)}>
+            Done
+          </Button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+CustomerImport.propTypes = {
+  existingCustomers: PropTypes.arrayOf(PropTypes.object).isRequired,
+  onComplete: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default CustomerImport;
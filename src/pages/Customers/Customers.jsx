@@ -1,44 +1,195 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { crmService } from '../../services/crmService';
 import Button from '../../components/common/Button';
 import Modal from '../../components/common/Modal';
+import Pagination from '../../components/common/Pagination';
+import OwnerSelect from '../../components/forms/OwnerSelect';
+import useAuth from '../../hooks/useAuth';
+import useLocationIntent from '../../hooks/useLocationIntent';
+import usePermissions from '../../hooks/usePermissions';
+import useVirtualList from '../../hooks/useVirtualList';
 import CustomerForm from './CustomerForm';
+import CustomerBulkActions from './CustomerBulkActions';
+import CustomerExport from './CustomerExport';
+import HealthSettings from './HealthSettings';
+import CustomerImport from './CustomerImport';
+import SavedViews from './SavedViews';
+import FilterBuilder from './FilterBuilder';
+import { countActiveRules } from '../../services/customerFilters';
+import {
+  buildCustomerQuery,
+  isSameCustomerQuery,
+  parseCustomerQuery,
+  toCustomerListQuery,
+  toViewQuery
+} from './customerQuery';
 import './Customers.css';
 
+// Expected sizes for windowed rendering; the first rendered row or card is measured
+const TABLE_ROW_HEIGHT = 73;
+const CARD_HEIGHT = 232;
+const CARD_MIN_WIDTH = 300;
+const CARD_GAP = 20;
+const TABLE_COLUMN_COUNT = 9;
+
+const getAvatarUrl = (customer) => customer.logo ||
+  `https://ui-avatars.com/api/?name=${encodeURIComponent(customer.name)}&background=6366f1&color=fff`;
+
 const Customers = () => {
-  const [customers, setCustomers] = useState([]);
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { can } = usePermissions();
+  // One page of the list, as returned by crmService.queryCustomers
+  const [result, setResult] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [listVersion, setListVersion] = useState(0);
+  const [users, setUsers] = useState([]);
+  const [teams, setTeams] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showModal, setShowModal] = useState(false);
   const [editingCustomer, setEditingCustomer] = useState(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [filterTier, setFilterTier] = useState('all');
-  const [filterStatus, setFilterStatus] = useState('all');
-  const [sortBy, setSortBy] = useState('name');
-  const [sortOrder, setSortOrder] = useState('asc');
-  const [viewMode, setViewMode] = useState('table');
+  const [selectedIds, setSelectedIds] = useState([]);
+  // The last bulk change, with what it takes to undo it
+  const [lastChange, setLastChange] = useState(null);
+  // Export and import work on all customers rather than the page on screen, loaded when they open
+  const [exportCustomers, setExportCustomers] = useState(null);
+  const [importCustomers, setImportCustomers] = useState(null);
+  const [showHealthSettings, setShowHealthSettings] = useState(false);
+  const [savedViews, setSavedViews] = useState([]);
+  const [viewsLoaded, setViewsLoaded] = useState(false);
+  const [viewError, setViewError] = useState(null);
+
+  // Search, filters, sorting and view mode live in the URL so the list can be bookmarked and shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const listState = parseCustomerQuery(searchParams);
+  const {
+    search: searchTerm,
+    tier: filterTier,
+    status: filterStatus,
+    owner: filterOwner,
+    sortBy,
+    sortOrder,
+    viewMode,
+    filter
+  } = listState;
+  const listQuery = buildCustomerQuery(listState);
+  const currentQuery = toViewQuery(listQuery);
+  const userId = user?.id;
+  const customers = result?.items || [];
+  const activeView = savedViews.find(view => isSameCustomerQuery(view.query, currentQuery));
+  // The default view applies once, when the list is opened without a query of its own
+  const applyDefaultView = useRef(searchParams.toString() === '');
+  const [showFilterBuilder, setShowFilterBuilder] = useState(listState.filter !== null);
+
+  // Any change other than the page itself starts over on the first page
+  const updateList = (changes) => {
+    setSearchParams(buildCustomerQuery({ ...listState, page: 1, ...changes }), { replace: true });
+  };
+
+  const reloadList = () => setListVersion(version => version + 1);
+
+  // Only the rows and cards in view are rendered, so pages of thousands of customers stay responsive
+  const openCustomer = (index) => navigate(`/customers/${customers[index].id}`);
+  const tableList = useVirtualList({
+    count: viewMode === 'table' ? customers.length : 0,
+    itemHeight: TABLE_ROW_HEIGHT,
+    restoreKey: `customers-table?${listQuery}`,
+    onActivate: openCustomer
+  });
+  const gridList = useVirtualList({
+    count: viewMode === 'grid' ? customers.length : 0,
+    itemHeight: CARD_HEIGHT,
+    minItemWidth: CARD_MIN_WIDTH,
+    gap: CARD_GAP,
+    restoreKey: `customers-grid?${listQuery}`,
+    onActivate: openCustomer
+  });
 
   useEffect(() => {
-    fetchCustomers();
+    fetchOwners();
+    fetchSavedViews();
   }, []);
 
-  const fetchCustomers = async () => {
+  useEffect(() => {
+    let cancelled = false;
+    const fetchPage = async () => {
+      try {
+        const page = await crmService.queryCustomers(toCustomerListQuery(parseCustomerQuery(listQuery), userId));
+        if (!cancelled) {
+          setResult(page);
+          setError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchPage();
+    // A newer query replaces this one, so a slow answer never overwrites a later page
+    return () => {
+      cancelled = true;
+    };
+  }, [listQuery, userId, listVersion]);
+
+  // A selection belongs to the list it was made on, so it starts over when the search, filters, sort or page change
+  useEffect(() => {
+    setSelectedIds([]);
+  }, [listQuery]);
+
+  useEffect(() => {
+    crmService.getCustomerSummary()
+      .then(setSummary)
+      .catch(err => setError(err.message));
+  }, [listVersion]);
+
+  useEffect(() => {
+    if (!viewsLoaded || !applyDefaultView.current) return;
+    applyDefaultView.current = false;
+    const defaultView = savedViews.find(view => view.isDefault);
+    if (defaultView) {
+      setSearchParams(defaultView.query, { replace: true });
+    }
+  }, [viewsLoaded, savedViews, setSearchParams]);
+
+  // Opened from the command palette
+  useLocationIntent(({ intent }) => {
+    if (intent === 'create' && can('create', 'customers')) {
+      setEditingCustomer(null);
+      setShowModal(true);
+    }
+  });
+
+  const fetchOwners = async () => {
     try {
-      setLoading(true);
-      const customersData = await crmService.getCustomers();
-      setCustomers(customersData);
+      const [usersData, teamsData] = await Promise.all([
+        crmService.getUsers(),
+        crmService.getTeams()
+      ]);
+      setUsers(usersData);
+      setTeams(teamsData);
     } catch (err) {
       setError(err.message);
+    }
+  };
+
+  const fetchSavedViews = async () => {
+    try {
+      setSavedViews(await crmService.getSavedViews('customers'));
+    } catch (err) {
+      setViewError(err.message);
     } finally {
-      setLoading(false);
+      setViewsLoaded(true);
     }
   };
 
   const handleCreateCustomer = async (customerData) => {
     try {
-      const newCustomer = await crmService.createCustomer(customerData);
-      setCustomers(prev => [...prev, newCustomer]);
+      await crmService.createCustomer(customerData);
       setShowModal(false);
+      reloadList();
     } catch (err) {
       setError(err.message);
     }
@@ -46,12 +197,10 @@ const Customers = () => {
 
   const handleUpdateCustomer = async (customerData) => {
     try {
-      const updatedCustomer = await crmService.updateCustomer(editingCustomer.id, customerData);
-      setCustomers(prev => prev.map(customer => 
-        customer.id === editingCustomer.id ? updatedCustomer : customer
-      ));
+      await crmService.updateCustomer(editingCustomer.id, customerData);
       setShowModal(false);
       setEditingCustomer(null);
+      reloadList();
     } catch (err) {
       setError(err.message);
     }
@@ -61,18 +210,119 @@ const Customers = () => {
     if (window.confirm('Are you sure you want to delete this customer?')) {
       try {
         await crmService.deleteCustomer(customerId);
-        setCustomers(prev => prev.filter(customer => customer.id !== customerId));
+        setSelectedIds(prev => prev.filter(id => id !== customerId));
+        reloadList();
       } catch (err) {
         setError(err.message);
       }
     }
   };
 
+  const customerCount = (count) => `${count} customer${count === 1 ? '' : 's'}`;
+
+  // Resolves to true once applied; the change stays undoable until the next one
+  const runBulkChange = async (change, message) => {
+    try {
+      const { undo } = await change();
+      setLastChange({ message, undo });
+      reloadList();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    }
+  };
+
+  const handleBulkUpdate = (changes) => runBulkChange(
+    () => crmService.updateCustomers(selectedIds, changes),
+    `Updated ${customerCount(selectedIds.length)}`
+  );
+
+  // ownerId is null to unassign the customers
+  const handleBulkReassign = (ownerId) => runBulkChange(
+    () => crmService.reassignCustomers(selectedIds, ownerId),
+    ownerId
+      ? `Assigned ${customerCount(selectedIds.length)} to ${getOwnerName(ownerId)}`
+      : `Unassigned ${customerCount(selectedIds.length)}`
+  );
+
+  const handleBulkDelete = async () => {
+    if (!window.confirm(`Delete ${customerCount(selectedIds.length)}? You can undo this right after.`)) return;
+    const deleted = await runBulkChange(
+      () => crmService.deleteCustomers(selectedIds),
+      `Deleted ${customerCount(selectedIds.length)}`
+    );
+    if (deleted) {
+      setSelectedIds([]);
+    }
+  };
+
+  const handleUndo = async () => {
+    try {
+      await crmService.undoCustomerChanges(lastChange.undo);
+      setLastChange(null);
+      reloadList();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImportComplete = () => {
+    setImportCustomers(null);
+    reloadList();
+  };
+
+  const handleOpenImport = async () => {
+    try {
+      setImportCustomers(await crmService.getCustomers());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  // Everything the list matches, across all pages
+  const fetchAllMatching = async () => {
+    const matching = await crmService.queryCustomers({
+      ...toCustomerListQuery(listState, userId),
+      page: 1,
+      pageSize: Math.max(result?.total || 0, 1)
+    });
+    return matching.items;
+  };
+
+  const handleOpenExport = async () => {
+    try {
+      setExportCustomers(await fetchAllMatching());
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleExportSelected = async () => {
+    try {
+      // The selection is cleared whenever the list query changes, so every selected customer is in the sorted matches
+      const ids = new Set(selectedIds);
+      setExportCustomers((await fetchAllMatching()).filter(customer => ids.has(customer.id)));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleSelectAllMatching = async () => {
+    try {
+      setSelectedIds((await fetchAllMatching()).map(customer => customer.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
   const handleEditCustomer = (customer) => {
     setEditingCustomer(customer);
     setShowModal(true);
   };
 
+  const canEditCustomer = editingCustomer ? can('update', 'customers', editingCustomer) : can('create', 'customers');
+
   const handleCloseModal = () => {
     setShowModal(false);
     setEditingCustomer(null);
@@ -80,10 +330,43 @@ const Customers = () => {
 
   const handleSort = (field) => {
     if (sortBy === field) {
-      setSortOrder(sortOrder === 'asc' ? 'desc' : 'asc');
+      updateList({ sortOrder: sortOrder === 'asc' ? 'desc' : 'asc' });
     } else {
-      setSortBy(field);
-      setSortOrder('asc');
+      updateList({ sortBy: field, sortOrder: 'asc' });
+    }
+  };
+
+  const handleSaveView = async (name) => {
+    try {
+      const view = await crmService.createSavedView({ resource: 'customers', name, query: currentQuery });
+      setSavedViews(prev => [...prev, view].sort((a, b) => a.name.localeCompare(b.name)));
+      setViewError(null);
+      return true;
+    } catch (err) {
+      setViewError(err.message);
+      return false;
+    }
+  };
+
+  const handleToggleDefaultView = async (view) => {
+    try {
+      await crmService.updateSavedView(view.id, { isDefault: !view.isDefault });
+      setSavedViews(await crmService.getSavedViews('customers'));
+      setViewError(null);
+    } catch (err) {
+      setViewError(err.message);
+    }
+  };
+
+  const handleDeleteView = async (view) => {
+    if (window.confirm(`Delete the view "${view.name}"?`)) {
+      try {
+        await crmService.deleteSavedView(view.id);
+        setSavedViews(prev => prev.filter(item => item.id !== view.id));
+        setViewError(null);
+      } catch (err) {
+        setViewError(err.message);
+      }
     }
   };
 
@@ -98,45 +381,36 @@ const Customers = () => {
     return `$${(amount / 1000).toFixed(0)}K`;
   };
 
-  const filteredCustomers = customers
-    .filter(customer => {
-      const matchesSearch = 
-        customer.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        customer.email.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        customer.industry.toLowerCase().includes(searchTerm.toLowerCase());
-      
-      const matchesTier = filterTier === 'all' || customer.tier === filterTier;
-      const matchesStatus = filterStatus === 'all' || customer.status === filterStatus;
-      
-      return matchesSearch && matchesTier && matchesStatus;
-    })
-    .sort((a, b) => {
-      let aVal = a[sortBy];
-      let bVal = b[sortBy];
-      
-      if (sortBy === 'revenue') {
-        aVal = aVal || 0;
-        bVal = bVal || 0;
-      }
-      
-      if (typeof aVal === 'string') {
-        aVal = aVal.toLowerCase();
-        bVal = bVal.toLowerCase();
-      }
-      
-      if (sortOrder === 'asc') {
-        return aVal > bVal ? 1 : -1;
-      }
-      return aVal < bVal ? 1 : -1;
-    });
+  const activeFilterCount = countActiveRules(filter);
+  const filterChoices = {
+    industry: summary?.industries || [],
+    tier: ['enterprise', 'growth', 'startup'],
+    status: ['active', 'inactive']
+  };
+
+  const canAssign = can('assign', 'customers');
+  // The header checkbox covers the customers on this page; the bulk actions offer everything matching
+  const selected = new Set(selectedIds);
+  const allSelected = customers.length > 0 && customers.every(customer => selected.has(customer.id));
+
+  const toggleSelected = (customerId) => {
+    setSelectedIds(prev => (
+      prev.includes(customerId) ? prev.filter(id => id !== customerId) : [...prev, customerId]
+    ));
+  };
 
-  const stats = {
-    total: customers.length,
-    active: customers.filter(c => c.status === 'active').length,
-    enterprise: customers.filter(c => c.tier === 'enterprise').length,
-    avgHealth: Math.round(customers.reduce((sum, c) => sum + (c.healthScore || 0), 0) / customers.length)
+  const toggleAllSelected = () => {
+    const pageIds = customers.map(customer => customer.id);
+    const onPage = new Set(pageIds);
+    setSelectedIds(prev => (allSelected
+      ? prev.filter(id => !onPage.has(id))
+      : [...new Set([...prev, ...pageIds])]));
   };
 
+  const getOwnerName = (ownerId) => users.find(item => item.id === ownerId)?.name || 'Unassigned';
+
+  const stats = summary || { total: 0, active: 0, enterprise: 0, avgHealth: 0 };
+
   const getTierBadge = (tier) => {
     const classes = {
       enterprise: 'badge badge--primary',
@@ -183,7 +457,25 @@ const Customers = () => {
           <p>Manage and monitor your customer relationships</p>
         </div>
         <div className="customers__header-actions">
-          <button className="btn btn--outline">
+          {can('create', 'customers') && (
+            <button className="btn btn--outline" onClick={handleOpenImport}>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="18" height="18">
+                <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
+                <polyline points="7 10 12 15 17 10" />
+                <line x1="12" y1="15" x2="12" y2="3" />
+              </svg>
+              Import
+            </button>
+          )}
+          {can('manage', 'workspace') && (
+            <button className="btn btn--outline" onClick={() => setShowHealthSettings(true)}>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="18" height="18">
+                <path d="M22 12h-4l-3 9L9 3l-3 9H2" />
+              </svg>
+              Health Scoring
+            </button>
+          )}
+          <button className="btn btn--outline" onClick={handleOpenExport}>
             <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="18" height="18">
               <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4" />
               <polyline points="17 8 12 3 7 8" />
@@ -191,13 +483,15 @@ const Customers = () => {
             </svg>
             Export
           </button>
-          <Button variant="primary" onClick={() => setShowModal(true)}>
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="18" height="18">
-              <line x1="12" y1="5" x2="12" y2="19" />
-              <line x1="5" y1="12" x2="19" y2="12" />
-            </svg>
-            Add Customer
-          </Button>
+          {can('create', 'customers') && (
+            <Button variant="primary" onClick={() => setShowModal(true)}>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="18" height="18">
+                <line x1="12" y1="5" x2="12" y2="19" />
+                <line x1="5" y1="12" x2="19" y2="12" />
+              </svg>
+              Add Customer
+            </Button>
+          )}
         </div>
       </div>
 
@@ -221,273 +515,464 @@ const Customers = () => {
         </div>
       </div>
 
-      {/* Filters */}
-      <div className="customers__filters">
-        <div className="customers__search">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-            <circle cx="11" cy="11" r="8" />
-            <path d="M21 21l-4.35-4.35" />
-          </svg>
-          <input
-            type="text"
-            placeholder="Search customers..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-          />
-        </div>
+      <div className="customers__body">
+        <SavedViews
+          views={savedViews}
+          activeViewId={activeView?.id}
+          currentQuery={currentQuery}
+          error={viewError}
+          onSave={handleSaveView}
+          onToggleDefault={handleToggleDefaultView}
+          onDelete={handleDeleteView}
+        />
+
+        <div className="customers__main">
+          {/* Filters */}
+          <div className="customers__filters">
+            <div className="customers__search">
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                <circle cx="11" cy="11" r="8" />
+                <path d="M21 21l-4.35-4.35" />
+              </svg>
+              <input
+                type="text"
+                placeholder="Search customers..."
+                value={searchTerm}
+                onChange={(e) => updateList({ search: e.target.value })}
+              />
+            </div>
         
-        <div className="customers__filter-group">
-          <select 
-            value={filterTier} 
-            onChange={(e) => setFilterTier(e.target.value)}
-            className="customers__select"
-          >
-            <option value="all">All Tiers</option>
-            <option value="enterprise">Enterprise</option>
-            <option value="growth">Growth</option>
-            <option value="startup">Startup</option>
-          </select>
+            <div className="customers__filter-group">
+              <select 
+                value={filterTier} 
+                onChange={(e) => updateList({ tier: e.target.value })}
+                className="customers__select"
+              >
+                <option value="all">All Tiers</option>
+                <option value="enterprise">Enterprise</option>
+                <option value="growth">Growth</option>
+                <option value="startup">Startup</option>
+              </select>
           
-          <select 
-            value={filterStatus} 
-            onChange={(e) => setFilterStatus(e.target.value)}
-            className="customers__select"
-          >
-            <option value="all">All Status</option>
-            <option value="active">Active</option>
-            <option value="inactive">Inactive</option>
-          </select>
-        </div>
+              <select 
+                value={filterStatus} 
+                onChange={(e) => updateList({ status: e.target.value })}
+                className="customers__select"
+              >
+                <option value="all">All Status</option>
+                <option value="active">Active</option>
+                <option value="inactive">Inactive</option>
+              </select>
 
-        <div className="customers__view-toggle">
-          <button 
-            className={`view-btn ${viewMode === 'table' ? 'view-btn--active' : ''}`}
-            onClick={() => setViewMode('table')}
-          >
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-              <line x1="8" y1="6" x2="21" y2="6" />
-              <line x1="8" y1="12" x2="21" y2="12" />
-              <line x1="8" y1="18" x2="21" y2="18" />
-              <line x1="3" y1="6" x2="3.01" y2="6" />
-              <line x1="3" y1="12" x2="3.01" y2="12" />
-              <line x1="3" y1="18" x2="3.01" y2="18" />
-            </svg>
-          </button>
-          <button 
-            className={`view-btn ${viewMode === 'grid' ? 'view-btn--active' : ''}`}
-            onClick={() => setViewMode('grid')}
-          >
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-              <rect x="3" y="3" width="7" height="7" />
-              <rect x="14" y="3" width="7" height="7" />
-              <rect x="14" y="14" width="7" height="7" />
-              <rect x="3" y="14" width="7" height="7" />
-            </svg>
-          </button>
-        </div>
-      </div>
+              <OwnerSelect
+                users={users}
+                teams={teams}
+                value={filterOwner}
+                onChange={(value) => updateList({ owner: value || 'all' })}
+                className="customers__select"
+                aria-label="Filter by owner"
+              >
+                <option value="all">All Owners</option>
+                <option value="mine">My Customers</option>
+                <option value="unassigned">Unassigned</option>
+              </OwnerSelect>
 
-      {error && (
-        <div className="customers__error">
-          <p>Error: {error}</p>
-          <Button variant="secondary" onClick={fetchCustomers}>Retry</Button>
-        </div>
-      )}
+              <button
+                className={`customers__filters-toggle ${activeFilterCount > 0 ? 'customers__filters-toggle--active' : ''}`}
+                aria-expanded={showFilterBuilder}
+                onClick={() => setShowFilterBuilder(prev => !prev)}
+              >
+                Filters
+                {activeFilterCount > 0 && <span className="customers__filters-count">{activeFilterCount}</span>}
+              </button>
+            </div>
 
-      {/* Table View */}
-      {viewMode === 'table' && (
-        <div className="customers__table-wrapper">
-          <table className="customers__table">
-            <thead>
-              <tr>
-                <th onClick={() => handleSort('name')} className="sortable">
-                  Company
-                  {sortBy === 'name' && (
-                    <span className="sort-icon">{sortOrder === 'asc' ? '↑' : '↓'}</span>
+            <div className="customers__view-toggle">
+              <button 
+                className={`view-btn ${viewMode === 'table' ? 'view-btn--active' : ''}`}
+                onClick={() => updateList({ viewMode: 'table' })}
+              >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <line x1="8" y1="6" x2="21" y2="6" />
+                  <line x1="8" y1="12" x2="21" y2="12" />
+                  <line x1="8" y1="18" x2="21" y2="18" />
+                  <line x1="3" y1="6" x2="3.01" y2="6" />
+                  <line x1="3" y1="12" x2="3.01" y2="12" />
+                  <line x1="3" y1="18" x2="3.01" y2="18" />
+                </svg>
+              </button>
+              <button 
+                className={`view-btn ${viewMode === 'grid' ? 'view-btn--active' : ''}`}
+                onClick={() => updateList({ viewMode: 'grid' })}
+              >
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                  <rect x="3" y="3" width="7" height="7" />
+                  <rect x="14" y="3" width="7" height="7" />
+                  <rect x="14" y="14" width="7" height="7" />
+                  <rect x="3" y="14" width="7" height="7" />
+                </svg>
+              </button>
+            </div>
+          </div>
+
+          {showFilterBuilder && (
+            <FilterBuilder
+              filter={filter}
+              choices={filterChoices}
+              onChange={(next) => updateList({ filter: next })}
+            />
+          )}
+
+          {error && (
+            <div className="customers__error">
+              <p>Error: {error}</p>
+              <Button variant="secondary" onClick={reloadList}>Retry</Button>
+            </div>
+          )}
+
+          {lastChange && (
+            <div className="customers__undo" role="status">
+              <span className="customers__undo-message">{lastChange.message}</span>
+              <Button variant="secondary" size="small" onClick={handleUndo}>Undo</Button>
+              <button className="customers__undo-dismiss" aria-label="Dismiss" onClick={() => setLastChange(null)}>
+                ✕
+              </button>
+            </div>
+          )}
+
+          {/* Bulk actions */}
+          {selectedIds.length > 0 && (
+            <CustomerBulkActions
+              selectedCount={selectedIds.length}
+              matchingCount={result?.total || 0}
+              users={users}
+              teams={teams}
+              canUpdate={can('update', 'customers')}
+              canAssign={canAssign}
+              canDelete={can('delete', 'customers')}
+              onSelectAllMatching={allSelected ? handleSelectAllMatching : undefined}
+              onClear={() => setSelectedIds([])}
+              onUpdate={handleBulkUpdate}
+              onReassign={handleBulkReassign}
+              onExport={handleExportSelected}
+              onDelete={handleBulkDelete}
+            />
+          )}
+
+          {/* Table View */}
+          {viewMode === 'table' && (
+            <div className="customers__table-wrapper" {...tableList.getContainerProps()}>
+              <table className="customers__table" aria-rowcount={customers.length + 1}>
+                <thead>
+                  <tr>
+                    <th className="customers__check-cell">
+                      <input
+                        type="checkbox"
+                        checked={allSelected}
+                        onChange={toggleAllSelected}
+                        aria-label="Select all customers on this page"
+                      />
+                    </th>
+                    <th onClick={() => handleSort('name')} className="sortable">
+                      Company
+                      {sortBy === 'name' && (
+                        <span className="sort-icon">{sortOrder === 'asc' ? '↑' : '↓'}</span>
+                      )}
+                    </th>
+                    <th>Tier</th>
+                    <th onClick={() => handleSort('industry')} className="sortable">
+                      Industry
+                      {sortBy === 'industry' && (
+                        <span className="sort-icon">{sortOrder === 'asc' ? '↑' : '↓'}</span>
+                      )}
+                    </th>
+                    <th onClick={() => handleSort('revenue')} className="sortable">
+                      Revenue
+                      {sortBy === 'revenue' && (
+                        <span className="sort-icon">{sortOrder === 'asc' ? '↑' : '↓'}</span>
+                      )}
+                    </th>
+                    <th>Health</th>
+                    <th>Status</th>
+                    <th>Owner</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {tableList.paddingTop > 0 && (
+                    <tr className="customers__spacer" aria-hidden="true">
+                      <td colSpan={TABLE_COLUMN_COUNT} style={{ height: tableList.paddingTop }} />
+                    </tr>
                   )}
-                </th>
-                <th>Tier</th>
-                <th onClick={() => handleSort('industry')} className="sortable">
-                  Industry
-                  {sortBy === 'industry' && (
-                    <span className="sort-icon">{sortOrder === 'asc' ? '↑' : '↓'}</span>
+                  {customers.slice(tableList.start, tableList.end).map((customer, offset) => (
+                    <tr
+                      key={customer.id}
+                      className="customers__row"
+                      aria-rowindex={tableList.start + offset + 2}
+                      {...tableList.getItemProps(tableList.start + offset)}
+                    >
+                      <td className="customers__check-cell">
+                        <input
+                          type="checkbox"
+                          checked={selected.has(customer.id)}
+                          onChange={() => toggleSelected(customer.id)}
+                          aria-label={`Select ${customer.name}`}
+                        />
+                      </td>
+                      <td>
+                        <div className="customer-cell">
+                          <div className="customer-cell__avatar">
+                            <img
+                              src={getAvatarUrl(customer)}
+                              alt={customer.name}
+                              loading="lazy"
+                              decoding="async"
+                              onError={(e) => {
+                                e.target.onerror = null;
+                                e.target.src = getAvatarUrl({ name: customer.name });
+                              }}
+                            />
+                          </div>
+                          <div className="customer-cell__info">
+                            <Link to={`/customers/${customer.id}`} className="customer-cell__name">{customer.name}</Link>
+                            <div className="customer-cell__email">
+                              {customer.email}
+                              {(customer.tags || []).map(tag => (
+                                <span key={tag} className="customer-tag">{tag}</span>
+                              ))}
+                            </div>
+                          </div>
+                        </div>
+                      </td>
+                      <td>
+                        <span className={getTierBadge(customer.tier)}>
+                          {customer.tier}
+                        </span>
+                      </td>
+                      <td className="text-muted">{customer.industry}</td>
+                      <td className="text-semibold">{formatCurrency(customer.revenue)}</td>
+                      <td>
+                        <div
+                          className={`health-score ${getHealthColor(customer.healthScore)}`}
+                          title={(customer.healthFactors || []).map(factor => `${factor.label}: ${factor.detail}`).join('\n')}
+                        >
+                          <div className="health-score__bar">
+                            <div 
+                              className="health-score__fill" 
+                              style={{ width: `${customer.healthScore}%` }}
+                            />
+                          </div>
+                          <span className="health-score__value">{customer.healthScore}%</span>
+                        </div>
+                      </td>
+                      <td>
+                        <span className={`status-dot status-dot--${customer.status}`}>
+                          {customer.status}
+                        </span>
+                      </td>
+                      <td className="text-muted">{getOwnerName(customer.ownerId)}</td>
+                      <td>
+                        <div className="table-actions">
+                          {can('update', 'customers', customer) && (
+                            <button 
+                              className="table-action"
+                              onClick={() => handleEditCustomer(customer)}
+                              title="Edit"
+                            >
+                              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
+                                <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
+                              </svg>
+                            </button>
+                          )}
+                          {can('delete', 'customers', customer) && (
+                            <button 
+                              className="table-action table-action--danger"
+                              onClick={() => handleDeleteCustomer(customer.id)}
+                              title="Delete"
+                            >
+                              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                                <polyline points="3 6 5 6 21 6" />
+                                <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                              </svg>
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                  {tableList.paddingBottom > 0 && (
+                    <tr className="customers__spacer" aria-hidden="true">
+                      <td colSpan={TABLE_COLUMN_COUNT} style={{ height: tableList.paddingBottom }} />
+                    </tr>
                   )}
-                </th>
-                <th onClick={() => handleSort('revenue')} className="sortable">
-                  Revenue
-                  {sortBy === 'revenue' && (
-                    <span className="sort-icon">{sortOrder === 'asc' ? '↑' : '↓'}</span>
+                </tbody>
+              </table>
+          
+              {customers.length === 0 && (
+                <div className="customers__empty">
+                  <div className="empty-icon">🔍</div>
+                  <p>No customers found matching your criteria</p>
+                  {can('create', 'customers') && (
+                    <Button variant="primary" onClick={() => setShowModal(true)}>
+                      Add Your First Customer
+                    </Button>
                   )}
-                </th>
-                <th>Health</th>
-                <th>Status</th>
-                <th>Actions</th>
-              </tr>
-            </thead>
-            <tbody>
-              {filteredCustomers.map((customer, index) => (
-                <tr key={customer.id} style={{ animationDelay: `${index * 0.03}s` }}>
-                  <td>
-                    <div className="customer-cell">
-                      <div className="customer-cell__avatar">
-                        <img 
-                          src={customer.logo} 
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Grid View */}
+          {viewMode === 'grid' && (
+            <div className="customers__grid-scroller" {...gridList.getContainerProps()}>
+              <div
+                className="customers__grid"
+                style={{
+                  gridTemplateColumns: `repeat(${gridList.columns}, minmax(0, 1fr))`,
+                  paddingTop: gridList.paddingTop,
+                  paddingBottom: gridList.paddingBottom
+                }}
+              >
+                {customers.slice(gridList.start, gridList.end).map((customer, offset) => (
+                  <div
+                    key={customer.id}
+                    className="customer-card"
+                    {...gridList.getItemProps(gridList.start + offset)}
+                  >
+                    <div className="customer-card__header">
+                      <div className="customer-card__avatar">
+                        <img
+                          src={getAvatarUrl(customer)}
                           alt={customer.name}
+                          loading="lazy"
+                          decoding="async"
                           onError={(e) => {
                             e.target.onerror = null;
-                            e.target.src = `https://ui-avatars.com/api/?name=${encodeURIComponent(customer.name)}&background=6366f1&color=fff`;
+                            e.target.src = getAvatarUrl({ name: customer.name });
                           }}
                         />
                       </div>
-                      <div className="customer-cell__info">
-                        <div className="customer-cell__name">{customer.name}</div>
-                        <div className="customer-cell__email">{customer.email}</div>
-                      </div>
+                      {can('update', 'customers', customer) && (
+                        <div className="customer-card__actions">
+                          <button onClick={() => handleEditCustomer(customer)} title="Edit">
+                            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                              <circle cx="12" cy="12" r="1" />
+                              <circle cx="19" cy="12" r="1" />
+                              <circle cx="5" cy="12" r="1" />
+                            </svg>
+                          </button>
+                        </div>
+                      )}
                     </div>
-                  </td>
-                  <td>
-                    <span className={getTierBadge(customer.tier)}>
-                      {customer.tier}
-                    </span>
-                  </td>
-                  <td className="text-muted">{customer.industry}</td>
-                  <td className="text-semibold">{formatCurrency(customer.revenue)}</td>
-                  <td>
-                    <div className={`health-score ${getHealthColor(customer.healthScore)}`}>
-                      <div className="health-score__bar">
-                        <div 
-                          className="health-score__fill" 
-                          style={{ width: `${customer.healthScore}%` }}
-                        />
+              
+                    <div className="customer-card__body">
+                      <h3>
+                        <Link to={`/customers/${customer.id}`}>{customer.name}</Link>
+                      </h3>
+                      <p className="customer-card__industry">{customer.industry} · {getOwnerName(customer.ownerId)}</p>
+                      <div className="customer-card__meta">
+                        <span className={getTierBadge(customer.tier)}>{customer.tier}</span>
+                        <span className={`status-dot status-dot--${customer.status}`}>
+                          {customer.status}
+                        </span>
+                        {(customer.tags || []).map(tag => (
+                          <span key={tag} className="customer-tag">{tag}</span>
+                        ))}
                       </div>
-                      <span className="health-score__value">{customer.healthScore}%</span>
-                    </div>
-                  </td>
-                  <td>
-                    <span className={`status-dot status-dot--${customer.status}`}>
-                      {customer.status}
-                    </span>
-                  </td>
-                  <td>
-                    <div className="table-actions">
-                      <button 
-                        className="table-action"
-                        onClick={() => handleEditCustomer(customer)}
-                        title="Edit"
-                      >
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                          <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7" />
-                          <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z" />
-                        </svg>
-                      </button>
-                      <button 
-                        className="table-action table-action--danger"
-                        onClick={() => handleDeleteCustomer(customer.id)}
-                        title="Delete"
-                      >
-                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                          <polyline points="3 6 5 6 21 6" />
-                          <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
-                        </svg>
-                      </button>
                     </div>
-                  </td>
-                </tr>
-              ))}
-            </tbody>
-          </table>
-          
-          {filteredCustomers.length === 0 && (
-            <div className="customers__empty">
-              <div className="empty-icon">🔍</div>
-              <p>No customers found matching your criteria</p>
-              <Button variant="primary" onClick={() => setShowModal(true)}>
-                Add Your First Customer
-              </Button>
-            </div>
-          )}
-        </div>
-      )}
-
-      {/* Grid View */}
-      {viewMode === 'grid' && (
-        <div className="customers__grid">
-          {filteredCustomers.map((customer, index) => (
-            <div 
-              key={customer.id} 
-              className="customer-card"
-              style={{ animationDelay: `${index * 0.05}s` }}
-            >
-              <div className="customer-card__header">
-                <div className="customer-card__avatar">
-                  <img 
-                    src={customer.logo} 
-                    alt={customer.name}
-                    onError={(e) => {
-                      e.target.onerror = null;
-                      e.target.src = `https://ui-avatars.com/api/?name=${encodeURIComponent(customer.name)}&background=6366f1&color=fff`;
-                    }}
-                  />
-                </div>
-                <div className="customer-card__actions">
-                  <button onClick={() => handleEditCustomer(customer)}>
-                    <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                      <circle cx="12" cy="12" r="1" />
-                      <circle cx="19" cy="12" r="1" />
-                      <circle cx="5" cy="12" r="1" />
-                    </svg>
-                  </button>
-                </div>
-              </div>
               
-              <div className="customer-card__body">
-                <h3>{customer.name}</h3>
-                <p className="customer-card__industry">{customer.industry}</p>
-                <div className="customer-card__meta">
-                  <span className={getTierBadge(customer.tier)}>{customer.tier}</span>
-                  <span className={`status-dot status-dot--${customer.status}`}>
-                    {customer.status}
-                  </span>
-                </div>
-              </div>
-              
-              <div className="customer-card__footer">
-                <div className="customer-card__stat">
-                  <span className="label">Revenue</span>
-                  <span className="value">{formatCurrency(customer.revenue)}</span>
-                </div>
-                <div className="customer-card__stat">
-                  <span className="label">Health</span>
-                  <span className={`value ${getHealthColor(customer.healthScore)}`}>
-                    {customer.healthScore}%
-                  </span>
-                </div>
+                    <div className="customer-card__footer">
+                      <div className="customer-card__stat">
+                        <span className="label">Revenue</span>
+                        <span className="value">{formatCurrency(customer.revenue)}</span>
+                      </div>
+                      <div className="customer-card__stat">
+                        <span className="label">Health</span>
+                        <span className={`value ${getHealthColor(customer.healthScore)}`}>
+                          {customer.healthScore}%
+                        </span>
+                      </div>
+                    </div>
+                  </div>
+                ))}
               </div>
             </div>
-          ))}
-        </div>
-      )}
+          )}
 
-      {/* Pagination */}
-      <div className="customers__pagination">
-        <span className="pagination-info">
-          Showing {filteredCustomers.length} of {customers.length} customers
-        </span>
+          {/* Pagination */}
+          <div className="customers__pagination">
+            {result && (
+              <Pagination
+                page={result.page}
+                pageCount={result.pageCount}
+                pageSize={result.pageSize}
+                total={result.total}
+                itemLabel="customers"
+                onPageChange={(page) => updateList({ page })}
+                onPageSizeChange={(pageSize) => updateList({ pageSize })}
+              />
+            )}
+          </div>
+        </div>
       </div>
 
       {/* Modal */}
       <Modal
         isOpen={showModal}
         onClose={handleCloseModal}
-        title={editingCustomer ? 'Edit Customer' : 'Add New Customer'}
+        title={editingCustomer ? (canEditCustomer ? 'Edit Customer' : 'Customer Details') : 'Add New Customer'}
         size="medium"
       >
         <CustomerForm
           customer={editingCustomer}
+          users={canAssign ? users : []}
+          teams={teams}
+          readOnly={!canEditCustomer}
           onSubmit={editingCustomer ? handleUpdateCustomer : handleCreateCustomer}
           onCancel={handleCloseModal}
         />
       </Modal>
+
+      <Modal
+        isOpen={exportCustomers !== null}
+        onClose={() => setExportCustomers(null)}
+        title="Export Customers"
+        size="medium"
+      >
+        <CustomerExport
+          customers={exportCustomers || []}
+          totalCount={stats.total}
+          onComplete={() => setExportCustomers(null)}
+          onCancel={() => setExportCustomers(null)}
+        />
+      </Modal>
+
+      <Modal
+        isOpen={importCustomers !== null}
+        onClose={() => setImportCustomers(null)}
+        title="Import Customers"
+        size="large"
+        closeOnOverlayClick={false}
+      >
+        <CustomerImport
+          existingCustomers={importCustomers || []}
+          onComplete={handleImportComplete}
+          onCancel={() => setImportCustomers(null)}
+        />
+      </Modal>
+
+      <Modal
+        isOpen={showHealthSettings}
+        onClose={() => setShowHealthSettings(false)}
+        title="Health Scoring"
+        size="medium"
+      >
+        <HealthSettings
+          onComplete={() => { setShowHealthSettings(false); reloadList(); }}
+          onCancel={() => setShowHealthSettings(false)}
+        />
+      </Modal>
     </div>
   );
 };
@@ -0,0 +1,232 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import {
+  FILTER_FIELDS,
+  FILTER_MATCHES,
+  FILTER_OPERATORS,
+  changeRuleOperator,
+  createGroup,
+  createRule,
+  getFilterField,
+  isGroup
+} from '../../services/customerFilters';
+import './FilterBuilder.css';
+
+// Groups nest one level deep, which covers "A and (B or C)" without turning into a tree editor
+const MAX_DEPTH = 1;
+
+const RuleValue = ({ rule, choices, onChange }) => {
+  const field = getFilterField(rule.field);
+  const setBound = (index, bound) => onChange(rule.value.map((value, i) => (i === index ? bound : value)));
+
+  if (field.type === 'choice') {
+    return (
+      <div className="filter-rule__choices" role="group" aria-label={`${field.label} values`}>
+        {choices.map(choice => (
+          <label key={choice} className="filter-rule__choice">
+            <input
+              type="checkbox"
+              checked={rule.value.includes(choice)}
+              onChange={(e) => onChange(e.target.checked
+                ? [...rule.value, choice]
+                : rule.value.filter(value => value !== choice))}
+            />
+            {choice}
+          </label>
+        ))}
+      </div>
+    );
+  }
+
+  if (rule.operator === 'between') {
+    const type = field.type === 'date' ? 'date' : 'number';
+    const [fromLabel, toLabel] = field.type === 'date' ? ['From', 'To'] : ['Minimum', 'Maximum'];
+    return (
+      <div className="filter-rule__range">
+        <input
+          type={type}
+          className="filter-rule__input"
+          aria-label={fromLabel}
+          value={rule.value[0]}
+          onChange={(e) => setBound(0, e.target.value)}
+        />
+        <span>and</span>
+        <input
+          type={type}
+          className="filter-rule__input"
+          aria-label={toLabel}
+          value={rule.value[1]}
+          onChange={(e) => setBound(1, e.target.value)}
+        />
+      </div>
+    );
+  }
+
+  if (rule.operator === 'withinDays' || rule.operator === 'olderThanDays') {
+    return (
+      <input
+        type="number"
+        min="1"
+        className="filter-rule__input filter-rule__input--days"
+        aria-label="Days"
+        value={rule.value}
+        onChange={(e) => onChange(e.target.value)}
+      />
+    );
+  }
+
+  return (
+    <input
+      type={field.type === 'text' ? 'text' : field.type}
+      className="filter-rule__input"
+      aria-label="Value"
+      value={rule.value}
+      onChange={(e) => onChange(e.target.value)}
+    />
+  );
+};
+
+RuleValue.propTypes = {
+  rule: PropTypes.object.isRequired,
+  choices: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+const FilterRule = ({ rule, choices, onChange, onRemove }) => {
+  const field = getFilterField(rule.field);
+
+  return (
+    <div className="filter-rule">
+      <select
+        className="filter-rule__select"
+        aria-label="Field"
+        value={rule.field}
+        onChange={(e) => onChange(createRule(e.target.value))}
+      >
+        {FILTER_FIELDS.map(option => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+      <select
+        className="filter-rule__select"
+        aria-label="Operator"
+        value={rule.operator}
+        onChange={(e) => onChange(changeRuleOperator(rule, e.target.value))}
+      >
+        {FILTER_OPERATORS[field.type].map(option => (
+          <option key={option.id} value={option.id}>{option.label}</option>
+        ))}
+      </select>
+      <RuleValue
+        rule={rule}
+        choices={choices[rule.field] || []}
+        onChange={(value) => onChange({ ...rule, value })}
+      />
+      <button className="filter-builder__remove" aria-label="Remove condition" onClick={onRemove}>✕</button>
+    </div>
+  );
+};
+
+FilterRule.propTypes = {
+  rule: PropTypes.object.isRequired,
+  choices: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onRemove: PropTypes.func.isRequired
+};
+
+const FilterGroup = ({ group, depth, choices, onChange, onRemove }) => {
+  const updateRule = (index, rule) => onChange({ ...group, rules: group.rules.map((item, i) => (i === index ? rule : item)) });
+  const removeRule = (index) => onChange({ ...group, rules: group.rules.filter((item, i) => i !== index) });
+  const addRule = (rule) => onChange({ ...group, rules: [...group.rules, rule] });
+
+  return (
+    <div className={`filter-group ${depth > 0 ? 'filter-group--nested' : ''}`}>
+      <div className="filter-group__header">
+        <span>Match</span>
+        <select
+          className="filter-rule__select"
+          aria-label={depth > 0 ? 'Group match' : 'Match'}
+          value={group.match}
+          onChange={(e) => onChange({ ...group, match: e.target.value })}
+        >
+          {FILTER_MATCHES.map(option => (
+            <option key={option.id} value={option.id}>{option.label}</option>
+          ))}
+        </select>
+        <span>of these conditions</span>
+        {onRemove && (
+          <button className="filter-builder__remove" aria-label="Remove group" onClick={onRemove}>✕</button>
+        )}
+      </div>
+
+      {group.rules.map((rule, index) => (isGroup(rule) ? (
+        <FilterGroup
+          key={index}
+          group={rule}
+          depth={depth + 1}
+          choices={choices}
+          onChange={(next) => updateRule(index, next)}
+          onRemove={() => removeRule(index)}
+        />
+      ) : (
+        <FilterRule
+          key={index}
+          rule={rule}
+          choices={choices}
+          onChange={(next) => updateRule(index, next)}
+          onRemove={() => removeRule(index)}
+        />
+      )))}
+
+      <div className="filter-group__actions">
+        <button className="filter-builder__add" onClick={() => addRule(createRule())}>+ Add condition</button>
+        {depth < MAX_DEPTH && (
+          <button className="filter-builder__add" onClick={() => addRule({ ...createGroup('any'), rules: [createRule()] })}>
+            + Add group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+FilterGroup.propTypes = {
+  group: PropTypes.shape({
+    match: PropTypes.oneOf(['all', 'any']).isRequired,
+    rules: PropTypes.array.isRequired
+  }).isRequired,
+  depth: PropTypes.number.isRequired,
+  choices: PropTypes.object.isRequired,
+  onChange: PropTypes.func.isRequired,
+  onRemove: PropTypes.func
+};
+
+/**
+ * Compound AND/OR filter over customer fields, see customerFilters
+ */
+const FilterBuilder = ({ filter, choices, onChange }) => (
+  <div className="filter-builder" role="region" aria-label="Filter builder">
+    <FilterGroup
+      group={filter || createGroup()}
+      depth={0}
+      choices={choices}
+      onChange={(next) => onChange(next.rules.length > 0 ? next : null)}
+    />
+    {filter && (
+      <button className="filter-builder__clear" onClick={() => onChange(null)}>Clear all conditions</button>
+    )}
+  </div>
+);
+
+FilterBuilder.propTypes = {
+  // Filter group, null when nothing is filtered
+  filter: PropTypes.shape({
+    match: PropTypes.oneOf(['all', 'any']).isRequired,
+    rules: PropTypes.array.isRequired
+  }),
+  // Values to pick from for each choice field
+  choices: PropTypes.objectOf(PropTypes.arrayOf(PropTypes.string)).isRequired,
+  onChange: PropTypes.func.isRequired
+};
+
+export default FilterBuilder;
@@ -0,0 +1,86 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import './HealthBreakdown.css';
+
+const SPARKLINE_WIDTH = 240;
+const SPARKLINE_HEIGHT = 48;
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+/**
+ * What a customer's health score is made of, and how it moved over time
+ */
+const HealthBreakdown = ({ factors = [], history = [] }) => {
+  const recent = history.slice(-30);
+  const points = recent.map((entry, index) => {
+    const x = recent.length > 1 ? (index / (recent.length - 1)) * SPARKLINE_WIDTH : SPARKLINE_WIDTH / 2;
+    const y = SPARKLINE_HEIGHT - (entry.score / 100) * SPARKLINE_HEIGHT;
+    return `${x.toFixed(1)},${y.toFixed(1)}`;
+  });
+
+  return (
+    <div className="health-breakdown">
+      <ul className="health-breakdown__factors" aria-label="Health factors">
+        {factors.map(factor => (
+          <li key={factor.id} className="health-breakdown__factor">
+            <div className="health-breakdown__factor-header">
+              <span className="health-breakdown__label">{factor.label}</span>
+              <span className="health-breakdown__points">{factor.points} / {factor.weight}</span>
+            </div>
+            <div className="health-breakdown__bar">
+              <div className="health-breakdown__fill" style={{ width: `${factor.score}%` }} />
+            </div>
+            <span className="health-breakdown__detail">{factor.detail}</span>
+          </li>
+        ))}
+      </ul>
+
+      {recent.length > 0 && (
+        <div className="health-breakdown__history">
+          <span className="health-breakdown__heading">Score history</span>
+          {recent.length > 1 ? (
+            <svg
+              className="health-breakdown__sparkline"
+              viewBox={`0 0 ${SPARKLINE_WIDTH} ${SPARKLINE_HEIGHT}`}
+              preserveAspectRatio="none"
+              role="img"
+              aria-label={`Health score from ${recent[0].score}% on ${formatDay(recent[0].date)} to ${recent[recent.length - 1].score}%`}
+            >
+              <polyline points={points.join(' ')} />
+            </svg>
+          ) : (
+            <p className="health-breakdown__since">Tracked since {formatDay(recent[0].date)}</p>
+          )}
+          <ol className="health-breakdown__entries">
+            {recent.slice(-5).reverse().map(entry => (
+              <li key={entry.date}>
+                <time dateTime={entry.date}>{formatDay(entry.date)}</time>
+                <span>{entry.score}%</span>
+              </li>
+            ))}
+          </ol>
+        </div>
+      )}
+    </div>
+  );
+};
+
+HealthBreakdown.propTypes = {
+  // healthFactors of the customer, see computeHealthScore
+  factors: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    label: PropTypes.string.isRequired,
+    weight: PropTypes.number.isRequired,
+    score: PropTypes.number.isRequired,
+    points: PropTypes.number.isRequired,
+    detail: PropTypes.string.isRequired
+  })),
+  // Daily { date, score } entries, oldest first
+  history: PropTypes.arrayOf(PropTypes.shape({
+    date: PropTypes.string.isRequired,
+    score: PropTypes.number.isRequired
+  }))
+};
+
+export default HealthBreakdown;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../../components/common/Button';
+import Input from '../../components/forms/Input';
+import { crmService } from '../../services/crmService';
+import { DEFAULT_HEALTH_CONFIG, HEALTH_FACTORS } from '../../services/healthService';
+import './HealthSettings.css';
+
+const THRESHOLDS = [
+  { key: 'recentContactDays', label: 'Contact counts as recent for (days)' },
+  { key: 'lostContactDays', label: 'Contact is lost after (days)' },
+  { key: 'activityWindowDays', label: 'Count activities from the last (days)' },
+  { key: 'targetActivities', label: 'Activities for full engagement' }
+];
+
+// Number inputs hold strings while typing; the config needs numbers
+const toNumbers = (values) =>
+  Object.fromEntries(Object.entries(values).map(([key, value]) => [key, Number(value)]));
+
+/**
+ * Admin form for tuning how customer health scores are computed
+ */
+const HealthSettings = ({ onComplete, onCancel }) => {
+  const [config, setConfig] = useState(null);
+  const [error, setError] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    crmService.getHealthConfig()
+      .then(setConfig)
+      .catch(err => setError(err.message));
+  }, []);
+
+  const setGroupValue = (group, key, value) => {
+    setConfig(prev => ({ ...prev, [group]: { ...prev[group], [key]: value } }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+    try {
+      const saved = await crmService.updateHealthConfig({
+        ...config,
+        ...toNumbers(Object.fromEntries(THRESHOLDS.map(({ key }) => [key, config[key]]))),
+        weights: toNumbers(config.weights),
+        statusScores: toNumbers(config.statusScores),
+        tierScores: toNumbers(config.tierScores)
+      });
+      onComplete(saved);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!config) {
+    return error
+      ? <p className="health-settings__error" role="alert">{error}</p>
+      : <div className="skeleton" style={{ height: '320px' }} />;
+  }
+
+  return (
+    <form className="health-settings" onSubmit={handleSubmit}>
+      <section className="health-settings__section">
+        <h3>Factor weights</h3>
+        <p className="health-settings__hint">Weights are relative; a factor with weight 0 is ignored.</p>
+        <div className="health-settings__grid">
+          {HEALTH_FACTORS.map(factor => (
+            <Input
+              key={factor.id}
+              label={factor.label}
+              type="number"
+              min="0"
+              value={config.weights[factor.id]}
+              onChange={(e) => setGroupValue('weights', factor.id, e.target.value)}
+            />
+          ))}
+        </div>
+      </section>
+
+      <section className="health-settings__section">
+        <h3>Contact and engagement</h3>
+        <div className="health-settings__grid">
+          {THRESHOLDS.map(({ key, label }) => (
+            <Input
+              key={key}
+              label={label}
+              type="number"
+              min="1"
+              value={config[key]}
+              onChange={(e) => setConfig(prev => ({ ...prev, [key]: e.target.value }))}
+            />
+          ))}
+        </div>
+      </section>
+
+      <section className="health-settings__section">
+        <h3>Status and tier scores (0-100)</h3>
+        <div className="health-settings__grid">
+          {Object.keys(config.statusScores).map(status => (
+            <Input
+              key={status}
+              label={`Status: ${status}`}
+              type="number"
+              min="0"
+              max="100"
+              value={config.statusScores[status]}
+              onChange={(e) => setGroupValue('statusScores', status, e.target.value)}
+            />
+          ))}
+          {Object.keys(config.tierScores).map(tier => (
+            <Input
+              key={tier}
+              label={`Tier: ${tier}`}
+              type="number"
+              min="0"
+              max="100"
+              value={config.tierScores[tier]}
+              onChange={(e) => setGroupValue('tierScores', tier, e.target.value)}
+            />
+          ))}
+        </div>
+      </section>
+
+      {error && <p className="health-settings__error" role="alert">{error}</p>}
+
+      <div className="health-settings__actions">
+        <Button type="button" variant="secondary" onClick={() => setConfig(DEFAULT_HEALTH_CONFIG)} disabled={saving}>
+          Restore Defaults
+        </Button>
+        <div className="health-settings__actions-end">
+          <Button type="button" variant="secondary" onClick={onCancel} disabled={saving}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" loading={saving}>
+            Save and Rescore
+          </Button>
+        </div>
+      </div>
+    </form>
+  );
+};
+
+HealthSettings.propTypes = {
+  onComplete: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default HealthSettings;
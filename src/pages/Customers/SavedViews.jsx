@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { Link } from 'react-router-dom';
+import Button from '../../components/common/Button';
+import './SavedViews.css';
+
+const toLocation = (query) => ({ search: query ? `?${query}` : '' });
+
+/**
+ * Sidebar of the user's saved views of the customer list. Views are links to the list's query string.
+ */
+const SavedViews = ({ views, activeViewId, currentQuery, error, onSave, onToggleDefault, onDelete }) => {
+  const [saving, setSaving] = useState(false);
+  const [name, setName] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await onSave(name)) {
+      setSaving(false);
+      setName('');
+    }
+  };
+
+  return (
+    <aside className="saved-views" aria-label="Saved views">
+      <h3 className="saved-views__title">Views</h3>
+      <ul className="saved-views__list">
+        <li className="saved-views__item">
+          <Link
+            to={toLocation('')}
+            className={`saved-views__link ${currentQuery === '' ? 'saved-views__link--active' : ''}`}
+            aria-current={currentQuery === '' ? 'page' : undefined}
+          >
+            All customers
+          </Link>
+        </li>
+        {views.map(view => (
+          <li key={view.id} className="saved-views__item">
+            <Link
+              to={toLocation(view.query)}
+              className={`saved-views__link ${view.id === activeViewId ? 'saved-views__link--active' : ''}`}
+              aria-current={view.id === activeViewId ? 'page' : undefined}
+            >
+              {view.name}
+            </Link>
+            <button
+              className={`saved-views__action ${view.isDefault ? 'saved-views__action--default' : ''}`}
+              aria-label={view.isDefault ? `Stop opening ${view.name} by default` : `Open ${view.name} by default`}
+              aria-pressed={view.isDefault}
+              title={view.isDefault ? 'Default view' : 'Make default'}
+              onClick={() => onToggleDefault(view)}
+            >
+              {view.isDefault ? '★' : '☆'}
+            </button>
+            <button
+              className="saved-views__action saved-views__action--delete"
+              aria-label={`Delete ${view.name}`}
+              onClick={() => onDelete(view)}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {error && <p className="saved-views__error" role="alert">{error}</p>}
+
+      {saving ? (
+        <form className="saved-views__form" onSubmit={handleSubmit}>
+          <input
+            type="text"
+            className="saved-views__input"
+            aria-label="View name"
+            placeholder="e.g. Enterprise at risk"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            autoFocus
+          />
+          <div className="saved-views__form-actions">
+            <Button type="submit" variant="primary" size="small" disabled={!name.trim()}>Save</Button>
+            <Button variant="secondary" size="small" onClick={() => setSaving(false)}>Cancel</Button>
+          </div>
+        </form>
+      ) : (
+        <Button
+          variant="secondary"
+          size="small"
+          disabled={!currentQuery || Boolean(activeViewId)}
+          onClick={() => setSaving(true)}
+        >
+          Save current view
+        </Button>
+      )}
+    </aside>
+  );
+};
+
+SavedViews.propTypes = {
+  views: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    name: PropTypes.string.isRequired,
+    query: PropTypes.string.isRequired,
+    isDefault: PropTypes.bool
+  })).isRequired,
+  // View matching the list on screen, if any
+  activeViewId: PropTypes.string,
+  // Query string of the list on screen
+  currentQuery: PropTypes.string.isRequired,
+  error: PropTypes.string,
+  // Resolves to true once the view is saved
+  onSave: PropTypes.func.isRequired,
+  onToggleDefault: PropTypes.func.isRequired,
+  onDelete: PropTypes.func.isRequired
+};
+
+export default SavedViews;
@@ -0,0 +1,240 @@
+// Mapping, validation and dedupe for the customer CSV import wizard
+import { crmService } from '../../services/crmService';
+import { validateCustomer } from './CustomerForm';
+
+// Customer fields a CSV column can be mapped to; aliases help guess the mapping from the header row
+export const CUSTOMER_IMPORT_FIELDS = [
+  { key: 'name', label: 'Company', required: true, aliases: ['company name', 'customer', 'account', 'name'] },
+  { key: 'email', label: 'Email', required: true, aliases: ['email address', 'e-mail'] },
+  { key: 'phone', label: 'Phone', required: true, aliases: ['phone number', 'telephone'] },
+  { key: 'website', label: 'Website', aliases: ['domain', 'url', 'web'] },
+  { key: 'industry', label: 'Industry', required: true, aliases: ['sector', 'vertical'] },
+  { key: 'tier', label: 'Tier', aliases: ['segment', 'plan'] },
+  { key: 'status', label: 'Status' },
+  { key: 'revenue', label: 'Revenue', type: 'number', aliases: ['annual revenue', 'arr'] },
+  { key: 'employees', label: 'Employees', type: 'number', aliases: ['employee count', 'headcount', 'company size'] },
+  { key: 'address.street', label: 'Street', aliases: ['address', 'street address', 'address line 1'] },
+  { key: 'address.city', label: 'City', required: true, aliases: ['town'] },
+  { key: 'address.state', label: 'State', required: true, aliases: ['province', 'region', 'state/province'] },
+  { key: 'address.zipCode', label: 'Zip Code', aliases: ['zip', 'postal code', 'postcode'] },
+  { key: 'address.country', label: 'Country' }
+];
+
+export const DUPLICATE_STRATEGIES = [
+  { id: 'skip', label: 'Skip', description: 'Leave existing customers untouched' },
+  { id: 'merge', label: 'Merge', description: 'Only fill in fields that are empty on the existing customer' },
+  { id: 'overwrite', label: 'Overwrite', description: 'Replace existing values with the values from the file' }
+];
+
+const ALLOWED_VALUES = {
+  tier: ['enterprise', 'growth', 'startup'],
+  status: ['active', 'inactive']
+};
+
+const normalizeHeader = (value) => value.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+export const normalizeWebsite = (value) =>
+  (value || '').trim().toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Guess which customer field each CSV column holds from its header
+ * @param {Array} headers - CSV header row
+ * @returns {Array} - Field key per column, '' for columns that are not imported
+ */
+export const guessMapping = (headers) => {
+  const used = new Set();
+  return headers.map(header => {
+    const normalized = normalizeHeader(header);
+    const field = CUSTOMER_IMPORT_FIELDS.find(item =>
+      !used.has(item.key) &&
+      [item.key, item.key.split('.').pop(), item.label, ...(item.aliases || [])]
+        .some(candidate => normalizeHeader(candidate) === normalized)
+    );
+    if (!field) return '';
+    used.add(field.key);
+    return field.key;
+  });
+};
+
+/**
+ * Required fields that no column is mapped to
+ * @param {Array} mapping - Field key per column
+ * @returns {Array} - Unmapped required fields
+ */
+export const getUnmappedRequiredFields = (mapping) =>
+  CUSTOMER_IMPORT_FIELDS.filter(field => field.required && !mapping.includes(field.key));
+
+const parseNumber = (value) => Number(String(value).replace(/[$,\s]/g, ''));
+
+/**
+ * Turn a CSV row into customer data, keeping only the mapped columns that have a value
+ * @param {Array} row - CSV values
+ * @param {Array} mapping - Field key per column
+ * @returns {Object} - { values, errors } with values keyed by field path
+ */
+const readRow = (row, mapping) => {
+  const values = {};
+  const errors = {};
+
+  mapping.forEach((key, index) => {
+    const raw = (row[index] || '').trim();
+    if (!key || raw === '') return;
+
+    const field = CUSTOMER_IMPORT_FIELDS.find(item => item.key === key);
+    if (field.type === 'number') {
+      const number = parseNumber(raw);
+      if (Number.isNaN(number)) {
+        errors[key] = `${field.label} must be a number`;
+        return;
+      }
+      values[key] = number;
+    } else if (ALLOWED_VALUES[key]) {
+      const value = raw.toLowerCase();
+      if (!ALLOWED_VALUES[key].includes(value)) {
+        errors[key] = `${field.label} must be one of ${ALLOWED_VALUES[key].join(', ')}`;
+        return;
+      }
+      values[key] = value;
+    } else {
+      values[key] = raw;
+    }
+  });
+
+  return { values, errors };
+};
+
+// Build the nested customer shape CustomerForm produces from dotted field paths
+const toCustomer = (values) =>
+  Object.entries(values).reduce((customer, [key, value]) => {
+    const [parent, child] = key.split('.');
+    if (child) {
+      customer[parent] = { ...customer[parent], [child]: value };
+    } else {
+      customer[parent] = value;
+    }
+    return customer;
+  }, {
+    name: '',
+    email: '',
+    phone: '',
+    industry: '',
+    address: { street: '', city: '', state: '', zipCode: '', country: 'USA' }
+  });
+
+/**
+ * Find the existing customer a record duplicates, matching on email or website
+ * @param {Object} customer - Customer data
+ * @param {Array} customers - Existing customers
+ * @returns {Object} - { customer, matchedOn } or null
+ */
+export const findDuplicate = (customer, customers) => {
+  const email = customer.email.trim().toLowerCase();
+  const website = normalizeWebsite(customer.website);
+
+  for (const existing of customers) {
+    if (email && (existing.email || '').trim().toLowerCase() === email) {
+      return { customer: existing, matchedOn: 'email' };
+    }
+    if (website && normalizeWebsite(existing.website) === website) {
+      return { customer: existing, matchedOn: 'website' };
+    }
+  }
+  return null;
+};
+
+/**
+ * Validate every row and detect duplicates against existing customers and earlier rows of the file
+ * @param {Array} rows - CSV rows without the header
+ * @param {Array} mapping - Field key per column
+ * @param {Array} existingCustomers - Customers already in the CRM
+ * @returns {Array} - [{ rowNumber, values, customer, errors, duplicate }]
+ */
+export const prepareImport = (rows, mapping, existingCustomers) => {
+  const accepted = [];
+
+  return rows.map((row, index) => {
+    // Row 1 is the header, so data starts on row 2 of the file
+    const rowNumber = index + 2;
+    const { values, errors: parseErrors } = readRow(row, mapping);
+    const customer = toCustomer(values);
+    const errors = Object.values({ ...validateCustomer(customer), ...parseErrors });
+
+    const earlierRow = findDuplicate(customer, accepted.map(entry => entry.customer));
+    if (earlierRow) {
+      const { rowNumber: firstRow } = accepted.find(entry => entry.customer === earlierRow.customer);
+      errors.push(`Same ${earlierRow.matchedOn} as row ${firstRow}`);
+    }
+
+    const entry = {
+      rowNumber,
+      values,
+      customer,
+      errors,
+      duplicate: errors.length === 0 ? findDuplicate(customer, existingCustomers) : null
+    };
+    if (errors.length === 0) {
+      accepted.push(entry);
+    }
+    return entry;
+  });
+};
+
+/**
+ * Changes to apply to an existing customer for a duplicate row
+ * @param {Object} existing - Existing customer
+ * @param {Object} values - Imported values keyed by field path
+ * @param {string} strategy - merge | overwrite
+ * @returns {Object} - Fields to update, empty when nothing changes
+ */
+export const getDuplicateChanges = (existing, values, strategy) =>
+  Object.entries(values).reduce((changes, [key, value]) => {
+    const [parent, child] = key.split('.');
+    const current = child ? existing[parent]?.[child] : existing[parent];
+    if (current === value || (strategy === 'merge' && !isBlank(current))) {
+      return changes;
+    }
+    if (child) {
+      changes[parent] = { ...existing[parent], ...changes[parent], [child]: value };
+    } else {
+      changes[parent] = value;
+    }
+    return changes;
+  }, {});
+
+/**
+ * Write the valid rows through crmService
+ * @param {Array} entries - Result of prepareImport
+ * @param {string} strategy - skip | merge | overwrite, for rows that duplicate an existing customer
+ * @param {Function} onProgress - Called with the number of rows processed
+ * @returns {Object} - { created, updated, skipped, failed }
+ */
+export const commitImport = async (entries, strategy, onProgress = () => {}) => {
+  const result = { created: 0, updated: 0, skipped: 0, failed: [] };
+  const validEntries = entries.filter(entry => entry.errors.length === 0);
+
+  for (const [index, entry] of validEntries.entries()) {
+    try {
+      if (!entry.duplicate) {
+        await crmService.createCustomer(entry.customer);
+        result.created++;
+      } else if (strategy === 'skip') {
+        result.skipped++;
+      } else {
+        const changes = getDuplicateChanges(entry.duplicate.customer, entry.values, strategy);
+        if (Object.keys(changes).length === 0) {
+          result.skipped++;
+        } else {
+          await crmService.updateCustomer(entry.duplicate.customer.id, changes);
+          result.updated++;
+        }
+      }
+    } catch (err) {
+      result.failed.push({ rowNumber: entry.rowNumber, message: err.message });
+    }
+    onProgress(index + 1);
+  }
+
+  return result;
+};
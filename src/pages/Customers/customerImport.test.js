@@ -0,0 +1,140 @@
+import { crmService } from '../../services/crmService';
+import {
+  guessMapping,
+  getUnmappedRequiredFields,
+  prepareImport,
+  getDuplicateChanges,
+  commitImport
+} from './customerImport';
+
+jest.mock('../../services/crmService', () => ({
+  crmService: {
+    createCustomer: jest.fn(),
+    updateCustomer: jest.fn()
+  }
+}));
+
+const headers = ['Company', 'Email Address', 'Phone', 'Website', 'Industry', 'City', 'State', 'Revenue', 'Notes'];
+const mapping = guessMapping(headers);
+
+const existingCustomers = [
+  {
+    id: '1',
+    name: 'Stripe Inc.',
+    email: 'enterprise@stripe.com',
+    phone: '',
+    website: 'stripe.com',
+    industry: 'Financial Technology',
+    address: { city: 'San Francisco', state: 'CA', country: 'USA' }
+  }
+];
+
+const row = (overrides = {}) => {
+  const values = {
+    Company: 'Linear',
+    'Email Address': 'hello@linear.app',
+    Phone: '+1-555-0100',
+    Website: 'linear.app',
+    Industry: 'Software',
+    City: 'San Francisco',
+    State: 'CA',
+    Revenue: '$1,200,000',
+    Notes: 'ignored',
+    ...overrides
+  };
+  return headers.map(header => values[header]);
+};
+
+describe('guessMapping', () => {
+  it('matches headers to fields by label, key or alias', () => {
+    expect(mapping).toEqual([
+      'name', 'email', 'phone', 'website', 'industry', 'address.city', 'address.state', 'revenue', ''
+    ]);
+    expect(getUnmappedRequiredFields(mapping)).toEqual([]);
+  });
+
+  it('reports required fields without a column', () => {
+    expect(getUnmappedRequiredFields(guessMapping(['Company'])).map(field => field.key)).toEqual([
+      'email', 'phone', 'industry', 'address.city', 'address.state'
+    ]);
+  });
+});
+
+describe('prepareImport', () => {
+  it('builds nested customers and parses numbers', () => {
+    const [entry] = prepareImport([row()], mapping, existingCustomers);
+
+    expect(entry.errors).toEqual([]);
+    expect(entry.duplicate).toBeNull();
+    expect(entry.customer).toMatchObject({
+      name: 'Linear',
+      revenue: 1200000,
+      address: { city: 'San Francisco', state: 'CA', country: 'USA' }
+    });
+  });
+
+  it('applies the CustomerForm validation rules', () => {
+    const [entry] = prepareImport([row({ 'Email Address': 'not-an-email', State: '' })], mapping, []);
+
+    expect(entry.rowNumber).toBe(2);
+    expect(entry.errors).toEqual(['Please enter a valid email address', 'State is required']);
+  });
+
+  it('detects duplicates by email or website', () => {
+    const [byEmail, byWebsite] = prepareImport([
+      row({ 'Email Address': 'Enterprise@Stripe.com', Website: '' }),
+      row({ Website: 'https://www.stripe.com/' })
+    ], mapping, existingCustomers);
+
+    expect(byEmail.duplicate).toEqual({ customer: existingCustomers[0], matchedOn: 'email' });
+    expect(byWebsite.duplicate).toEqual({ customer: existingCustomers[0], matchedOn: 'website' });
+  });
+
+  it('flags repeated rows within the file', () => {
+    const entries = prepareImport([row(), row({ Company: 'Linear again' })], mapping, []);
+    expect(entries[1].errors).toEqual(['Same email as row 2']);
+  });
+});
+
+describe('getDuplicateChanges', () => {
+  const values = { name: 'Stripe', phone: '+1-555-0199', 'address.city': 'South San Francisco' };
+
+  it('only fills empty fields when merging', () => {
+    expect(getDuplicateChanges(existingCustomers[0], values, 'merge')).toEqual({ phone: '+1-555-0199' });
+  });
+
+  it('replaces existing values when overwriting, keeping the rest of the address', () => {
+    expect(getDuplicateChanges(existingCustomers[0], values, 'overwrite')).toEqual({
+      name: 'Stripe',
+      phone: '+1-555-0199',
+      address: { city: 'South San Francisco', state: 'CA', country: 'USA' }
+    });
+  });
+});
+
+describe('commitImport', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  const entries = () => prepareImport([
+    row(),
+    row({ 'Email Address': 'enterprise@stripe.com', Website: '', Phone: '+1-555-0199' }),
+    row({ Company: '' })
+  ], mapping, existingCustomers);
+
+  it('creates new customers and skips duplicates and invalid rows', async () => {
+    const result = await commitImport(entries(), 'skip');
+
+    expect(crmService.createCustomer).toHaveBeenCalledTimes(1);
+    expect(crmService.updateCustomer).not.toHaveBeenCalled();
+    expect(result).toEqual({ created: 1, updated: 0, skipped: 1, failed: [] });
+  });
+
+  it('updates duplicates when merging and reports failures per row', async () => {
+    crmService.createCustomer.mockRejectedValue(new Error('Quota exceeded'));
+
+    const result = await commitImport(entries(), 'merge');
+
+    expect(crmService.updateCustomer).toHaveBeenCalledWith('1', { phone: '+1-555-0199', revenue: 1200000 });
+    expect(result).toEqual({ created: 0, updated: 1, skipped: 0, failed: [{ rowNumber: 2, message: 'Quota exceeded' }] });
+  });
+});
@@ -0,0 +1,136 @@
+// State of the customer list kept in the URL query string, so a filtered and sorted list survives navigation
+// and can be shared. Saved views store the same query string.
+import { normalizeFilter } from '../../services/customerFilters';
+import { DEFAULT_PAGE_SIZE, PAGE_SIZES } from '../../services/listQuery';
+
+export const CUSTOMER_LIST_DEFAULTS = {
+  search: '',
+  tier: 'all',
+  status: 'all',
+  owner: 'all',
+  sortBy: 'name',
+  sortOrder: 'asc',
+  viewMode: 'table',
+  filter: null,
+  page: 1,
+  pageSize: DEFAULT_PAGE_SIZE
+};
+
+// Query parameter of each field, in the order they are written
+const PARAMS = {
+  search: 'q',
+  tier: 'tier',
+  status: 'status',
+  owner: 'owner',
+  sortBy: 'sort',
+  sortOrder: 'order',
+  viewMode: 'view',
+  filter: 'filter',
+  page: 'page',
+  pageSize: 'size'
+};
+
+// Anything else falls back to the default; search and owner take any value
+const ALLOWED = {
+  tier: ['all', 'enterprise', 'growth', 'startup'],
+  status: ['all', 'active', 'inactive'],
+  sortBy: ['name', 'industry', 'revenue'],
+  sortOrder: ['asc', 'desc'],
+  viewMode: ['table', 'grid']
+};
+
+const toParams = (query) => (typeof query === 'string' ? new URLSearchParams(query) : query);
+
+const parsePage = (value) => (/^[1-9]\d*$/.test(value) ? Number(value) : CUSTOMER_LIST_DEFAULTS.page);
+
+const parsePageSize = (value) => (PAGE_SIZES.includes(Number(value)) ? Number(value) : CUSTOMER_LIST_DEFAULTS.pageSize);
+
+// The filter builder's groups travel as JSON
+const parseFilter = (value) => {
+  try {
+    return normalizeFilter(JSON.parse(value));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Customer list state from a query string
+ * @param {URLSearchParams|string} query - Query of the current URL or of a saved view
+ * @returns {Object} - { search, tier, status, owner, sortBy, sortOrder, viewMode, filter, page, pageSize }
+ */
+export const parseCustomerQuery = (query) => {
+  const params = toParams(query);
+  return Object.fromEntries(Object.entries(PARAMS).map(([field, param]) => {
+    const value = params.get(param);
+    if (field === 'filter') {
+      return [field, value ? parseFilter(value) : null];
+    }
+    if (field === 'page') {
+      return [field, parsePage(value)];
+    }
+    if (field === 'pageSize') {
+      return [field, parsePageSize(value)];
+    }
+    const valid = value && (!ALLOWED[field] || ALLOWED[field].includes(value));
+    return [field, valid ? value : CUSTOMER_LIST_DEFAULTS[field]];
+  }));
+};
+
+/**
+ * Query string of a customer list state, leaving out fields at their default
+ * @param {Object} state - Customer list state, missing fields count as default
+ * @returns {string} - Query string without the leading ?
+ */
+export const buildCustomerQuery = (state) => {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([field, param]) => {
+    if (field === 'filter') {
+      if (state.filter?.rules.length > 0) params.set(param, JSON.stringify(state.filter));
+      return;
+    }
+    const value = state[field];
+    if (value && value !== CUSTOMER_LIST_DEFAULTS[field]) {
+      params.set(param, value);
+    }
+  });
+  return params.toString();
+};
+
+/**
+ * Query string of the list without the page it is on, as saved views store it
+ * @param {URLSearchParams|string} query - Query string
+ * @returns {string} - Query string without the leading ?
+ */
+export const toViewQuery = (query) => buildCustomerQuery({ ...parseCustomerQuery(query), page: 1 });
+
+/**
+ * Whether two query strings describe the same list, regardless of parameter order, invalid values or the page
+ * @param {URLSearchParams|string} a - Query string
+ * @param {URLSearchParams|string} b - Query string
+ * @returns {boolean}
+ */
+export const isSameCustomerQuery = (a, b) => toViewQuery(a) === toViewQuery(b);
+
+const toOwnerId = (owner, userId) => {
+  if (owner === 'all') return undefined;
+  return owner === 'mine' ? userId : owner;
+};
+
+/**
+ * crmService.queryCustomers query for a customer list state
+ * @param {Object} state - Customer list state
+ * @param {string} userId - Signed-in user, for the "My Customers" owner filter
+ * @returns {Object} - Query for crmService.queryCustomers
+ */
+export const toCustomerListQuery = (state, userId) => ({
+  search: state.search,
+  tier: state.tier === 'all' ? undefined : state.tier,
+  status: state.status === 'all' ? undefined : state.status,
+  ownerId: toOwnerId(state.owner, userId),
+  filter: state.filter,
+  sortBy: state.sortBy,
+  sortOrder: state.sortOrder,
+  page: state.page,
+  pageSize: state.pageSize
+});
@@ -0,0 +1,83 @@
+import {
+  buildCustomerQuery,
+  CUSTOMER_LIST_DEFAULTS,
+  isSameCustomerQuery,
+  parseCustomerQuery,
+  toCustomerListQuery,
+  toViewQuery
+} from './customerQuery';
+
+describe('customer list query', () => {
+  it('reads the list state from the query string', () => {
+    expect(parseCustomerQuery('q=stripe&tier=enterprise&sort=revenue&order=desc&view=grid')).toEqual({
+      ...CUSTOMER_LIST_DEFAULTS,
+      search: 'stripe',
+      tier: 'enterprise',
+      sortBy: 'revenue',
+      sortOrder: 'desc',
+      viewMode: 'grid'
+    });
+  });
+
+  it('falls back to the defaults for missing and unknown values', () => {
+    expect(parseCustomerQuery(new URLSearchParams('tier=platinum&sort=health&owner=user2'))).toEqual({
+      ...CUSTOMER_LIST_DEFAULTS,
+      owner: 'user2'
+    });
+  });
+
+  it('writes only what differs from the defaults', () => {
+    expect(buildCustomerQuery(CUSTOMER_LIST_DEFAULTS)).toBe('');
+    expect(buildCustomerQuery({ ...CUSTOMER_LIST_DEFAULTS, search: 'acme co', status: 'inactive' }))
+      .toBe('q=acme+co&status=inactive');
+  });
+
+  it('compares queries by the list they describe', () => {
+    expect(isSameCustomerQuery('order=desc&tier=growth', 'tier=growth&order=desc&sort=name')).toBe(true);
+    expect(isSameCustomerQuery('tier=growth', '')).toBe(false);
+  });
+});
+
+describe('customer list filter query', () => {
+  const filter = { match: 'any', rules: [{ field: 'healthScore', operator: 'lte', value: '79' }] };
+
+  it('carries the filter builder as JSON', () => {
+    const query = buildCustomerQuery({ ...CUSTOMER_LIST_DEFAULTS, filter });
+
+    expect(parseCustomerQuery(query).filter).toEqual(filter);
+    expect(buildCustomerQuery({ ...CUSTOMER_LIST_DEFAULTS, filter: { match: 'all', rules: [] } })).toBe('');
+  });
+
+  it('ignores a filter that is not valid JSON', () => {
+    expect(parseCustomerQuery('filter=%7Bmatch').filter).toBeNull();
+  });
+});
+
+describe('customer list paging', () => {
+  it('keeps the page and page size, but not as part of a view', () => {
+    const state = parseCustomerQuery('tier=growth&page=3&size=50');
+
+    expect(state).toMatchObject({ page: 3, pageSize: 50 });
+    expect(buildCustomerQuery(state)).toBe('tier=growth&page=3&size=50');
+    expect(toViewQuery('page=3&size=50&tier=growth')).toBe('tier=growth&size=50');
+    expect(isSameCustomerQuery('tier=growth&page=3', 'tier=growth')).toBe(true);
+    expect(parseCustomerQuery('page=-1&size=7')).toMatchObject({ page: 1, pageSize: 25 });
+  });
+
+  it('turns the list state into a service query', () => {
+    const state = parseCustomerQuery('owner=mine&status=active&page=2');
+
+    expect(toCustomerListQuery(state, 'user2')).toEqual({
+      search: '',
+      tier: undefined,
+      status: 'active',
+      ownerId: 'user2',
+      filter: null,
+      sortBy: 'name',
+      sortOrder: 'asc',
+      page: 2,
+      pageSize: 25
+    });
+    expect(toCustomerListQuery(parseCustomerQuery('owner=unassigned'), 'user2').ownerId).toBe('unassigned');
+  });
+});
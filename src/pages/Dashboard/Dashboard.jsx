@@ -1,24 +1,121 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { crmService } from '../../services/crmService';
+import { isTaskOverdue } from '../../services/taskService';
+import Button from '../../components/common/Button';
+import TaskList from '../../components/common/TaskList';
+import TaskForm from '../../components/forms/TaskForm';
+import RevenueChart from './RevenueChart';
+import FunnelAnalytics from './FunnelAnalytics';
+import DashboardWidget from './DashboardWidget';
+import {
+  addWidget,
+  createWidget,
+  getAvailableWidgets,
+  getDefaultLayout,
+  getWidget,
+  moveWidget,
+  normalizeLayout,
+  removeWidget,
+  resizeWidget,
+  updateWidgetSettings
+} from './dashboardLayout';
+import useAuth from '../../hooks/useAuth';
+import usePermissions from '../../hooks/usePermissions';
+import useLocalStorage from '../../hooks/useLocalStorage';
 import './Dashboard.css';
 
 const Dashboard = () => {
+  const { user } = useAuth();
+  const { can } = usePermissions();
   const [stats, setStats] = useState(null);
   const [activities, setActivities] = useState([]);
+  const [booksOfBusiness, setBooksOfBusiness] = useState([]);
+  const [myTasks, setMyTasks] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [addingTask, setAddingTask] = useState(false);
+  const [taskError, setTaskError] = useState(null);
+  const [scope, setScope] = useState('all');
+  const [customRange, setCustomRange] = useState(null);
+  const [revenue, setRevenue] = useState(null);
+  const [funnel, setFunnel] = useState(null);
+  const [revenueError, setRevenueError] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [editing, setEditing] = useState(false);
+  const [draggedType, setDraggedType] = useState(null);
+  const [dropType, setDropType] = useState(null);
+
+  const ownerId = scope === 'mine' ? user?.id : null;
+  const canViewBooks = can('assign', 'customers');
+  const userId = user?.id;
+
+  // Each user arranges their own dashboard; until they do, managers and reps start from different layouts
+  const [savedLayout, setSavedLayout] = useLocalStorage(`nexus-crm:dashboard-layout:${userId}`, null);
+  const isAllowed = (widget) => !widget.permission || can(...widget.permission);
+  const layout = normalizeLayout(savedLayout || getDefaultLayout(canViewBooks ? 'manager' : 'rep'), isAllowed);
+  const settingsOf = (type) => (layout.find(item => item.type === type) || createWidget(type)).settings;
+
+  const { range: savedRevenueRange, granularity } = settingsOf('revenue');
+  const revenueRange = customRange ? 'custom' : savedRevenueRange;
+  const topCustomerCount = settingsOf('topCustomers').count;
+  const activityCount = settingsOf('activity').count;
+
+  const fetchMyTasks = useCallback(async () => {
+    if (!userId) return;
+    try {
+      setTaskError(null);
+      const [tasksData, usersData, teamsData] = await Promise.all([
+        crmService.getTasks({ assigneeId: userId, includeDone: false, withRecordNames: true }),
+        crmService.getUsers(),
+        crmService.getTeams()
+      ]);
+      setMyTasks(tasksData);
+      setUsers(usersData);
+      setTeams(teamsData);
+    } catch (err) {
+      setTaskError(err.message);
+    }
+  }, [userId]);
+
+  useEffect(() => {
+    fetchMyTasks();
+  }, [fetchMyTasks]);
+
+  const handleCreateTask = async (taskData) => {
+    try {
+      await crmService.createTask(taskData);
+      setAddingTask(false);
+      await fetchMyTasks();
+    } catch (err) {
+      setTaskError(err.message);
+    }
+  };
+
+  const handleCompleteTask = async (task) => {
+    try {
+      await crmService.completeTask(task.id, !task.done);
+      await fetchMyTasks();
+    } catch (err) {
+      setTaskError(err.message);
+    }
+  };
 
   useEffect(() => {
     const fetchData = async () => {
       try {
         setLoading(true);
-        const [dashboardStats, recentActivities] = await Promise.all([
-          crmService.getDashboardStats(),
-          crmService.getActivities(8)
+        const [dashboardStats, recentActivities, books, funnelAnalytics] = await Promise.all([
+          crmService.getDashboardStats({ ownerId, topCustomerCount }),
+          crmService.getActivities(activityCount, { userId: ownerId }),
+          canViewBooks ? crmService.getBooksOfBusiness() : [],
+          crmService.getFunnelAnalytics({ ownerId })
         ]);
         setStats(dashboardStats);
+        setFunnel(funnelAnalytics);
         setActivities(recentActivities);
+        setBooksOfBusiness(books);
       } catch (err) {
         setError(err.message);
       } finally {
@@ -27,7 +124,81 @@ const Dashboard = () => {
     };
 
     fetchData();
-  }, []);
+  }, [ownerId, canViewBooks, topCustomerCount, activityCount]);
+
+  useEffect(() => {
+    // A custom range is only loaded once both of its dates are picked
+    if (customRange && (!customRange.start || !customRange.end)) return;
+
+    let cancelled = false;
+    const fetchRevenue = async () => {
+      try {
+        const analytics = await crmService.getRevenueAnalytics({
+          range: revenueRange,
+          granularity,
+          start: customRange?.start,
+          end: customRange?.end,
+          ownerId
+        });
+        if (!cancelled) {
+          setRevenue(analytics);
+          setRevenueError(null);
+        }
+      } catch (err) {
+        if (!cancelled) setRevenueError(err.message);
+      }
+    };
+
+    fetchRevenue();
+    return () => {
+      cancelled = true;
+    };
+  }, [revenueRange, granularity, customRange, ownerId]);
+
+  const saveLayout = (nextLayout) => setSavedLayout(nextLayout);
+
+  const updateSettings = (type, settings) => saveLayout(updateWidgetSettings(layout, type, settings));
+
+  const handleRevenueRangeChange = (range) => {
+    if (range === 'custom') {
+      // A custom range starts out as the range on screen, ready to be adjusted
+      setCustomRange(current => current || { start: revenue?.start || '', end: revenue?.end || '' });
+      return;
+    }
+    setCustomRange(null);
+    updateSettings('revenue', { range });
+  };
+
+  const handleAddWidget = (type) => {
+    if (type) saveLayout(addWidget(layout, type));
+  };
+
+  const handleDragStart = (type) => (e) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', type);
+    setDraggedType(type);
+  };
+
+  const handleDragOver = (type) => (e) => {
+    if (!draggedType) return;
+    e.preventDefault();
+    setDropType(type);
+  };
+
+  // The dragged widget takes the place of the one it is dropped on
+  const handleDrop = (type) => (e) => {
+    e.preventDefault();
+    if (draggedType && draggedType !== type) {
+      saveLayout(moveWidget(layout, draggedType, layout.findIndex(item => item.type === type)));
+    }
+    setDraggedType(null);
+    setDropType(null);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedType(null);
+    setDropType(null);
+  };
 
   const formatCurrency = (amount) => {
     if (amount >= 1000000000) {
@@ -51,6 +222,21 @@ const Dashboard = () => {
     return new Intl.NumberFormat('en-US').format(num);
   };
 
+  // Change against the previous period of the revenue chart; hidden when there is nothing to compare with
+  const renderTrend = (change, title) => {
+    if (change === null || change === undefined) return null;
+    const up = change >= 0;
+    return (
+      <span className={`stat-card__trend stat-card__trend--${up ? 'up' : 'down'}`} title={title}>
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="16" height="16">
+          <polyline points={up ? '23 6 13.5 15.5 8.5 10.5 1 18' : '23 18 13.5 8.5 8.5 13.5 1 6'} />
+          <polyline points={up ? '17 6 23 6 23 12' : '17 18 23 18 23 12'} />
+        </svg>
+        {Math.abs(change)}%
+      </span>
+    );
+  };
+
   const getTimeAgo = (timestamp) => {
     const now = new Date();
     const date = new Date(timestamp);
@@ -69,10 +255,13 @@ const Dashboard = () => {
     switch (type) {
       case 'deal_won': return '🎉';
       case 'deal_created': return '✨';
+      case 'deal_stage_changed': return '🔀';
       case 'meeting': return '📅';
       case 'email': return '📧';
       case 'call': return '📞';
+      case 'note': return '📝';
       case 'contact_added': return '👤';
+      case 'task_completed': return '✅';
       default: return '📌';
     }
   };
@@ -84,12 +273,15 @@ const Dashboard = () => {
       case 'meeting': return 'info';
       case 'email': return 'warning';
       case 'call': return 'info';
+      case 'note': return 'neutral';
       case 'contact_added': return 'neutral';
+      case 'task_completed': return 'success';
       default: return 'neutral';
     }
   };
 
-  if (loading) {
+  // Later reloads, such as a change of scope, keep the widgets on screen
+  if (loading && !stats) {
     return (
       <div className="dashboard">
         <div className="dashboard__header">
@@ -120,306 +312,451 @@ const Dashboard = () => {
     );
   }
 
+  const overdueTaskCount = myTasks.filter(task => isTaskOverdue(task)).length;
+
   const pipelineTotal = 
     stats.pipeline.qualification.reduce((sum, d) => sum + d.value, 0) +
     stats.pipeline.proposal.reduce((sum, d) => sum + d.value, 0) +
     stats.pipeline.negotiation.reduce((sum, d) => sum + d.value, 0);
 
-  return (
-    <div className="dashboard">
-      {/* Header */}
-      <div className="dashboard__header">
-        <div className="dashboard__header-content">
-          <h1>Dashboard</h1>
-          <p>Welcome back! Here's what's happening with your business.</p>
-        </div>
-        <div className="dashboard__header-actions">
-          <button className="btn btn--outline">
-            <span>📊</span> Export Report
-          </button>
-          <button className="btn btn--primary">
-            <span>➕</span> New Deal
-          </button>
-        </div>
-      </div>
-
-      {/* Main Stats */}
-      <div className="dashboard__stats">
-        <div className="stat-card stat-card--primary">
-          <div className="stat-card__header">
-            <div className="stat-card__icon stat-card__icon--primary">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M12 2v20M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6" />
-              </svg>
+  const renderWidget = (type) => {
+    switch (type) {
+      case 'stats':
+        return (
+          <div className="dashboard__stats">
+            <div className="stat-card stat-card--primary">
+              <div className="stat-card__header">
+                <div className="stat-card__icon stat-card__icon--primary">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M12 2v20M17 5H9.5a3.5 3.5 0 0 0 0 7h5a3.5 3.5 0 0 1 0 7H6" />
+                  </svg>
+                </div>
+                {renderTrend(revenue?.change, 'Revenue won vs the previous period')}
+              </div>
+              <div className="stat-card__value">{formatCurrency(stats.wonDealValue)}</div>
+              <div className="stat-card__label">Revenue Won</div>
+              <div className="stat-card__sublabel">from {stats.wonDeals} closed deals</div>
             </div>
-            <span className="stat-card__trend stat-card__trend--up">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="16" height="16">
-                <polyline points="23 6 13.5 15.5 8.5 10.5 1 18" />
-                <polyline points="17 6 23 6 23 12" />
-              </svg>
-              12.5%
-            </span>
-          </div>
-          <div className="stat-card__value">{formatCurrency(stats.wonDealValue)}</div>
-          <div className="stat-card__label">Revenue Won</div>
-          <div className="stat-card__sublabel">from {stats.wonDeals} closed deals</div>
-        </div>
 
-        <div className="stat-card">
-          <div className="stat-card__header">
-            <div className="stat-card__icon stat-card__icon--info">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M22 12h-4l-3 9L9 3l-3 9H2" />
-              </svg>
+            <div className="stat-card">
+              <div className="stat-card__header">
+                <div className="stat-card__icon stat-card__icon--info">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M22 12h-4l-3 9L9 3l-3 9H2" />
+                  </svg>
+                </div>
+                {renderTrend(revenue?.pipelineChange, 'Value of new deals vs the previous period')}
+              </div>
+              <div className="stat-card__value">{formatCurrency(pipelineTotal)}</div>
+              <div className="stat-card__label">Pipeline Value</div>
+              <div className="stat-card__sublabel">{stats.activeDeals} active deals</div>
             </div>
-            <span className="stat-card__trend stat-card__trend--up">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="16" height="16">
-                <polyline points="23 6 13.5 15.5 8.5 10.5 1 18" />
-                <polyline points="17 6 23 6 23 12" />
-              </svg>
-              8.2%
-            </span>
-          </div>
-          <div className="stat-card__value">{formatCurrency(pipelineTotal)}</div>
-          <div className="stat-card__label">Pipeline Value</div>
-          <div className="stat-card__sublabel">{stats.activeDeals} active deals</div>
-        </div>
 
-        <div className="stat-card">
-          <div className="stat-card__header">
-            <div className="stat-card__icon stat-card__icon--success">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2" />
-                <circle cx="9" cy="7" r="4" />
-                <path d="M23 21v-2a4 4 0 0 0-3-3.87" />
-                <path d="M16 3.13a4 4 0 0 1 0 7.75" />
-              </svg>
+            <div className="stat-card">
+              <div className="stat-card__header">
+                <div className="stat-card__icon stat-card__icon--success">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M17 21v-2a4 4 0 0 0-4-4H5a4 4 0 0 0-4 4v2" />
+                    <circle cx="9" cy="7" r="4" />
+                    <path d="M23 21v-2a4 4 0 0 0-3-3.87" />
+                    <path d="M16 3.13a4 4 0 0 1 0 7.75" />
+                  </svg>
+                </div>
+              </div>
+              <div className="stat-card__value">{stats.activeCustomers}</div>
+              <div className="stat-card__label">Active Customers</div>
+              <div className="stat-card__sublabel">{stats.totalContacts} total contacts</div>
             </div>
-          </div>
-          <div className="stat-card__value">{stats.activeCustomers}</div>
-          <div className="stat-card__label">Active Customers</div>
-          <div className="stat-card__sublabel">{stats.totalContacts} total contacts</div>
-        </div>
 
-        <div className="stat-card">
-          <div className="stat-card__header">
-            <div className="stat-card__icon stat-card__icon--warning">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <circle cx="12" cy="12" r="10" />
-                <polyline points="12 6 12 12 16 14" />
-              </svg>
+            <div className="stat-card">
+              <div className="stat-card__header">
+                <div className="stat-card__icon stat-card__icon--warning">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <circle cx="12" cy="12" r="10" />
+                    <polyline points="12 6 12 12 16 14" />
+                  </svg>
+                </div>
+              </div>
+              <div className="stat-card__value">{stats.conversionRate.toFixed(0)}%</div>
+              <div className="stat-card__label">Win Rate</div>
+              <div className="stat-card__sublabel">vs {stats.lostDeals} lost</div>
             </div>
           </div>
-          <div className="stat-card__value">{stats.conversionRate.toFixed(0)}%</div>
-          <div className="stat-card__label">Win Rate</div>
-          <div className="stat-card__sublabel">vs {stats.lostDeals} lost</div>
-        </div>
-      </div>
-
-      {/* Main Content Grid */}
-      <div className="dashboard__grid">
-        {/* Revenue Chart */}
-        <div className="dashboard__card dashboard__card--chart">
-          <div className="card__header">
-            <h3>Revenue Trend</h3>
-            <div className="card__header-actions">
-              <button className="card__tab card__tab--active">6 Months</button>
-              <button className="card__tab">1 Year</button>
+        );
+      case 'tasks':
+        return (
+          <div className="dashboard__card dashboard__card--tasks">
+            <div className="card__header">
+              <h3>
+                My Tasks
+                {overdueTaskCount > 0 && <span className="dashboard__overdue">{overdueTaskCount} overdue</span>}
+              </h3>
+              {can('create', 'tasks') && !addingTask && (
+                <Button variant="secondary" size="small" onClick={() => setAddingTask(true)}>
+                  New Task
+                </Button>
+              )}
             </div>
+            {taskError && <p className="dashboard__task-error" role="alert">{taskError}</p>}
+            {addingTask && (
+              <TaskForm
+                users={users}
+                teams={teams}
+                canLogActivity={false}
+                onSubmit={handleCreateTask}
+                onCancel={() => setAddingTask(false)}
+              />
+            )}
+            <TaskList
+              tasks={myTasks}
+              showRecord
+              onToggle={handleCompleteTask}
+              emptyMessage="You're all caught up"
+            />
           </div>
-          <div className="chart-container">
-            <div className="chart-bars">
-              {stats.monthlyRevenue.map((item, index) => (
-                <div key={item.month} className="chart-bar-wrapper" style={{ animationDelay: `${index * 0.1}s` }}>
-                  <div className="chart-bar-value">{formatCurrency(item.value)}</div>
+        );
+      case 'revenue':
+        return (
+          <div className="dashboard__card dashboard__card--chart">
+            <RevenueChart
+              analytics={revenue}
+              range={revenueRange}
+              granularity={granularity}
+              customStart={customRange?.start || ''}
+              customEnd={customRange?.end || ''}
+              error={revenueError}
+              formatValue={formatCurrency}
+              onRangeChange={handleRevenueRangeChange}
+              onGranularityChange={(value) => updateSettings('revenue', { granularity: value })}
+              onCustomChange={setCustomRange}
+            />
+          </div>
+        );
+      case 'pipeline':
+        return (
+          <div className="dashboard__card dashboard__card--pipeline">
+            <div className="card__header">
+              <h3>Sales Pipeline</h3>
+              <Link to="/deals" className="card__link">View All →</Link>
+            </div>
+            <div className="pipeline-stages">
+              <div className="pipeline-stage">
+                <div className="pipeline-stage__header">
+                  <span className="pipeline-stage__name">Qualification</span>
+                  <span className="pipeline-stage__count">{stats.pipeline.qualification.length}</span>
+                </div>
+                <div className="pipeline-stage__bar">
                   <div 
-                    className="chart-bar" 
-                    style={{ 
-                      height: `${(item.value / Math.max(...stats.monthlyRevenue.map(m => m.value))) * 180}px` 
-                    }}
+                    className="pipeline-stage__fill pipeline-stage__fill--qualification"
+                    style={{ width: `${stats.activeDeals ? (stats.pipeline.qualification.length / stats.activeDeals) * 100 : 0}%` }}
                   />
-                  <div className="chart-bar-label">{item.month}</div>
                 </div>
-              ))}
-            </div>
-          </div>
-        </div>
-
-        {/* Pipeline */}
-        <div className="dashboard__card dashboard__card--pipeline">
-          <div className="card__header">
-            <h3>Sales Pipeline</h3>
-            <Link to="/deals" className="card__link">View All →</Link>
-          </div>
-          <div className="pipeline-stages">
-            <div className="pipeline-stage">
-              <div className="pipeline-stage__header">
-                <span className="pipeline-stage__name">Qualification</span>
-                <span className="pipeline-stage__count">{stats.pipeline.qualification.length}</span>
+                <div className="pipeline-stage__value">
+                  {formatCurrency(stats.pipeline.qualification.reduce((sum, d) => sum + d.value, 0))}
+                </div>
               </div>
-              <div className="pipeline-stage__bar">
-                <div 
-                  className="pipeline-stage__fill pipeline-stage__fill--qualification"
-                  style={{ width: `${(stats.pipeline.qualification.length / stats.activeDeals) * 100}%` }}
-                />
+
+              <div className="pipeline-stage">
+                <div className="pipeline-stage__header">
+                  <span className="pipeline-stage__name">Proposal</span>
+                  <span className="pipeline-stage__count">{stats.pipeline.proposal.length}</span>
+                </div>
+                <div className="pipeline-stage__bar">
+                  <div 
+                    className="pipeline-stage__fill pipeline-stage__fill--proposal"
+                    style={{ width: `${stats.activeDeals ? (stats.pipeline.proposal.length / stats.activeDeals) * 100 : 0}%` }}
+                  />
+                </div>
+                <div className="pipeline-stage__value">
+                  {formatCurrency(stats.pipeline.proposal.reduce((sum, d) => sum + d.value, 0))}
+                </div>
               </div>
-              <div className="pipeline-stage__value">
-                {formatCurrency(stats.pipeline.qualification.reduce((sum, d) => sum + d.value, 0))}
+
+              <div className="pipeline-stage">
+                <div className="pipeline-stage__header">
+                  <span className="pipeline-stage__name">Negotiation</span>
+                  <span className="pipeline-stage__count">{stats.pipeline.negotiation.length}</span>
+                </div>
+                <div className="pipeline-stage__bar">
+                  <div 
+                    className="pipeline-stage__fill pipeline-stage__fill--negotiation"
+                    style={{ width: `${stats.activeDeals ? (stats.pipeline.negotiation.length / stats.activeDeals) * 100 : 0}%` }}
+                  />
+                </div>
+                <div className="pipeline-stage__value">
+                  {formatCurrency(stats.pipeline.negotiation.reduce((sum, d) => sum + d.value, 0))}
+                </div>
               </div>
             </div>
-            
-            <div className="pipeline-stage">
-              <div className="pipeline-stage__header">
-                <span className="pipeline-stage__name">Proposal</span>
-                <span className="pipeline-stage__count">{stats.pipeline.proposal.length}</span>
-              </div>
-              <div className="pipeline-stage__bar">
-                <div 
-                  className="pipeline-stage__fill pipeline-stage__fill--proposal"
-                  style={{ width: `${(stats.pipeline.proposal.length / stats.activeDeals) * 100}%` }}
-                />
+
+            <div className="pipeline-summary">
+              <div className="pipeline-summary__item">
+                <span className="pipeline-summary__label">Won Deals</span>
+                <span className="pipeline-summary__value pipeline-summary__value--success">{stats.wonDeals}</span>
               </div>
-              <div className="pipeline-stage__value">
-                {formatCurrency(stats.pipeline.proposal.reduce((sum, d) => sum + d.value, 0))}
+              <div className="pipeline-summary__item">
+                <span className="pipeline-summary__label">Lost Deals</span>
+                <span className="pipeline-summary__value pipeline-summary__value--danger">{stats.lostDeals}</span>
               </div>
             </div>
-            
-            <div className="pipeline-stage">
-              <div className="pipeline-stage__header">
-                <span className="pipeline-stage__name">Negotiation</span>
-                <span className="pipeline-stage__count">{stats.pipeline.negotiation.length}</span>
-              </div>
-              <div className="pipeline-stage__bar">
-                <div 
-                  className="pipeline-stage__fill pipeline-stage__fill--negotiation"
-                  style={{ width: `${(stats.pipeline.negotiation.length / stats.activeDeals) * 100}%` }}
-                />
-              </div>
-              <div className="pipeline-stage__value">
-                {formatCurrency(stats.pipeline.negotiation.reduce((sum, d) => sum + d.value, 0))}
-              </div>
+          </div>
+        );
+      case 'topCustomers':
+        return (
+          <div className="dashboard__card dashboard__card--customers">
+            <div className="card__header">
+              <h3>Top Customers</h3>
+              <Link to="/customers" className="card__link">View All →</Link>
+            </div>
+            <div className="top-customers">
+              {stats.topCustomers.map((customer, index) => (
+                <div key={customer.id} className="top-customer" style={{ animationDelay: `${index * 0.1}s` }}>
+                  <div className="top-customer__rank">#{index + 1}</div>
+                  <div className="top-customer__avatar">
+                    <img 
+                      src={customer.logo} 
+                      alt={customer.name}
+                      onError={(e) => {
+                        e.target.onerror = null;
+                        e.target.src = `https://ui-avatars.com/api/?name=${encodeURIComponent(customer.name)}&background=6366f1&color=fff`;
+                      }}
+                    />
+                  </div>
+                  <div className="top-customer__info">
+                    <div className="top-customer__name">{customer.name}</div>
+                    <div className="top-customer__industry">{customer.industry}</div>
+                  </div>
+                  <div className="top-customer__value">{formatCurrency(customer.dealValue)}</div>
+                </div>
+              ))}
             </div>
           </div>
-
-          <div className="pipeline-summary">
-            <div className="pipeline-summary__item">
-              <span className="pipeline-summary__label">Won Deals</span>
-              <span className="pipeline-summary__value pipeline-summary__value--success">{stats.wonDeals}</span>
+        );
+      case 'activity':
+        return (
+          <div className="dashboard__card dashboard__card--activity">
+            <div className="card__header">
+              <h3>Recent Activity</h3>
+              <button className="card__link">View All →</button>
             </div>
-            <div className="pipeline-summary__item">
-              <span className="pipeline-summary__label">Lost Deals</span>
-              <span className="pipeline-summary__value pipeline-summary__value--danger">{stats.lostDeals}</span>
+            <div className="activity-feed">
+              {activities.map((activity, index) => (
+                <div 
+                  key={activity.id} 
+                  className="activity-item"
+                  style={{ animationDelay: `${index * 0.05}s` }}
+                >
+                  <div className={`activity-item__icon activity-item__icon--${getActivityColor(activity.type)}`}>
+                    {getActivityIcon(activity.type)}
+                  </div>
+                  <div className="activity-item__content">
+                    <div className="activity-item__title">{activity.title}</div>
+                    <div className="activity-item__description">{activity.description}</div>
+                    {activity.value && (
+                      <div className="activity-item__value">{formatCurrency(activity.value)}</div>
+                    )}
+                  </div>
+                  <div className="activity-item__time">{getTimeAgo(activity.timestamp)}</div>
+                </div>
+              ))}
             </div>
           </div>
-        </div>
-
-        {/* Top Customers */}
-        <div className="dashboard__card dashboard__card--customers">
-          <div className="card__header">
-            <h3>Top Customers</h3>
-            <Link to="/customers" className="card__link">View All →</Link>
+        );
+      case 'funnel':
+        return (
+          <div className="dashboard__card dashboard__card--funnel">
+            <div className="card__header">
+              <h3>Pipeline Funnel</h3>
+              <Link to="/deals" className="card__link">View Deals →</Link>
+            </div>
+            <FunnelAnalytics analytics={funnel} />
           </div>
-          <div className="top-customers">
-            {stats.topCustomers.map((customer, index) => (
-              <div key={customer.id} className="top-customer" style={{ animationDelay: `${index * 0.1}s` }}>
-                <div className="top-customer__rank">#{index + 1}</div>
-                <div className="top-customer__avatar">
-                  <img 
-                    src={customer.logo} 
-                    alt={customer.name}
-                    onError={(e) => {
-                      e.target.onerror = null;
-                      e.target.src = `https://ui-avatars.com/api/?name=${encodeURIComponent(customer.name)}&background=6366f1&color=fff`;
-                    }}
-                  />
+        );
+      case 'books':
+        return (
+          <div className="dashboard__card dashboard__card--books">
+            <div className="card__header">
+              <h3>Books of Business</h3>
+              <Link to="/customers" className="card__link">Reassign →</Link>
+            </div>
+            <table className="books-table">
+              <thead>
+                <tr>
+                  <th>Owner</th>
+                  <th>Team</th>
+                  <th>Customers</th>
+                  <th>Open Deals</th>
+                  <th>Pipeline</th>
+                  <th>Won</th>
+                </tr>
+              </thead>
+              <tbody>
+                {booksOfBusiness.map(book => (
+                  <tr key={book.owner?.id || 'unassigned'}>
+                    <td className="books-table__owner">{book.owner ? book.owner.name : 'Unassigned'}</td>
+                    <td>{book.team ? book.team.name : '-'}</td>
+                    <td>{book.customers}</td>
+                    <td>{book.openDeals}</td>
+                    <td>{formatCurrency(book.pipelineValue)}</td>
+                    <td>{formatCurrency(book.wonValue)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      case 'quickActions':
+        return (
+          <div className="dashboard__quick-actions">
+            <h3>Quick Actions</h3>
+            <div className="quick-actions__grid">
+              <Link to="/customers" className="quick-action">
+                <div className="quick-action__icon">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2" />
+                    <circle cx="9" cy="7" r="4" />
+                    <line x1="19" y1="8" x2="19" y2="14" />
+                    <line x1="22" y1="11" x2="16" y2="11" />
+                  </svg>
                 </div>
-                <div className="top-customer__info">
-                  <div className="top-customer__name">{customer.name}</div>
-                  <div className="top-customer__industry">{customer.industry}</div>
+                <span>Add Customer</span>
+              </Link>
+              <Link to="/contacts" className="quick-action">
+                <div className="quick-action__icon">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2" />
+                    <circle cx="12" cy="7" r="4" />
+                  </svg>
                 </div>
-                <div className="top-customer__value">{formatCurrency(customer.dealValue)}</div>
-              </div>
-            ))}
+                <span>Add Contact</span>
+              </Link>
+              <Link to="/deals" className="quick-action">
+                <div className="quick-action__icon">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <rect x="2" y="7" width="20" height="14" rx="2" ry="2" />
+                    <path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16" />
+                  </svg>
+                </div>
+                <span>Create Deal</span>
+              </Link>
+              <button className="quick-action">
+                <div className="quick-action__icon">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                    <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
+                    <polyline points="14 2 14 8 20 8" />
+                    <line x1="16" y1="13" x2="8" y2="13" />
+                    <line x1="16" y1="17" x2="8" y2="17" />
+                    <polyline points="10 9 9 9 8 9" />
+                  </svg>
+                </div>
+                <span>Generate Report</span>
+              </button>
+            </div>
           </div>
-        </div>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const availableWidgets = getAvailableWidgets(layout, isAllowed);
 
-        {/* Recent Activity */}
-        <div className="dashboard__card dashboard__card--activity">
-          <div className="card__header">
-            <h3>Recent Activity</h3>
-            <button className="card__link">View All →</button>
+  return (
+    <div className="dashboard">
+      {/* Header */}
+      <div className="dashboard__header">
+        <div className="dashboard__header-content">
+          <h1>Dashboard</h1>
+          <p>Welcome back! Here's what's happening with your business.</p>
+        </div>
+        <div className="dashboard__header-actions">
+          <div className="dashboard__scope" role="group" aria-label="Dashboard scope">
+            <button
+              className={`card__tab ${scope === 'all' ? 'card__tab--active' : ''}`}
+              aria-pressed={scope === 'all'}
+              onClick={() => setScope('all')}
+            >
+              All Deals
+            </button>
+            <button
+              className={`card__tab ${scope === 'mine' ? 'card__tab--active' : ''}`}
+              aria-pressed={scope === 'mine'}
+              onClick={() => setScope('mine')}
+            >
+              My Deals
+            </button>
           </div>
-          <div className="activity-feed">
-            {activities.map((activity, index) => (
-              <div 
-                key={activity.id} 
-                className="activity-item"
-                style={{ animationDelay: `${index * 0.05}s` }}
+          {editing ? (
+            <>
+              <select
+                className="dashboard__add-widget"
+                aria-label="Add widget"
+                value=""
+                disabled={availableWidgets.length === 0}
+                onChange={(e) => handleAddWidget(e.target.value)}
               >
-                <div className={`activity-item__icon activity-item__icon--${getActivityColor(activity.type)}`}>
-                  {getActivityIcon(activity.type)}
-                </div>
-                <div className="activity-item__content">
-                  <div className="activity-item__title">{activity.title}</div>
-                  <div className="activity-item__description">{activity.description}</div>
-                  {activity.value && (
-                    <div className="activity-item__value">{formatCurrency(activity.value)}</div>
-                  )}
-                </div>
-                <div className="activity-item__time">{getTimeAgo(activity.timestamp)}</div>
-              </div>
-            ))}
-          </div>
+                <option value="">Add widget…</option>
+                {availableWidgets.map(widget => (
+                  <option key={widget.type} value={widget.type}>{widget.title}</option>
+                ))}
+              </select>
+              <button className="btn btn--outline" onClick={() => saveLayout(null)}>
+                Reset Layout
+              </button>
+              <button className="btn btn--primary" onClick={() => setEditing(false)}>
+                Done
+              </button>
+            </>
+          ) : (
+            <button className="btn btn--outline" onClick={() => setEditing(true)}>
+              <span>🧩</span> Customize
+            </button>
+          )}
+          <button className="btn btn--outline">
+            <span>📊</span> Export Report
+          </button>
+          <button className="btn btn--primary">
+            <span>➕</span> New Deal
+          </button>
         </div>
       </div>
 
-      {/* Quick Actions */}
-      <div className="dashboard__quick-actions">
-        <h3>Quick Actions</h3>
-        <div className="quick-actions__grid">
-          <Link to="/customers" className="quick-action">
-            <div className="quick-action__icon">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2" />
-                <circle cx="9" cy="7" r="4" />
-                <line x1="19" y1="8" x2="19" y2="14" />
-                <line x1="22" y1="11" x2="16" y2="11" />
-              </svg>
-            </div>
-            <span>Add Customer</span>
-          </Link>
-          <Link to="/contacts" className="quick-action">
-            <div className="quick-action__icon">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2" />
-                <circle cx="12" cy="7" r="4" />
-              </svg>
-            </div>
-            <span>Add Contact</span>
-          </Link>
-          <Link to="/deals" className="quick-action">
-            <div className="quick-action__icon">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <rect x="2" y="7" width="20" height="14" rx="2" ry="2" />
-                <path d="M16 21V5a2 2 0 0 0-2-2h-4a2 2 0 0 0-2 2v16" />
-              </svg>
-            </div>
-            <span>Create Deal</span>
-          </Link>
-          <button className="quick-action">
-            <div className="quick-action__icon">
-              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
-                <path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z" />
-                <polyline points="14 2 14 8 20 8" />
-                <line x1="16" y1="13" x2="8" y2="13" />
-                <line x1="16" y1="17" x2="8" y2="17" />
-                <polyline points="10 9 9 9 8 9" />
-              </svg>
-            </div>
-            <span>Generate Report</span>
-          </button>
+      {/* Widgets */}
+      {layout.length === 0 ? (
+        <div className="dashboard__empty">
+          <p>Your dashboard has no widgets.</p>
+          {!editing && (
+            <button className="btn btn--outline" onClick={() => setEditing(true)}>
+              Add Widgets
+            </button>
+          )}
         </div>
-      </div>
+      ) : (
+        <div className="dashboard__widgets">
+          {layout.map((item, index) => (
+            <DashboardWidget
+              key={item.type}
+              widget={getWidget(item.type)}
+              item={item}
+              editing={editing}
+              isFirst={index === 0}
+              isLast={index === layout.length - 1}
+              dragging={draggedType === item.type}
+              dropTarget={dropType === item.type && draggedType !== item.type}
+              onMove={(offset) => saveLayout(moveWidget(layout, item.type, index + offset))}
+              onResize={(size) => saveLayout(resizeWidget(layout, item.type, size))}
+              onSettingsChange={(settings) => updateSettings(item.type, settings)}
+              onRemove={() => saveLayout(removeWidget(layout, item.type))}
+              onDragStart={handleDragStart(item.type)}
+              onDragOver={handleDragOver(item.type)}
+              onDrop={handleDrop(item.type)}
+              onDragEnd={handleDragEnd}
+            >
+              {renderWidget(item.type)}
+            </DashboardWidget>
+          ))}
+        </div>
+      )}
     </div>
   );
 };
@@ -0,0 +1,149 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { WIDGET_SIZES } from './dashboardLayout';
+import './DashboardWidget.css';
+
+/**
+ * Slot of one widget on the dashboard grid. While the dashboard is being customized it can be dragged,
+ * moved, resized, configured and removed.
+ */
+const DashboardWidget = ({
+  widget,
+  item,
+  editing,
+  isFirst,
+  isLast,
+  dragging,
+  dropTarget,
+  onMove,
+  onResize,
+  onSettingsChange,
+  onRemove,
+  onDragStart,
+  onDragOver,
+  onDrop,
+  onDragEnd,
+  children
+}) => {
+  const classes = [
+    'dashboard-widget',
+    `dashboard-widget--${item.size}`,
+    editing && 'dashboard-widget--editing',
+    dragging && 'dashboard-widget--dragging',
+    dropTarget && 'dashboard-widget--drop-target'
+  ].filter(Boolean).join(' ');
+
+  if (!editing) {
+    return <section className={classes} aria-label={widget.title}>{children}</section>;
+  }
+
+  return (
+    <section
+      className={classes}
+      aria-label={widget.title}
+      draggable
+      onDragStart={onDragStart}
+      onDragOver={onDragOver}
+      onDrop={onDrop}
+      onDragEnd={onDragEnd}
+    >
+      <div className="dashboard-widget__toolbar">
+        <span className="dashboard-widget__handle" aria-hidden="true">⠿</span>
+        <span className="dashboard-widget__title">{widget.title}</span>
+        <div className="dashboard-widget__controls">
+          {widget.settings?.map(setting => (
+            <select
+              key={setting.id}
+              className="dashboard-widget__select"
+              aria-label={`${widget.title} ${setting.label.toLowerCase()}`}
+              value={item.settings[setting.id]}
+              onChange={(e) => {
+                const choice = setting.options.find(option => String(option.value) === e.target.value);
+                onSettingsChange({ [setting.id]: choice.value });
+              }}
+            >
+              {setting.options.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          ))}
+          {widget.sizes.length > 1 && (
+            <select
+              className="dashboard-widget__select"
+              aria-label={`${widget.title} size`}
+              value={item.size}
+              onChange={(e) => onResize(e.target.value)}
+            >
+              {WIDGET_SIZES.filter(size => widget.sizes.includes(size.id)).map(size => (
+                <option key={size.id} value={size.id}>{size.label}</option>
+              ))}
+            </select>
+          )}
+          <button
+            className="dashboard-widget__button"
+            aria-label={`Move ${widget.title} earlier`}
+            disabled={isFirst}
+            onClick={() => onMove(-1)}
+          >
+            ↑
+          </button>
+          <button
+            className="dashboard-widget__button"
+            aria-label={`Move ${widget.title} later`}
+            disabled={isLast}
+            onClick={() => onMove(1)}
+          >
+            ↓
+          </button>
+          <button
+            className="dashboard-widget__button dashboard-widget__button--remove"
+            aria-label={`Remove ${widget.title}`}
+            onClick={onRemove}
+          >
+            ✕
+          </button>
+        </div>
+      </div>
+      <div className="dashboard-widget__body">{children}</div>
+    </section>
+  );
+};
+
+DashboardWidget.propTypes = {
+  // Definition from DASHBOARD_WIDGETS
+  widget: PropTypes.shape({
+    type: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired,
+    sizes: PropTypes.arrayOf(PropTypes.string).isRequired,
+    settings: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      options: PropTypes.arrayOf(PropTypes.shape({
+        value: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+        label: PropTypes.string.isRequired
+      })).isRequired
+    }))
+  }).isRequired,
+  // Layout item of the widget
+  item: PropTypes.shape({
+    type: PropTypes.string.isRequired,
+    size: PropTypes.string.isRequired,
+    settings: PropTypes.object.isRequired
+  }).isRequired,
+  editing: PropTypes.bool,
+  isFirst: PropTypes.bool,
+  isLast: PropTypes.bool,
+  dragging: PropTypes.bool,
+  dropTarget: PropTypes.bool,
+  onMove: PropTypes.func,
+  onResize: PropTypes.func,
+  onSettingsChange: PropTypes.func,
+  onRemove: PropTypes.func,
+  onDragStart: PropTypes.func,
+  onDragOver: PropTypes.func,
+  onDrop: PropTypes.func,
+  onDragEnd: PropTypes.func,
+  children: PropTypes.node.isRequired
+};
+
+export default DashboardWidget;
@@ -0,0 +1,112 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import './FunnelAnalytics.css';
+
+const formatDays = (days) => (days === null ? '-' : `${Math.round(days)}d`);
+
+const formatRate = (rate) => (rate === null ? '-' : `${rate}%`);
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const WinRateTable = ({ title, groups }) => (
+  <div className="funnel__breakdown">
+    <h4>{title}</h4>
+    {groups.length === 0 ? (
+      <p className="funnel__empty">No closed deals yet</p>
+    ) : (
+      <table className="funnel__table" aria-label={title}>
+        <tbody>
+          {groups.map(group => (
+            <tr key={group.key}>
+              <td>{group.key === 'unknown' ? 'Unknown' : capitalize(group.key)}</td>
+              <td className="funnel__table-count">{group.won} won / {group.lost} lost</td>
+              <td className="funnel__table-rate">{formatRate(group.winRate)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+  </div>
+);
+
+WinRateTable.propTypes = {
+  title: PropTypes.string.isRequired,
+  groups: PropTypes.arrayOf(PropTypes.shape({
+    key: PropTypes.string.isRequired,
+    won: PropTypes.number.isRequired,
+    lost: PropTypes.number.isRequired,
+    winRate: PropTypes.number
+  })).isRequired
+};
+
+/**
+ * Stage-to-stage conversion, time in stage, win rates and cycle length of the pipeline
+ */
+const FunnelAnalytics = ({ analytics }) => {
+  const top = analytics.stages[0]?.reached || 0;
+
+  return (
+    <div className="funnel">
+      <div className="funnel__summary">
+        <div className="funnel__metric">
+          <span className="funnel__metric-value">{formatRate(analytics.winRate)}</span>
+          <span className="funnel__metric-label">Win rate</span>
+        </div>
+        <div className="funnel__metric">
+          <span className="funnel__metric-value">{formatDays(analytics.averageCycleDays)}</span>
+          <span className="funnel__metric-label">Average cycle, {analytics.wonDeals} won deals</span>
+        </div>
+      </div>
+
+      <ol className="funnel__stages" aria-label="Pipeline funnel">
+        {analytics.stages.map(stage => (
+          <li key={stage.id} className="funnel__stage">
+            <div className="funnel__stage-header">
+              <span className="funnel__stage-name">{stage.label}</span>
+              <span className="funnel__stage-reached">{stage.reached} deals</span>
+            </div>
+            <div className="funnel__bar">
+              <div className="funnel__fill" style={{ width: `${top ? (stage.reached / top) * 100 : 0}%` }} />
+            </div>
+            <div className="funnel__stage-meta">
+              {stage.conversionRate !== null && <span>{formatRate(stage.conversionRate)} move on</span>}
+              {stage.averageDays !== null && <span>{formatDays(stage.averageDays)} in stage on average</span>}
+              {stage.openDeals > 0 && <span>{stage.openDeals} open, {formatDays(stage.openAverageDays)} so far</span>}
+              {stage.stalledDeals > 0 && (
+                <span className="funnel__stalled">{stage.stalledDeals} stalled</span>
+              )}
+            </div>
+          </li>
+        ))}
+      </ol>
+
+      <div className="funnel__breakdowns">
+        <WinRateTable title="Win rate by industry" groups={analytics.winRateByIndustry} />
+        <WinRateTable title="Win rate by tier" groups={analytics.winRateByTier} />
+      </div>
+    </div>
+  );
+};
+
+FunnelAnalytics.propTypes = {
+  // Result of crmService.getFunnelAnalytics
+  analytics: PropTypes.shape({
+    stages: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      reached: PropTypes.number.isRequired,
+      conversionRate: PropTypes.number,
+      averageDays: PropTypes.number,
+      openDeals: PropTypes.number.isRequired,
+      openAverageDays: PropTypes.number,
+      stalledDeals: PropTypes.number.isRequired
+    })).isRequired,
+    winRate: PropTypes.number,
+    winRateByIndustry: PropTypes.array.isRequired,
+    winRateByTier: PropTypes.array.isRequired,
+    averageCycleDays: PropTypes.number,
+    wonDeals: PropTypes.number.isRequired
+  }).isRequired
+};
+
+export default FunnelAnalytics;
@@ -0,0 +1,174 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { REVENUE_GRANULARITIES, REVENUE_RANGES } from '../../services/revenueService';
+import './RevenueChart.css';
+
+const BAR_HEIGHT = 180;
+
+// Beyond this many buckets the values are left to the tooltips and only some labels are shown
+const MAX_LABELLED_BUCKETS = 12;
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const formatChange = (change) => `${change > 0 ? '+' : ''}${change}%`;
+
+/**
+ * Won revenue over a selectable range and granularity, with the previous period alongside
+ */
+const RevenueChart = ({
+  analytics,
+  range,
+  granularity,
+  customStart,
+  customEnd,
+  error,
+  formatValue,
+  onRangeChange,
+  onGranularityChange,
+  onCustomChange
+}) => {
+  const buckets = analytics?.buckets || [];
+  const max = Math.max(0, ...buckets.map(bucket => Math.max(bucket.value, bucket.previousValue)));
+  const dense = buckets.length > MAX_LABELLED_BUCKETS;
+  const labelEvery = Math.ceil(buckets.length / MAX_LABELLED_BUCKETS);
+  const height = (value) => `${max > 0 ? (value / max) * BAR_HEIGHT : 0}px`;
+
+  return (
+    <div className="revenue-chart">
+      <div className="card__header">
+        <h3>Revenue Trend</h3>
+        <div className="card__header-actions">
+          <div className="revenue-chart__ranges" role="group" aria-label="Revenue range">
+            {REVENUE_RANGES.map(option => (
+              <button
+                key={option.id}
+                className={`card__tab ${range === option.id ? 'card__tab--active' : ''}`}
+                aria-pressed={range === option.id}
+                onClick={() => onRangeChange(option.id)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+          <select
+            className="revenue-chart__select"
+            aria-label="Granularity"
+            value={granularity}
+            onChange={(e) => onGranularityChange(e.target.value)}
+          >
+            {REVENUE_GRANULARITIES.map(option => (
+              <option key={option.id} value={option.id}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {range === 'custom' && (
+        <div className="revenue-chart__custom">
+          <label>
+            From
+            <input
+              type="date"
+              value={customStart}
+              max={customEnd || undefined}
+              onChange={(e) => onCustomChange({ start: e.target.value, end: customEnd })}
+            />
+          </label>
+          <label>
+            To
+            <input
+              type="date"
+              value={customEnd}
+              min={customStart || undefined}
+              onChange={(e) => onCustomChange({ start: customStart, end: e.target.value })}
+            />
+          </label>
+        </div>
+      )}
+
+      {error && <p className="revenue-chart__error" role="alert">{error}</p>}
+
+      {analytics && !error && (
+        <>
+          <div className="revenue-chart__summary">
+            <div>
+              <span className="revenue-chart__total">{formatValue(analytics.total)}</span>
+              <span className="revenue-chart__period">
+                {formatDay(analytics.start)} – {formatDay(analytics.end)}
+              </span>
+            </div>
+            <div className="revenue-chart__comparison">
+              <span className="revenue-chart__legend revenue-chart__legend--previous">
+                Previous period {formatValue(analytics.previousTotal)}
+              </span>
+              {analytics.change !== null && (
+                <span
+                  className={`revenue-chart__change revenue-chart__change--${analytics.change >= 0 ? 'up' : 'down'}`}
+                >
+                  {formatChange(analytics.change)}
+                </span>
+              )}
+            </div>
+          </div>
+
+          {analytics.total === 0 && analytics.previousTotal === 0 ? (
+            <p className="revenue-chart__empty">No deals were won in this period</p>
+          ) : (
+            <div className="chart-container">
+              <div className={`chart-bars ${dense ? 'chart-bars--dense' : ''}`}>
+                {buckets.map((bucket, index) => (
+                  <div
+                    key={bucket.key}
+                    className="chart-bar-wrapper"
+                    style={{ animationDelay: `${Math.min(index, MAX_LABELLED_BUCKETS) * 0.05}s` }}
+                    title={`${bucket.fullLabel}: ${formatValue(bucket.value)} from ${bucket.deals} deals` +
+                      ` (previous period ${formatValue(bucket.previousValue)})`}
+                  >
+                    {!dense && <div className="chart-bar-value">{formatValue(bucket.value)}</div>}
+                    <div className="revenue-chart__bars">
+                      <div className="chart-bar revenue-chart__bar--previous" style={{ height: height(bucket.previousValue) }} />
+                      <div className="chart-bar revenue-chart__bar" style={{ height: height(bucket.value) }} />
+                    </div>
+                    <div className="chart-bar-label">{index % labelEvery === 0 ? bucket.label : ' '}</div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+RevenueChart.propTypes = {
+  // Result of crmService.getRevenueAnalytics, null while the first load is running
+  analytics: PropTypes.shape({
+    start: PropTypes.string.isRequired,
+    end: PropTypes.string.isRequired,
+    total: PropTypes.number.isRequired,
+    previousTotal: PropTypes.number.isRequired,
+    change: PropTypes.number,
+    buckets: PropTypes.arrayOf(PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+      fullLabel: PropTypes.string.isRequired,
+      value: PropTypes.number.isRequired,
+      previousValue: PropTypes.number.isRequired,
+      deals: PropTypes.number.isRequired
+    })).isRequired
+  }),
+  range: PropTypes.oneOf(REVENUE_RANGES.map(option => option.id)).isRequired,
+  granularity: PropTypes.oneOf(REVENUE_GRANULARITIES.map(option => option.id)).isRequired,
+  customStart: PropTypes.string,
+  customEnd: PropTypes.string,
+  error: PropTypes.string,
+  formatValue: PropTypes.func.isRequired,
+  onRangeChange: PropTypes.func.isRequired,
+  onGranularityChange: PropTypes.func.isRequired,
+  // Called with { start, end } as either custom date changes
+  onCustomChange: PropTypes.func.isRequired
+};
+
+export default RevenueChart;
@@ -0,0 +1,151 @@
+// Dashboard widgets and the layout a user arranges them in. Dashboard renders the widgets; a layout is a
+// list of { type, size, settings } items in display order, saved per user.
+import { REVENUE_GRANULARITIES, REVENUE_RANGES } from '../../services/revenueService';
+
+// Widths on the dashboard grid
+export const WIDGET_SIZES = [
+  { id: 'small', label: 'Small' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'large', label: 'Large' },
+  { id: 'full', label: 'Full width' }
+];
+
+const option = (value, label = String(value)) => ({ value, label });
+
+// Every widget the dashboard offers. Settings are picked from a fixed list of options.
+export const DASHBOARD_WIDGETS = [
+  { type: 'stats', title: 'Key Metrics', sizes: ['full'], defaultSize: 'full' },
+  { type: 'tasks', title: 'My Tasks', sizes: ['medium', 'large', 'full'], defaultSize: 'full' },
+  {
+    type: 'revenue',
+    title: 'Revenue Trend',
+    sizes: ['medium', 'large', 'full'],
+    defaultSize: 'large',
+    settings: [
+      // Custom dates are picked on the chart for the visit and not saved
+      {
+        id: 'range',
+        label: 'Date range',
+        options: REVENUE_RANGES.filter(range => range.id !== 'custom').map(range => option(range.id, range.label)),
+        defaultValue: '6m'
+      },
+      {
+        id: 'granularity',
+        label: 'Group by',
+        options: REVENUE_GRANULARITIES.map(granularity => option(granularity.id, granularity.label)),
+        defaultValue: 'month'
+      }
+    ]
+  },
+  { type: 'pipeline', title: 'Sales Pipeline', sizes: ['small', 'medium', 'large'], defaultSize: 'small' },
+  {
+    type: 'topCustomers',
+    title: 'Top Customers',
+    sizes: ['small', 'medium', 'large'],
+    defaultSize: 'medium',
+    settings: [{ id: 'count', label: 'Customers shown', options: [3, 5, 10].map(count => option(count)), defaultValue: 5 }]
+  },
+  {
+    type: 'activity',
+    title: 'Recent Activity',
+    sizes: ['small', 'medium', 'large', 'full'],
+    defaultSize: 'medium',
+    settings: [{ id: 'count', label: 'Activities shown', options: [5, 8, 12].map(count => option(count)), defaultValue: 8 }]
+  },
+  { type: 'funnel', title: 'Pipeline Funnel', sizes: ['large', 'full'], defaultSize: 'full' },
+  { type: 'books', title: 'Books of Business', sizes: ['large', 'full'], defaultSize: 'full', permission: ['assign', 'customers'] },
+  { type: 'quickActions', title: 'Quick Actions', sizes: ['medium', 'full'], defaultSize: 'full' }
+];
+
+// Starting layouts: managers look after the team's numbers, reps after their own follow-ups
+const DEFAULT_LAYOUTS = {
+  manager: ['stats', 'revenue', 'pipeline', 'funnel', 'books', 'topCustomers', 'activity', 'tasks', 'quickActions'],
+  rep: ['stats', 'tasks', 'revenue', 'pipeline', 'activity', 'topCustomers', 'quickActions']
+};
+
+/**
+ * Widget definition by type
+ * @param {string} type - Widget type
+ * @returns {Object|undefined} - Definition from DASHBOARD_WIDGETS
+ */
+export const getWidget = (type) => DASHBOARD_WIDGETS.find(widget => widget.type === type);
+
+const defaultSettings = (widget) =>
+  Object.fromEntries((widget.settings || []).map(setting => [setting.id, setting.defaultValue]));
+
+/**
+ * New layout item for a widget, at its default size and settings
+ * @param {string} type - Widget type
+ * @returns {Object} - Layout item
+ */
+export const createWidget = (type) => {
+  const widget = getWidget(type);
+  if (!widget) {
+    throw new Error(`Unknown widget: ${type}`);
+  }
+  return { type, size: widget.defaultSize, settings: defaultSettings(widget) };
+};
+
+/**
+ * Layout a user starts with
+ * @param {string} audience - manager | rep
+ * @returns {Array} - Layout items
+ */
+export const getDefaultLayout = (audience) => (DEFAULT_LAYOUTS[audience] || DEFAULT_LAYOUTS.rep).map(createWidget);
+
+/**
+ * Clean up a saved layout: drop widgets that no longer exist, that the user may not see or that appear twice,
+ * and fall back to defaults for sizes and settings that are no longer offered
+ * @param {Array} layout - Saved layout
+ * @param {Function} isAllowed - Called with a widget definition, false hides it
+ * @returns {Array} - Layout items
+ */
+export const normalizeLayout = (layout, isAllowed = () => true) => {
+  const seen = new Set();
+  return (Array.isArray(layout) ? layout : []).reduce((items, item) => {
+    const widget = getWidget(item?.type);
+    if (!widget || seen.has(widget.type) || !isAllowed(widget)) return items;
+    seen.add(widget.type);
+    const settings = Object.fromEntries((widget.settings || []).map(setting => {
+      const value = item.settings?.[setting.id];
+      return [setting.id, setting.options.some(choice => choice.value === value) ? value : setting.defaultValue];
+    }));
+    items.push({ type: widget.type, size: widget.sizes.includes(item.size) ? item.size : widget.defaultSize, settings });
+    return items;
+  }, []);
+};
+
+/**
+ * Widgets that can still be added to a layout
+ * @param {Array} layout - Layout items
+ * @param {Function} isAllowed - Called with a widget definition, false hides it
+ * @returns {Array} - Widget definitions
+ */
+export const getAvailableWidgets = (layout, isAllowed = () => true) =>
+  DASHBOARD_WIDGETS.filter(widget => isAllowed(widget) && !layout.some(item => item.type === widget.type));
+
+export const addWidget = (layout, type) =>
+  (layout.some(item => item.type === type) ? layout : [...layout, createWidget(type)]);
+
+export const removeWidget = (layout, type) => layout.filter(item => item.type !== type);
+
+/**
+ * Move a widget to another position
+ * @param {Array} layout - Layout items
+ * @param {string} type - Widget to move
+ * @param {number} toIndex - Position it ends up at
+ * @returns {Array} - New layout
+ */
+export const moveWidget = (layout, type, toIndex) => {
+  const item = layout.find(entry => entry.type === type);
+  if (!item) return layout;
+  const rest = layout.filter(entry => entry !== item);
+  const index = Math.max(0, Math.min(rest.length, toIndex));
+  return [...rest.slice(0, index), item, ...rest.slice(index)];
+};
+
+export const resizeWidget = (layout, type, size) => layout.map(item =>
+  (item.type === type && getWidget(type).sizes.includes(size) ? { ...item, size } : item));
+
+export const updateWidgetSettings = (layout, type, settings) => layout.map(item =>
+  (item.type === type ? { ...item, settings: { ...item.settings, ...settings } } : item));
@@ -0,0 +1,87 @@
+import {
+  addWidget,
+  createWidget,
+  getAvailableWidgets,
+  getDefaultLayout,
+  moveWidget,
+  normalizeLayout,
+  removeWidget,
+  resizeWidget,
+  updateWidgetSettings
+} from './dashboardLayout';
+
+const types = (layout) => layout.map(item => item.type);
+
+const withoutRestricted = (widget) => !widget.permission;
+
+describe('default layouts', () => {
+  it('leads with the team widgets for managers and with their tasks for reps', () => {
+    const manager = types(getDefaultLayout('manager'));
+    const rep = types(getDefaultLayout('rep'));
+
+    expect(manager).toContain('books');
+    expect(manager.indexOf('funnel')).toBeLessThan(manager.indexOf('tasks'));
+    expect(rep.slice(0, 2)).toEqual(['stats', 'tasks']);
+    expect(rep).not.toContain('books');
+  });
+
+  it('starts widgets at their default size and settings', () => {
+    expect(createWidget('topCustomers')).toEqual({ type: 'topCustomers', size: 'medium', settings: { count: 5 } });
+    expect(() => createWidget('weather')).toThrow('Unknown widget: weather');
+  });
+});
+
+describe('normalizeLayout', () => {
+  it('drops unknown, duplicate and restricted widgets', () => {
+    const layout = normalizeLayout([
+      { type: 'weather', size: 'small' },
+      { type: 'books', size: 'full' },
+      { type: 'pipeline', size: 'small' },
+      { type: 'pipeline', size: 'medium' }
+    ], withoutRestricted);
+
+    expect(layout).toEqual([{ type: 'pipeline', size: 'small', settings: {} }]);
+  });
+
+  it('falls back to defaults for sizes and settings that are not offered', () => {
+    const [item] = normalizeLayout([{ type: 'activity', size: 'huge', settings: { count: 50, color: 'red' } }]);
+
+    expect(item).toEqual({ type: 'activity', size: 'medium', settings: { count: 8 } });
+  });
+
+  it('treats a missing layout as empty', () => {
+    expect(normalizeLayout(null)).toEqual([]);
+  });
+});
+
+describe('layout changes', () => {
+  const layout = ['stats', 'revenue', 'pipeline', 'activity'].map(createWidget);
+
+  it('moves a widget into the place of another', () => {
+    expect(types(moveWidget(layout, 'stats', 2))).toEqual(['revenue', 'pipeline', 'stats', 'activity']);
+    expect(types(moveWidget(layout, 'activity', 0))).toEqual(['activity', 'stats', 'revenue', 'pipeline']);
+    expect(types(moveWidget(layout, 'activity', 10))).toEqual(types(layout));
+  });
+
+  it('adds widgets once and removes them', () => {
+    expect(types(addWidget(layout, 'funnel'))).toEqual([...types(layout), 'funnel']);
+    expect(addWidget(layout, 'stats')).toBe(layout);
+    expect(types(removeWidget(layout, 'revenue'))).toEqual(['stats', 'pipeline', 'activity']);
+  });
+
+  it('resizes only to the sizes a widget offers', () => {
+    expect(resizeWidget(layout, 'pipeline', 'large')[2].size).toBe('large');
+    expect(resizeWidget(layout, 'pipeline', 'full')[2].size).toBe('small');
+  });
+
+  it('merges setting changes', () => {
+    expect(updateWidgetSettings(layout, 'revenue', { granularity: 'week' })[1].settings)
+      .toEqual({ range: '6m', granularity: 'week' });
+  });
+
+  it('offers the allowed widgets that are not on the dashboard yet', () => {
+    const available = types(getAvailableWidgets(layout, withoutRestricted));
+
+    expect(available).toEqual(['tasks', 'topCustomers', 'funnel', 'quickActions']);
+  });
+});
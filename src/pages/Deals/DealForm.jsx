@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import Button from '../../components/common/Button';
+import Input from '../../components/forms/Input';
+import OwnerSelect from '../../components/forms/OwnerSelect';
+import { DEAL_STAGES } from '../../services/crmService';
+import './DealForm.css';
+
+const DealForm = ({ deal, customers, users = [], teams = [], readOnly = false, onSubmit, onCancel }) => {
+  const [formData, setFormData] = useState({
+    title: '',
+    customerId: '',
+    value: '',
+    stage: 'qualification',
+    probability: String(DEAL_STAGES[0].probability),
+    expectedCloseDate: '',
+    description: ''
+  });
+  const [ownerId, setOwnerId] = useState(null);
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (deal) {
+      setOwnerId(deal.ownerId || null);
+      setFormData({
+        title: deal.title || '',
+        customerId: deal.customerId || '',
+        value: deal.value != null ? String(deal.value) : '',
+        stage: deal.stage || 'qualification',
+        probability: deal.probability != null ? String(deal.probability) : '',
+        expectedCloseDate: deal.expectedCloseDate || '',
+        description: deal.description || ''
+      });
+    }
+  }, [deal]);
+
+  const validateForm = () => {
+    const newErrors = {};
+
+    if (!formData.title.trim()) {
+      newErrors.title = 'Deal title is required';
+    }
+
+    if (!formData.customerId) {
+      newErrors.customerId = 'Customer is required';
+    }
+
+    if (!formData.value.trim()) {
+      newErrors.value = 'Deal value is required';
+    } else if (isNaN(Number(formData.value)) || Number(formData.value) < 0) {
+      newErrors.value = 'Please enter a valid amount';
+    }
+
+    const probability = Number(formData.probability);
+    if (formData.probability === '' || isNaN(probability) || probability < 0 || probability > 100) {
+      newErrors.probability = 'Probability must be between 0 and 100';
+    }
+
+    if (!formData.expectedCloseDate) {
+      newErrors.expectedCloseDate = 'Expected close date is required';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleInputChange = (field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      [field]: value
+    }));
+
+    // Clear error when user starts typing
+    if (errors[field]) {
+      setErrors(prev => ({
+        ...prev,
+        [field]: ''
+      }));
+    }
+  };
+
+  const handleStageChange = (stageId) => {
+    const stage = DEAL_STAGES.find(s => s.id === stageId);
+    setFormData(prev => ({
+      ...prev,
+      stage: stageId,
+      probability: String(stage.probability)
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (readOnly || !validateForm()) {
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await onSubmit({
+        ...formData,
+        value: Number(formData.value),
+        // Status and close date follow the stage, see crmService
+        probability: Number(formData.probability),
+        // The owner can only be picked by users who may assign records
+        ...(users.length > 0 && { ownerId })
+      });
+    } catch (error) {
+      console.error('Error submitting form:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="deal-form">
+      <fieldset className="deal-form__fields" disabled={readOnly}>
+        <div className="deal-form__section">
+          <h3>Deal Information</h3>
+
+          <Input
+            label="Deal Title"
+            value={formData.title}
+            onChange={(e) => handleInputChange('title', e.target.value)}
+            error={errors.title}
+            required
+            placeholder="Enter deal title"
+          />
+
+          <div className="input-group">
+            <label htmlFor="deal-customer" className="input-label">
+              Customer
+              <span className="input-required" aria-label="required">*</span>
+            </label>
+            <select
+              id="deal-customer"
+              className={`input deal-form__select ${errors.customerId ? 'input--error' : ''}`}
+              value={formData.customerId}
+              onChange={(e) => handleInputChange('customerId', e.target.value)}
+            >
+              <option value="">Select a customer</option>
+              {customers.map(customer => (
+                <option key={customer.id} value={customer.id}>{customer.name}</option>
+              ))}
+            </select>
+            {errors.customerId && (
+              <div className="input-error" role="alert">{errors.customerId}</div>
+            )}
+          </div>
+
+          <Input
+            label="Description"
+            value={formData.description}
+            onChange={(e) => handleInputChange('description', e.target.value)}
+            placeholder="What is this deal about?"
+          />
+
+          {users.length > 0 && (
+            <div className="input-group">
+              <label htmlFor="deal-owner" className="input-label">Owner</label>
+              <OwnerSelect
+                id="deal-owner"
+                users={users}
+                teams={teams}
+                value={ownerId}
+                onChange={setOwnerId}
+                className="input deal-form__select"
+              >
+                <option value="">{deal ? 'Unassigned' : 'Me'}</option>
+              </OwnerSelect>
+            </div>
+          )}
+        </div>
+
+        <div className="deal-form__section">
+          <h3>Pipeline</h3>
+
+          <div className="deal-form__row">
+            <Input
+              label="Value (USD)"
+              type="number"
+              value={formData.value}
+              onChange={(e) => handleInputChange('value', e.target.value)}
+              error={errors.value}
+              required
+              placeholder="0"
+            />
+
+            <Input
+              label="Expected Close Date"
+              type="date"
+              value={formData.expectedCloseDate}
+              onChange={(e) => handleInputChange('expectedCloseDate', e.target.value)}
+              error={errors.expectedCloseDate}
+              required
+            />
+          </div>
+
+          <div className="deal-form__row">
+            <div className="input-group">
+              <label htmlFor="deal-stage" className="input-label">Stage</label>
+              <select
+                id="deal-stage"
+                className="input deal-form__select"
+                value={formData.stage}
+                onChange={(e) => handleStageChange(e.target.value)}
+              >
+                {DEAL_STAGES.map(stage => (
+                  <option key={stage.id} value={stage.id}>{stage.label}</option>
+                ))}
+              </select>
+            </div>
+
+            <Input
+              label="Probability (%)"
+              type="number"
+              value={formData.probability}
+              onChange={(e) => handleInputChange('probability', e.target.value)}
+              error={errors.probability}
+              min="0"
+              max="100"
+            />
+          </div>
+        </div>
+      </fieldset>
+
+      <div className="deal-form__actions">
+        {readOnly && (
+          <span className="deal-form__read-only">You don’t have permission to {deal ? 'edit this deal' : 'add deals'}</span>
+        )}
+        <Button
+          type="button"
+          variant="secondary"
+          onClick={onCancel}
+          disabled={loading}
+        >
+          {readOnly ? 'Close' : 'Cancel'}
+        </Button>
+        {!readOnly && (
+          <Button
+            type="submit"
+            variant="primary"
+            loading={loading}
+          >
+            {deal ? 'Update Deal' : 'Create Deal'}
+          </Button>
+        )}
+      </div>
+    </form>
+  );
+};
+
+DealForm.propTypes = {
+  deal: PropTypes.object,
+  readOnly: PropTypes.bool,
+  customers: PropTypes.arrayOf(PropTypes.object).isRequired,
+  users: PropTypes.arrayOf(PropTypes.object),
+  teams: PropTypes.arrayOf(PropTypes.object),
+  onSubmit: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+export default DealForm;
@@ -0,0 +1,408 @@
+import React, { useState, useEffect } from 'react';
+import { crmService, DEAL_STAGES } from '../../services/crmService';
+import Button from '../../components/common/Button';
+import Modal from '../../components/common/Modal';
+import ActivityLog from '../../components/common/ActivityLog';
+import RecordHistory from '../../components/common/RecordHistory';
+import TaskPanel from '../../components/common/TaskPanel';
+import useLocationIntent from '../../hooks/useLocationIntent';
+import useAuth from '../../hooks/useAuth';
+import usePermissions from '../../hooks/usePermissions';
+import OwnerSelect from '../../components/forms/OwnerSelect';
+import DealForm from './DealForm';
+import './Deals.css';
+
+// How a card looks once it lands in a stage column, until crmService returns the updated deal
+const previewStage = (stageId) => {
+  const stage = DEAL_STAGES.find(s => s.id === stageId);
+  return { stage: stage.id, status: stage.status, probability: stage.probability };
+};
+
+const Deals = () => {
+  const { user } = useAuth();
+  const { can } = usePermissions();
+  const [deals, setDeals] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [teams, setTeams] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [editingDeal, setEditingDeal] = useState(null);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [filterOwner, setFilterOwner] = useState('all');
+  const [draggedDealId, setDraggedDealId] = useState(null);
+  const [dragOverStage, setDragOverStage] = useState(null);
+  const [taskRevision, setTaskRevision] = useState(0);
+
+  useEffect(() => {
+    fetchDeals();
+  }, []);
+
+  // Opened from the command palette
+  useLocationIntent(({ intent, id }) => {
+    const deal = deals.find(item => item.id === id);
+    if ((intent === 'create' && can('create', 'deals')) || deal) {
+      setEditingDeal(deal || null);
+      setShowModal(true);
+    }
+  }, !loading);
+
+  const fetchDeals = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const [dealsData, customersData, usersData, teamsData] = await Promise.all([
+        crmService.getDeals(),
+        crmService.getCustomers(),
+        crmService.getUsers(),
+        crmService.getTeams()
+      ]);
+      setDeals(dealsData);
+      setCustomers(customersData);
+      setUsers(usersData);
+      setTeams(teamsData);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleCreateDeal = async (dealData) => {
+    try {
+      const newDeal = await crmService.createDeal(dealData);
+      setDeals(prev => [...prev, newDeal]);
+      setShowModal(false);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleUpdateDeal = async (dealData) => {
+    try {
+      const updatedDeal = await crmService.updateDeal(editingDeal.id, dealData);
+      setDeals(prev => prev.map(deal =>
+        deal.id === editingDeal.id ? updatedDeal : deal
+      ));
+      setShowModal(false);
+      setEditingDeal(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleDeleteDeal = async (dealId) => {
+    if (window.confirm('Are you sure you want to delete this deal?')) {
+      try {
+        await crmService.deleteDeal(dealId);
+        setDeals(prev => prev.filter(deal => deal.id !== dealId));
+      } catch (err) {
+        setError(err.message);
+      }
+    }
+  };
+
+  const handleEditDeal = (deal) => {
+    setEditingDeal(deal);
+    setShowModal(true);
+  };
+
+  const canEditDeal = editingDeal ? can('update', 'deals', editingDeal) : can('create', 'deals');
+
+  const handleCloseModal = () => {
+    setShowModal(false);
+    setEditingDeal(null);
+  };
+
+  const handleDragStart = (e, dealId) => {
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dealId);
+    setDraggedDealId(dealId);
+  };
+
+  const handleDragEnd = () => {
+    setDraggedDealId(null);
+    setDragOverStage(null);
+  };
+
+  const handleDragOver = (e, stageId) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dragOverStage !== stageId) {
+      setDragOverStage(stageId);
+    }
+  };
+
+  const handleDrop = async (e, stageId) => {
+    e.preventDefault();
+    const dealId = e.dataTransfer.getData('text/plain') || draggedDealId;
+    const deal = deals.find(d => d.id === dealId);
+    handleDragEnd();
+
+    if (!deal || deal.stage === stageId) return;
+
+    // Move the card right away and roll back if the service rejects the change
+    setDeals(prev => prev.map(d => (d.id === deal.id ? { ...d, ...previewStage(stageId) } : d)));
+    try {
+      const updatedDeal = await crmService.updateDeal(deal.id, { stage: stageId });
+      setDeals(prev => prev.map(d => (d.id === deal.id ? updatedDeal : d)));
+    } catch (err) {
+      setDeals(prev => prev.map(d => (d.id === deal.id ? deal : d)));
+      setError(err.message);
+    }
+  };
+
+  const formatCurrency = (amount) => {
+    if (!amount) return '$0';
+    if (amount >= 1000000000) {
+      return `$${(amount / 1000000000).toFixed(1)}B`;
+    }
+    if (amount >= 1000000) {
+      return `$${(amount / 1000000).toFixed(1)}M`;
+    }
+    if (amount >= 1000) {
+      return `$${(amount / 1000).toFixed(0)}K`;
+    }
+    return `$${amount}`;
+  };
+
+  const formatDate = (date) => {
+    if (!date) return '-';
+    return new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  };
+
+  const customerNames = customers.reduce((names, customer) => {
+    names[customer.id] = customer.name;
+    return names;
+  }, {});
+
+  const ownerFilterId = filterOwner === 'mine' ? user?.id : filterOwner;
+
+  const filteredDeals = deals.filter(deal => {
+    const term = searchTerm.toLowerCase();
+    const matchesOwner = filterOwner === 'all' || (deal.ownerId || 'unassigned') === ownerFilterId;
+    return matchesOwner && (
+      deal.title.toLowerCase().includes(term) ||
+      (customerNames[deal.customerId] || '').toLowerCase().includes(term)
+    );
+  });
+
+  const columns = DEAL_STAGES.map(stage => {
+    const stageDeals = filteredDeals.filter(deal => deal.stage === stage.id);
+    return {
+      ...stage,
+      deals: stageDeals,
+      total: stageDeals.reduce((sum, deal) => sum + (deal.value || 0), 0),
+      weighted: stageDeals.reduce((sum, deal) => sum + (deal.value || 0) * (deal.probability || 0) / 100, 0)
+    };
+  });
+
+  const openDeals = deals.filter(deal => deal.status === 'active');
+  const wonDeals = deals.filter(deal => deal.status === 'won');
+  const lostDeals = deals.filter(deal => deal.status === 'lost');
+  const stats = {
+    pipeline: openDeals.reduce((sum, deal) => sum + deal.value, 0),
+    weighted: openDeals.reduce((sum, deal) => sum + deal.value * deal.probability / 100, 0),
+    won: wonDeals.reduce((sum, deal) => sum + deal.value, 0),
+    winRate: wonDeals.length + lostDeals.length > 0
+      ? Math.round((wonDeals.length / (wonDeals.length + lostDeals.length)) * 100)
+      : 0
+  };
+
+  if (loading) {
+    return (
+      <div className="deals">
+        <div className="deals__header">
+          <div className="skeleton" style={{ width: '200px', height: '40px' }} />
+          <div className="skeleton" style={{ width: '150px', height: '40px' }} />
+        </div>
+        <div className="deals__board">
+          {DEAL_STAGES.map(stage => (
+            <div key={stage.id} className="skeleton" style={{ height: '320px' }} />
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="deals">
+      {/* Header */}
+      <div className="deals__header">
+        <div className="deals__header-content">
+          <h1>Deals</h1>
+          <p>Drag deals between stages to keep your pipeline up to date</p>
+        </div>
+        <div className="deals__header-actions">
+          {can('create', 'deals') && (
+            <Button variant="primary" onClick={() => setShowModal(true)}>
+              <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2" width="18" height="18">
+                <line x1="12" y1="5" x2="12" y2="19" />
+                <line x1="5" y1="12" x2="19" y2="12" />
+              </svg>
+              Add Deal
+            </Button>
+          )}
+        </div>
+      </div>
+
+      {/* Stats */}
+      <div className="deals__stats">
+        <div className="stat-mini">
+          <div className="stat-mini__value">{formatCurrency(stats.pipeline)}</div>
+          <div className="stat-mini__label">Open Pipeline</div>
+        </div>
+        <div className="stat-mini">
+          <div className="stat-mini__value">{formatCurrency(stats.weighted)}</div>
+          <div className="stat-mini__label">Weighted Pipeline</div>
+        </div>
+        <div className="stat-mini">
+          <div className="stat-mini__value">{formatCurrency(stats.won)}</div>
+          <div className="stat-mini__label">Closed Won</div>
+        </div>
+        <div className="stat-mini">
+          <div className="stat-mini__value">{stats.winRate}%</div>
+          <div className="stat-mini__label">Win Rate</div>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="deals__filters">
+        <div className="deals__search">
+          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+            <circle cx="11" cy="11" r="8" />
+            <path d="M21 21l-4.35-4.35" />
+          </svg>
+          <input
+            type="text"
+            placeholder="Search deals..."
+            value={searchTerm}
+            onChange={(e) => setSearchTerm(e.target.value)}
+          />
+        </div>
+
+        <OwnerSelect
+          users={users}
+          teams={teams}
+          value={filterOwner}
+          onChange={(value) => setFilterOwner(value || 'all')}
+          className="deals__select"
+          aria-label="Filter by owner"
+        >
+          <option value="all">All Owners</option>
+          <option value="mine">My Deals</option>
+          <option value="unassigned">Unassigned</option>
+        </OwnerSelect>
+      </div>
+
+      {error && (
+        <div className="deals__error">
+          <p>Error: {error}</p>
+          <Button variant="secondary" onClick={fetchDeals}>Retry</Button>
+        </div>
+      )}
+
+      {/* Kanban Board */}
+      <div className="deals__board">
+        {columns.map(column => (
+          <div
+            key={column.id}
+            className={`deal-column deal-column--${column.id} ${dragOverStage === column.id ? 'deal-column--over' : ''}`}
+            onDragOver={(e) => handleDragOver(e, column.id)}
+            onDragLeave={() => setDragOverStage(null)}
+            onDrop={(e) => handleDrop(e, column.id)}
+            data-stage={column.id}
+          >
+            <div className="deal-column__header">
+              <div className="deal-column__title">
+                <span className="deal-column__name">{column.label}</span>
+                <span className="deal-column__count">{column.deals.length}</span>
+              </div>
+              <div className="deal-column__totals">
+                <span title="Total value">{formatCurrency(column.total)}</span>
+                <span className="deal-column__weighted" title="Weighted value">
+                  {formatCurrency(column.weighted)} weighted
+                </span>
+              </div>
+            </div>
+
+            <div className="deal-column__cards">
+              {column.deals.map(deal => (
+                <div
+                  key={deal.id}
+                  className={`deal-card ${draggedDealId === deal.id ? 'deal-card--dragging' : ''}`}
+                  draggable={can('update', 'deals', deal)}
+                  onDragStart={(e) => handleDragStart(e, deal.id)}
+                  onDragEnd={handleDragEnd}
+                >
+                  <div className="deal-card__header">
+                    <button
+                      className="deal-card__title"
+                      onClick={() => handleEditDeal(deal)}
+                    >
+                      {deal.title}
+                    </button>
+                    {can('delete', 'deals', deal) && (
+                      <button
+                        className="table-action table-action--danger"
+                        onClick={() => handleDeleteDeal(deal.id)}
+                        title="Delete"
+                      >
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
+                          <polyline points="3 6 5 6 21 6" />
+                          <path d="M19 6v14a2 2 0 0 1-2 2H7a2 2 0 0 1-2-2V6m3 0V4a2 2 0 0 1 2-2h4a2 2 0 0 1 2 2v2" />
+                        </svg>
+                      </button>
+                    )}
+                  </div>
+                  <div className="deal-card__customer">
+                    {customerNames[deal.customerId] || 'Unknown customer'}
+                  </div>
+                  <div className="deal-card__footer">
+                    <span className="deal-card__value">{formatCurrency(deal.value)}</span>
+                    <span className="deal-card__probability">{deal.probability}%</span>
+                    <span className="deal-card__date">
+                      {formatDate(deal.actualCloseDate || deal.expectedCloseDate)}
+                    </span>
+                  </div>
+                </div>
+              ))}
+
+              {column.deals.length === 0 && (
+                <div className="deal-column__empty">Drop deals here</div>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Modal */}
+      <Modal
+        isOpen={showModal}
+        onClose={handleCloseModal}
+        title={editingDeal ? (canEditDeal ? 'Edit Deal' : 'Deal Details') : 'Add New Deal'}
+        size="medium"
+      >
+        <DealForm
+          deal={editingDeal}
+          customers={customers}
+          users={can('assign', 'deals') ? users : []}
+          teams={teams}
+          readOnly={!canEditDeal}
+          onSubmit={editingDeal ? handleUpdateDeal : handleCreateDeal}
+          onCancel={handleCloseModal}
+        />
+        {editingDeal && (
+          <div className="deals__activity">
+            <TaskPanel entityType="deal" entityId={editingDeal.id} onChange={() => setTaskRevision(prev => prev + 1)} />
+            <ActivityLog entityType="deal" entityId={editingDeal.id} title="Activity" refreshKey={taskRevision} />
+            <RecordHistory entityType="deal" entityId={editingDeal.id} />
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default Deals;
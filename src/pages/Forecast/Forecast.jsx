@@ -0,0 +1,332 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { crmService } from '../../services/crmService';
+import { FORECAST_CATEGORIES, FORECAST_GRANULARITIES, getForecastCategory } from '../../services/forecastService';
+import useAuth from '../../hooks/useAuth';
+import usePermissions from '../../hooks/usePermissions';
+import './Forecast.css';
+
+const CATEGORY_LABELS = Object.fromEntries(FORECAST_CATEGORIES.map(category => [category.id, category.label]));
+
+const formatCurrency = (amount) => new Intl.NumberFormat('en-US', {
+  style: 'currency',
+  currency: 'USD',
+  minimumFractionDigits: 0,
+  maximumFractionDigits: 0
+}).format(amount);
+
+const formatDay = (date) =>
+  new Date(`${date}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+
+const Forecast = () => {
+  const { user } = useAuth();
+  const { can } = usePermissions();
+  const [granularity, setGranularity] = useState('month');
+  const [scope, setScope] = useState('all');
+  const [forecast, setForecast] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [customers, setCustomers] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const ownerId = scope === 'mine' ? user?.id : null;
+
+  const fetchForecast = useCallback(async () => {
+    try {
+      setError(null);
+      const [forecastData, usersData, customersData] = await Promise.all([
+        crmService.getForecast({ granularity, ownerId }),
+        crmService.getUsers(),
+        crmService.getCustomers()
+      ]);
+      setForecast(forecastData);
+      setUsers(usersData);
+      setCustomers(customersData);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [granularity, ownerId]);
+
+  useEffect(() => {
+    fetchForecast();
+  }, [fetchForecast]);
+
+  const selectedPeriod = forecast?.periods.find(period => period.key === selectedKey) || forecast?.periods[0];
+
+  useEffect(() => {
+    if (!selectedPeriod) return;
+    let cancelled = false;
+    crmService.getForecastHistory({ start: selectedPeriod.start, end: selectedPeriod.end, ownerId })
+      .then(entries => {
+        if (!cancelled) setHistory(entries);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedPeriod, ownerId]);
+
+  const handleGranularityChange = (id) => {
+    setSelectedKey(null);
+    setGranularity(id);
+  };
+
+  const handleCategoryChange = async (deal, category) => {
+    try {
+      await crmService.setForecastCategory(deal.id, category || null);
+      await fetchForecast();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const ownerName = (id) => users.find(item => item.id === id)?.name || 'Unassigned';
+  const customerName = (id) => customers.find(item => item.id === id)?.name || '-';
+
+  if (loading) {
+    return (
+      <div className="forecast">
+        <div className="forecast__header">
+          <div className="skeleton" style={{ width: '240px', height: '40px' }} />
+        </div>
+        {[1, 2, 3].map(i => (
+          <div key={i} className="skeleton" style={{ height: '160px', marginBottom: '16px' }} />
+        ))}
+      </div>
+    );
+  }
+
+  const periodDeals = forecast ? forecast.deals.filter(deal => deal.period === selectedPeriod?.key) : [];
+
+  return (
+    <div className="forecast">
+      <div className="forecast__header">
+        <div className="forecast__header-content">
+          <h1>Forecast</h1>
+          <p>Committed, best-case and weighted pipeline by expected close date</p>
+        </div>
+        <div className="forecast__controls">
+          <div className="forecast__tabs" role="group" aria-label="Forecast scope">
+            <button
+              className={`card__tab ${scope === 'all' ? 'card__tab--active' : ''}`}
+              aria-pressed={scope === 'all'}
+              onClick={() => setScope('all')}
+            >
+              All Deals
+            </button>
+            <button
+              className={`card__tab ${scope === 'mine' ? 'card__tab--active' : ''}`}
+              aria-pressed={scope === 'mine'}
+              onClick={() => setScope('mine')}
+            >
+              My Deals
+            </button>
+          </div>
+          <div className="forecast__tabs" role="group" aria-label="Forecast period">
+            {FORECAST_GRANULARITIES.map(option => (
+              <button
+                key={option.id}
+                className={`card__tab ${granularity === option.id ? 'card__tab--active' : ''}`}
+                aria-pressed={granularity === option.id}
+                onClick={() => handleGranularityChange(option.id)}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="forecast__error" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+
+      {forecast && (
+        <>
+          <section className="forecast__card">
+            <div className="card__header">
+              <h3>Forecast</h3>
+              {forecast.unscheduled.length > 0 && (
+                <span className="forecast__note">
+                  {forecast.unscheduled.length} open deals have no expected close date
+                </span>
+              )}
+            </div>
+            <table className="forecast__table" aria-label="Forecast by period">
+              <thead>
+                <tr>
+                  <th>Period</th>
+                  <th>Closed</th>
+                  <th>Commit</th>
+                  <th>Best Case</th>
+                  <th>Weighted</th>
+                  <th>Pipeline</th>
+                </tr>
+              </thead>
+              <tbody>
+                {forecast.periods.map(period => (
+                  <tr
+                    key={period.key}
+                    className={`forecast__row ${period.key === selectedPeriod?.key ? 'forecast__row--selected' : ''}`}
+                  >
+                    <td>
+                      <button
+                        type="button"
+                        className="forecast__period"
+                        aria-pressed={period.key === selectedPeriod?.key}
+                        onClick={() => setSelectedKey(period.key)}
+                      >
+                        {period.fullLabel}
+                      </button>
+                    </td>
+                    <td>{formatCurrency(period.closed)}</td>
+                    <td>{formatCurrency(period.committed)}</td>
+                    <td>{formatCurrency(period.bestCase)}</td>
+                    <td className="forecast__weighted">{formatCurrency(period.weighted)}</td>
+                    <td>{formatCurrency(period.pipeline)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+
+          <div className="forecast__grid">
+            <section className="forecast__card">
+              <div className="card__header">
+                <h3>Deals closing in {selectedPeriod?.fullLabel}</h3>
+              </div>
+              {periodDeals.length === 0 ? (
+                <p className="forecast__empty">No open deals are expected to close in this period</p>
+              ) : (
+                <table className="forecast__table" aria-label="Forecast deals">
+                  <thead>
+                    <tr>
+                      <th>Deal</th>
+                      <th>Owner</th>
+                      <th>Expected</th>
+                      <th>Value</th>
+                      <th>Weighted</th>
+                      <th>Category</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {periodDeals.map(deal => (
+                      <tr key={deal.id}>
+                        <td>
+                          <span className="forecast__deal">{deal.title}</span>
+                          <span className="forecast__customer">{customerName(deal.customerId)}</span>
+                        </td>
+                        <td>{ownerName(deal.ownerId)}</td>
+                        <td>
+                          {formatDay(deal.expectedCloseDate)}
+                          {deal.late && <span className="forecast__late">Late</span>}
+                        </td>
+                        <td>{formatCurrency(deal.value)}</td>
+                        <td>{formatCurrency(deal.weightedValue)} <span className="forecast__probability">({deal.probability}%)</span></td>
+                        <td>
+                          <select
+                            className="forecast__category"
+                            aria-label={`Forecast category for ${deal.title}`}
+                            value={deal.categoryOverridden ? deal.forecastCategory : ''}
+                            disabled={!can('update', 'deals', deal)}
+                            onChange={(e) => handleCategoryChange(deal, e.target.value)}
+                          >
+                            <option value="">
+                              Auto: {CATEGORY_LABELS[getForecastCategory({ ...deal, forecastCategory: null })]}
+                            </option>
+                            {FORECAST_CATEGORIES.map(category => (
+                              <option key={category.id} value={category.id}>{category.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+
+            <section className="forecast__card">
+              <div className="card__header">
+                <h3>Forecast History</h3>
+              </div>
+              {history.length === 0 ? (
+                <p className="forecast__empty">No snapshots cover this period yet</p>
+              ) : (
+                <table className="forecast__table" aria-label="Forecast history">
+                  <thead>
+                    <tr>
+                      <th>Taken</th>
+                      <th>Commit</th>
+                      <th>Best Case</th>
+                      <th>Weighted</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {history.map(entry => (
+                      <tr key={entry.date}>
+                        <td>{formatDay(entry.date)}</td>
+                        <td>{formatCurrency(entry.committed)}</td>
+                        <td>{formatCurrency(entry.bestCase)}</td>
+                        <td>{formatCurrency(entry.weighted)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </section>
+          </div>
+
+          <section className="forecast__card">
+            <div className="card__header">
+              <h3>Forecast vs Actual</h3>
+              <span className="forecast__note">Forecast as it stood when each period began</span>
+            </div>
+            <table className="forecast__table" aria-label="Forecast vs actual">
+              <thead>
+                <tr>
+                  <th>Period</th>
+                  <th>Commit</th>
+                  <th>Weighted</th>
+                  <th>Actual</th>
+                  <th>Variance</th>
+                  <th>Attainment</th>
+                </tr>
+              </thead>
+              <tbody>
+                {forecast.comparison.map(period => (
+                  <tr key={period.key}>
+                    <td>
+                      {period.fullLabel}
+                      {period.snapshotDate && (
+                        <span className="forecast__customer">as of {formatDay(period.snapshotDate)}</span>
+                      )}
+                    </td>
+                    <td>{period.forecast ? formatCurrency(period.forecast.committed) : '-'}</td>
+                    <td>{period.forecast ? formatCurrency(period.forecast.weighted) : '-'}</td>
+                    <td>{formatCurrency(period.actual)}</td>
+                    <td
+                      className={period.variance === null ? '' : `forecast__variance forecast__variance--${period.variance >= 0 ? 'up' : 'down'}`}
+                    >
+                      {period.variance === null ? '-' : `${period.variance >= 0 ? '+' : '-'}${formatCurrency(Math.abs(period.variance))}`}
+                    </td>
+                    <td>{period.attainment === null ? '-' : `${period.attainment}%`}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Forecast;
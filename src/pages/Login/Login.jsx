@@ -0,0 +1,131 @@
+import React, { useState } from 'react';
+import { Navigate, useLocation, useNavigate } from 'react-router-dom';
+import Button from '../../components/common/Button';
+import Input from '../../components/forms/Input';
+import useAuth from '../../hooks/useAuth';
+import { getIdentityProviderConfig } from '../../services/auth';
+import { DEMO_USERS, DEMO_PASSWORD } from '../../services/auth/mockIdentityProvider';
+import './Login.css';
+
+const Login = () => {
+  const { isAuthenticated, sessionExpired, signIn } = useAuth();
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [email, setEmail] = useState('');
+  const [password, setPassword] = useState('');
+  const [remember, setRemember] = useState(false);
+  const [error, setError] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const isMockProvider = getIdentityProviderConfig().type === 'mock';
+
+  // Send the user back to the page that asked them to sign in
+  const from = location.state?.from;
+  const redirectTo = from ? `${from.pathname}${from.search || ''}` : '/';
+
+  if (isAuthenticated) {
+    return <Navigate to={redirectTo} replace />;
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!email.trim() || !password) {
+      setError('Enter your email and password');
+      return;
+    }
+
+    setError(null);
+    setLoading(true);
+    try {
+      await signIn({ email, password, remember });
+      navigate(redirectTo, { replace: true });
+    } catch (err) {
+      setError(err.message);
+      setLoading(false);
+    }
+  };
+
+  const fillDemoAccount = (user) => {
+    setEmail(user.email);
+    setPassword(DEMO_PASSWORD);
+    setError(null);
+  };
+
+  return (
+    <div className="login">
+      <div className="login__card">
+        <div className="login__brand">
+          <svg viewBox="0 0 32 32" fill="none" className="login__logo" aria-hidden="true">
+            <rect width="32" height="32" rx="8" fill="url(#login-logo-gradient)" />
+            <path d="M8 16L14 10L20 16L14 22L8 16Z" fill="white" fillOpacity="0.9" />
+            <path d="M14 16L20 10L26 16L20 22L14 16Z" fill="white" fillOpacity="0.6" />
+            <defs>
+              <linearGradient id="login-logo-gradient" x1="0" y1="0" x2="32" y2="32">
+                <stop stopColor="#6366f1" />
+                <stop offset="1" stopColor="#8b5cf6" />
+              </linearGradient>
+            </defs>
+          </svg>
+          <h1 className="login__title">Sign in to Nexus CRM</h1>
+        </div>
+
+        {sessionExpired && !error && (
+          <p className="login__notice" role="status">Your session has expired. Please sign in again.</p>
+        )}
+        {error && <p className="login__error" role="alert">{error}</p>}
+
+        <form className="login__form" onSubmit={handleSubmit} noValidate>
+          <Input
+            label="Email"
+            type="email"
+            value={email}
+            onChange={(e) => setEmail(e.target.value)}
+            autoComplete="username"
+            autoFocus
+            required
+            placeholder="you@company.com"
+          />
+          <Input
+            label="Password"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            placeholder="Enter your password"
+          />
+          <label className="login__remember">
+            <input
+              type="checkbox"
+              checked={remember}
+              onChange={(e) => setRemember(e.target.checked)}
+            />
+            Keep me signed in for 30 days
+          </label>
+          <Button type="submit" variant="primary" loading={loading} className="login__submit">
+            Sign In
+          </Button>
+        </form>
+
+        {isMockProvider && (
+          <div className="login__demo">
+            <span className="login__demo-title">Demo accounts</span>
+            {DEMO_USERS.map(user => (
+              <button
+                key={user.id}
+                type="button"
+                className="login__demo-user"
+                onClick={() => fillDemoAccount(user)}
+              >
+                <strong>{user.name}</strong>
+                <span>{user.title} · {user.email}</span>
+              </button>
+            ))}
+            <span className="login__demo-hint">Password: {DEMO_PASSWORD}</span>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Login;
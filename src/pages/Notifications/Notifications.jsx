@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
+import Button from '../../components/common/Button';
+import useNotifications from '../../hooks/useNotifications';
+import { NOTIFICATION_TYPES } from '../../services/notificationService';
+import { formatRelativeTime } from '../../utils/dates';
+import './Notifications.css';
+
+const TYPE_ICONS = {
+  deal_won: '🏆',
+  deal_stale: '⏳',
+  health_drop: '📉',
+  task_due: '✅'
+};
+
+const Notifications = () => {
+  const { notifications, unreadCount, loading, error, markRead, markAllRead, refetch } = useNotifications();
+  const [readFilter, setReadFilter] = useState('all');
+  const [typeFilter, setTypeFilter] = useState('all');
+
+  const filteredNotifications = notifications.filter(notification =>
+    (readFilter === 'all' || !notification.read) &&
+    (typeFilter === 'all' || notification.type === typeFilter)
+  );
+
+  if (loading) {
+    return (
+      <div className="notifications">
+        <div className="notifications__header">
+          <div className="skeleton" style={{ width: '240px', height: '40px' }} />
+        </div>
+        {[1, 2, 3, 4].map(i => (
+          <div key={i} className="skeleton" style={{ height: '72px', marginBottom: '8px' }} />
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <div className="notifications">
+      <div className="notifications__header">
+        <div className="notifications__header-content">
+          <h1>Notifications</h1>
+          <p>Won deals, stale deals, health drops and tasks coming due</p>
+        </div>
+        <Button variant="secondary" onClick={markAllRead} disabled={unreadCount === 0}>
+          Mark all read
+        </Button>
+      </div>
+
+      <div className="notifications__filters">
+        <div className="notifications__tabs" role="tablist" aria-label="Read status">
+          <button
+            role="tab"
+            aria-selected={readFilter === 'all'}
+            className={`card__tab ${readFilter === 'all' ? 'card__tab--active' : ''}`}
+            onClick={() => setReadFilter('all')}
+          >
+            All ({notifications.length})
+          </button>
+          <button
+            role="tab"
+            aria-selected={readFilter === 'unread'}
+            className={`card__tab ${readFilter === 'unread' ? 'card__tab--active' : ''}`}
+            onClick={() => setReadFilter('unread')}
+          >
+            Unread ({unreadCount})
+          </button>
+        </div>
+
+        <select
+          value={typeFilter}
+          onChange={(e) => setTypeFilter(e.target.value)}
+          className="customers__select"
+          aria-label="Filter by type"
+        >
+          <option value="all">All Types</option>
+          {Object.entries(NOTIFICATION_TYPES).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && (
+        <div className="notifications__error">
+          <p>Error: {error}</p>
+          <Button variant="secondary" onClick={refetch}>Retry</Button>
+        </div>
+      )}
+
+      <ul className="notifications__list">
+        {filteredNotifications.map(notification => (
+          <li
+            key={notification.id}
+            className={`notifications__item ${!notification.read ? 'notifications__item--unread' : ''}`}
+          >
+            <span className={`notifications__icon notifications__icon--${notification.type}`} aria-hidden="true">
+              {TYPE_ICONS[notification.type] || '🔔'}
+            </span>
+            <div className="notifications__content">
+              <div className="notifications__title">
+                {notification.title}
+                <span className="notifications__type">{NOTIFICATION_TYPES[notification.type]?.label}</span>
+              </div>
+              <div className="notifications__message">{notification.message}</div>
+              <div className="notifications__time">{formatRelativeTime(notification.createdAt)}</div>
+            </div>
+            <div className="notifications__actions">
+              {notification.link && (
+                <Link
+                  to={notification.link}
+                  className="card__link"
+                  onClick={() => !notification.read && markRead(notification.id)}
+                >
+                  View
+                </Link>
+              )}
+              <button
+                className="card__link"
+                onClick={() => markRead(notification.id, !notification.read)}
+              >
+                {notification.read ? 'Mark unread' : 'Mark read'}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {filteredNotifications.length === 0 && (
+        <div className="notifications__empty">
+          <div className="empty-icon">🔔</div>
+          <p>{readFilter === 'unread' ? "You're all caught up" : 'No notifications match these filters'}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default Notifications;
@@ -0,0 +1,249 @@
+import {
+  createDataSource,
+  createMemoryAdapter,
+  createLocalStorageAdapter,
+  createRestAdapter,
+  getDataSourceConfig
+} from './index';
+import { migrateCollections, SCHEMA_VERSION } from './migrations';
+import { clearSession, createSession, saveSession } from '../auth/session';
+
+const seed = {
+  customers: [
+    { id: '1', name: 'Stripe Inc.', tier: 'enterprise' },
+    { id: '2', name: 'Linear Software', tier: 'growth' }
+  ]
+};
+
+const localAdapters = {
+  memory: () => createMemoryAdapter({ data: seed, latency: { list: 0, get: 0, write: 0 } }),
+  localStorage: () => createLocalStorageAdapter({ namespace: 'test-crm', seed })
+};
+
+describe.each(Object.keys(localAdapters))('%s data source', (type) => {
+  let adapter;
+
+  beforeEach(() => {
+    window.localStorage.clear();
+    adapter = localAdapters[type]();
+  });
+
+  it('lists seeded records and filters by query', async () => {
+    expect(await adapter.list('customers')).toHaveLength(2);
+    expect(await adapter.list('customers', { tier: 'growth' })).toEqual([seed.customers[1]]);
+  });
+
+  it('returns null for a missing record', async () => {
+    expect(await adapter.get('customers', 'missing')).toBeNull();
+    expect(await adapter.update('customers', 'missing', { name: 'x' })).toBeNull();
+    expect(await adapter.remove('customers', 'missing')).toBe(false);
+  });
+
+  it('creates, updates and removes records', async () => {
+    await adapter.create('customers', { id: '3', name: 'Vercel Inc.' });
+    const updated = await adapter.update('customers', '3', { tier: 'growth' });
+
+    expect(updated).toEqual({ id: '3', name: 'Vercel Inc.', tier: 'growth' });
+    expect(await adapter.remove('customers', '3')).toBe(true);
+    expect(await adapter.get('customers', '3')).toBeNull();
+  });
+
+  it('does not mutate the seed data', async () => {
+    await adapter.update('customers', '1', { name: 'Changed' });
+    expect(seed.customers[0].name).toBe('Stripe Inc.');
+  });
+
+  it('assigns owners and adds the sales team when upgrading from version 2', async () => {
+    window.localStorage.setItem('upgraded:schemaVersion', '2');
+    window.localStorage.setItem('upgraded:customers', JSON.stringify([
+      { id: '1', name: 'Stripe Inc.' },
+      { id: 'added-later', name: 'Acme' }
+    ]));
+    const adapter = createLocalStorageAdapter({ namespace: 'upgraded', seed });
+
+    expect((await adapter.list('customers')).map(c => c.ownerId)).toEqual(['user2', null]);
+    expect(await adapter.get('users', 'user1')).toMatchObject({ name: 'Alex Morgan', role: 'admin' });
+    expect(await adapter.list('teams')).not.toHaveLength(0);
+  });
+
+  it('links activities by entity type and id when upgrading from version 3', async () => {
+    window.localStorage.setItem('upgraded:schemaVersion', '3');
+    window.localStorage.setItem('upgraded:activities', JSON.stringify([
+      { id: 'a1', type: 'deal_won', relatedId: '10' },
+      { id: 'a2', type: 'contact_added', relatedId: '7' },
+      { id: 'a3', type: 'call', relatedId: '1' }
+    ]));
+    const adapter = createLocalStorageAdapter({ namespace: 'upgraded', seed });
+
+    expect(await adapter.list('activities')).toEqual([
+      { id: 'a1', type: 'deal_won', entityType: 'deal', entityId: '10' },
+      { id: 'a2', type: 'contact_added', entityType: 'contact', entityId: '7' },
+      { id: 'a3', type: 'call', entityType: 'customer', entityId: '1' }
+    ]);
+  });
+
+  it('restores the seed data on reset', async () => {
+    await adapter.remove('customers', '1');
+    await adapter.reset();
+    expect(await adapter.list('customers')).toHaveLength(2);
+  });
+});
+
+describe('memory data source', () => {
+  it('answers without a delay unless one is asked for', async () => {
+    jest.useFakeTimers();
+    try {
+      const adapter = createMemoryAdapter({ data: seed });
+      await adapter.update('customers', '1', { tier: 'growth' });
+      expect((await adapter.get('customers', '1')).tier).toBe('growth');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
+
+describe('localStorage data source', () => {
+  it('keeps changes across adapter instances', async () => {
+    window.localStorage.clear();
+    await createLocalStorageAdapter({ namespace: 'test-crm', seed })
+      .create('customers', { id: '3', name: 'Vercel Inc.' });
+
+    const reloaded = createLocalStorageAdapter({ namespace: 'test-crm', seed });
+    expect(await reloaded.get('customers', '3')).toEqual({ id: '3', name: 'Vercel Inc.' });
+  });
+});
+
+describe('rest data source', () => {
+  const respond = (status, body) => Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    text: () => Promise.resolve(body === undefined ? '' : JSON.stringify(body))
+  });
+
+  beforeEach(() => {
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it('maps list queries to GET requests with query parameters', async () => {
+    global.fetch.mockReturnValue(respond(200, seed.customers));
+    const adapter = createRestAdapter({ baseUrl: 'http://localhost:4000/' });
+
+    await adapter.list('contacts', { customerId: '1' });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'http://localhost:4000/contacts?customerId=1',
+      expect.objectContaining({ headers: expect.objectContaining({ 'Content-Type': 'application/json' }) })
+    );
+  });
+
+  it('sends updates as PATCH with a JSON body', async () => {
+    global.fetch.mockReturnValue(respond(200, { id: '1', name: 'Stripe' }));
+    const adapter = createRestAdapter({ baseUrl: '/api' });
+
+    await adapter.update('customers', '1', { name: 'Stripe' });
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      '/api/customers/1',
+      expect.objectContaining({ method: 'PATCH', body: JSON.stringify({ name: 'Stripe' }) })
+    );
+  });
+
+  it('sends the bearer token of the current session with every request', async () => {
+    global.fetch.mockReturnValue(respond(200, {}));
+    let token = 'first';
+    const adapter = createRestAdapter({ getToken: () => token });
+
+    await adapter.get('customers', '1');
+    token = 'second';
+    await adapter.remove('customers', '1');
+
+    expect(global.fetch.mock.calls.map(([, options]) => options.headers.Authorization))
+      .toEqual(['Bearer first', 'Bearer second']);
+  });
+
+  it('reads the token from the stored session by default', async () => {
+    global.fetch.mockReturnValue(respond(200, []));
+    saveSession(createSession({ user: { id: 'user1' }, token: 'stored' }));
+
+    await createRestAdapter().list('customers');
+
+    expect(global.fetch.mock.calls[0][1].headers.Authorization).toBe('Bearer stored');
+    clearSession();
+  });
+
+  it('treats 404 responses as missing records', async () => {
+    global.fetch.mockReturnValue(respond(404));
+    const adapter = createRestAdapter();
+
+    expect(await adapter.get('customers', '99')).toBeNull();
+    expect(await adapter.remove('customers', '99')).toBe(false);
+  });
+
+  it('rejects on other HTTP errors', async () => {
+    global.fetch.mockReturnValue(respond(500));
+    await expect(createRestAdapter().list('customers')).rejects.toThrow('HTTP error! status: 500');
+  });
+});
+
+describe('localStorage schema versioning', () => {
+  beforeEach(() => window.localStorage.clear());
+
+  it('records the schema version on first use', async () => {
+    const adapter = createLocalStorageAdapter({ namespace: 'versioned', seed });
+    await adapter.list('customers');
+
+    expect(window.localStorage.getItem('versioned:schemaVersion')).toBe(String(SCHEMA_VERSION));
+  });
+
+  it('moves notifications to per-user read state and addresses task reminders to the assignee', () => {
+    const migrated = migrateCollections({
+      users: [{ id: 'user1' }, { id: 'user2' }],
+      tasks: [{ id: 't1', assigneeId: 'user2' }],
+      notifications: [
+        { id: 'deal_won:1', type: 'deal_won', read: true },
+        { id: 'task_due:t1:2024-03-01', type: 'task_due', entityId: 't1', read: false }
+      ]
+    }, 9);
+
+    expect(migrated.notifications).toEqual([
+      { id: 'deal_won:1', type: 'deal_won', readBy: ['user1', 'user2'] },
+      { id: 'task_due:t1:2024-03-01', type: 'task_due', entityId: 't1', userId: 'user2', readBy: [] }
+    ]);
+  });
+
+  it('restores the seed data on reset', async () => {
+    const adapter = createLocalStorageAdapter({ namespace: 'resettable', seed });
+    await adapter.remove('customers', '1');
+    await adapter.create('customers', { id: '3', name: 'Vercel' });
+
+    await adapter.reset();
+
+    expect((await adapter.list('customers')).map(c => c.id)).toEqual(['1', '2']);
+  });
+});
+
+describe('createDataSource', () => {
+  it('rejects unknown data source types', () => {
+    expect(() => createDataSource({ type: 'carrier-pigeon' })).toThrow('Unknown data source "carrier-pigeon"');
+  });
+
+  it('adds generated customers to the seed when asked for a larger demo', async () => {
+    const baseline = getDataSourceConfig().options.seed.customers.length;
+    process.env.REACT_APP_DEMO_CUSTOMERS = '10000';
+    try {
+      const { options } = getDataSourceConfig();
+      const adapter = createDataSource({ type: 'memory', options: { ...options, latency: { list: 0, get: 0, write: 0 } } });
+      const customers = await adapter.list('customers');
+
+      expect(customers).toHaveLength(baseline + 10000);
+      expect(await adapter.get('customers', 'demo-10000')).toMatchObject({ id: 'demo-10000', logo: null });
+      expect(new Set(customers.map(c => c.id)).size).toBe(customers.length);
+    } finally {
+      delete process.env.REACT_APP_DEMO_CUSTOMERS;
+    }
+  });
+});
@@ -0,0 +1,78 @@
+import { createMemoryAdapter } from './memoryAdapter';
+import { createLocalStorageAdapter } from './localStorageAdapter';
+import { createIndexedDbAdapter } from './indexedDbAdapter';
+import { createRestAdapter } from './restAdapter';
+import { buildDemoCustomers, seedData } from '../mockData';
+
+/*
+ * Every data source implements the same interface, so crmService never knows where records live:
+ *   list(collection, query)      -> records matching the field/value pairs in query
+ *   get(collection, id)          -> record or null
+ *   create(collection, record)   -> stored record
+ *   update(collection, id, data) -> merged record or null when missing
+ *   remove(collection, id)       -> true when a record was deleted
+ *   reset()                      -> restore the demo data where supported
+ */
+
+const factories = {
+  memory: createMemoryAdapter,
+  localStorage: createLocalStorageAdapter,
+  indexedDB: createIndexedDbAdapter,
+  rest: createRestAdapter
+};
+
+// A delay on every in-memory call, to see loading states as they would be against a real backend
+const buildLatency = (ms) => (ms > 0 ? { list: ms, get: ms, write: ms } : {});
+
+// Demo data, with REACT_APP_DEMO_CUSTOMERS generated customers on top to try the app at scale
+const buildSeed = (demoCustomers) => (demoCustomers > 0
+  ? { ...seedData, customers: [...seedData.customers, ...buildDemoCustomers(demoCustomers)] }
+  : seedData);
+
+/**
+ * Data source settings, read from the build environment:
+ * REACT_APP_DATA_SOURCE (indexedDB | localStorage | memory | rest), REACT_APP_API_URL for the REST backend,
+ * REACT_APP_DEMO_CUSTOMERS for a larger seed and REACT_APP_MEMORY_LATENCY for a simulated delay in ms.
+ * Defaults to IndexedDB so data survives reloads, falling back to memory where it is unavailable.
+ * @returns {Object} - { type, options }
+ */
+export const getDataSourceConfig = () => ({
+  type: process.env.REACT_APP_DATA_SOURCE || (typeof window !== 'undefined' && window.indexedDB ? 'indexedDB' : 'memory'),
+  options: {
+    baseUrl: process.env.REACT_APP_API_URL || '/api',
+    seed: buildSeed(Number(process.env.REACT_APP_DEMO_CUSTOMERS) || 0),
+    latency: buildLatency(Number(process.env.REACT_APP_MEMORY_LATENCY) || 0)
+  }
+});
+
+/**
+ * Create a data source adapter
+ * @param {Object} config - { type, options }
+ * @returns {Object} - Data source adapter
+ */
+export const createDataSource = ({ type, options = {} } = getDataSourceConfig()) => {
+  const factory = factories[type];
+  if (!factory) {
+    throw new Error(`Unknown data source "${type}"`);
+  }
+  return factory(options);
+};
+
+let dataSource = null;
+
+export const getDataSource = () => {
+  if (!dataSource) {
+    dataSource = createDataSource();
+  }
+  return dataSource;
+};
+
+/**
+ * Swap the active data source, e.g. to point the app at another backend at runtime or in tests
+ * @param {Object} adapter - Data source adapter
+ */
+export const setDataSource = (adapter) => {
+  dataSource = adapter;
+};
+
+export { createMemoryAdapter, createLocalStorageAdapter, createIndexedDbAdapter, createRestAdapter };
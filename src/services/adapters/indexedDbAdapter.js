@@ -0,0 +1,171 @@
+import { seedData } from '../mockData';
+import { SCHEMA_VERSION, getSchemaStores, migrateCollections, needsDataMigration } from './migrations';
+
+const promisify = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+});
+
+const matchesQuery = (record, query) =>
+  Object.entries(query).every(([field, value]) => value == null || record[field] === value);
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const seedStores = (transaction, seed) => {
+  Object.keys(getSchemaStores()).forEach(name => {
+    const store = transaction.objectStore(name);
+    (seed[name] || []).forEach(record => store.put(clone(record)));
+  });
+};
+
+// Runs inside the versionchange transaction, so schema and data upgrade atomically
+const upgradeDatabase = (db, transaction, oldVersion, seed) => {
+  const stores = getSchemaStores();
+
+  Object.entries(stores).forEach(([name, indexes]) => {
+    const store = db.objectStoreNames.contains(name)
+      ? transaction.objectStore(name)
+      : db.createObjectStore(name, { keyPath: 'id' });
+    indexes.forEach(index => {
+      if (!store.indexNames.contains(index)) {
+        store.createIndex(index, index);
+      }
+    });
+  });
+
+  if (oldVersion === 0) {
+    seedStores(transaction, seed);
+    return;
+  }
+
+  if (!needsDataMigration(oldVersion)) return;
+
+  const names = Object.keys(stores);
+  const collections = {};
+  names.forEach(name => {
+    transaction.objectStore(name).getAll().onsuccess = (event) => {
+      collections[name] = event.target.result;
+      if (Object.keys(collections).length === names.length) {
+        const migrated = migrateCollections(collections, oldVersion);
+        names.forEach(storeName => {
+          const store = transaction.objectStore(storeName);
+          store.clear();
+          (migrated[storeName] || []).forEach(record => store.put(record));
+        });
+      }
+    };
+  });
+};
+
+/**
+ * Data source persisted in IndexedDB. The database is created and seeded from the demo
+ * data on first use and upgraded through the versioned migrations on later releases.
+ * @param {Object} options
+ * @param {string} options.name - Database name
+ * @param {Object} options.seed - Collections used to seed a new database
+ * @param {IDBFactory} options.factory - IndexedDB implementation, defaults to window.indexedDB
+ * @returns {Object} - Data source adapter
+ */
+export const createIndexedDbAdapter = ({
+  name = 'nexus-crm',
+  seed = seedData,
+  factory = window.indexedDB
+} = {}) => {
+  let dbPromise = null;
+
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = factory.open(name, SCHEMA_VERSION);
+        request.onupgradeneeded = (event) => {
+          upgradeDatabase(request.result, request.transaction, event.oldVersion, seed);
+        };
+        request.onsuccess = () => {
+          const db = request.result;
+          // Let a newer version in another tab upgrade the database
+          db.onversionchange = () => {
+            db.close();
+            dbPromise = null;
+          };
+          resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Close other tabs of this app to finish upgrading its database'));
+      });
+    }
+    return dbPromise;
+  };
+
+  const run = async (storeNames, mode, operation) => {
+    const db = await open();
+    const transaction = db.transaction(storeNames, mode);
+    const done = transactionDone(transaction);
+    const result = await operation(transaction);
+    await done;
+    return result;
+  };
+
+  return {
+    type: 'indexedDB',
+
+    async list(collection, query = {}) {
+      return run(collection, 'readonly', async (transaction) => {
+        const records = await promisify(transaction.objectStore(collection).getAll());
+        return records.filter(record => matchesQuery(record, query));
+      });
+    },
+
+    async get(collection, id) {
+      return run(collection, 'readonly', async (transaction) => {
+        const record = await promisify(transaction.objectStore(collection).get(id));
+        return record || null;
+      });
+    },
+
+    async create(collection, record) {
+      return run(collection, 'readwrite', async (transaction) => {
+        await promisify(transaction.objectStore(collection).add(record));
+        return record;
+      });
+    },
+
+    async update(collection, id, changes) {
+      return run(collection, 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(collection);
+        const existing = await promisify(store.get(id));
+        if (!existing) {
+          return null;
+        }
+        const updated = { ...existing, ...changes };
+        await promisify(store.put(updated));
+        return updated;
+      });
+    },
+
+    async remove(collection, id) {
+      return run(collection, 'readwrite', async (transaction) => {
+        const store = transaction.objectStore(collection);
+        const existing = await promisify(store.get(id));
+        if (!existing) {
+          return false;
+        }
+        await promisify(store.delete(id));
+        return true;
+      });
+    },
+
+    async reset() {
+      const storeNames = Object.keys(getSchemaStores());
+      return run(storeNames, 'readwrite', async (transaction) => {
+        storeNames.forEach(storeName => transaction.objectStore(storeName).clear());
+        seedStores(transaction, seed);
+      });
+    }
+  };
+};
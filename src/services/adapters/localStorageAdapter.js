@@ -0,0 +1,112 @@
+import { seedData } from '../mockData';
+import { SCHEMA_VERSION, getSchemaStores, migrateCollections, needsDataMigration } from './migrations';
+
+const matchesQuery = (record, query) =>
+  Object.entries(query).every(([field, value]) => value == null || record[field] === value);
+
+/**
+ * Data source persisted in window.localStorage, one key per collection.
+ * Collections are seeded from the demo data the first time they are read, and data
+ * written by an older release is upgraded through the versioned migrations.
+ * @param {Object} options
+ * @param {string} options.namespace - Prefix for the localStorage keys
+ * @param {Object} options.seed - Collections used when a key does not exist yet
+ * @param {Storage} options.storage - Storage implementation, defaults to window.localStorage
+ * @returns {Object} - Data source adapter
+ */
+export const createLocalStorageAdapter = ({
+  namespace = 'nexus-crm',
+  seed = seedData,
+  storage = window.localStorage
+} = {}) => {
+  const keyFor = (collection) => `${namespace}:${collection}`;
+  const versionKey = `${namespace}:schemaVersion`;
+  let ready = false;
+
+  // Data stored before the schema was versioned is treated as version 1
+  const ensureMigrated = () => {
+    if (ready) return;
+    ready = true;
+
+    const collections = Object.keys(getSchemaStores());
+    const hasData = collections.some(collection => storage.getItem(keyFor(collection)) !== null);
+    const storedVersion = Number(storage.getItem(versionKey)) || (hasData ? 1 : SCHEMA_VERSION);
+
+    if (needsDataMigration(storedVersion)) {
+      const current = collections.reduce((data, collection) => {
+        data[collection] = read(collection);
+        return data;
+      }, {});
+      const migrated = migrateCollections(current, storedVersion);
+      collections.forEach(collection => write(collection, migrated[collection] || []));
+    }
+    storage.setItem(versionKey, String(SCHEMA_VERSION));
+  };
+
+  const read = (collection) => {
+    const item = storage.getItem(keyFor(collection));
+    if (item === null) {
+      const records = seed[collection] ? JSON.parse(JSON.stringify(seed[collection])) : [];
+      write(collection, records);
+      return records;
+    }
+    try {
+      return JSON.parse(item);
+    } catch (error) {
+      console.error(`Error reading localStorage key "${keyFor(collection)}":`, error);
+      return [];
+    }
+  };
+
+  const write = (collection, records) => {
+    storage.setItem(keyFor(collection), JSON.stringify(records));
+  };
+
+  return {
+    type: 'localStorage',
+
+    async list(collection, query = {}) {
+      ensureMigrated();
+      return read(collection).filter(record => matchesQuery(record, query));
+    },
+
+    async get(collection, id) {
+      ensureMigrated();
+      return read(collection).find(item => item.id === id) || null;
+    },
+
+    async create(collection, record) {
+      ensureMigrated();
+      write(collection, [...read(collection), record]);
+      return record;
+    },
+
+    async update(collection, id, changes) {
+      ensureMigrated();
+      const records = read(collection);
+      const index = records.findIndex(item => item.id === id);
+      if (index === -1) {
+        return null;
+      }
+      records[index] = { ...records[index], ...changes };
+      write(collection, records);
+      return records[index];
+    },
+
+    async remove(collection, id) {
+      ensureMigrated();
+      const records = read(collection);
+      const remaining = records.filter(item => item.id !== id);
+      if (remaining.length === records.length) {
+        return false;
+      }
+      write(collection, remaining);
+      return true;
+    },
+
+    async reset() {
+      Object.keys(getSchemaStores()).forEach(collection => storage.removeItem(keyFor(collection)));
+      storage.setItem(versionKey, String(SCHEMA_VERSION));
+    }
+  };
+};
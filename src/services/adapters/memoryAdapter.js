@@ -0,0 +1,81 @@
+import { seedData } from '../mockData';
+
+// Simulate API delay
+const delay = (ms) => (ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve());
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const matchesQuery = (record, query) =>
+  Object.entries(query).every(([field, value]) => value == null || record[field] === value);
+
+/**
+ * In-memory data source seeded from the demo data. Changes are lost on reload.
+ * @param {Object} options
+ * @param {Object} options.seed - Collections keyed by name, copied on creation
+ * @param {Object} options.data - Same as seed
+ * @param {Object} options.latency - Simulated delay in ms for list, get and write calls, none by default
+ * @returns {Object} - Data source adapter
+ */
+export const createMemoryAdapter = ({
+  seed = seedData,
+  data = seed,
+  latency = {}
+} = {}) => {
+  let collections = clone(data);
+
+  const getCollection = (name) => {
+    if (!collections[name]) {
+      collections[name] = [];
+    }
+    return collections[name];
+  };
+
+  return {
+    type: 'memory',
+
+    async list(collection, query = {}) {
+      await delay(latency.list);
+      return getCollection(collection)
+        .filter(record => matchesQuery(record, query))
+        .map(record => ({ ...record }));
+    },
+
+    async get(collection, id) {
+      await delay(latency.get);
+      const record = getCollection(collection).find(item => item.id === id);
+      return record ? { ...record } : null;
+    },
+
+    async create(collection, record) {
+      await delay(latency.write);
+      getCollection(collection).push(record);
+      return { ...record };
+    },
+
+    async update(collection, id, changes) {
+      await delay(latency.write);
+      const records = getCollection(collection);
+      const index = records.findIndex(item => item.id === id);
+      if (index === -1) {
+        return null;
+      }
+      records[index] = { ...records[index], ...changes };
+      return { ...records[index] };
+    },
+
+    async remove(collection, id) {
+      await delay(latency.write);
+      const records = getCollection(collection);
+      const index = records.findIndex(item => item.id === id);
+      if (index === -1) {
+        return false;
+      }
+      records.splice(index, 1);
+      return true;
+    },
+
+    async reset() {
+      collections = clone(data);
+    }
+  };
+};
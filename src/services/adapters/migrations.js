@@ -0,0 +1,158 @@
+import { seedData } from '../mockData';
+
+/*
+ * Versioned schema for the persistent data sources.
+ *
+ * Each migration lists the object stores (and their indexes) it introduces and may provide
+ * `migrate(collections)`, which receives every collection as plain arrays and returns the
+ * upgraded collections. Fresh installs are seeded from mockData, which is always kept in the
+ * shape of the latest version, so `migrate` only ever runs against previously persisted data.
+ * Append new migrations; never edit one that has shipped.
+ */
+export const migrations = [
+  {
+    version: 1,
+    description: 'Create the customer, contact, deal and activity stores',
+    stores: {
+      customers: [],
+      contacts: ['customerId'],
+      deals: ['customerId'],
+      activities: []
+    }
+  },
+  {
+    version: 2,
+    description: 'Add the notification store',
+    stores: {
+      notifications: ['type']
+    }
+  },
+  {
+    version: 3,
+    description: 'Add users and teams, and give customers and deals an owner',
+    stores: {
+      users: ['teamId'],
+      teams: [],
+      customers: ['ownerId'],
+      deals: ['ownerId']
+    },
+    // Demo records keep the owner they have in the seed data; anything added since stays unassigned
+    migrate: (collections) => {
+      const withOwner = (records = [], seedRecords) => records.map(record => ({
+        ...record,
+        ownerId: record.ownerId || seedRecords.find(item => item.id === record.id)?.ownerId || null
+      }));
+      return {
+        ...collections,
+        users: collections.users?.length ? collections.users : seedData.users,
+        teams: collections.teams?.length ? collections.teams : seedData.teams,
+        customers: withOwner(collections.customers, seedData.customers),
+        deals: withOwner(collections.deals, seedData.deals)
+      };
+    }
+  },
+  {
+    version: 4,
+    description: 'Link activities to a customer, contact or deal by entity type and id',
+    stores: {
+      activities: ['entityId']
+    },
+    // relatedId pointed at a deal or contact for deal and contact events, and at a customer otherwise
+    migrate: (collections) => ({
+      ...collections,
+      activities: (collections.activities || []).map(({ relatedId, ...activity }) => {
+        if (activity.entityType || relatedId == null) return activity;
+        const entityType = activity.type.startsWith('deal_')
+          ? 'deal'
+          : activity.type === 'contact_added' ? 'contact' : 'customer';
+        return { ...activity, entityType, entityId: relatedId };
+      })
+    })
+  },
+  {
+    version: 5,
+    description: 'Add the audit log store',
+    stores: {
+      auditLog: ['entityId']
+    }
+  },
+  {
+    version: 6,
+    description: 'Add the tasks store',
+    stores: {
+      tasks: ['assigneeId', 'entityId']
+    }
+  },
+  {
+    version: 7,
+    description: 'Add daily health score snapshots and workspace settings',
+    stores: {
+      healthHistory: [],
+      settings: []
+    }
+  },
+  {
+    version: 8,
+    description: 'Add daily forecast snapshots',
+    stores: {
+      forecastSnapshots: []
+    }
+  },
+  {
+    version: 9,
+    description: 'Add saved list views',
+    stores: {
+      savedViews: ['userId']
+    }
+  },
+  {
+    version: 10,
+    description: 'Address task notifications to their assignee and keep read state per user',
+    stores: {
+      notifications: ['userId']
+    },
+    // A notification read before this version stays read for everyone who could see it then
+    migrate: (collections) => {
+      const userIds = (collections.users || []).map(user => user.id);
+      const tasks = collections.tasks || [];
+      return {
+        ...collections,
+        notifications: (collections.notifications || []).map(({ read, ...notification }) => ({
+          ...notification,
+          ...(notification.type === 'task_due' && {
+            userId: tasks.find(task => task.id === notification.entityId)?.assigneeId || null
+          }),
+          readBy: notification.readBy || (read ? userIds : [])
+        }))
+      };
+    }
+  }
+];
+
+export const SCHEMA_VERSION = migrations[migrations.length - 1].version;
+
+/**
+ * Every store declared by the migrations, with the indexes it should have
+ * @returns {Object} - Index names keyed by store name
+ */
+export const getSchemaStores = () =>
+  migrations.reduce((stores, migration) => {
+    Object.entries(migration.stores || {}).forEach(([name, indexes]) => {
+      stores[name] = [...new Set([...(stores[name] || []), ...indexes])];
+    });
+    return stores;
+  }, {});
+
+/**
+ * Bring persisted collections from an older schema version up to SCHEMA_VERSION
+ * @param {Object} collections - Record arrays keyed by collection name
+ * @param {number} fromVersion - Schema version the data was written with
+ * @returns {Object} - Upgraded collections
+ */
+export const migrateCollections = (collections, fromVersion) =>
+  migrations
+    .filter(migration => migration.version > fromVersion && migration.migrate)
+    .reduce((data, migration) => migration.migrate(data), collections);
+
+export const needsDataMigration = (fromVersion) =>
+  migrations.some(migration => migration.version > fromVersion && migration.migrate);
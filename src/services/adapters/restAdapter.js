@@ -0,0 +1,77 @@
+import { request } from '../http';
+import { loadSession } from '../auth/session';
+
+/**
+ * Data source backed by a JSON REST API (json-server style):
+ * GET /:collection, GET/PATCH/DELETE /:collection/:id, POST /:collection.
+ * Every request carries the session's bearer token; the backend decides what the user may do,
+ * as the role checks in crmService only run in the browser.
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root, e.g. http://localhost:4000
+ * @param {Object} options.headers - Extra headers sent with every request
+ * @param {Function} options.getToken - Token of the current session, read before each request
+ * @returns {Object} - Data source adapter
+ */
+export const createRestAdapter = ({ baseUrl = '/api', headers = {}, getToken = () => loadSession()?.token } = {}) => {
+  const root = baseUrl.replace(/\/$/, '');
+
+  // Read per request, so signing in as someone else applies without a new adapter
+  const send = (url, options = {}) => {
+    const token = getToken();
+    return request(url, {
+      ...options,
+      headers: token ? { ...headers, Authorization: `Bearer ${token}` } : headers
+    });
+  };
+
+  const urlFor = (collection, id, query = {}) => {
+    const path = id ? `${root}/${collection}/${encodeURIComponent(id)}` : `${root}/${collection}`;
+    const params = new URLSearchParams();
+    Object.entries(query).forEach(([field, value]) => {
+      if (value != null) params.append(field, value);
+    });
+    const search = params.toString();
+    return search ? `${path}?${search}` : path;
+  };
+
+  // A missing record is reported as null, like the local data sources do
+  const orNullOn404 = async (promise) => {
+    try {
+      return await promise;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  };
+
+  return {
+    type: 'rest',
+
+    async list(collection, query = {}) {
+      return send(urlFor(collection, null, query));
+    },
+
+    async get(collection, id) {
+      return orNullOn404(send(urlFor(collection, id)));
+    },
+
+    async create(collection, record) {
+      return send(urlFor(collection), { method: 'POST', body: record });
+    },
+
+    async update(collection, id, changes) {
+      return orNullOn404(send(urlFor(collection, id), { method: 'PATCH', body: changes }));
+    },
+
+    async remove(collection, id) {
+      const result = await orNullOn404(
+        send(urlFor(collection, id), { method: 'DELETE' }).then(() => true)
+      );
+      return result === true;
+    },
+
+    async reset() {
+      throw new Error('The REST data source cannot be reset from the client');
+    }
+  };
+};
@@ -0,0 +1,99 @@
+// Audit trail: field-level diffs of every change and the activities they generate. crmService stores the entries.
+
+// Bookkeeping fields that are not worth recording; stage changes already show up as the stage field
+const IGNORED_FIELDS = ['id', 'createdAt', 'updatedAt', 'stageHistory'];
+
+// Entity type recorded for each collection
+export const AUDITED_COLLECTIONS = {
+  customers: 'customer',
+  contacts: 'contact',
+  deals: 'deal',
+  activities: 'activity',
+  tasks: 'task'
+};
+
+const isEqual = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const formatCurrency = (amount) => `$${Number(amount || 0).toLocaleString('en-US')}`;
+
+/**
+ * Fields that differ between two versions of a record
+ * @param {Object|null} before - Record before the change, or null when it was created
+ * @param {Object|null} after - Record after the change, or null when it was deleted
+ * @returns {Array} - { field, from, to } for every changed field, in field name order
+ */
+export const diffRecords = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  return [...fields]
+    .filter(field => !IGNORED_FIELDS.includes(field))
+    .filter(field => !isEqual(before?.[field], after?.[field]))
+    .sort()
+    .map(field => ({ field, from: before?.[field] ?? null, to: after?.[field] ?? null }));
+};
+
+/**
+ * Audit entry for a create, update or delete. Updates that change nothing produce no entry.
+ * @param {Object} change
+ * @param {string} change.action - create | update | delete
+ * @param {string} change.collection - Collection the record lives in
+ * @param {Object|null} change.before - Record before the change
+ * @param {Object|null} change.after - Record after the change
+ * @param {Object} change.user - User who made the change
+ * @param {string} change.timestamp - When the change was made
+ * @returns {Object|null} - Entry without an id, or null
+ */
+export const buildAuditEntry = ({ action, collection, before, after, user, timestamp = new Date().toISOString() }) => {
+  const changes = diffRecords(before, after);
+  if (action === 'update' && changes.length === 0) {
+    return null;
+  }
+  return {
+    action,
+    entityType: AUDITED_COLLECTIONS[collection],
+    entityId: (after || before).id,
+    userId: user?.id || null,
+    userName: user?.name || 'Unknown user',
+    timestamp,
+    changes
+  };
+};
+
+/**
+ * Timeline activities describing notable changes, e.g. "Stage changed from proposal to negotiation"
+ * @param {string} collection - Collection the record lives in
+ * @param {Object} before - Record before the update
+ * @param {Object} after - Record after the update
+ * @returns {Array} - Activities without id, userId or timestamp
+ */
+export const buildChangeActivities = (collection, before, after) => {
+  const entityType = AUDITED_COLLECTIONS[collection];
+  const activity = (type, title, description = '') => ({
+    type,
+    title,
+    description,
+    entityType,
+    entityId: after.id,
+    source: 'audit'
+  });
+  const changed = (field) => !isEqual(before[field], after[field]);
+
+  if (collection === 'deals') {
+    return [
+      changed('stage') && activity('deal_stage_changed', `Stage changed from ${before.stage} to ${after.stage}`, after.title),
+      changed('value') && activity(
+        'deal_value_changed',
+        `Value changed from ${formatCurrency(before.value)} to ${formatCurrency(after.value)}`,
+        after.title
+      )
+    ].filter(Boolean);
+  }
+
+  if (collection === 'customers') {
+    return [
+      changed('status') && activity('customer_status_changed', `Status changed from ${before.status} to ${after.status}`, after.name),
+      changed('tier') && activity('customer_tier_changed', `Tier changed from ${before.tier} to ${after.tier}`, after.name)
+    ].filter(Boolean);
+  }
+
+  return [];
+};
@@ -0,0 +1,61 @@
+import { diffRecords, buildAuditEntry, buildChangeActivities } from './auditService';
+
+const deal = { id: '3', title: 'Analytics Platform', stage: 'proposal', value: 150000, updatedAt: '2024-03-01' };
+const user = { id: 'user2', name: 'Jordan Lee' };
+
+describe('diffRecords', () => {
+  it('lists changed fields and skips bookkeeping fields', () => {
+    const after = { ...deal, stage: 'negotiation', updatedAt: '2024-03-02' };
+    expect(diffRecords(deal, after)).toEqual([{ field: 'stage', from: 'proposal', to: 'negotiation' }]);
+  });
+
+  it('compares nested values and treats missing fields as null', () => {
+    expect(diffRecords({ id: '1', address: { city: 'Austin' } }, { id: '1', address: { city: 'Austin' }, phone: '555' }))
+      .toEqual([{ field: 'phone', from: null, to: '555' }]);
+  });
+});
+
+describe('buildAuditEntry', () => {
+  it('records who changed which fields', () => {
+    const entry = buildAuditEntry({
+      action: 'update',
+      collection: 'deals',
+      before: deal,
+      after: { ...deal, value: 180000 },
+      user,
+      timestamp: '2024-03-02T10:00:00Z'
+    });
+
+    expect(entry).toEqual({
+      action: 'update',
+      entityType: 'deal',
+      entityId: '3',
+      userId: 'user2',
+      userName: 'Jordan Lee',
+      timestamp: '2024-03-02T10:00:00Z',
+      changes: [{ field: 'value', from: 150000, to: 180000 }]
+    });
+  });
+
+  it('skips updates that change nothing and records every field of deleted records', () => {
+    expect(buildAuditEntry({ action: 'update', collection: 'deals', before: deal, after: { ...deal }, user })).toBeNull();
+    expect(buildAuditEntry({ action: 'delete', collection: 'deals', before: deal, after: null, user }).changes)
+      .toContainEqual({ field: 'title', from: 'Analytics Platform', to: null });
+  });
+});
+
+describe('buildChangeActivities', () => {
+  it('describes deal stage and value changes', () => {
+    const activities = buildChangeActivities('deals', deal, { ...deal, stage: 'negotiation', value: 200000 });
+
+    expect(activities.map(activity => activity.title)).toEqual([
+      'Stage changed from proposal to negotiation',
+      'Value changed from $150,000 to $200,000'
+    ]);
+    expect(activities[0]).toMatchObject({ type: 'deal_stage_changed', entityType: 'deal', entityId: '3', source: 'audit' });
+  });
+
+  it('ignores records without notable fields', () => {
+    expect(buildChangeActivities('contacts', { id: '1', title: 'CTO' }, { id: '1', title: 'CEO' })).toEqual([]);
+  });
+});
@@ -0,0 +1,124 @@
+import {
+  createIdentityProvider,
+  createMockIdentityProvider,
+  createSession,
+  loadSession,
+  saveSession,
+  clearSession,
+  getCurrentUser,
+  can,
+  getRole,
+  SESSION_TTL_MS,
+  REMEMBERED_SESSION_TTL_MS
+} from './index';
+
+const user = { id: 'user1', name: 'Alex Morgan', email: 'alex.morgan@nexuscrm.com', title: 'Sales Director', role: 'admin' };
+
+describe('mock identity provider', () => {
+  const provider = createMockIdentityProvider({ latency: 0 });
+
+  it('signs in a demo user with the demo password, ignoring email case', async () => {
+    const identity = await provider.signIn({ email: ' Alex.Morgan@NexusCRM.com ', password: 'demo1234' });
+    expect(identity.user).toMatchObject(user);
+    expect(identity.token).toEqual(expect.any(String));
+  });
+
+  it('rejects unknown users and wrong passwords with the same message', async () => {
+    await expect(provider.signIn({ email: 'nobody@nexuscrm.com', password: 'demo1234' }))
+      .rejects.toThrow('Invalid email or password');
+    await expect(provider.signIn({ email: user.email, password: 'nope' }))
+      .rejects.toThrow('Invalid email or password');
+  });
+
+  it('reads the user back from the token rather than from the stored session', async () => {
+    const identity = await provider.signIn({ email: user.email, password: 'demo1234' });
+
+    expect(await provider.getUser({ ...identity, user: { ...user, role: 'hacker' } })).toMatchObject({ role: 'admin' });
+    expect(await provider.getUser({ token: 'forged' })).toBeNull();
+  });
+
+  it('is the default provider and unknown providers are rejected', () => {
+    expect(createIdentityProvider().type).toBe('mock');
+    expect(() => createIdentityProvider({ type: 'saml' })).toThrow('Unknown identity provider "saml"');
+  });
+});
+
+describe('session', () => {
+  const now = Date.parse('2026-01-05T09:00:00.000Z');
+
+  beforeEach(() => {
+    window.localStorage.clear();
+  });
+
+  it('expires after a working day, or a month when remembered', () => {
+    expect(Date.parse(createSession({ user, token: 't' }, { now }).expiresAt)).toBe(now + SESSION_TTL_MS);
+    expect(Date.parse(createSession({ user, token: 't' }, { remember: true, now }).expiresAt))
+      .toBe(now + REMEMBERED_SESSION_TTL_MS);
+  });
+
+  it('persists the session until it expires', () => {
+    const session = createSession({ user, token: 't' }, { now });
+    saveSession(session);
+
+    expect(loadSession(now + 1000)).toEqual(session);
+    expect(loadSession(now + SESSION_TTL_MS)).toBeNull();
+    // Expired sessions are removed from storage
+    expect(loadSession(now)).toBeNull();
+  });
+
+  it('exposes the current user and clears it on sign out', () => {
+    saveSession(createSession({ user, token: 't' }));
+    expect(getCurrentUser()).toEqual(user);
+
+    clearSession();
+    expect(getCurrentUser()).toBeNull();
+  });
+
+  it('treats unreadable storage as signed out', () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    window.localStorage.setItem('nexus-crm:session', '{not json');
+    expect(loadSession()).toBeNull();
+    console.error.mockRestore();
+  });
+});
+
+describe('permissions', () => {
+  const rep = { id: 'user2', role: 'rep' };
+  const owned = { id: 'c1', ownerId: 'user2' };
+  const other = { id: 'c2', ownerId: 'user1' };
+
+  it('grants owner-only permissions for owned records, or when no record is given', () => {
+    expect(can(rep, 'update', 'customers', owned)).toBe(true);
+    expect(can(rep, 'update', 'customers', other)).toBe(false);
+    expect(can(rep, 'update', 'customers')).toBe(true);
+    expect(can(rep, 'delete', 'customers', owned)).toBe(false);
+  });
+
+  it('treats the owner of a contact\'s customer as an owner of the contact', () => {
+    const contact = { id: 'p1', customerId: 'c1', ownerId: 'user1' };
+
+    expect(can(rep, 'update', 'contacts', contact, owned)).toBe(true);
+    expect(can(rep, 'update', 'contacts', contact, other)).toBe(false);
+  });
+
+  it('treats the author of an activity as its owner', () => {
+    expect(can(rep, 'update', 'activities', { id: 'a1', userId: 'user2' })).toBe(true);
+    expect(can(rep, 'delete', 'activities', { id: 'a2', userId: 'user1' })).toBe(false);
+  });
+
+  it('treats the assignee of a task as its owner', () => {
+    expect(can(rep, 'update', 'tasks', { id: 't1', assigneeId: 'user2', createdBy: 'user3' })).toBe(true);
+    expect(can(rep, 'update', 'tasks', { id: 't2', assigneeId: 'user3', createdBy: 'user2' })).toBe(false);
+  });
+
+  it('denies everything to signed-out users and treats unknown roles as read-only', () => {
+    expect(can(null, 'create', 'customers')).toBe(false);
+    expect(getRole({ id: 'x', role: 'superuser' }).label).toBe('Read-only');
+    expect(can({ id: 'x' }, 'create', 'activities')).toBe(false);
+  });
+
+  it('reserves workspace management for admins', () => {
+    expect(can(user, 'manage', 'workspace')).toBe(true);
+    expect(can({ id: 'user3', role: 'sales_manager' }, 'manage', 'workspace')).toBe(false);
+  });
+});
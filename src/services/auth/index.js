@@ -0,0 +1,60 @@
+import { createMockIdentityProvider } from './mockIdentityProvider';
+import { createRestIdentityProvider } from './restIdentityProvider';
+
+/*
+ * Every identity provider implements the same interface, so the sign-in flow never knows who checks credentials:
+ *   signIn({ email, password }) -> { user, token }, or throws 'Invalid email or password'
+ *   getUser(session)            -> the session's user as the provider knows them now, or null once it has ended
+ *   signOut(session)            -> ends the session on the provider's side where there is one
+ */
+
+const factories = {
+  mock: createMockIdentityProvider,
+  rest: createRestIdentityProvider
+};
+
+/**
+ * Identity provider settings, read from the build environment:
+ * REACT_APP_AUTH_PROVIDER (mock | rest) and REACT_APP_API_URL for the REST backend
+ * @returns {Object} - { type, options }
+ */
+export const getIdentityProviderConfig = () => ({
+  type: process.env.REACT_APP_AUTH_PROVIDER || 'mock',
+  options: {
+    baseUrl: process.env.REACT_APP_API_URL || '/api'
+  }
+});
+
+/**
+ * Create an identity provider
+ * @param {Object} config - { type, options }
+ * @returns {Object} - Identity provider
+ */
+export const createIdentityProvider = ({ type, options = {} } = getIdentityProviderConfig()) => {
+  const factory = factories[type];
+  if (!factory) {
+    throw new Error(`Unknown identity provider "${type}"`);
+  }
+  return factory(options);
+};
+
+let identityProvider = null;
+
+export const getIdentityProvider = () => {
+  if (!identityProvider) {
+    identityProvider = createIdentityProvider();
+  }
+  return identityProvider;
+};
+
+/**
+ * Swap the active identity provider, e.g. in tests
+ * @param {Object} provider - Identity provider
+ */
+export const setIdentityProvider = (provider) => {
+  identityProvider = provider;
+};
+
+export { createMockIdentityProvider, createRestIdentityProvider };
+export * from './session';
+export * from './permissions';
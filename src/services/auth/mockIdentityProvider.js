@@ -0,0 +1,45 @@
+// Local stand-in for an identity provider, so the app can be used without an auth backend
+import { seedData } from '../mockData';
+
+export const DEMO_PASSWORD = 'demo1234';
+
+// The demo workspace's sales team
+export const DEMO_USERS = seedData.users;
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Identity provider that checks credentials against a fixed list of demo users
+ * @param {Object} options
+ * @param {Array} options.users - Users that can sign in
+ * @param {string} options.password - Password shared by all users
+ * @param {number} options.latency - Simulated network delay in ms
+ * @returns {Object} - Identity provider
+ */
+export const createMockIdentityProvider = ({
+  users = DEMO_USERS,
+  password = DEMO_PASSWORD,
+  latency = 300
+} = {}) => ({
+  type: 'mock',
+
+  async signIn({ email, password: attempt }) {
+    await delay(latency);
+    const user = users.find(item => item.email.toLowerCase() === String(email).trim().toLowerCase());
+    if (!user || attempt !== password) {
+      throw new Error('Invalid email or password');
+    }
+    return { user: { ...user }, token: `mock-${user.id}-${Date.now()}` };
+  },
+
+  async getUser(session) {
+    await delay(latency);
+    const [, userId] = /^mock-(.+?)(?:-\d+)?$/.exec(session?.token || '') || [];
+    const user = users.find(item => item.id === userId);
+    return user ? { ...user } : null;
+  },
+
+  async signOut() {
+    await delay(0);
+  }
+});
@@ -0,0 +1,103 @@
+// Roles and what each one may do. crmService enforces these rules; the UI uses the same checks to hide or disable actions.
+
+// Scopes a permission can be granted with
+const ANY = 'any';
+const OWN = 'own';
+
+const RECORDS = ['customers', 'contacts', 'deals'];
+const grant = (resources, scope) => Object.fromEntries(resources.map(resource => [resource, scope]));
+
+export const ROLES = {
+  admin: {
+    label: 'Admin',
+    description: 'Full access, including deleting customers and resetting the workspace',
+    permissions: {
+      create: grant([...RECORDS, 'activities', 'tasks'], ANY),
+      update: grant([...RECORDS, 'activities', 'tasks'], ANY),
+      delete: grant([...RECORDS, 'activities', 'tasks'], ANY),
+      assign: grant(['customers', 'deals'], ANY),
+      manage: grant(['workspace'], ANY)
+    }
+  },
+  sales_manager: {
+    label: 'Sales Manager',
+    description: 'Edits every record, removes contacts, deals, activities and tasks and assigns owners',
+    permissions: {
+      create: grant([...RECORDS, 'activities', 'tasks'], ANY),
+      update: grant([...RECORDS, 'activities', 'tasks'], ANY),
+      delete: grant(['contacts', 'deals', 'activities', 'tasks'], ANY),
+      assign: grant(['customers', 'deals'], ANY)
+    }
+  },
+  rep: {
+    label: 'Sales Rep',
+    description: 'Adds records and edits the ones they own',
+    permissions: {
+      create: grant([...RECORDS, 'activities', 'tasks'], ANY),
+      update: grant([...RECORDS, 'activities', 'tasks'], OWN),
+      delete: grant(['contacts', 'deals', 'activities', 'tasks'], OWN)
+    }
+  },
+  read_only: {
+    label: 'Read-only',
+    description: 'Views records without changing them',
+    permissions: {}
+  }
+};
+
+// Users without a known role get the least access
+export const DEFAULT_ROLE = 'read_only';
+
+export const getRole = (user) => ROLES[user?.role] || ROLES[DEFAULT_ROLE];
+
+// Activities belong to the user who logged them and tasks to their assignee; other records have an explicit owner
+const OWNER_FIELDS = {
+  activities: 'userId',
+  tasks: 'assigneeId'
+};
+
+// Records under a customer, such as contacts, also belong to whoever owns that customer
+export const isOwner = (user, record, resource, parent = null) =>
+  Boolean(user && record && (record[OWNER_FIELDS[resource] || 'ownerId'] === user.id || parent?.ownerId === user.id));
+
+/**
+ * Check whether a user may perform an action
+ * @param {Object} user - Signed-in user, or null
+ * @param {string} action - create | update | delete | assign | manage
+ * @param {string} resource - customers | contacts | deals | activities | tasks | workspace
+ * @param {Object} record - Record the action applies to; without one, owner-only permissions count as granted
+ * @param {Object} parent - Customer the record belongs to, for contacts
+ * @returns {boolean}
+ */
+export const can = (user, action, resource, record = null, parent = null) => {
+  if (!user) return false;
+  const scope = getRole(user).permissions[action]?.[resource];
+  if (scope === ANY) return true;
+  if (scope === OWN) return !record || isOwner(user, record, resource, parent);
+  return false;
+};
+
+const RESOURCE_NAMES = {
+  customers: 'customer',
+  contacts: 'contact',
+  deals: 'deal',
+  activities: 'activity',
+  tasks: 'task'
+};
+
+/**
+ * Throw unless the user may perform the action
+ * @param {Object} user - Signed-in user, or null
+ * @param {string} action - create | update | delete | assign | manage
+ * @param {string} resource - customers | contacts | deals | activities | tasks | workspace
+ * @param {Object} record - Record the action applies to
+ * @param {Object} parent - Customer the record belongs to, for contacts
+ */
+export const assertCan = (user, action, resource, record = null, parent = null) => {
+  if (can(user, action, resource, record, parent)) return;
+  const error = new Error(user
+    ? `You do not have permission to ${action} ${record ? `this ${RESOURCE_NAMES[resource]}` : resource}`
+    : 'You must be signed in');
+  error.status = user ? 403 : 401;
+  throw error;
+};
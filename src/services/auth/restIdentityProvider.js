@@ -0,0 +1,45 @@
+import { request } from '../http';
+
+/**
+ * Identity provider backed by an auth API:
+ * POST /auth/login with { email, password } -> { user, token }, GET /auth/me and POST /auth/logout with the bearer token
+ * @param {Object} options
+ * @param {string} options.baseUrl - API root, e.g. http://localhost:4000
+ * @returns {Object} - Identity provider
+ */
+export const createRestIdentityProvider = ({ baseUrl = '/api' } = {}) => {
+  const root = baseUrl.replace(/\/$/, '');
+
+  return {
+    type: 'rest',
+
+    async signIn({ email, password }) {
+      try {
+        return await request(`${root}/auth/login`, { method: 'POST', body: { email, password } });
+      } catch (error) {
+        if (error.status === 401) {
+          throw new Error('Invalid email or password');
+        }
+        throw error;
+      }
+    },
+
+    async getUser(session) {
+      if (!session?.token) return null;
+      try {
+        return await request(`${root}/auth/me`, { headers: { Authorization: `Bearer ${session.token}` } });
+      } catch (error) {
+        if (error.status === 401) return null;
+        throw error;
+      }
+    },
+
+    async signOut(session) {
+      if (!session?.token) return;
+      await request(`${root}/auth/logout`, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${session.token}` }
+      });
+    }
+  };
+};
@@ -0,0 +1,56 @@
+// Signed-in session, persisted in localStorage so it survives reloads and is shared between tabs
+
+export const SESSION_STORAGE_KEY = 'nexus-crm:session';
+
+// Sessions last a working day, or a month when "Keep me signed in" is ticked
+export const SESSION_TTL_MS = 8 * 60 * 60 * 1000;
+export const REMEMBERED_SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Build a session for a signed-in user
+ * @param {Object} identity - { user, token } as returned by an identity provider
+ * @param {Object} options
+ * @param {boolean} options.remember - Use the longer session lifetime
+ * @param {number} options.now - Current time in ms
+ * @returns {Object} - { user, token, expiresAt }
+ */
+export const createSession = ({ user, token }, { remember = false, now = Date.now() } = {}) => ({
+  user,
+  token,
+  expiresAt: new Date(now + (remember ? REMEMBERED_SESSION_TTL_MS : SESSION_TTL_MS)).toISOString()
+});
+
+export const isSessionExpired = (session, now = Date.now()) =>
+  !session || new Date(session.expiresAt).getTime() <= now;
+
+/**
+ * Read the stored session. Expired or unreadable sessions are cleared.
+ * @param {number} now - Current time in ms
+ * @returns {Object|null} - Session, or null when signed out
+ */
+export const loadSession = (now = Date.now()) => {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(SESSION_STORAGE_KEY));
+    if (session && !isSessionExpired(session, now)) {
+      return session;
+    }
+  } catch (error) {
+    console.error('Error reading the stored session:', error);
+  }
+  clearSession();
+  return null;
+};
+
+export const saveSession = (session) => {
+  window.localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify(session));
+};
+
+export const clearSession = () => {
+  window.localStorage.removeItem(SESSION_STORAGE_KEY);
+};
+
+/**
+ * User of the current session, for code outside React such as crmService
+ * @returns {Object|null} - Signed-in user
+ */
+export const getCurrentUser = () => loadSession()?.user || null;
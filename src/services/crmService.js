@@ -1,932 +1,1130 @@
-// Professional CRM Service with Rich Mock Data
+// Professional CRM Service on top of a pluggable data source
 import { v4 as uuidv4 } from 'uuid';
+import { getDataSource } from './adapters';
+import { getCurrentUser } from './auth/session';
+import { assertCan, can } from './auth/permissions';
+import { buildBooksOfBusiness } from './territoryService';
+import { buildAuditEntry, buildChangeActivities } from './auditService';
+import { buildTaskCompletedActivity, sortTasks, toDateKey } from './taskService';
+import { computeHealthScores, resolveHealthConfig } from './healthService';
+import { buildRevenueAnalytics } from './revenueService';
+import { buildFunnelAnalytics, recordStageChange } from './funnelService';
+import { getFilterChoices, matchesFilter } from './customerFilters';
+import { matchesSearch, paginate } from './listQuery';
+import {
+  assertForecastCategory,
+  buildForecast,
+  buildForecastSnapshot,
+  compareForecastToActual
+} from './forecastService';
+import {
+  buildDealWonNotification,
+  buildHealthDropNotification,
+  buildStaleDealNotifications,
+  buildTaskDueNotifications,
+  isNotificationFor,
+  notifyNotificationListeners,
+  withReadState
+} from './notificationService';
 
-// Comprehensive mock data for CEO MVP Demo
-let customers = [
-  {
-    id: '1',
-    name: 'Stripe Inc.',
-    email: 'enterprise@stripe.com',
-    phone: '+1-415-555-0100',
-    industry: 'Financial Technology',
-    status: 'active',
-    revenue: 14000000000,
-    employees: 8000,
-    website: 'stripe.com',
-    logo: 'https://logo.clearbit.com/stripe.com',
-    createdAt: '2024-01-15',
-    updatedAt: '2024-03-10',
-    tier: 'enterprise',
-    healthScore: 95,
-    lastContact: '2024-03-08',
-    address: {
-      street: '354 Oyster Point Blvd',
-      city: 'San Francisco',
-      state: 'CA',
-      zipCode: '94080',
-      country: 'USA'
-    }
-  },
-  {
-    id: '2',
-    name: 'Notion Labs',
-    email: 'partnerships@notion.so',
-    phone: '+1-415-555-0200',
-    industry: 'Productivity Software',
-    status: 'active',
-    revenue: 500000000,
-    employees: 1500,
-    website: 'notion.so',
-    logo: 'https://logo.clearbit.com/notion.so',
-    createdAt: '2024-01-20',
-    updatedAt: '2024-03-12',
-    tier: 'enterprise',
-    healthScore: 88,
-    lastContact: '2024-03-11',
-    address: {
-      street: '2300 Harrison St',
-      city: 'San Francisco',
-      state: 'CA',
-      zipCode: '94110',
-      country: 'USA'
-    }
-  },
-  {
-    id: '3',
-    name: 'Vercel Inc.',
-    email: 'sales@vercel.com',
-    phone: '+1-628-555-0300',
-    industry: 'Cloud Infrastructure',
-    status: 'active',
-    revenue: 250000000,
-    employees: 450,
-    website: 'vercel.com',
-    logo: 'https://logo.clearbit.com/vercel.com',
-    createdAt: '2024-02-01',
-    updatedAt: '2024-03-15',
-    tier: 'growth',
-    healthScore: 92,
-    lastContact: '2024-03-14',
-    address: {
-      street: '340 S Lemon Ave',
-      city: 'Walnut',
-      state: 'CA',
-      zipCode: '91789',
-      country: 'USA'
-    }
-  },
-  {
-    id: '4',
-    name: 'Linear Software',
-    email: 'team@linear.app',
-    phone: '+1-415-555-0400',
-    industry: 'Project Management',
-    status: 'active',
-    revenue: 80000000,
-    employees: 120,
-    website: 'linear.app',
-    logo: 'https://logo.clearbit.com/linear.app',
-    createdAt: '2024-02-10',
-    updatedAt: '2024-03-16',
-    tier: 'growth',
-    healthScore: 96,
-    lastContact: '2024-03-15',
-    address: {
-      street: '548 Market St',
-      city: 'San Francisco',
-      state: 'CA',
-      zipCode: '94104',
-      country: 'USA'
-    }
-  },
-  {
-    id: '5',
-    name: 'Figma Inc.',
-    email: 'enterprise@figma.com',
-    phone: '+1-415-555-0500',
-    industry: 'Design Software',
-    status: 'active',
-    revenue: 600000000,
-    employees: 1200,
-    website: 'figma.com',
-    logo: 'https://logo.clearbit.com/figma.com',
-    createdAt: '2024-01-25',
-    updatedAt: '2024-03-14',
-    tier: 'enterprise',
-    healthScore: 91,
-    lastContact: '2024-03-12',
-    address: {
-      street: '760 Market St',
-      city: 'San Francisco',
-      state: 'CA',
-      zipCode: '94102',
-      country: 'USA'
-    }
-  },
-  {
-    id: '6',
-    name: 'Datadog Inc.',
-    email: 'partnerships@datadog.com',
-    phone: '+1-866-329-4466',
-    industry: 'Cloud Monitoring',
-    status: 'active',
-    revenue: 2100000000,
-    employees: 5000,
-    website: 'datadog.com',
-    logo: 'https://logo.clearbit.com/datadog.com',
-    createdAt: '2024-01-18',
-    updatedAt: '2024-03-13',
-    tier: 'enterprise',
-    healthScore: 87,
-    lastContact: '2024-03-10',
-    address: {
-      street: '620 8th Ave',
-      city: 'New York',
-      state: 'NY',
-      zipCode: '10018',
-      country: 'USA'
-    }
-  },
-  {
-    id: '7',
-    name: 'Retool Inc.',
-    email: 'sales@retool.com',
-    phone: '+1-415-555-0700',
-    industry: 'Low-Code Platform',
-    status: 'active',
-    revenue: 120000000,
-    employees: 350,
-    website: 'retool.com',
-    logo: 'https://logo.clearbit.com/retool.com',
-    createdAt: '2024-02-05',
-    updatedAt: '2024-03-11',
-    tier: 'growth',
-    healthScore: 94,
-    lastContact: '2024-03-09',
-    address: {
-      street: '548 Market St',
-      city: 'San Francisco',
-      state: 'CA',
-      zipCode: '94104',
-      country: 'USA'
-    }
-  },
-  {
-    id: '8',
-    name: 'Loom Inc.',
-    email: 'enterprise@loom.com',
-    phone: '+1-415-555-0800',
-    industry: 'Video Communication',
-    status: 'active',
-    revenue: 200000000,
-    employees: 400,
-    website: 'loom.com',
-    logo: 'https://logo.clearbit.com/loom.com',
-    createdAt: '2024-02-15',
-    updatedAt: '2024-03-14',
-    tier: 'growth',
-    healthScore: 89,
-    lastContact: '2024-03-13',
-    address: {
-      street: '140 New Montgomery St',
-      city: 'San Francisco',
-      state: 'CA',
-      zipCode: '94105',
-      country: 'USA'
-    }
-  },
-  {
-    id: '9',
-    name: 'Airtable Inc.',
-    email: 'team@airtable.com',
-    phone: '+1-415-555-0900',
-    industry: 'Database Software',
-    status: 'inactive',
-    revenue: 350000000,
-    employees: 900,
-    website: 'airtable.com',
-    logo: 'https://logo.clearbit.com/airtable.com',
-    createdAt: '2024-01-22',
-    updatedAt: '2024-03-08',
-    tier: 'enterprise',
-    healthScore: 72,
-    lastContact: '2024-02-28',
-    address: {
-      street: '799 Market St',
-      city: 'San Francisco',
-      state: 'CA',
-      zipCode: '94103',
-      country: 'USA'
-    }
-  },
-  {
-    id: '10',
-    name: 'Webflow Inc.',
-    email: 'sales@webflow.com',
-    phone: '+1-415-555-1000',
-    industry: 'Web Development',
-    status: 'active',
-    revenue: 150000000,
-    employees: 600,
-    website: 'webflow.com',
-    logo: 'https://logo.clearbit.com/webflow.com',
-    createdAt: '2024-02-08',
-    updatedAt: '2024-03-15',
-    tier: 'growth',
-    healthScore: 93,
-    lastContact: '2024-03-14',
-    address: {
-      street: '398 11th St',
-      city: 'San Francisco',
-      state: 'CA',
-      zipCode: '94103',
-      country: 'USA'
-    }
-  },
-  {
-    id: '11',
-    name: 'Supabase Inc.',
-    email: 'enterprise@supabase.io',
-    phone: '+1-415-555-1100',
-    industry: 'Backend Infrastructure',
-    status: 'active',
-    revenue: 80000000,
-    employees: 200,
-    website: 'supabase.com',
-    logo: 'https://logo.clearbit.com/supabase.com',
-    createdAt: '2024-02-20',
-    updatedAt: '2024-03-16',
-    tier: 'growth',
-    healthScore: 97,
-    lastContact: '2024-03-15',
-    address: {
-      street: '123 Mission St',
-      city: 'San Francisco',
-      state: 'CA',
-      zipCode: '94105',
-      country: 'USA'
-    }
-  },
-  {
-    id: '12',
-    name: 'Railway App',
-    email: 'team@railway.app',
-    phone: '+1-415-555-1200',
-    industry: 'Cloud Deployment',
-    status: 'active',
-    revenue: 25000000,
-    employees: 50,
-    website: 'railway.app',
-    logo: 'https://logo.clearbit.com/railway.app',
-    createdAt: '2024-02-25',
-    updatedAt: '2024-03-16',
-    tier: 'startup',
-    healthScore: 91,
-    lastContact: '2024-03-15',
-    address: {
-      street: '456 Tech Blvd',
-      city: 'San Francisco',
-      state: 'CA',
-      zipCode: '94107',
-      country: 'USA'
+// Pipeline stages in board order, with the status and default probability a deal takes on when it enters each one
+export const DEAL_STAGES = [
+  { id: 'qualification', label: 'Qualification', status: 'active', probability: 30 },
+  { id: 'proposal', label: 'Proposal', status: 'active', probability: 60 },
+  { id: 'negotiation', label: 'Negotiation', status: 'active', probability: 75 },
+  { id: 'closed-won', label: 'Closed Won', status: 'won', probability: 100 },
+  { id: 'closed-lost', label: 'Closed Lost', status: 'lost', probability: 0 }
+];
+
+// Activities users log by hand. deal_won, deal_created and contact_added are recorded by the app itself.
+export const ACTIVITY_TYPES = [
+  { id: 'call', label: 'Call', icon: '📞' },
+  { id: 'email', label: 'Email', icon: '📧' },
+  { id: 'meeting', label: 'Meeting', icon: '📅' },
+  { id: 'note', label: 'Note', icon: '📝' }
+];
+
+// Records an activity or task can be linked to, by entity type
+const LINKED_RECORDS = {
+  customer: { collection: 'customers', notFoundMessage: 'Customer not found', getName: customer => customer.name },
+  contact: {
+    collection: 'contacts',
+    notFoundMessage: 'Contact not found',
+    getName: contact => `${contact.firstName} ${contact.lastName}`
+  },
+  deal: { collection: 'deals', notFoundMessage: 'Deal not found', getName: deal => deal.title }
+};
+
+const today = () => toDateKey(new Date());
+
+/**
+ * Load a record and check that the current user may change it
+ * @param {string} action - update | delete
+ * @param {string} collection - customers | contacts | deals | activities
+ * @param {string} id - Record id
+ * @param {string} notFoundMessage - Error message when the record does not exist
+ * @returns {Promise<Object>} - The record
+ */
+const authorize = async (action, collection, id, notFoundMessage) => {
+  const dataSource = getDataSource();
+  const record = await dataSource.get(collection, id);
+  if (!record) {
+    throw new Error(notFoundMessage);
+  }
+  // The owner of a contact's customer may change the contact too
+  const parent = collection === 'contacts' && record.customerId
+    ? await dataSource.get('customers', record.customerId)
+    : null;
+  assertCan(getCurrentUser(), action, collection, record, parent);
+  return record;
+};
+
+/**
+ * Record a change in the audit log. Updates also log timeline activities for notable changes,
+ * such as a deal moving to another stage.
+ * @param {string} action - create | update | delete
+ * @param {string} collection - customers | contacts | deals | activities
+ * @param {Object|null} before - Record before the change
+ * @param {Object|null} after - Record after the change
+ */
+const recordChange = async (action, collection, before, after) => {
+  const dataSource = getDataSource();
+  const user = getCurrentUser();
+  const timestamp = new Date().toISOString();
+  const entry = buildAuditEntry({ action, collection, before, after, user, timestamp });
+  if (!entry) return;
+  await dataSource.create('auditLog', { id: uuidv4(), ...entry });
+  if (action === 'update') {
+    for (const activity of buildChangeActivities(collection, before, after)) {
+      await dataSource.create('activities', { id: uuidv4(), timestamp, userId: user?.id || null, ...activity });
     }
   }
-];
+};
 
-let contacts = [
-  {
-    id: '1',
-    customerId: '1',
-    firstName: 'Patrick',
-    lastName: 'Collison',
-    email: 'patrick@stripe.com',
-    phone: '+1-415-555-0101',
-    title: 'CEO & Co-founder',
-    department: 'Executive',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Patrick+Collison&background=635bff&color=fff',
-    linkedin: 'linkedin.com/in/patrickcollison',
-    lastContact: '2024-03-08',
-    createdAt: '2024-01-15',
-    updatedAt: '2024-03-08'
-  },
-  {
-    id: '2',
-    customerId: '1',
-    firstName: 'Claire',
-    lastName: 'Hughes',
-    email: 'claire@stripe.com',
-    phone: '+1-415-555-0102',
-    title: 'COO',
-    department: 'Operations',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Claire+Hughes&background=635bff&color=fff',
-    linkedin: 'linkedin.com/in/clairehughes',
-    lastContact: '2024-03-10',
-    createdAt: '2024-01-16',
-    updatedAt: '2024-03-10'
-  },
-  {
-    id: '3',
-    customerId: '2',
-    firstName: 'Ivan',
-    lastName: 'Zhao',
-    email: 'ivan@notion.so',
-    phone: '+1-415-555-0201',
-    title: 'CEO & Co-founder',
-    department: 'Executive',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Ivan+Zhao&background=000000&color=fff',
-    linkedin: 'linkedin.com/in/ivanzhao',
-    lastContact: '2024-03-11',
-    createdAt: '2024-01-20',
-    updatedAt: '2024-03-11'
-  },
-  {
-    id: '4',
-    customerId: '3',
-    firstName: 'Guillermo',
-    lastName: 'Rauch',
-    email: 'guillermo@vercel.com',
-    phone: '+1-628-555-0301',
-    title: 'CEO & Founder',
-    department: 'Executive',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Guillermo+Rauch&background=000000&color=fff',
-    linkedin: 'linkedin.com/in/guillermo-rauch',
-    lastContact: '2024-03-14',
-    createdAt: '2024-02-01',
-    updatedAt: '2024-03-14'
-  },
-  {
-    id: '5',
-    customerId: '4',
-    firstName: 'Karri',
-    lastName: 'Saarinen',
-    email: 'karri@linear.app',
-    phone: '+1-415-555-0401',
-    title: 'CEO & Co-founder',
-    department: 'Executive',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Karri+Saarinen&background=5e6ad2&color=fff',
-    linkedin: 'linkedin.com/in/karri-saarinen',
-    lastContact: '2024-03-15',
-    createdAt: '2024-02-10',
-    updatedAt: '2024-03-15'
-  },
-  {
-    id: '6',
-    customerId: '5',
-    firstName: 'Dylan',
-    lastName: 'Field',
-    email: 'dylan@figma.com',
-    phone: '+1-415-555-0501',
-    title: 'CEO & Co-founder',
-    department: 'Executive',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Dylan+Field&background=a259ff&color=fff',
-    linkedin: 'linkedin.com/in/dylanfield',
-    lastContact: '2024-03-12',
-    createdAt: '2024-01-25',
-    updatedAt: '2024-03-12'
-  },
-  {
-    id: '7',
-    customerId: '5',
-    firstName: 'Amanda',
-    lastName: 'Kleha',
-    email: 'amanda@figma.com',
-    phone: '+1-415-555-0502',
-    title: 'Chief Business Officer',
-    department: 'Sales',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Amanda+Kleha&background=a259ff&color=fff',
-    linkedin: 'linkedin.com/in/amandakleha',
-    lastContact: '2024-03-13',
-    createdAt: '2024-01-26',
-    updatedAt: '2024-03-13'
-  },
-  {
-    id: '8',
-    customerId: '6',
-    firstName: 'Olivier',
-    lastName: 'Pomel',
-    email: 'olivier@datadog.com',
-    phone: '+1-866-329-4467',
-    title: 'CEO & Co-founder',
-    department: 'Executive',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Olivier+Pomel&background=632ca6&color=fff',
-    linkedin: 'linkedin.com/in/olivier-pomel',
-    lastContact: '2024-03-10',
-    createdAt: '2024-01-18',
-    updatedAt: '2024-03-10'
-  },
-  {
-    id: '9',
-    customerId: '7',
-    firstName: 'David',
-    lastName: 'Hsu',
-    email: 'david@retool.com',
-    phone: '+1-415-555-0701',
-    title: 'CEO & Co-founder',
-    department: 'Executive',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=David+Hsu&background=3d3d3d&color=fff',
-    linkedin: 'linkedin.com/in/davidhsu',
-    lastContact: '2024-03-09',
-    createdAt: '2024-02-05',
-    updatedAt: '2024-03-09'
-  },
-  {
-    id: '10',
-    customerId: '8',
-    firstName: 'Joe',
-    lastName: 'Thomas',
-    email: 'joe@loom.com',
-    phone: '+1-415-555-0801',
-    title: 'CEO & Co-founder',
-    department: 'Executive',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Joe+Thomas&background=625df5&color=fff',
-    linkedin: 'linkedin.com/in/joethomas',
-    lastContact: '2024-03-13',
-    createdAt: '2024-02-15',
-    updatedAt: '2024-03-13'
-  },
-  {
-    id: '11',
-    customerId: '10',
-    firstName: 'Vlad',
-    lastName: 'Magdalin',
-    email: 'vlad@webflow.com',
-    phone: '+1-415-555-1001',
-    title: 'CEO & Co-founder',
-    department: 'Executive',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Vlad+Magdalin&background=4353ff&color=fff',
-    linkedin: 'linkedin.com/in/vladmagdalin',
-    lastContact: '2024-03-14',
-    createdAt: '2024-02-08',
-    updatedAt: '2024-03-14'
-  },
-  {
-    id: '12',
-    customerId: '11',
-    firstName: 'Paul',
-    lastName: 'Copplestone',
-    email: 'paul@supabase.io',
-    phone: '+1-415-555-1101',
-    title: 'CEO & Co-founder',
-    department: 'Executive',
-    status: 'active',
-    avatar: 'https://ui-avatars.com/api/?name=Paul+Copplestone&background=3ecf8e&color=fff',
-    linkedin: 'linkedin.com/in/paulcopplestone',
-    lastContact: '2024-03-15',
-    createdAt: '2024-02-20',
-    updatedAt: '2024-03-15'
+// Activities and linked tasks must point at an existing customer, contact or deal
+const assertLinkedRecord = async (entityType, entityId, subject = 'Activities') => {
+  const entity = LINKED_RECORDS[entityType];
+  if (!entity) {
+    throw new Error(`${subject} must be linked to a customer, contact or deal`);
   }
-];
+  if (!entityId || !(await getDataSource().get(entity.collection, entityId))) {
+    throw new Error(entity.notFoundMessage);
+  }
+};
 
-let deals = [
-  {
-    id: '1',
-    customerId: '1',
-    contactId: '1',
-    title: 'Enterprise Platform License',
-    value: 2500000,
-    stage: 'closed-won',
-    probability: 100,
-    expectedCloseDate: '2024-02-28',
-    actualCloseDate: '2024-02-25',
-    status: 'won',
-    createdAt: '2024-01-15',
-    updatedAt: '2024-02-25',
-    description: 'Annual enterprise platform license with premium support'
-  },
-  {
-    id: '2',
-    customerId: '2',
-    contactId: '3',
-    title: 'Team Workspace Solution',
-    value: 750000,
-    stage: 'negotiation',
-    probability: 75,
-    expectedCloseDate: '2024-04-15',
-    status: 'active',
-    createdAt: '2024-01-20',
-    updatedAt: '2024-03-12',
-    description: 'Enterprise team workspace with custom integrations'
-  },
-  {
-    id: '3',
-    customerId: '3',
-    contactId: '4',
-    title: 'Cloud Deployment Package',
-    value: 450000,
-    stage: 'proposal',
-    probability: 60,
-    expectedCloseDate: '2024-05-01',
-    status: 'active',
-    createdAt: '2024-02-01',
-    updatedAt: '2024-03-15',
-    description: 'Enterprise cloud deployment and CI/CD integration'
-  },
-  {
-    id: '4',
-    customerId: '4',
-    contactId: '5',
-    title: 'Project Management Suite',
-    value: 180000,
-    stage: 'closed-won',
-    probability: 100,
-    expectedCloseDate: '2024-03-10',
-    actualCloseDate: '2024-03-08',
-    status: 'won',
-    createdAt: '2024-02-10',
-    updatedAt: '2024-03-08',
-    description: 'Company-wide project management implementation'
-  },
-  {
-    id: '5',
-    customerId: '5',
-    contactId: '6',
-    title: 'Design System Enterprise',
-    value: 1200000,
-    stage: 'qualification',
-    probability: 40,
-    expectedCloseDate: '2024-06-30',
-    status: 'active',
-    createdAt: '2024-01-25',
-    updatedAt: '2024-03-14',
-    description: 'Enterprise design system with unlimited seats'
-  },
-  {
-    id: '6',
-    customerId: '6',
-    contactId: '8',
-    title: 'Infrastructure Monitoring',
-    value: 3200000,
-    stage: 'proposal',
-    probability: 65,
-    expectedCloseDate: '2024-04-30',
-    status: 'active',
-    createdAt: '2024-01-18',
-    updatedAt: '2024-03-13',
-    description: 'Full-stack monitoring and APM solution'
-  },
-  {
-    id: '7',
-    customerId: '7',
-    contactId: '9',
-    title: 'Internal Tools Platform',
-    value: 320000,
-    stage: 'closed-won',
-    probability: 100,
-    expectedCloseDate: '2024-03-01',
-    actualCloseDate: '2024-02-28',
-    status: 'won',
-    createdAt: '2024-02-05',
-    updatedAt: '2024-02-28',
-    description: 'Low-code internal tools development platform'
-  },
-  {
-    id: '8',
-    customerId: '8',
-    contactId: '10',
-    title: 'Video Communication Suite',
-    value: 280000,
-    stage: 'negotiation',
-    probability: 80,
-    expectedCloseDate: '2024-04-01',
-    status: 'active',
-    createdAt: '2024-02-15',
-    updatedAt: '2024-03-14',
-    description: 'Async video messaging for remote teams'
-  },
-  {
-    id: '9',
-    customerId: '10',
-    contactId: '11',
-    title: 'Web Development Platform',
-    value: 420000,
-    stage: 'proposal',
-    probability: 55,
-    expectedCloseDate: '2024-05-15',
-    status: 'active',
-    createdAt: '2024-02-08',
-    updatedAt: '2024-03-15',
-    description: 'No-code website builder enterprise license'
-  },
-  {
-    id: '10',
-    customerId: '11',
-    contactId: '12',
-    title: 'Backend-as-a-Service',
-    value: 185000,
-    stage: 'closed-won',
-    probability: 100,
-    expectedCloseDate: '2024-03-15',
-    actualCloseDate: '2024-03-12',
-    status: 'won',
-    createdAt: '2024-02-20',
-    updatedAt: '2024-03-12',
-    description: 'Managed Postgres and real-time subscriptions'
-  },
-  {
-    id: '11',
-    customerId: '1',
-    contactId: '2',
-    title: 'Payment Processing Expansion',
-    value: 1800000,
-    stage: 'qualification',
-    probability: 35,
-    expectedCloseDate: '2024-07-01',
-    status: 'active',
-    createdAt: '2024-03-01',
-    updatedAt: '2024-03-16',
-    description: 'International payment processing expansion'
-  },
-  {
-    id: '12',
-    customerId: '5',
-    contactId: '7',
-    title: 'FigJam Enterprise Addon',
-    value: 350000,
-    stage: 'negotiation',
-    probability: 70,
-    expectedCloseDate: '2024-04-20',
-    status: 'active',
-    createdAt: '2024-02-28',
-    updatedAt: '2024-03-15',
-    description: 'Collaborative whiteboarding enterprise addon'
-  },
-  {
-    id: '13',
-    customerId: '9',
-    contactId: null,
-    title: 'Database Platform Renewal',
-    value: 580000,
-    stage: 'closed-lost',
-    probability: 0,
-    expectedCloseDate: '2024-03-01',
-    actualCloseDate: '2024-02-28',
-    status: 'lost',
-    createdAt: '2024-01-22',
-    updatedAt: '2024-02-28',
-    description: 'Annual platform renewal - lost to competitor'
+// Tasks may be assigned to anyone on the team
+const assertAssignee = async (assigneeId) => {
+  if (!(await getDataSource().get('users', assigneeId))) {
+    throw new Error('User not found');
   }
-];
+};
+
+const sortByNewest = (activities) =>
+  activities.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
 
-// Activity log for recent activities
-let activities = [
-  {
-    id: '1',
-    type: 'deal_won',
-    title: 'Deal Closed',
-    description: 'Backend-as-a-Service deal with Supabase Inc.',
-    value: 185000,
-    timestamp: '2024-03-12T14:30:00Z',
-    userId: 'user1',
-    relatedId: '10'
-  },
-  {
-    id: '2',
-    type: 'meeting',
-    title: 'Product Demo',
-    description: 'Enterprise demo with Stripe team',
-    timestamp: '2024-03-11T10:00:00Z',
-    userId: 'user1',
-    relatedId: '1'
-  },
-  {
-    id: '3',
-    type: 'deal_won',
-    title: 'Deal Closed',
-    description: 'Project Management Suite with Linear Software',
-    value: 180000,
-    timestamp: '2024-03-08T16:45:00Z',
-    userId: 'user2',
-    relatedId: '4'
-  },
-  {
-    id: '4',
-    type: 'email',
-    title: 'Follow-up Sent',
-    description: 'Sent proposal follow-up to Datadog Inc.',
-    timestamp: '2024-03-10T09:15:00Z',
-    userId: 'user1',
-    relatedId: '6'
-  },
-  {
-    id: '5',
-    type: 'call',
-    title: 'Discovery Call',
-    description: 'Initial call with Webflow enterprise team',
-    timestamp: '2024-03-14T15:00:00Z',
-    userId: 'user2',
-    relatedId: '10'
-  },
-  {
-    id: '6',
-    type: 'deal_created',
-    title: 'New Opportunity',
-    description: 'Payment Processing Expansion with Stripe',
-    value: 1800000,
-    timestamp: '2024-03-01T11:30:00Z',
-    userId: 'user1',
-    relatedId: '11'
-  },
-  {
-    id: '7',
-    type: 'contact_added',
-    title: 'New Contact',
-    description: 'Added Amanda Kleha from Figma',
-    timestamp: '2024-01-26T10:00:00Z',
-    userId: 'user2',
-    relatedId: '7'
-  },
-  {
-    id: '8',
-    type: 'deal_won',
-    title: 'Deal Closed',
-    description: 'Internal Tools Platform with Retool Inc.',
-    value: 320000,
-    timestamp: '2024-02-28T17:00:00Z',
-    userId: 'user1',
-    relatedId: '7'
+// Saved views and notification read state are personal, so they need to know who is signed in
+const requireUser = () => {
+  const user = getCurrentUser();
+  if (!user) {
+    const error = new Error('You must be signed in');
+    error.status = 401;
+    throw error;
   }
-];
+  return user;
+};
+
+const getOwnView = async (id) => {
+  const view = await getDataSource().get('savedViews', id);
+  if (!view || view.userId !== requireUser().id) {
+    throw new Error('Saved view not found');
+  }
+  return view;
+};
+
+const assertViewName = async (view) => {
+  const name = view.name?.trim();
+  if (!name) {
+    throw new Error('A saved view needs a name');
+  }
+  const views = await getDataSource().list('savedViews', { userId: view.userId, resource: view.resource });
+  if (views.some(other => other.id !== view.id && other.name.toLowerCase() === name.toLowerCase())) {
+    throw new Error(`You already have a view named "${name}"`);
+  }
+  return name;
+};
+
+// Only one view per list opens by default
+const clearDefaultView = async (view) => {
+  const dataSource = getDataSource();
+  const views = await dataSource.list('savedViews', { userId: view.userId, resource: view.resource });
+  for (const other of views.filter(item => item.isDefault && item.id !== view.id)) {
+    await dataSource.update('savedViews', other.id, { isDefault: false });
+  }
+};
+
+// New records belong to the user who creates them; handing one to someone else takes the assign permission
+const resolveOwner = (collection, ownerId) => {
+  const user = getCurrentUser();
+  assertCan(user, 'create', collection);
+  if (ownerId && ownerId !== user.id) {
+    assertCan(user, 'assign', collection);
+  }
+  return ownerId || user.id;
+};
+
+// Changing the owner of an existing record takes the assign permission
+const assertCanReassign = (collection, existing, changes) => {
+  if ('ownerId' in changes && changes.ownerId !== existing.ownerId) {
+    assertCan(getCurrentUser(), 'assign', collection, existing);
+  }
+};
+
+// Hand records to a new owner, skipping those that already belong to them
+const reassign = async (collection, ids, ownerId) => {
+  const dataSource = getDataSource();
+  const user = getCurrentUser();
+  assertCan(user, 'assign', collection);
+  if (ownerId && !(await dataSource.get('users', ownerId))) {
+    throw new Error('User not found');
+  }
+
+  const updated = [];
+  for (const id of ids) {
+    const record = await dataSource.get(collection, id);
+    if (record && record.ownerId !== ownerId) {
+      const updatedRecord = await dataSource.update(collection, id, { ownerId, updatedAt: today() });
+      await recordChange('update', collection, record, updatedRecord);
+      updated.push(updatedRecord);
+    }
+  }
+  return updated;
+};
+
+// Check every record before changing any, so a bulk change applies to all of them or to none
+const authorizeAll = async (action, collection, ids, notFoundMessage) => {
+  const records = [];
+  for (const id of ids) {
+    records.push(await authorize(action, collection, id, notFoundMessage));
+  }
+  return records;
+};
+
+// Check that records can be put back the way a bulk change found them, before any of them is written
+const planRestore = async (collection, records) => {
+  const dataSource = getDataSource();
+  const user = getCurrentUser();
+  const plan = [];
+  for (const record of records) {
+    const current = await dataSource.get(collection, record.id);
+    if (current) {
+      // Fields the change added, such as a first tag, are cleared as well
+      const data = { ...Object.fromEntries(Object.keys(current).map(key => [key, null])), ...record };
+      assertCan(user, 'update', collection, current);
+      assertCanReassign(collection, current, data);
+      plan.push({ current, data });
+    } else {
+      assertCan(user, 'create', collection);
+      plan.push({ current: null, data: record });
+    }
+  }
+  return plan;
+};
+
+// Write a plan from planRestore, recreating the records the change deleted
+const restore = async (collection, plan) => {
+  const dataSource = getDataSource();
+  const restored = [];
+  for (const { current, data } of plan) {
+    if (current) {
+      const updated = await dataSource.update(collection, data.id, data);
+      await recordChange('update', collection, current, updated);
+      restored.push(updated);
+    } else {
+      const created = await dataSource.create(collection, data);
+      await recordChange('create', collection, null, created);
+      restored.push(created);
+    }
+  }
+  return restored;
+};
+
+/**
+ * Status, probability and close date follow the stage, whether a deal is moved on the board or edited in the form
+ * @param {Object|null} existing - Deal before the change, or null for a new deal
+ * @param {Object} dealData - Changes to the deal
+ * @returns {Object} - The changes with the fields that follow from the stage
+ */
+const applyStage = (existing, dealData) => {
+  if (!dealData.stage) return dealData;
+  const stage = DEAL_STAGES.find(item => item.id === dealData.stage);
+  if (!stage) {
+    throw new Error(`Unknown deal stage "${dealData.stage}"`);
+  }
+  const changed = dealData.stage !== existing?.stage;
+  if (stage.status === 'active') {
+    return {
+      ...dealData,
+      status: stage.status,
+      // Open deals keep a probability picked in the form
+      probability: dealData.probability ?? (changed ? stage.probability : existing.probability),
+      actualCloseDate: null
+    };
+  }
+  // A deal that stays closed keeps the day it closed
+  const closedOn = existing?.status === stage.status ? existing.actualCloseDate : null;
+  return {
+    ...dealData,
+    status: stage.status,
+    probability: stage.probability,
+    actualCloseDate: dealData.actualCloseDate || closedOn || today()
+  };
+};
+
+const addNotification = async (notification) => {
+  const dataSource = getDataSource();
+  if (!notification || await dataSource.get('notifications', notification.id)) return;
+  await dataSource.create('notifications', notification);
+  notifyNotificationListeners();
+};
+
+const notifyIfWon = async (previous, deal) => {
+  if (deal.status !== 'won' || previous?.status === 'won') return;
+  const customer = await getDataSource().get('customers', deal.customerId);
+  await addNotification(buildDealWonNotification(deal, customer));
+};
+
+const loadHealthConfig = async () =>
+  resolveHealthConfig((await getDataSource().get('settings', 'health'))?.config);
+
+const withHealth = (customer, health) => (health
+  ? { ...customer, healthScore: health.score, healthFactors: health.factors }
+  : customer);
+
+// Score customers from the current contacts, deals and activities, without storing anything
+const scoreCustomers = async (customers) => {
+  const dataSource = getDataSource();
+  const [contacts, deals, activities, config] = await Promise.all([
+    dataSource.list('contacts'),
+    dataSource.list('deals'),
+    dataSource.list('activities'),
+    loadHealthConfig()
+  ]);
+  const health = computeHealthScores(customers, { contacts, deals, activities }, config);
+  return customers.map(customer => withHealth(customer, health[customer.id]));
+};
+
+// Score one customer from its own contacts, deals and activities
+const scoreCustomer = async (customer) => {
+  const dataSource = getDataSource();
+  const [contacts, deals, activities, config] = await Promise.all([
+    dataSource.list('contacts', { customerId: customer.id }),
+    dataSource.list('deals', { customerId: customer.id }),
+    dataSource.list('activities'),
+    loadHealthConfig()
+  ]);
+  const health = computeHealthScores([customer], { contacts, deals, activities }, config);
+  return withHealth(customer, health[customer.id]);
+};
+
+/**
+ * Keep the latest health scores in one healthHistory snapshot per day; drops since the last snapshot
+ * raise notifications. Runs from runScheduledSync, never from reads.
+ * @param {Object} options
+ * @param {boolean} options.notify - Whether drops raise notifications; off when the scoring itself changed
+ * @returns {Promise<Object>} - Health of every customer, keyed by customer id
+ */
+const runHealthSync = async ({ notify = true } = {}) => {
+  const dataSource = getDataSource();
+  const [customers, contacts, deals, activities, history, config] = await Promise.all([
+    dataSource.list('customers'),
+    dataSource.list('contacts'),
+    dataSource.list('deals'),
+    dataSource.list('activities'),
+    dataSource.list('healthHistory'),
+    loadHealthConfig()
+  ]);
+  const health = computeHealthScores(customers, { contacts, deals, activities }, config);
+  const scores = Object.fromEntries(customers.map(customer => [customer.id, health[customer.id].score]));
+
+  const date = today();
+  const latest = history.sort((a, b) => b.date.localeCompare(a.date))[0];
+  if (latest && customers.every(customer => latest.scores[customer.id] === scores[customer.id])) {
+    return health;
+  }
+  if (latest?.date === date) {
+    await dataSource.update('healthHistory', date, { scores });
+  } else {
+    await dataSource.create('healthHistory', { id: date, date, scores });
+  }
+
+  // The first snapshot replaces seeded or imported numbers, so there is nothing to compare it with
+  if (latest && notify) {
+    for (const customer of customers) {
+      if (typeof latest.scores[customer.id] !== 'number') continue;
+      await addNotification(buildHealthDropNotification(
+        { ...customer, healthScore: latest.scores[customer.id] },
+        { ...customer, healthScore: scores[customer.id] }
+      ));
+    }
+  }
+  return health;
+};
+
+// Share one health sync between concurrent callers so each snapshot is written once
+let healthSync = null;
+const syncHealth = () => {
+  if (!healthSync) {
+    healthSync = runHealthSync().finally(() => {
+      healthSync = null;
+    });
+  }
+  return healthSync;
+};
+
+/**
+ * Keep one forecast snapshot per day, so past forecasts can be compared with what was won
+ * @returns {Promise<Array>} - All forecast snapshots
+ */
+const runForecastSync = async () => {
+  const dataSource = getDataSource();
+  const [deals, snapshots] = await Promise.all([dataSource.list('deals'), dataSource.list('forecastSnapshots')]);
+  const months = buildForecastSnapshot(deals);
+
+  const date = today();
+  const latest = [...snapshots].sort((a, b) => b.date.localeCompare(a.date))[0];
+  if (latest && JSON.stringify(latest.months) === JSON.stringify(months)) {
+    return snapshots;
+  }
+  if (latest?.date === date) {
+    await dataSource.update('forecastSnapshots', date, { months });
+  } else {
+    await dataSource.create('forecastSnapshots', { id: date, date, months });
+  }
+  return dataSource.list('forecastSnapshots');
+};
+
+let forecastSync = null;
+const syncForecast = () => {
+  if (!forecastSync) {
+    forecastSync = runForecastSync().finally(() => {
+      forecastSync = null;
+    });
+  }
+  return forecastSync;
+};
 
-// Simulate API delay
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Rule-based notifications (such as stale deals) are derived from the current data; store the new ones
+const runNotificationSync = async () => {
+  const dataSource = getDataSource();
+  await syncHealth();
+  const [notifications, deals, customers, tasks] = await Promise.all([
+    dataSource.list('notifications'),
+    dataSource.list('deals'),
+    dataSource.list('customers'),
+    dataSource.list('tasks')
+  ]);
+  const known = new Set(notifications.map(notification => notification.id));
+  const fresh = [...buildStaleDealNotifications(deals, customers), ...buildTaskDueNotifications(tasks)]
+    .filter(notification => !known.has(notification.id));
+  for (const notification of fresh) {
+    await dataSource.create('notifications', notification);
+  }
+  if (fresh.length > 0) {
+    notifyNotificationListeners();
+  }
+  return [...notifications, ...fresh];
+};
+
+// Share one sync between concurrent callers so rule-based notifications are only stored once
+let notificationSync = null;
+const syncNotifications = () => {
+  if (!notificationSync) {
+    notificationSync = runNotificationSync().finally(() => {
+      notificationSync = null;
+    });
+  }
+  return notificationSync;
+};
 
 export const crmService = {
   // Customer operations
+  // healthScore and healthFactors are computed on read, see scoreCustomers
   async getCustomers() {
-    await delay(300);
-    return [...customers];
+    return scoreCustomers(await getDataSource().list('customers'));
+  },
+
+  /**
+   * One page of customers matching a query, with health scores
+   * @param {Object} query
+   * @param {string} query.search - Matches the name, email, industry or a tag
+   * @param {string} query.tier - Only this tier
+   * @param {string} query.status - Only this status
+   * @param {string} query.ownerId - Only this owner, or unassigned
+   * @param {Object|null} query.filter - Compound filter, see customerFilters
+   * @param {string} query.sortBy - Field to sort on
+   * @param {string} query.sortOrder - asc | desc
+   * @param {number} query.page - Page number from 1
+   * @param {number} query.pageSize - Customers per page
+   * @param {string} query.cursor - nextCursor of the previous page
+   * @returns {Promise<Object>} - { items, total, page, pageSize, pageCount, nextCursor }
+   */
+  async queryCustomers({ search, tier, status, ownerId, filter = null, sortBy = 'name', sortOrder = 'asc', page, pageSize, cursor } = {}) {
+    // Tier and status are plain field matches, which every data source filters on itself
+    const customers = await scoreCustomers(await getDataSource().list('customers', { tier, status }));
+    const now = new Date();
+    const matching = customers
+      .filter(customer =>
+        matchesSearch(search, [customer.name, customer.email, customer.industry, ...(customer.tags || [])]) &&
+        (!ownerId || (customer.ownerId || 'unassigned') === ownerId) &&
+        matchesFilter(customer, filter, now));
+    return paginate(matching, { getSortValue: customer => customer[sortBy], sortOrder, page, pageSize, cursor });
+  },
+
+  // Figures across all customers, shown above the paginated list
+  async getCustomerSummary() {
+    const customers = await crmService.getCustomers();
+    const totalHealth = customers.reduce((sum, customer) => sum + (customer.healthScore || 0), 0);
+    return {
+      total: customers.length,
+      active: customers.filter(customer => customer.status === 'active').length,
+      enterprise: customers.filter(customer => customer.tier === 'enterprise').length,
+      avgHealth: customers.length > 0 ? Math.round(totalHealth / customers.length) : 0,
+      industries: getFilterChoices(customers, 'industry')
+    };
   },
 
   async getCustomer(id) {
-    await delay(200);
-    return customers.find(customer => customer.id === id);
+    const customer = await getDataSource().get('customers', id);
+    return customer ? scoreCustomer(customer) : undefined;
   },
 
   async createCustomer(customerData) {
-    await delay(400);
     const newCustomer = {
       id: uuidv4(),
-      ...customerData,
       status: 'active',
-      healthScore: 80,
       tier: 'startup',
-      createdAt: new Date().toISOString().split('T')[0],
-      updatedAt: new Date().toISOString().split('T')[0]
+      ...customerData,
+      ownerId: resolveOwner('customers', customerData.ownerId),
+      createdAt: today(),
+      updatedAt: today()
     };
-    customers.push(newCustomer);
-    return newCustomer;
+    const createdCustomer = await getDataSource().create('customers', newCustomer);
+    await recordChange('create', 'customers', null, createdCustomer);
+    return scoreCustomer(createdCustomer);
   },
 
   async updateCustomer(id, customerData) {
-    await delay(400);
-    const index = customers.findIndex(customer => customer.id === id);
-    if (index === -1) {
+    const existing = await authorize('update', 'customers', id, 'Customer not found');
+    assertCanReassign('customers', existing, customerData);
+    const updatedCustomer = await getDataSource().update('customers', id, {
+      ...customerData,
+      updatedAt: today()
+    });
+    if (!updatedCustomer) {
       throw new Error('Customer not found');
     }
-    customers[index] = {
-      ...customers[index],
-      ...customerData,
-      updatedAt: new Date().toISOString().split('T')[0]
-    };
-    return customers[index];
+    await recordChange('update', 'customers', existing, updatedCustomer);
+    return scoreCustomer(updatedCustomer);
   },
 
   async deleteCustomer(id) {
-    await delay(400);
-    const index = customers.findIndex(customer => customer.id === id);
-    if (index === -1) {
+    const existing = await authorize('delete', 'customers', id, 'Customer not found');
+    const deleted = await getDataSource().remove('customers', id);
+    if (!deleted) {
       throw new Error('Customer not found');
     }
-    customers.splice(index, 1);
+    await recordChange('delete', 'customers', existing, null);
     return { success: true };
   },
 
+  /**
+   * Apply the same change to several customers. Every customer is checked before any is changed.
+   * @param {Array<string>} ids - Customer ids
+   * @param {Object} changes - Fields to set, such as tier or status
+   * @param {string} changes.addTag - Tag to add where it is missing
+   * @returns {Promise<Object>} - { customers, undo }, undo being what undoCustomerChanges takes
+   */
+  async updateCustomers(ids, { addTag, ...changes }) {
+    const tag = addTag === undefined ? null : addTag.trim();
+    if (tag === '') {
+      throw new Error('A tag cannot be empty');
+    }
+    const existing = await authorizeAll('update', 'customers', ids, 'Customer not found');
+    existing.forEach(customer => assertCanReassign('customers', customer, changes));
+
+    const dataSource = getDataSource();
+    const customers = [];
+    for (const customer of existing) {
+      const tags = customer.tags || [];
+      const data = tag && !tags.includes(tag) ? { ...changes, tags: [...tags, tag] } : changes;
+      const updatedCustomer = await dataSource.update('customers', customer.id, { ...data, updatedAt: today() });
+      await recordChange('update', 'customers', customer, updatedCustomer);
+      customers.push(updatedCustomer);
+    }
+    return { customers, undo: { customers: existing } };
+  },
+
+  /**
+   * Delete several customers. Every customer is checked before any is deleted.
+   * @param {Array<string>} ids - Customer ids
+   * @returns {Promise<Object>} - { deleted, undo }, undo being what undoCustomerChanges takes
+   */
+  async deleteCustomers(ids) {
+    const existing = await authorizeAll('delete', 'customers', ids, 'Customer not found');
+    const dataSource = getDataSource();
+    for (const customer of existing) {
+      await dataSource.remove('customers', customer.id);
+      await recordChange('delete', 'customers', customer, null);
+    }
+    return { deleted: existing.length, undo: { customers: existing } };
+  },
+
+  /**
+   * Undo a bulk change to customers
+   * @param {Object} undo - undo returned by updateCustomers, deleteCustomers or reassignCustomers
+   * @returns {Promise<Object>} - { customers, deals } as restored
+   */
+  async undoCustomerChanges({ customers = [], deals = [] }) {
+    // Undo applies to every record or to none
+    const customerPlan = await planRestore('customers', customers);
+    const dealPlan = await planRestore('deals', deals);
+    return {
+      customers: await restore('customers', customerPlan),
+      deals: await restore('deals', dealPlan)
+    };
+  },
+
   // Contact operations
   async getContacts(customerId = null) {
-    await delay(300);
-    let filteredContacts = [...contacts];
-    if (customerId) {
-      filteredContacts = contacts.filter(contact => contact.customerId === customerId);
-    }
-    return filteredContacts;
+    return getDataSource().list('contacts', customerId ? { customerId } : {});
+  },
+
+  /**
+   * One page of contacts matching a query
+   * @param {Object} query
+   * @param {string} query.search - Matches the name, email, title or company name
+   * @param {string} query.customerId - Only contacts of this customer
+   * @param {string} query.department - Only this department
+   * @param {string} query.sortBy - name | company | any contact field
+   * @param {string} query.sortOrder - asc | desc
+   * @param {number} query.page - Page number from 1
+   * @param {number} query.pageSize - Contacts per page
+   * @param {string} query.cursor - nextCursor of the previous page
+   * @returns {Promise<Object>} - { items, total, page, pageSize, pageCount, nextCursor }
+   */
+  async queryContacts({ search, customerId, department, sortBy = 'name', sortOrder = 'asc', page, pageSize, cursor } = {}) {
+    const dataSource = getDataSource();
+    const [contacts, customers] = await Promise.all([
+      dataSource.list('contacts', { customerId, department }),
+      dataSource.list('customers')
+    ]);
+    const companyNames = Object.fromEntries(customers.map(customer => [customer.id, customer.name]));
+    const fullName = (contact) => `${contact.firstName} ${contact.lastName}`;
+    const sortValues = {
+      name: fullName,
+      company: contact => companyNames[contact.customerId]
+    };
+    const matching = contacts.filter(contact =>
+      matchesSearch(search, [fullName(contact), contact.email, contact.title, companyNames[contact.customerId]]));
+    return paginate(matching, {
+      getSortValue: sortValues[sortBy] || (contact => contact[sortBy]),
+      sortOrder,
+      page,
+      pageSize,
+      cursor
+    });
+  },
+
+  // Figures across all contacts, shown above the paginated list
+  async getContactSummary() {
+    const contacts = await getDataSource().list('contacts');
+    return {
+      total: contacts.length,
+      active: contacts.filter(contact => contact.status === 'active').length,
+      companies: new Set(contacts.map(contact => contact.customerId)).size,
+      departments: [...new Set(contacts.map(contact => contact.department).filter(Boolean))].sort()
+    };
   },
 
   async getContact(id) {
-    await delay(200);
-    return contacts.find(contact => contact.id === id);
+    return (await getDataSource().get('contacts', id)) || undefined;
   },
 
   async createContact(contactData) {
-    await delay(400);
     const newContact = {
       id: uuidv4(),
       ...contactData,
+      ownerId: resolveOwner('contacts', contactData.ownerId),
       status: 'active',
-      createdAt: new Date().toISOString().split('T')[0],
-      updatedAt: new Date().toISOString().split('T')[0]
+      createdAt: today(),
+      updatedAt: today()
     };
-    contacts.push(newContact);
-    return newContact;
+    const createdContact = await getDataSource().create('contacts', newContact);
+    await recordChange('create', 'contacts', null, createdContact);
+    return createdContact;
   },
 
   async updateContact(id, contactData) {
-    await delay(400);
-    const index = contacts.findIndex(contact => contact.id === id);
-    if (index === -1) {
+    const existing = await authorize('update', 'contacts', id, 'Contact not found');
+    const updatedContact = await getDataSource().update('contacts', id, {
+      ...contactData,
+      updatedAt: today()
+    });
+    if (!updatedContact) {
       throw new Error('Contact not found');
     }
-    contacts[index] = {
-      ...contacts[index],
-      ...contactData,
-      updatedAt: new Date().toISOString().split('T')[0]
-    };
-    return contacts[index];
+    await recordChange('update', 'contacts', existing, updatedContact);
+    return updatedContact;
   },
 
   async deleteContact(id) {
-    await delay(400);
-    const index = contacts.findIndex(contact => contact.id === id);
-    if (index === -1) {
+    const existing = await authorize('delete', 'contacts', id, 'Contact not found');
+    const deleted = await getDataSource().remove('contacts', id);
+    if (!deleted) {
       throw new Error('Contact not found');
     }
-    contacts.splice(index, 1);
+    await recordChange('delete', 'contacts', existing, null);
     return { success: true };
   },
 
   // Deal operations
   async getDeals(customerId = null) {
-    await delay(300);
-    let filteredDeals = [...deals];
-    if (customerId) {
-      filteredDeals = deals.filter(deal => deal.customerId === customerId);
-    }
-    return filteredDeals;
+    return getDataSource().list('deals', customerId ? { customerId } : {});
+  },
+
+  /**
+   * One page of deals matching a query
+   * @param {Object} query
+   * @param {string} query.search - Matches the title or company name
+   * @param {string} query.customerId - Only deals of this customer
+   * @param {string} query.stage - Only this stage
+   * @param {string} query.status - active | won | lost
+   * @param {string} query.ownerId - Only this owner, or unassigned
+   * @param {string} query.sortBy - Field to sort on
+   * @param {string} query.sortOrder - asc | desc
+   * @param {number} query.page - Page number from 1
+   * @param {number} query.pageSize - Deals per page
+   * @param {string} query.cursor - nextCursor of the previous page
+   * @returns {Promise<Object>} - { items, total, page, pageSize, pageCount, nextCursor }
+   */
+  async queryDeals({ search, customerId, stage, status, ownerId, sortBy = 'title', sortOrder = 'asc', page, pageSize, cursor } = {}) {
+    const dataSource = getDataSource();
+    const [deals, customers] = await Promise.all([
+      dataSource.list('deals', { customerId, stage, status }),
+      search ? dataSource.list('customers') : []
+    ]);
+    const companyNames = Object.fromEntries(customers.map(customer => [customer.id, customer.name]));
+    const matching = deals.filter(deal =>
+      matchesSearch(search, [deal.title, companyNames[deal.customerId]]) &&
+      (!ownerId || (deal.ownerId || 'unassigned') === ownerId));
+    return paginate(matching, { getSortValue: deal => deal[sortBy], sortOrder, page, pageSize, cursor });
   },
 
   async getDeal(id) {
-    await delay(200);
-    return deals.find(deal => deal.id === id);
+    return (await getDataSource().get('deals', id)) || undefined;
   },
 
   async createDeal(dealData) {
-    await delay(400);
     const newDeal = {
       id: uuidv4(),
-      ...dealData,
       status: 'active',
-      createdAt: new Date().toISOString().split('T')[0],
-      updatedAt: new Date().toISOString().split('T')[0]
+      ...applyStage(null, dealData),
+      ownerId: resolveOwner('deals', dealData.ownerId),
+      stageHistory: recordStageChange(null, dealData),
+      createdAt: today(),
+      updatedAt: today()
     };
-    deals.push(newDeal);
-    return newDeal;
+    const createdDeal = await getDataSource().create('deals', newDeal);
+    await recordChange('create', 'deals', null, createdDeal);
+    await notifyIfWon(null, createdDeal);
+    return createdDeal;
   },
 
   async updateDeal(id, dealData) {
-    await delay(400);
-    const index = deals.findIndex(deal => deal.id === id);
-    if (index === -1) {
+    const existing = await authorize('update', 'deals', id, 'Deal not found');
+    assertCanReassign('deals', existing, dealData);
+    const changes = { ...applyStage(existing, dealData), updatedAt: today() };
+    if (dealData.stage && dealData.stage !== existing.stage) {
+      changes.stageHistory = recordStageChange(existing, dealData);
+    }
+    const updatedDeal = await getDataSource().update('deals', id, changes);
+    if (!updatedDeal) {
       throw new Error('Deal not found');
     }
-    deals[index] = {
-      ...deals[index],
-      ...dealData,
-      updatedAt: new Date().toISOString().split('T')[0]
-    };
-    return deals[index];
+    await recordChange('update', 'deals', existing, updatedDeal);
+    await notifyIfWon(existing, updatedDeal);
+    return updatedDeal;
   },
 
   async deleteDeal(id) {
-    await delay(400);
-    const index = deals.findIndex(deal => deal.id === id);
-    if (index === -1) {
+    const existing = await authorize('delete', 'deals', id, 'Deal not found');
+    const deleted = await getDataSource().remove('deals', id);
+    if (!deleted) {
       throw new Error('Deal not found');
     }
-    deals.splice(index, 1);
+    await recordChange('delete', 'deals', existing, null);
     return { success: true };
   },
 
+  /**
+   * Override the forecast category of an open deal
+   * @param {string} id - Deal id
+   * @param {string|null} category - Category, or null to derive it from the probability again
+   * @returns {Promise<Object>} - Updated deal
+   */
+  async setForecastCategory(id, category) {
+    assertForecastCategory(category);
+    const deal = await authorize('update', 'deals', id, 'Deal not found');
+    if (deal.status !== 'active') {
+      throw new Error('Only open deals can be forecast');
+    }
+    return crmService.updateDeal(id, { forecastCategory: category });
+  },
+
+  // Team and ownership operations
+  async getUsers() {
+    return getDataSource().list('users');
+  },
+
+  async getTeams() {
+    return getDataSource().list('teams');
+  },
+
+  async reassignCustomers(ids, ownerId, { includeOpenDeals = true } = {}) {
+    const dataSource = getDataSource();
+    const before = await dataSource.list('customers');
+    const customers = await reassign('customers', ids, ownerId);
+    let deals = [];
+    let dealsBefore = [];
+    if (includeOpenDeals) {
+      dealsBefore = (await dataSource.list('deals'))
+        .filter(deal => ids.includes(deal.customerId) && deal.status === 'active');
+      deals = await reassign('deals', dealsBefore.map(deal => deal.id), ownerId);
+    }
+    // Only the records that changed hands need putting back
+    const previous = (records, changed) => records.filter(record => changed.some(item => item.id === record.id));
+    return { customers, deals, undo: { customers: previous(before, customers), deals: previous(dealsBefore, deals) } };
+  },
+
+  async reassignDeals(ids, ownerId) {
+    return reassign('deals', ids, ownerId);
+  },
+
+  async getBooksOfBusiness() {
+    const dataSource = getDataSource();
+    const [users, teams, customers, deals] = await Promise.all([
+      dataSource.list('users'),
+      dataSource.list('teams'),
+      dataSource.list('customers'),
+      dataSource.list('deals')
+    ]);
+    return buildBooksOfBusiness({ users, teams, customers, deals });
+  },
+
   // Activity operations
-  async getActivities(limit = 10) {
-    await delay(200);
-    return [...activities]
+  async getActivities(limit = 10, { userId = null, entityType = null, entityId = null } = {}) {
+    const activities = await getDataSource().list('activities', { userId, entityType, entityId });
+    return sortByNewest(activities).slice(0, limit);
+  },
+
+  // Everything logged against a customer, its contacts and its deals, newest first
+  async getCustomerActivities(customerId) {
+    const dataSource = getDataSource();
+    const [contacts, deals, activities] = await Promise.all([
+      dataSource.list('contacts', { customerId }),
+      dataSource.list('deals', { customerId }),
+      dataSource.list('activities')
+    ]);
+    const related = {
+      customer: new Set([customerId]),
+      contact: new Set(contacts.map(contact => contact.id)),
+      deal: new Set(deals.map(deal => deal.id))
+    };
+    return sortByNewest(activities.filter(activity => related[activity.entityType]?.has(activity.entityId)));
+  },
+
+  async createActivity(activityData) {
+    const user = getCurrentUser();
+    assertCan(user, 'create', 'activities');
+    await assertLinkedRecord(activityData.entityType, activityData.entityId);
+    const newActivity = {
+      id: uuidv4(),
+      timestamp: new Date().toISOString(),
+      ...activityData,
+      userId: user.id
+    };
+    const createdActivity = await getDataSource().create('activities', newActivity);
+    await recordChange('create', 'activities', null, createdActivity);
+    return createdActivity;
+  },
+
+  async updateActivity(id, activityData) {
+    const existing = await authorize('update', 'activities', id, 'Activity not found');
+    const entityType = activityData.entityType || existing.entityType;
+    const entityId = activityData.entityId || existing.entityId;
+    if (entityType !== existing.entityType || entityId !== existing.entityId) {
+      await assertLinkedRecord(entityType, entityId);
+    }
+    // The author of an activity never changes
+    const updatedActivity = await getDataSource().update('activities', id, {
+      ...activityData,
+      userId: existing.userId,
+      updatedAt: new Date().toISOString()
+    });
+    if (!updatedActivity) {
+      throw new Error('Activity not found');
+    }
+    await recordChange('update', 'activities', existing, updatedActivity);
+    return updatedActivity;
+  },
+
+  async deleteActivity(id) {
+    const existing = await authorize('delete', 'activities', id, 'Activity not found');
+    const deleted = await getDataSource().remove('activities', id);
+    if (!deleted) {
+      throw new Error('Activity not found');
+    }
+    await recordChange('delete', 'activities', existing, null);
+    return { success: true };
+  },
+
+  // Task operations
+  // withRecordNames adds the name of the linked record as recordName, for lists that span records
+  async getTasks({ assigneeId = null, entityType = null, entityId = null, includeDone = true, withRecordNames = false } = {}) {
+    const dataSource = getDataSource();
+    const tasks = sortTasks((await dataSource.list('tasks', { assigneeId, entityType, entityId }))
+      .filter(task => includeDone || !task.done));
+    if (!withRecordNames) {
+      return tasks;
+    }
+    return Promise.all(tasks.map(async (task) => {
+      const linked = LINKED_RECORDS[task.entityType];
+      const record = linked && await dataSource.get(linked.collection, task.entityId);
+      return { ...task, recordName: record ? linked.getName(record) : null };
+    }));
+  },
+
+  async createTask(taskData) {
+    const user = getCurrentUser();
+    assertCan(user, 'create', 'tasks');
+    if (taskData.entityType || taskData.entityId) {
+      await assertLinkedRecord(taskData.entityType, taskData.entityId, 'Tasks');
+    }
+    const assigneeId = taskData.assigneeId || user.id;
+    await assertAssignee(assigneeId);
+    const newTask = {
+      id: uuidv4(),
+      dueDate: null,
+      priority: 'medium',
+      entityType: null,
+      entityId: null,
+      notes: '',
+      logActivityOnComplete: false,
+      ...taskData,
+      assigneeId,
+      done: false,
+      completedAt: null,
+      createdBy: user.id,
+      createdAt: today(),
+      updatedAt: today()
+    };
+    const createdTask = await getDataSource().create('tasks', newTask);
+    await recordChange('create', 'tasks', null, createdTask);
+    return createdTask;
+  },
+
+  // Marking a task done stamps completedAt and, when the task asks for it, logs an activity on its record
+  async updateTask(id, taskData) {
+    const existing = await authorize('update', 'tasks', id, 'Task not found');
+    const entityType = 'entityType' in taskData ? taskData.entityType : existing.entityType;
+    const entityId = 'entityId' in taskData ? taskData.entityId : existing.entityId;
+    if ((entityType || entityId) && (entityType !== existing.entityType || entityId !== existing.entityId)) {
+      await assertLinkedRecord(entityType, entityId, 'Tasks');
+    }
+    if (taskData.assigneeId && taskData.assigneeId !== existing.assigneeId) {
+      await assertAssignee(taskData.assigneeId);
+    }
+
+    const changes = { ...taskData, createdBy: existing.createdBy, updatedAt: today() };
+    if ('done' in taskData && Boolean(taskData.done) !== Boolean(existing.done)) {
+      changes.completedAt = taskData.done ? new Date().toISOString() : null;
+    }
+    const updatedTask = await getDataSource().update('tasks', id, changes);
+    if (!updatedTask) {
+      throw new Error('Task not found');
+    }
+    await recordChange('update', 'tasks', existing, updatedTask);
+
+    if (updatedTask.done && !existing.done && updatedTask.logActivityOnComplete && updatedTask.entityId) {
+      await crmService.createActivity(buildTaskCompletedActivity(updatedTask));
+    }
+    return updatedTask;
+  },
+
+  async completeTask(id, done = true) {
+    return crmService.updateTask(id, { done });
+  },
+
+  async deleteTask(id) {
+    const existing = await authorize('delete', 'tasks', id, 'Task not found');
+    const deleted = await getDataSource().remove('tasks', id);
+    if (!deleted) {
+      throw new Error('Task not found');
+    }
+    await recordChange('delete', 'tasks', existing, null);
+    return { success: true };
+  },
+
+  // Health scoring
+  async getHealthHistory(customerId) {
+    const history = await getDataSource().list('healthHistory');
+    return history
+      .filter(snapshot => typeof snapshot.scores[customerId] === 'number')
+      .map(snapshot => ({ date: snapshot.date, score: snapshot.scores[customerId] }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+  },
+
+  async getHealthConfig() {
+    return loadHealthConfig();
+  },
+
+  async updateHealthConfig(config) {
+    assertCan(getCurrentUser(), 'manage', 'workspace');
+    const resolved = resolveHealthConfig(config);
+    const dataSource = getDataSource();
+    if (await dataSource.get('settings', 'health')) {
+      await dataSource.update('settings', 'health', { config: resolved });
+    } else {
+      await dataSource.create('settings', { id: 'health', config: resolved });
+    }
+    // New scoring moves every score at once, which is not a drop worth notifying
+    await healthSync;
+    await runHealthSync({ notify: false });
+    return resolved;
+  },
+
+  // Audit operations
+  async getAuditLog({ entityType = null, entityId = null, userId = null, limit = Infinity } = {}) {
+    const entries = await getDataSource().list('auditLog', { entityType, entityId, userId });
+    return entries
       .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
       .slice(0, limit);
   },
 
+  // Notification operations
+  async getNotifications({ type = null, unreadOnly = false } = {}) {
+    const userId = requireUser().id;
+    const notifications = await getDataSource().list('notifications');
+    return notifications
+      .filter(notification => isNotificationFor(notification, userId))
+      .map(notification => withReadState(notification, userId))
+      .filter(notification => !type || notification.type === type)
+      .filter(notification => !unreadOnly || !notification.read)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+  },
+
+  async markNotificationRead(id, read = true) {
+    const userId = requireUser().id;
+    const dataSource = getDataSource();
+    const existing = await dataSource.get('notifications', id);
+    if (!existing || !isNotificationFor(existing, userId)) {
+      throw new Error('Notification not found');
+    }
+    const others = (existing.readBy || []).filter(reader => reader !== userId);
+    const notification = await dataSource.update('notifications', id, { readBy: read ? [...others, userId] : others });
+    notifyNotificationListeners();
+    return withReadState(notification, userId);
+  },
+
+  async markAllNotificationsRead() {
+    const userId = requireUser().id;
+    const dataSource = getDataSource();
+    const unread = (await dataSource.list('notifications'))
+      .filter(notification => isNotificationFor(notification, userId) && !(notification.readBy || []).includes(userId));
+    for (const notification of unread) {
+      await dataSource.update('notifications', notification.id, { readBy: [...(notification.readBy || []), userId] });
+    }
+    notifyNotificationListeners();
+    return { success: true, count: unread.length };
+  },
+
+  // Saved views
+  async getSavedViews(resource) {
+    const views = await getDataSource().list('savedViews', { userId: requireUser().id, resource });
+    return views.sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  /**
+   * Save a named query of a list for the signed-in user
+   * @param {Object} viewData - { resource, name, query, isDefault }; query is the list's URL query string
+   * @returns {Promise<Object>} - Saved view
+   */
+  async createSavedView({ resource, name, query = '', isDefault = false }) {
+    const view = { id: uuidv4(), userId: requireUser().id, resource, query, isDefault: Boolean(isDefault) };
+    view.name = await assertViewName({ ...view, name });
+    if (view.isDefault) {
+      await clearDefaultView(view);
+    }
+    return getDataSource().create('savedViews', { ...view, createdAt: today(), updatedAt: today() });
+  },
+
+  async updateSavedView(id, viewData) {
+    const existing = await getOwnView(id);
+    const changes = { ...viewData, userId: existing.userId, resource: existing.resource, updatedAt: today() };
+    if ('name' in viewData) {
+      changes.name = await assertViewName({ ...existing, name: viewData.name });
+    }
+    if (changes.isDefault) {
+      await clearDefaultView(existing);
+    }
+    return getDataSource().update('savedViews', id, changes);
+  },
+
+  async deleteSavedView(id) {
+    await getOwnView(id);
+    await getDataSource().remove('savedViews', id);
+    return { success: true };
+  },
+
+  // Workspace operations
+  async resetDemoData() {
+    assertCan(getCurrentUser(), 'manage', 'workspace');
+    await getDataSource().reset();
+    return { success: true };
+  },
+
+  /**
+   * Store what changes with time rather than with a single write: the daily health and forecast snapshots,
+   * health drop notifications and rule-based ones such as stale deals and due tasks. Reads never store
+   * anything, so the app runs this on a schedule. Users who cannot change records leave it to those who can.
+   * @returns {Promise<Object>} - { synced }
+   */
+  async runScheduledSync() {
+    if (!can(requireUser(), 'update', 'customers')) return { synced: false };
+    await syncNotifications();
+    await syncForecast();
+    return { synced: true };
+  },
+
   // Analytics
-  async getDashboardStats() {
-    await delay(300);
+  async getDashboardStats({ ownerId = null, topCustomerCount = 5 } = {}) {
+    const dataSource = getDataSource();
+    const [storedCustomers, allContacts, allDeals, allActivities] = await Promise.all([
+      dataSource.list('customers'),
+      dataSource.list('contacts'),
+      dataSource.list('deals'),
+      dataSource.list('activities')
+    ]);
+    const allCustomers = await scoreCustomers(storedCustomers);
+
+    // Scoped to one owner's book of business when an owner is given
+    const customers = ownerId ? allCustomers.filter(c => c.ownerId === ownerId) : allCustomers;
+    const deals = ownerId ? allDeals.filter(deal => deal.ownerId === ownerId) : allDeals;
+    const contacts = ownerId
+      ? allContacts.filter(contact => customers.some(c => c.id === contact.customerId))
+      : allContacts;
+    const activities = ownerId ? allActivities.filter(activity => activity.userId === ownerId) : allActivities;
+
     const totalCustomers = customers.length;
     const activeCustomers = customers.filter(c => c.status === 'active').length;
     const totalContacts = contacts.length;
@@ -934,18 +1132,20 @@ export const crmService = {
     const activeDeals = deals.filter(deal => deal.status === 'active').length;
     const wonDeals = deals.filter(deal => deal.status === 'won').length;
     const lostDeals = deals.filter(deal => deal.status === 'lost').length;
-    
+
     const totalDealValue = deals
       .filter(deal => deal.status === 'active')
       .reduce((sum, deal) => sum + deal.value, 0);
-    
+
     const wonDealValue = deals
       .filter(deal => deal.status === 'won')
       .reduce((sum, deal) => sum + deal.value, 0);
 
     const totalRevenue = customers.reduce((sum, c) => sum + (c.revenue || 0), 0);
-    
-    const avgHealthScore = customers.reduce((sum, c) => sum + (c.healthScore || 0), 0) / totalCustomers;
+
+    const avgHealthScore = totalCustomers > 0
+      ? customers.reduce((sum, c) => sum + (c.healthScore || 0), 0) / totalCustomers
+      : 0;
 
     // Pipeline by stage
     const pipeline = {
@@ -954,16 +1154,6 @@ export const crmService = {
       negotiation: deals.filter(d => d.stage === 'negotiation' && d.status === 'active'),
     };
 
-    // Monthly revenue trend (mock data)
-    const monthlyRevenue = [
-      { month: 'Oct', value: 1850000 },
-      { month: 'Nov', value: 2100000 },
-      { month: 'Dec', value: 2450000 },
-      { month: 'Jan', value: 2680000 },
-      { month: 'Feb', value: 3185000 },
-      { month: 'Mar', value: 3520000 }
-    ];
-
     // Top customers by deal value
     const topCustomers = customers
       .map(customer => {
@@ -973,7 +1163,7 @@ export const crmService = {
       })
       .filter(c => c.dealValue > 0)
       .sort((a, b) => b.dealValue - a.dealValue)
-      .slice(0, 5);
+      .slice(0, topCustomerCount);
 
     return {
       totalCustomers,
@@ -987,11 +1177,82 @@ export const crmService = {
       wonDealValue,
       totalRevenue,
       avgHealthScore: Math.round(avgHealthScore),
-      conversionRate: totalDeals > 0 ? ((wonDeals / (wonDeals + lostDeals)) * 100) : 0,
+      conversionRate: wonDeals + lostDeals > 0 ? ((wonDeals / (wonDeals + lostDeals)) * 100) : 0,
       pipeline,
-      monthlyRevenue,
       topCustomers,
       recentActivities: activities.slice(0, 5)
     };
+  },
+
+  /**
+   * Won revenue over time from deals' close dates, compared with the previous period
+   * @param {Object} options
+   * @param {string} options.range - 6m | 1y | ytd | custom
+   * @param {string} options.granularity - week | month | quarter
+   * @param {string} options.start - First day of a custom range
+   * @param {string} options.end - Last day of a custom range
+   * @param {string} options.ownerId - Only count deals this user owns
+   * @returns {Promise<Object>} - See buildRevenueAnalytics
+   */
+  async getRevenueAnalytics({ range = '6m', granularity = 'month', start = null, end = null, ownerId = null } = {}) {
+    const deals = await getDataSource().list('deals', { ownerId });
+    return buildRevenueAnalytics(deals, { range, granularity, start, end });
+  },
+
+  /**
+   * Stage conversion and velocity, win rates by industry and tier, and cycle length
+   * @param {Object} options
+   * @param {string} options.ownerId - Only analyse deals this user owns
+   * @returns {Promise<Object>} - See buildFunnelAnalytics
+   */
+  async getFunnelAnalytics({ ownerId = null } = {}) {
+    const dataSource = getDataSource();
+    const [deals, customers] = await Promise.all([dataSource.list('deals', { ownerId }), dataSource.list('customers')]);
+    return buildFunnelAnalytics(deals, customers, DEAL_STAGES);
+  },
+
+  /**
+   * Forecast of the coming periods, and how past forecasts compared with what was won
+   * @param {Object} options
+   * @param {string} options.granularity - month | quarter
+   * @param {string} options.ownerId - Only forecast deals this user owns
+   * @returns {Promise<Object>} - See buildForecast, plus comparison from compareForecastToActual
+   */
+  async getForecast({ granularity = 'month', ownerId = null } = {}) {
+    const dataSource = getDataSource();
+    const [deals, snapshots] = await Promise.all([dataSource.list('deals', { ownerId }), dataSource.list('forecastSnapshots')]);
+    return {
+      ...buildForecast(deals, { granularity }),
+      comparison: compareForecastToActual(snapshots, deals, { granularity, ownerId })
+    };
+  },
+
+  /**
+   * How the forecast for a period moved from one snapshot to the next
+   * @param {Object} options
+   * @param {string} options.start - First day of the period
+   * @param {string} options.end - Last day of the period
+   * @param {string} options.ownerId - Only this owner's forecast
+   * @returns {Promise<Array>} - { date, committed, bestCase, weighted } per snapshot, oldest first
+   */
+  async getForecastHistory({ start, end, ownerId = null }) {
+    const snapshots = await getDataSource().list('forecastSnapshots');
+    const total = (owners, key) => Object.entries(owners)
+      .filter(([owner]) => !ownerId || owner === ownerId)
+      .reduce((sum, [, numbers]) => sum + numbers[key], 0);
+    return snapshots
+      .map(snapshot => ({
+        date: snapshot.date,
+        months: Object.entries(snapshot.months).filter(([month]) => month >= start && month <= end)
+      }))
+      // Skip snapshots taken too early or too late for their months to include the period
+      .filter(({ months }) => months.length > 0)
+      .map(({ date, months }) => ({
+        date,
+        committed: months.reduce((sum, [, owners]) => sum + total(owners, 'committed'), 0),
+        bestCase: months.reduce((sum, [, owners]) => sum + total(owners, 'bestCase'), 0),
+        weighted: months.reduce((sum, [, owners]) => sum + total(owners, 'weighted'), 0)
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
   }
 };
@@ -0,0 +1,629 @@
+import { crmService } from './crmService';
+import { createMemoryAdapter, setDataSource } from './adapters';
+import { createSession, saveSession, clearSession } from './auth';
+import { toDateKey } from './taskService';
+
+// uuid ships ES modules only, which this Jest setup does not transform
+jest.mock('uuid', () => {
+  let counter = 0;
+  return { v4: () => `id-${++counter}` };
+});
+
+const users = {
+  admin: { id: 'user1', name: 'Alex Morgan', role: 'admin' },
+  rep: { id: 'user2', name: 'Jordan Lee', role: 'rep' },
+  manager: { id: 'user3', name: 'Priya Shah', role: 'sales_manager' },
+  readOnly: { id: 'user4', name: 'Sam Taylor', role: 'read_only' }
+};
+
+const signInAs = (user) => saveSession(createSession({ user, token: 'test' }));
+
+const todayKey = toDateKey(new Date());
+
+const seed = () => ({
+  customers: [
+    { id: '1', name: 'Stripe Inc.', status: 'active', tier: 'enterprise', lastContact: todayKey },
+    { id: '2', name: 'Linear Software', status: 'active', tier: 'growth', ownerId: 'user2' }
+  ],
+  deals: [
+    { id: '1', customerId: '1', title: 'Platform License', value: 250000, status: 'active', stage: 'negotiation', updatedAt: todayKey }
+  ],
+  contacts: [
+    { id: '1', customerId: '1', firstName: 'Patrick', lastName: 'Collison' }
+  ],
+  activities: [
+    { id: 'a1', type: 'meeting', title: 'Demo', timestamp: '2024-03-11T10:00:00Z', userId: 'user2', entityType: 'customer', entityId: '1' }
+  ],
+  tasks: [
+    { id: 't1', title: 'Send pricing', dueDate: '2999-01-01', assigneeId: 'user2', entityType: 'deal', entityId: '1', priority: 'high', logActivityOnComplete: true, done: false },
+    { id: 't2', title: 'Book QBR', dueDate: '2999-01-01', assigneeId: 'user3', entityType: 'customer', entityId: '1', priority: 'medium', done: false }
+  ],
+  notifications: [],
+  users: Object.values(users),
+  teams: []
+});
+
+beforeEach(() => {
+  setDataSource(createMemoryAdapter({ data: seed(), latency: {} }));
+  signInAs(users.admin);
+});
+
+describe('crmService notifications', () => {
+  it('notifies when a deal is won', async () => {
+    await crmService.updateDeal('1', { stage: 'closed-won', status: 'won' });
+
+    const notifications = await crmService.getNotifications();
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0]).toMatchObject({ type: 'deal_won', entityId: '1', read: false });
+  });
+
+  it('notifies when a customer health score drops', async () => {
+    await crmService.runScheduledSync();
+    await crmService.updateDeal('1', { stage: 'closed-lost', status: 'lost' });
+    await crmService.runScheduledSync();
+
+    const [notification] = await crmService.getNotifications({ type: 'health_drop' });
+    expect(notification).toMatchObject({ title: 'Customer at risk', message: 'Stripe Inc. dropped from 80% to 55%' });
+  });
+
+  it('stores stale deal notifications once', async () => {
+    const dataSource = createMemoryAdapter({
+      data: { ...seed(), deals: [{ ...seed().deals[0], updatedAt: '2020-01-01' }] },
+      latency: {}
+    });
+    setDataSource(dataSource);
+
+    await Promise.all([crmService.runScheduledSync(), crmService.runScheduledSync()]);
+
+    expect(await dataSource.list('notifications')).toHaveLength(1);
+  });
+
+  it('stores nothing while reading', async () => {
+    const dataSource = createMemoryAdapter({
+      data: { ...seed(), deals: [{ ...seed().deals[0], updatedAt: '2020-01-01' }] },
+      latency: {}
+    });
+    setDataSource(dataSource);
+    signInAs(users.readOnly);
+
+    await crmService.getCustomers();
+    await crmService.getDashboardStats();
+    expect(await crmService.getNotifications()).toEqual([]);
+    await expect(crmService.runScheduledSync()).resolves.toEqual({ synced: false });
+
+    expect(await dataSource.list('healthHistory')).toEqual([]);
+    expect(await dataSource.list('notifications')).toEqual([]);
+  });
+
+  it('tracks read state', async () => {
+    await crmService.updateDeal('1', { status: 'won' });
+    const [notification] = await crmService.getNotifications();
+
+    await crmService.markNotificationRead(notification.id);
+    expect(await crmService.getNotifications({ unreadOnly: true })).toHaveLength(0);
+
+    await crmService.markNotificationRead(notification.id, false);
+    await crmService.markAllNotificationsRead();
+    expect((await crmService.getNotifications())[0].read).toBe(true);
+  });
+
+  it('keeps read state per user', async () => {
+    await crmService.updateDeal('1', { stage: 'closed-won' });
+    await crmService.markAllNotificationsRead();
+
+    signInAs(users.rep);
+    expect(await crmService.getNotifications({ unreadOnly: true })).toEqual([
+      expect.objectContaining({ type: 'deal_won', read: false })
+    ]);
+  });
+
+  it('rejects unknown notifications', async () => {
+    await expect(crmService.markNotificationRead('missing')).rejects.toThrow('Notification not found');
+  });
+});
+
+describe('crmService permissions', () => {
+  it('lets admins delete any customer', async () => {
+    await expect(crmService.deleteCustomer('1')).resolves.toEqual({ success: true });
+  });
+
+  it('lets managers edit any record but not delete customers', async () => {
+    signInAs(users.manager);
+    await expect(crmService.updateCustomer('1', { name: 'Stripe' })).resolves.toMatchObject({ name: 'Stripe' });
+    await expect(crmService.deleteCustomer('1')).rejects.toThrow('You do not have permission to delete this customer');
+    await expect(crmService.deleteDeal('1')).resolves.toEqual({ success: true });
+  });
+
+  it('lets reps edit only the records they own', async () => {
+    signInAs(users.rep);
+    await expect(crmService.updateCustomer('2', { name: 'Linear' })).resolves.toMatchObject({ name: 'Linear' });
+    await expect(crmService.updateCustomer('1', { name: 'Stripe' })).rejects.toMatchObject({ status: 403 });
+    await expect(crmService.updateDeal('1', { stage: 'proposal' })).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('lets reps edit the contacts of customers they own', async () => {
+    const contact = await crmService.createContact({ customerId: '2', firstName: 'Karri', lastName: 'Saarinen' });
+
+    signInAs(users.rep);
+    await expect(crmService.updateContact(contact.id, { title: 'CEO' })).resolves.toMatchObject({ title: 'CEO' });
+    await expect(crmService.deleteContact(contact.id)).resolves.toEqual({ success: true });
+    await expect(crmService.updateContact('1', { title: 'CEO' })).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('makes the creator the owner of new records', async () => {
+    signInAs(users.rep);
+    const deal = await crmService.createDeal({ customerId: '1', title: 'Expansion', value: 1000 });
+    expect(deal.ownerId).toBe('user2');
+    await expect(crmService.updateDeal(deal.id, { value: 2000 })).resolves.toMatchObject({ value: 2000 });
+  });
+
+  it('keeps read-only users and signed-out visitors from changing data', async () => {
+    signInAs(users.readOnly);
+    await expect(crmService.createCustomer({ name: 'Acme' })).rejects.toThrow('You do not have permission to create customers');
+    await expect(crmService.resetDemoData()).rejects.toMatchObject({ status: 403 });
+
+    clearSession();
+    await expect(crmService.createActivity({ type: 'call' })).rejects.toMatchObject({ status: 401 });
+  });
+
+  it('reports missing records before checking permissions', async () => {
+    signInAs(users.readOnly);
+    await expect(crmService.deleteContact('missing')).rejects.toThrow('Contact not found');
+  });
+});
+
+describe('crmService ownership', () => {
+  it('reassigns customers together with their open deals', async () => {
+    signInAs(users.manager);
+    const result = await crmService.reassignCustomers(['1'], 'user2');
+
+    expect(result.customers.map(c => c.ownerId)).toEqual(['user2']);
+    expect(result.deals.map(deal => deal.id)).toEqual(['1']);
+    expect((await crmService.getDeal('1')).ownerId).toBe('user2');
+  });
+
+  it('only lets admins and managers change owners', async () => {
+    signInAs(users.rep);
+    await expect(crmService.reassignDeals(['1'], 'user2')).rejects.toMatchObject({ status: 403 });
+    await expect(crmService.updateCustomer('2', { ownerId: 'user1' })).rejects.toMatchObject({ status: 403 });
+    await expect(crmService.createDeal({ customerId: '2', title: 'Gift', ownerId: 'user1' }))
+      .rejects.toMatchObject({ status: 403 });
+  });
+
+  it('rejects unknown owners', async () => {
+    await expect(crmService.reassignDeals(['1'], 'nobody')).rejects.toThrow('User not found');
+  });
+
+  it('scopes dashboard stats to one owner', async () => {
+    await crmService.reassignCustomers(['2'], 'user2', { includeOpenDeals: false });
+    const stats = await crmService.getDashboardStats({ ownerId: 'user2' });
+
+    expect(stats.totalCustomers).toBe(1);
+    expect(stats.totalDeals).toBe(0);
+    expect(stats.conversionRate).toBe(0);
+  });
+
+  it('limits the top customers to the requested count', async () => {
+    const won = { stage: 'closed-won', status: 'won', actualCloseDate: todayKey };
+    await crmService.createDeal({ ...won, customerId: '1', title: 'Renewal', value: 10000 });
+    await crmService.createDeal({ ...won, customerId: '2', title: 'Workspace', value: 40000 });
+
+    const stats = await crmService.getDashboardStats({ topCustomerCount: 1 });
+
+    expect(stats.topCustomers.map(customer => customer.id)).toEqual(['2']);
+  });
+
+  it('aggregates revenue from won deals, optionally for one owner', async () => {
+    const won = { stage: 'closed-won', status: 'won', actualCloseDate: todayKey };
+    await crmService.createDeal({ ...won, customerId: '2', title: 'Workspace', value: 40000, ownerId: 'user2' });
+    await crmService.createDeal({ ...won, customerId: '1', title: 'Add-on', value: 10000, ownerId: 'user3' });
+
+    const all = await crmService.getRevenueAnalytics({ range: 'custom', start: todayKey, end: todayKey });
+    const mine = await crmService.getRevenueAnalytics({ range: 'custom', start: todayKey, end: todayKey, ownerId: 'user2' });
+
+    expect(all).toMatchObject({ total: 50000, previousTotal: 0, change: null, dealCount: 2 });
+    expect(mine.total).toBe(40000);
+  });
+});
+
+describe('crmService activities', () => {
+  it('logs activities against an existing record as the current user', async () => {
+    signInAs(users.rep);
+    const activity = await crmService.createActivity({
+      type: 'call',
+      title: 'Intro call',
+      entityType: 'deal',
+      entityId: '1',
+      userId: 'user1'
+    });
+
+    expect(activity).toMatchObject({ type: 'call', userId: 'user2', entityType: 'deal', entityId: '1' });
+    expect(await crmService.getActivities(10, { entityType: 'deal', entityId: '1' })).toEqual([activity]);
+  });
+
+  it('rejects activities without a valid record', async () => {
+    await expect(crmService.createActivity({ type: 'note', title: 'x' }))
+      .rejects.toThrow('Activities must be linked to a customer, contact or deal');
+    await expect(crmService.createActivity({ type: 'note', title: 'x', entityType: 'contact', entityId: 'missing' }))
+      .rejects.toThrow('Contact not found');
+  });
+
+  it('collects activities for a customer, its contacts and its deals', async () => {
+    await crmService.createActivity({ type: 'email', title: 'Follow-up', entityType: 'contact', entityId: '1' });
+    await crmService.createActivity({ type: 'note', title: 'Other', entityType: 'customer', entityId: '2' });
+
+    const activities = await crmService.getCustomerActivities('1');
+    expect(activities.map(activity => activity.title)).toEqual(['Follow-up', 'Demo']);
+  });
+
+  it('lets reps edit and delete only the activities they logged', async () => {
+    signInAs(users.rep);
+    const updated = await crmService.updateActivity('a1', { title: 'Product demo', userId: 'user1' });
+    expect(updated).toMatchObject({ title: 'Product demo', userId: 'user2' });
+
+    signInAs(users.admin);
+    const adminActivity = await crmService.createActivity({ type: 'note', title: 'Admin note', entityType: 'customer', entityId: '1' });
+    signInAs(users.rep);
+    await expect(crmService.deleteActivity(adminActivity.id)).rejects.toMatchObject({ status: 403 });
+    await expect(crmService.deleteActivity('a1')).resolves.toEqual({ success: true });
+    await expect(crmService.deleteActivity('a1')).rejects.toThrow('Activity not found');
+  });
+});
+
+describe('crmService audit trail', () => {
+  it('records who changed a deal and logs stage changes on its timeline', async () => {
+    signInAs(users.manager);
+    await crmService.updateDeal('1', { stage: 'closed-won', value: 275000 });
+
+    const [entry] = await crmService.getAuditLog({ entityType: 'deal', entityId: '1' });
+    expect(entry).toMatchObject({ action: 'update', userId: 'user3', userName: 'Priya Shah' });
+    expect(entry.changes).toEqual([
+      { field: 'actualCloseDate', from: null, to: todayKey },
+      { field: 'probability', from: null, to: 100 },
+      { field: 'stage', from: 'negotiation', to: 'closed-won' },
+      { field: 'status', from: 'active', to: 'won' },
+      { field: 'value', from: 250000, to: 275000 }
+    ]);
+
+    const activities = await crmService.getActivities(10, { entityType: 'deal', entityId: '1' });
+    expect(activities.map(activity => activity.title)).toContain('Stage changed from negotiation to closed-won');
+  });
+
+  it('records creates, deletes and reassignments', async () => {
+    const contact = await crmService.createContact({ customerId: '1', firstName: 'Claire', lastName: 'Hughes' });
+    await crmService.deleteContact(contact.id);
+    await crmService.reassignDeals(['1'], 'user2');
+
+    const contactHistory = await crmService.getAuditLog({ entityId: contact.id });
+    expect(contactHistory.map(entry => entry.action).sort()).toEqual(['create', 'delete']);
+    expect(await crmService.getAuditLog({ entityType: 'deal', entityId: '1' })).toEqual([
+      expect.objectContaining({ changes: [{ field: 'ownerId', from: null, to: 'user2' }] })
+    ]);
+  });
+
+  it('does not record updates that change nothing', async () => {
+    await crmService.updateCustomer('1', { name: 'Stripe Inc.' });
+    expect(await crmService.getAuditLog({ entityId: '1', entityType: 'customer' })).toEqual([]);
+  });
+});
+
+describe('crmService tasks', () => {
+  it('assigns new tasks to their creator unless someone else is named', async () => {
+    signInAs(users.rep);
+    const task = await crmService.createTask({ title: 'Call back', entityType: 'customer', entityId: '2' });
+    expect(task).toMatchObject({ assigneeId: 'user2', createdBy: 'user2', priority: 'medium', done: false });
+
+    const handedOff = await crmService.createTask({ title: 'Prepare contract', assigneeId: 'user3' });
+    expect(handedOff).toMatchObject({ assigneeId: 'user3', entityType: null });
+
+    await expect(crmService.createTask({ title: 'x', assigneeId: 'nobody' })).rejects.toThrow('User not found');
+    await expect(crmService.createTask({ title: 'x', entityType: 'deal', entityId: 'missing' })).rejects.toThrow('Deal not found');
+  });
+
+  it('lists open tasks for an assignee or a record', async () => {
+    await crmService.completeTask('t2');
+
+    expect(await crmService.getTasks({ assigneeId: 'user3', includeDone: false })).toEqual([]);
+    expect((await crmService.getTasks({ entityType: 'deal', entityId: '1' })).map(task => task.id)).toEqual(['t1']);
+    expect(await crmService.getTasks({ assigneeId: 'user2', withRecordNames: true })).toEqual([
+      expect.objectContaining({ id: 't1', recordName: 'Platform License' })
+    ]);
+  });
+
+  it('logs an activity on the linked record when a task is completed', async () => {
+    signInAs(users.rep);
+    const task = await crmService.completeTask('t1');
+    expect(task.done).toBe(true);
+    expect(task.completedAt).toEqual(expect.any(String));
+
+    const [activity] = await crmService.getActivities(10, { entityType: 'deal', entityId: '1' });
+    expect(activity).toMatchObject({ type: 'task_completed', title: 'Completed task: Send pricing', userId: 'user2', taskId: 't1' });
+
+    const reopened = await crmService.completeTask('t1', false);
+    expect(reopened).toMatchObject({ done: false, completedAt: null });
+  });
+
+  it('lets reps change only the tasks assigned to them', async () => {
+    signInAs(users.rep);
+    await expect(crmService.updateTask('t2', { title: 'Mine now' })).rejects.toMatchObject({ status: 403 });
+    await expect(crmService.deleteTask('t1')).resolves.toEqual({ success: true });
+    expect(await crmService.getAuditLog({ entityType: 'task', entityId: 't1' })).toEqual([
+      expect.objectContaining({ action: 'delete' })
+    ]);
+  });
+
+  it('notifies the assignee about tasks that are due', async () => {
+    await crmService.updateTask('t1', { dueDate: '2024-03-10' });
+    await crmService.runScheduledSync();
+
+    expect(await crmService.getNotifications({ type: 'task_due' })).toEqual([]);
+
+    signInAs(users.rep);
+    const notifications = await crmService.getNotifications({ type: 'task_due' });
+    expect(notifications.map(notification => notification.entityId)).toEqual(['t1']);
+    await expect(crmService.markNotificationRead(notifications[0].id)).resolves.toMatchObject({ read: true });
+
+    signInAs(users.admin);
+    await expect(crmService.markNotificationRead(notifications[0].id)).rejects.toThrow('Notification not found');
+  });
+});
+
+describe('crmService health scores', () => {
+  it('computes health on read and keeps one snapshot per day', async () => {
+    const customer = await crmService.getCustomer('1');
+    expect(customer.healthScore).toBe(80);
+    expect(customer.healthFactors.map(factor => factor.id)).toEqual(['recency', 'activity', 'deals', 'status', 'tier']);
+
+    await crmService.runScheduledSync();
+    await crmService.updateCustomer('1', { status: 'inactive' });
+    expect((await crmService.getCustomers())[0].healthScore).toBe(68);
+    expect(await crmService.getHealthHistory('1')).toEqual([{ date: todayKey, score: 80 }]);
+    await crmService.runScheduledSync();
+
+    expect(await crmService.getHealthHistory('1')).toEqual([{ date: todayKey, score: 68 }]);
+  });
+
+  it('scores new customers straight away', async () => {
+    const customer = await crmService.createCustomer({ name: 'Raycast', lastContact: todayKey });
+    expect(customer.healthScore).toBe(Math.round((100 * 30 + 50 * 25 + 100 * 15 + 60 * 10) / 100));
+  });
+
+  it('lets admins reweight the score without raising drop notifications', async () => {
+    await crmService.runScheduledSync();
+
+    signInAs(users.manager);
+    await expect(crmService.updateHealthConfig({ weights: { tier: 50 } })).rejects.toMatchObject({ status: 403 });
+
+    signInAs(users.admin);
+    await expect(crmService.updateHealthConfig({ weights: { recency: -1 } })).rejects.toThrow('Health score weights');
+    const config = await crmService.updateHealthConfig({ weights: { recency: 0, activity: 100, deals: 0, status: 0, tier: 0 } });
+    expect(config.recentContactDays).toBe(14);
+
+    expect((await crmService.getCustomer('1')).healthScore).toBe(0);
+    expect(await crmService.getNotifications({ type: 'health_drop' })).toEqual([]);
+  });
+});
+
+describe('crmService forecast', () => {
+  it('forecasts open deals and keeps one snapshot per day', async () => {
+    await crmService.updateDeal('1', { probability: 80, expectedCloseDate: todayKey });
+    await crmService.runScheduledSync();
+
+    const forecast = await crmService.getForecast();
+    expect(forecast.periods).toHaveLength(6);
+    expect(forecast.periods[0]).toMatchObject({ committed: 250000, weighted: 200000 });
+    expect(forecast.comparison[5].forecast).toMatchObject({ committed: 250000 });
+
+    await crmService.getForecast({ granularity: 'quarter' });
+    const history = await crmService.getForecastHistory(forecast.periods[0]);
+    expect(history).toEqual([{ date: todayKey, committed: 250000, bestCase: 250000, weighted: 200000 }]);
+  });
+
+  it('lets reps override the category of their own open deals', async () => {
+    await crmService.updateDeal('1', { probability: 80, expectedCloseDate: todayKey });
+    signInAs(users.rep);
+    await expect(crmService.setForecastCategory('1', 'omitted')).rejects.toMatchObject({ status: 403 });
+
+    signInAs(users.admin);
+    await expect(crmService.setForecastCategory('1', 'maybe')).rejects.toThrow('Unknown forecast category');
+    await crmService.setForecastCategory('1', 'omitted');
+    expect((await crmService.getForecast()).periods[0]).toMatchObject({ committed: 0, weighted: 0 });
+
+    await crmService.updateDeal('1', { stage: 'closed-lost', status: 'lost' });
+    await expect(crmService.setForecastCategory('1', null)).rejects.toThrow('Only open deals can be forecast');
+  });
+});
+
+describe('crmService funnel', () => {
+  it('records when deals enter each stage', async () => {
+    const deal = await crmService.createDeal({ customerId: '1', title: 'Expansion', value: 1000, stage: 'qualification' });
+    expect(deal.stageHistory.map(entry => entry.stage)).toEqual(['qualification']);
+
+    await crmService.updateDeal(deal.id, { value: 2000 });
+    const moved = await crmService.updateDeal(deal.id, { stage: 'proposal' });
+    expect(moved.stageHistory.map(entry => entry.stage)).toEqual(['qualification', 'proposal']);
+
+    const fields = (await crmService.getAuditLog({ entityId: deal.id }))
+      .flatMap(entry => entry.changes.map(change => change.field));
+    expect(fields).toContain('stage');
+    expect(fields).not.toContain('stageHistory');
+  });
+
+  it('analyses the funnel of the deals it is given', async () => {
+    await crmService.updateDeal('1', { stage: 'closed-won', status: 'won', actualCloseDate: todayKey });
+
+    const funnel = await crmService.getFunnelAnalytics();
+    expect(funnel.stages.map(stage => stage.reached)).toEqual([1, 1, 1, 1]);
+    expect(funnel.winRateByTier).toEqual([{ key: 'enterprise', won: 1, lost: 0, winRate: 100 }]);
+    expect((await crmService.getFunnelAnalytics({ ownerId: 'user2' })).stages[0].reached).toBe(0);
+  });
+});
+
+describe('crmService saved views', () => {
+  it('keeps views per user', async () => {
+    await crmService.createSavedView({ resource: 'customers', name: 'Enterprise', query: 'tier=enterprise' });
+    signInAs(users.rep);
+    const mine = await crmService.createSavedView({ resource: 'customers', name: 'Enterprise', query: 'tier=enterprise&owner=mine' });
+
+    expect((await crmService.getSavedViews('customers')).map(view => view.id)).toEqual([mine.id]);
+    expect(await crmService.getSavedViews('deals')).toEqual([]);
+  });
+
+  it('requires a unique name', async () => {
+    await crmService.createSavedView({ resource: 'customers', name: 'At risk', query: 'status=inactive' });
+
+    await expect(crmService.createSavedView({ resource: 'customers', name: '  ' })).rejects.toThrow('A saved view needs a name');
+    await expect(crmService.createSavedView({ resource: 'customers', name: 'at risk' }))
+      .rejects.toThrow('You already have a view named "at risk"');
+  });
+
+  it('opens one view by default', async () => {
+    const first = await crmService.createSavedView({ resource: 'customers', name: 'First', isDefault: true });
+    const second = await crmService.createSavedView({ resource: 'customers', name: 'Second' });
+
+    await crmService.updateSavedView(second.id, { isDefault: true });
+
+    const views = await crmService.getSavedViews('customers');
+    expect(views.filter(view => view.isDefault).map(view => view.id)).toEqual([second.id]);
+    expect(views.find(view => view.id === first.id).isDefault).toBe(false);
+  });
+
+  it('does not let users change views of others', async () => {
+    const view = await crmService.createSavedView({ resource: 'customers', name: 'Mine' });
+    signInAs(users.manager);
+
+    await expect(crmService.updateSavedView(view.id, { name: 'Taken' })).rejects.toThrow('Saved view not found');
+    await expect(crmService.deleteSavedView(view.id)).rejects.toThrow('Saved view not found');
+  });
+});
+
+describe('crmService list queries', () => {
+  it('pages through customers with filters and health scores', async () => {
+    await crmService.createCustomer({ name: 'Notion Labs', tier: 'enterprise', email: 'hello@notion.so' });
+
+    const result = await crmService.queryCustomers({ tier: 'enterprise', sortBy: 'name', sortOrder: 'desc', pageSize: 1 });
+    expect(result).toMatchObject({ total: 2, page: 1, pageCount: 2 });
+    expect(result.items.map(customer => customer.name)).toEqual(['Stripe Inc.']);
+    expect(result.items[0].healthScore).toBe(80);
+
+    const next = await crmService.queryCustomers({ tier: 'enterprise', sortBy: 'name', sortOrder: 'desc', pageSize: 1, cursor: result.nextCursor });
+    expect(next.items.map(customer => customer.name)).toEqual(['Notion Labs']);
+    expect(next.nextCursor).toBeNull();
+
+    expect((await crmService.queryCustomers({ ownerId: 'user1', search: 'NOTION.so' })).total).toBe(1);
+    expect((await crmService.queryCustomers({ ownerId: 'unassigned' })).items.map(customer => customer.id)).toEqual(['1']);
+    const healthy = { match: 'all', rules: [{ field: 'healthScore', operator: 'gte', value: '80' }] };
+    expect((await crmService.queryCustomers({ filter: healthy })).items.map(customer => customer.id)).toEqual(['1']);
+  });
+
+  it('searches contacts and deals by company name', async () => {
+    await crmService.createContact({ customerId: '2', firstName: 'Karri', lastName: 'Saarinen', email: 'karri@linear.app' });
+
+    const contacts = await crmService.queryContacts({ search: 'stripe' });
+    expect(contacts.items.map(contact => contact.lastName)).toEqual(['Collison']);
+    expect((await crmService.queryContacts({ sortBy: 'company' })).items.map(contact => contact.customerId)).toEqual(['2', '1']);
+
+    expect((await crmService.queryDeals({ search: 'stripe', status: 'active' })).total).toBe(1);
+    expect((await crmService.queryDeals({ status: 'won' })).total).toBe(0);
+  });
+
+  it('summarizes every record regardless of the page', async () => {
+    expect(await crmService.getCustomerSummary()).toMatchObject({ total: 2, active: 2, enterprise: 1 });
+    expect(await crmService.getContactSummary()).toEqual({ total: 1, active: 0, companies: 1, departments: [] });
+  });
+});
+
+describe('crmService bulk changes', () => {
+  it('changes several customers at once and undoes the change', async () => {
+    const { customers, undo } = await crmService.updateCustomers(['1', '2'], { tier: 'startup', addTag: ' trade-show ' });
+
+    expect(customers.map(c => [c.tier, c.tags])).toEqual([['startup', ['trade-show']], ['startup', ['trade-show']]]);
+    expect((await crmService.queryCustomers({ search: 'trade-show' })).total).toBe(2);
+
+    await crmService.undoCustomerChanges(undo);
+    const restored = await crmService.getCustomers();
+    expect(restored.map(c => c.tier)).toEqual(['enterprise', 'growth']);
+    expect(restored.every(c => !c.tags)).toBe(true);
+  });
+
+  it('adds a tag only where it is missing', async () => {
+    await crmService.updateCustomers(['1'], { addTag: 'vip' });
+    const { customers } = await crmService.updateCustomers(['1', '2'], { addTag: 'vip' });
+
+    expect(customers.map(c => c.tags)).toEqual([['vip'], ['vip']]);
+    await expect(crmService.updateCustomers(['1'], { addTag: '  ' })).rejects.toThrow('A tag cannot be empty');
+  });
+
+  it('changes none of the customers when one may not be changed', async () => {
+    signInAs(users.rep);
+    await expect(crmService.updateCustomers(['2', '1'], { status: 'inactive' })).rejects.toMatchObject({ status: 403 });
+    await expect(crmService.updateCustomers(['2', 'missing'], { status: 'inactive' })).rejects.toThrow('Customer not found');
+
+    expect((await crmService.getCustomer('2')).status).toBe('active');
+  });
+
+  it('deletes several customers and brings them back on undo', async () => {
+    const { deleted, undo } = await crmService.deleteCustomers(['1', '2']);
+
+    expect(deleted).toBe(2);
+    expect(await crmService.getCustomers()).toHaveLength(0);
+
+    await crmService.undoCustomerChanges(undo);
+    expect((await crmService.getCustomer('2')).name).toBe('Linear Software');
+    expect((await crmService.getAuditLog({ entityType: 'customer', entityId: '2' })).map(entry => entry.action).sort())
+      .toEqual(['create', 'delete']);
+  });
+
+  it('undoes none of a change when one of the customers may not be changed', async () => {
+    const { undo } = await crmService.updateCustomers(['2', '1'], { tier: 'startup' });
+
+    signInAs(users.rep);
+    await expect(crmService.undoCustomerChanges(undo)).rejects.toMatchObject({ status: 403 });
+
+    expect((await crmService.getCustomers()).map(c => c.tier)).toEqual(['startup', 'startup']);
+    expect(await crmService.getAuditLog({ entityType: 'customer', entityId: '2' })).toHaveLength(1);
+  });
+
+  it('only lets admins delete customers in bulk', async () => {
+    signInAs(users.manager);
+    await expect(crmService.deleteCustomers(['2'])).rejects.toMatchObject({ status: 403 });
+  });
+
+  it('undoes a reassignment together with the open deals that moved', async () => {
+    const { undo } = await crmService.reassignCustomers(['1', '2'], 'user3');
+
+    expect(undo.customers.map(c => c.id)).toEqual(['1', '2']);
+    await crmService.undoCustomerChanges(undo);
+
+    expect((await crmService.getCustomer('1')).ownerId).toBeNull();
+    expect((await crmService.getCustomer('2')).ownerId).toBe('user2');
+    expect((await crmService.getDeal('1')).ownerId).toBeNull();
+  });
+});
+
+describe('crmService deal stages', () => {
+  it('closes a deal won through an edit and clears the close date when it is reopened', async () => {
+    const won = await crmService.updateDeal('1', { stage: 'closed-won' });
+
+    expect(won).toMatchObject({ status: 'won', probability: 100, actualCloseDate: todayKey });
+
+    const reopened = await crmService.updateDeal('1', { stage: 'proposal' });
+    expect(reopened).toMatchObject({ status: 'active', probability: 60, actualCloseDate: null });
+  });
+
+  it('keeps the probability picked for an open stage and the day a closed deal closed', async () => {
+    expect(await crmService.updateDeal('1', { stage: 'proposal', probability: 45 })).toMatchObject({ probability: 45 });
+
+    await crmService.updateDeal('1', { stage: 'closed-lost', actualCloseDate: '2024-01-31' });
+    expect(await crmService.updateDeal('1', { stage: 'closed-lost', value: 1 }))
+      .toMatchObject({ status: 'lost', actualCloseDate: '2024-01-31' });
+  });
+
+  it('sets the close date of a deal created as won', async () => {
+    const deal = await crmService.createDeal({ customerId: '1', title: 'Renewal', value: 1000, stage: 'closed-won' });
+
+    expect(deal).toMatchObject({ status: 'won', actualCloseDate: todayKey });
+    await expect(crmService.createDeal({ customerId: '1', title: 'Odd', stage: 'limbo' }))
+      .rejects.toThrow('Unknown deal stage "limbo"');
+  });
+});
@@ -0,0 +1,216 @@
+// Compound filters over customer fields. A filter is a group of rules and nested groups that match when all
+// or any of them do. Rules without a value yet, and groups with none that have one, are left out, so a half-built
+// filter neither hides customers nor lets an empty group match every customer.
+import { toDateKey } from './taskService';
+
+export const FILTER_FIELDS = [
+  { id: 'name', label: 'Company', type: 'text' },
+  { id: 'revenue', label: 'Revenue', type: 'number' },
+  { id: 'employees', label: 'Employees', type: 'number' },
+  { id: 'healthScore', label: 'Health score', type: 'number' },
+  { id: 'createdAt', label: 'Created', type: 'date' },
+  { id: 'lastContact', label: 'Last contact', type: 'date' },
+  { id: 'industry', label: 'Industry', type: 'choice' },
+  { id: 'tier', label: 'Tier', type: 'choice' },
+  { id: 'status', label: 'Status', type: 'choice' },
+  { id: 'city', label: 'City', type: 'text', get: customer => customer.address?.city },
+  { id: 'state', label: 'State', type: 'text', get: customer => customer.address?.state },
+  { id: 'country', label: 'Country', type: 'text', get: customer => customer.address?.country }
+];
+
+// Operators of each field type; the first one is picked for a new rule
+export const FILTER_OPERATORS = {
+  text: [
+    { id: 'contains', label: 'contains' },
+    { id: 'is', label: 'is' },
+    { id: 'isNot', label: 'is not' }
+  ],
+  number: [
+    { id: 'gte', label: 'is at least' },
+    { id: 'lte', label: 'is at most' },
+    { id: 'between', label: 'is between' }
+  ],
+  date: [
+    { id: 'withinDays', label: 'in the last N days' },
+    { id: 'olderThanDays', label: 'not in the last N days' },
+    { id: 'after', label: 'is on or after' },
+    { id: 'before', label: 'is on or before' },
+    { id: 'between', label: 'is between' }
+  ],
+  choice: [
+    { id: 'in', label: 'is any of' },
+    { id: 'notIn', label: 'is none of' }
+  ]
+};
+
+export const FILTER_MATCHES = [
+  { id: 'all', label: 'All' },
+  { id: 'any', label: 'Any' }
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const getFilterField = (id) => FILTER_FIELDS.find(field => field.id === id);
+
+const getOperators = (field) => FILTER_OPERATORS[field.type];
+
+const getValue = (customer, field) => (field.get ? field.get(customer) : customer[field.id]);
+
+const DAY_OPERATORS = ['withinDays', 'olderThanDays'];
+
+// What the value of a rule holds: a pair of bounds, a list of choices, a number of days or a single value
+const valueKind = (field, operator) => {
+  if (operator === 'between') return 'range';
+  if (field.type === 'choice') return 'choices';
+  return DAY_OPERATORS.includes(operator) ? 'days' : 'single';
+};
+
+const emptyValue = (field, operator) => {
+  const kind = valueKind(field, operator);
+  if (kind === 'range') return ['', ''];
+  return kind === 'choices' ? [] : '';
+};
+
+/**
+ * Rule on a field with its first operator and no value yet
+ * @param {string} fieldId - Field from FILTER_FIELDS
+ * @returns {Object} - { field, operator, value }
+ */
+export const createRule = (fieldId = FILTER_FIELDS[0].id) => {
+  const field = getFilterField(fieldId);
+  if (!field) {
+    throw new Error(`Unknown filter field: ${fieldId}`);
+  }
+  const operator = getOperators(field)[0].id;
+  return { field: field.id, operator, value: emptyValue(field, operator) };
+};
+
+/**
+ * Same rule with another operator, keeping the value when it still fits
+ * @param {Object} rule - Filter rule
+ * @param {string} operator - New operator
+ * @returns {Object} - Filter rule
+ */
+export const changeRuleOperator = (rule, operator) => {
+  const field = getFilterField(rule.field);
+  const keepsValue = valueKind(field, rule.operator) === valueKind(field, operator);
+  return { ...rule, operator, value: keepsValue ? rule.value : emptyValue(field, operator) };
+};
+
+export const createGroup = (match = 'all') => ({ match, rules: [] });
+
+export const isGroup = (rule) => Array.isArray(rule?.rules);
+
+/**
+ * Whether a rule has a value to filter on; a range needs at least one bound
+ * @param {Object} rule - Filter rule
+ * @returns {boolean}
+ */
+export const isRuleComplete = (rule) => {
+  if (Array.isArray(rule.value)) {
+    return rule.value.some(value => value !== '' && value !== null && value !== undefined);
+  }
+  return rule.value !== '' && rule.value !== null && rule.value !== undefined;
+};
+
+const inRange = (value, [from, to]) =>
+  (from === '' || value >= from) && (to === '' || value <= to);
+
+const daysAgoKey = (days, now) => toDateKey(new Date(now.getTime() - Number(days) * DAY_MS));
+
+const matchesRule = (customer, rule, now) => {
+  const field = getFilterField(rule.field);
+  const value = getValue(customer, field);
+
+  switch (field.type) {
+    case 'text': {
+      const text = String(value || '').toLowerCase();
+      const term = String(rule.value).trim().toLowerCase();
+      if (rule.operator === 'is') return text === term;
+      if (rule.operator === 'isNot') return text !== term;
+      return text.includes(term);
+    }
+    case 'number': {
+      if (typeof value !== 'number') return false;
+      const toNumber = (bound) => (bound === '' ? '' : Number(bound));
+      if (rule.operator === 'gte') return value >= Number(rule.value);
+      if (rule.operator === 'lte') return value <= Number(rule.value);
+      return inRange(value, rule.value.map(toNumber));
+    }
+    case 'date': {
+      // Customers never contacted count as not contacted in any number of days
+      if (!value) return rule.operator === 'olderThanDays';
+      const date = value.slice(0, 10);
+      if (rule.operator === 'withinDays') return date >= daysAgoKey(rule.value, now);
+      if (rule.operator === 'olderThanDays') return date < daysAgoKey(rule.value, now);
+      if (rule.operator === 'after') return date >= rule.value;
+      if (rule.operator === 'before') return date <= rule.value;
+      return inRange(date, rule.value);
+    }
+    case 'choice': {
+      const chosen = rule.value.includes(value);
+      return rule.operator === 'notIn' ? !chosen : chosen;
+    }
+    default:
+      return true;
+  }
+};
+
+/**
+ * Number of rules that filter something, across nested groups
+ * @param {Object|null} filter - Filter group
+ * @returns {number}
+ */
+export const countActiveRules = (filter) => (filter
+  ? filter.rules.reduce((count, rule) => count + (isGroup(rule) ? countActiveRules(rule) : Number(isRuleComplete(rule))), 0)
+  : 0);
+
+/**
+ * Whether a customer matches a filter
+ * @param {Object} customer - Customer, with its health score
+ * @param {Object|null} filter - Filter group; no filter matches everyone
+ * @param {Date} now - Current time, for relative dates
+ * @returns {boolean}
+ */
+export const matchesFilter = (customer, filter, now = new Date()) => {
+  if (!filter) return true;
+  const checks = filter.rules
+    .filter(rule => (isGroup(rule) ? countActiveRules(rule) > 0 : isRuleComplete(rule)))
+    .map(rule => () => (isGroup(rule) ? matchesFilter(customer, rule, now) : matchesRule(customer, rule, now)));
+  if (checks.length === 0) return true;
+  return filter.match === 'any' ? checks.some(check => check()) : checks.every(check => check());
+};
+
+const normalizeRule = (rule) => {
+  const field = getFilterField(rule?.field);
+  if (!field || !getOperators(field).some(operator => operator.id === rule.operator)) return null;
+  const empty = emptyValue(field, rule.operator);
+  if (Array.isArray(empty) !== Array.isArray(rule.value)) return null;
+  const toText = (value) => (value === null || value === undefined ? '' : String(value));
+  const value = Array.isArray(rule.value) ? rule.value.map(toText) : toText(rule.value);
+  return { field: field.id, operator: rule.operator, value: rule.operator === 'between' ? [value[0] || '', value[1] || ''] : value };
+};
+
+/**
+ * Filter from untrusted input such as a link, without unknown fields, operators or malformed values
+ * @param {*} filter - Parsed filter
+ * @returns {Object|null} - Filter group, null when the input is not one
+ */
+export const normalizeFilter = (filter) => {
+  if (!isGroup(filter)) return null;
+  const rules = filter.rules
+    .map(rule => (isGroup(rule) ? normalizeFilter(rule) : normalizeRule(rule)))
+    .filter(Boolean);
+  return { match: filter.match === 'any' ? 'any' : 'all', rules };
+};
+
+/**
+ * Values customers have for a choice field, for the choices of a rule
+ * @param {Array} customers - Customers
+ * @param {string} fieldId - Choice field
+ * @returns {Array} - Sorted distinct values
+ */
+export const getFilterChoices = (customers, fieldId) => {
+  const field = getFilterField(fieldId);
+  return [...new Set(customers.map(customer => getValue(customer, field)).filter(Boolean))].sort();
+};
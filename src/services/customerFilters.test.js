@@ -0,0 +1,120 @@
+import {
+  changeRuleOperator,
+  countActiveRules,
+  createGroup,
+  createRule,
+  getFilterChoices,
+  matchesFilter,
+  normalizeFilter
+} from './customerFilters';
+
+const now = new Date(2024, 3, 15, 12);
+
+const customers = [
+  {
+    id: '1', name: 'Stripe Inc.', industry: 'Fintech', tier: 'enterprise', revenue: 14000000000, employees: 8000,
+    healthScore: 72, createdAt: '2024-01-15', lastContact: '2024-02-01', address: { city: 'San Francisco', state: 'CA', country: 'USA' }
+  },
+  {
+    id: '2', name: 'Notion Labs', industry: 'Productivity', tier: 'enterprise', revenue: 500000000, employees: 1500,
+    healthScore: 91, createdAt: '2024-01-20', lastContact: '2024-04-10', address: { city: 'San Francisco', state: 'CA', country: 'USA' }
+  },
+  {
+    id: '3', name: 'Miro', industry: 'Productivity', tier: 'growth', revenue: 300000000, employees: 1800,
+    healthScore: 64, createdAt: '2024-03-01', lastContact: null, address: { city: 'Amsterdam', state: 'NH', country: 'Netherlands' }
+  }
+];
+
+const rule = (field, operator, value) => ({ field, operator, value });
+
+const matching = (filter) => customers.filter(customer => matchesFilter(customer, filter, now)).map(customer => customer.id);
+
+describe('matchesFilter', () => {
+  it('finds SF customers with health under 80 not contacted in 30 days', () => {
+    const filter = {
+      match: 'all',
+      rules: [
+        rule('city', 'is', 'san francisco'),
+        rule('healthScore', 'lte', '79'),
+        rule('lastContact', 'olderThanDays', '30')
+      ]
+    };
+
+    expect(matching(filter)).toEqual(['1']);
+  });
+
+  it('combines nested groups with any', () => {
+    const filter = {
+      match: 'any',
+      rules: [
+        rule('country', 'is', 'Netherlands'),
+        { match: 'all', rules: [rule('revenue', 'between', ['1000000000', '']), rule('employees', 'gte', '5000')] }
+      ]
+    };
+
+    expect(matching(filter)).toEqual(['1', '3']);
+  });
+
+  it('leaves out nested groups without a complete rule', () => {
+    const filter = {
+      match: 'any',
+      rules: [rule('country', 'is', 'Netherlands'), createGroup(), { match: 'all', rules: [createRule('revenue')] }]
+    };
+
+    expect(matching(filter)).toEqual(['3']);
+    expect(matching({ match: 'any', rules: [createGroup('any')] })).toEqual(['1', '2', '3']);
+  });
+
+  it('filters on date ranges, relative dates and choices', () => {
+    expect(matching({ match: 'all', rules: [rule('createdAt', 'between', ['2024-01-16', '2024-03-01'])] })).toEqual(['2', '3']);
+    expect(matching({ match: 'all', rules: [rule('lastContact', 'withinDays', '30')] })).toEqual(['2']);
+    expect(matching({ match: 'all', rules: [rule('industry', 'notIn', ['Fintech'])] })).toEqual(['2', '3']);
+  });
+
+  it('ignores rules without a value', () => {
+    const filter = { match: 'all', rules: [createRule('revenue'), createRule('industry'), createGroup()] };
+
+    expect(matching(filter)).toEqual(['1', '2', '3']);
+    expect(countActiveRules(filter)).toBe(0);
+    expect(countActiveRules({ match: 'all', rules: [rule('tier', 'in', ['growth']), { match: 'any', rules: [rule('name', 'contains', 'o')] }] }))
+      .toBe(2);
+  });
+});
+
+describe('filter rules', () => {
+  it('starts new rules empty with the first operator of their field', () => {
+    expect(createRule('industry')).toEqual({ field: 'industry', operator: 'in', value: [] });
+    expect(() => createRule('favouriteColor')).toThrow('Unknown filter field: favouriteColor');
+  });
+
+  it('keeps the value only when the new operator takes the same kind', () => {
+    expect(changeRuleOperator(rule('revenue', 'gte', '100'), 'lte').value).toBe('100');
+    expect(changeRuleOperator(rule('revenue', 'gte', '100'), 'between').value).toEqual(['', '']);
+    expect(changeRuleOperator(rule('lastContact', 'withinDays', '30'), 'after').value).toBe('');
+  });
+
+  it('lists the values customers have for a choice', () => {
+    expect(getFilterChoices(customers, 'industry')).toEqual(['Fintech', 'Productivity']);
+  });
+});
+
+describe('normalizeFilter', () => {
+  it('drops unknown fields and operators and malformed values', () => {
+    const filter = normalizeFilter({
+      match: 'either',
+      rules: [
+        rule('revenue', 'gte', 100),
+        rule('password', 'is', 'x'),
+        rule('tier', 'contains', 'ent'),
+        rule('industry', 'in', 'Fintech'),
+        { match: 'any', rules: [rule('createdAt', 'between', ['2024-01-01'])] }
+      ]
+    });
+
+    expect(filter).toEqual({
+      match: 'all',
+      rules: [rule('revenue', 'gte', '100'), { match: 'any', rules: [rule('createdAt', 'between', ['2024-01-01', ''])] }]
+    });
+    expect(normalizeFilter('tier=enterprise')).toBeNull();
+  });
+});
@@ -0,0 +1,221 @@
+// Sales forecast: rolls open deals up by expected close date into committed, best-case and weighted
+// numbers, and compares past forecasts with what was actually won. crmService stores the snapshots.
+import { getCalendarPeriod } from './revenueService';
+import { toDateKey } from './taskService';
+
+// Forecast categories from most to least certain. Omitted deals are left out of every number.
+export const FORECAST_CATEGORIES = [
+  { id: 'commit', label: 'Commit' },
+  { id: 'best_case', label: 'Best Case' },
+  { id: 'pipeline', label: 'Pipeline' },
+  { id: 'omitted', label: 'Omitted' }
+];
+
+// Periods the forecast looks ahead, and back when compared with actuals
+export const FORECAST_GRANULARITIES = [
+  { id: 'month', label: 'Monthly', periods: 6 },
+  { id: 'quarter', label: 'Quarterly', periods: 4 }
+];
+
+// Deals without a category override are categorised by their probability
+export const COMMIT_PROBABILITY = 75;
+export const BEST_CASE_PROBABILITY = 50;
+
+// Snapshots cover this many months from the month they are taken in
+const SNAPSHOT_MONTHS = 12;
+
+// Snapshot key for deals without an owner
+const UNASSIGNED = 'unassigned';
+
+const isCategory = (category) => FORECAST_CATEGORIES.some(item => item.id === category);
+
+const getGranularity = (granularity) => {
+  const match = FORECAST_GRANULARITIES.find(item => item.id === granularity);
+  if (!match) {
+    throw new Error(`Unknown forecast granularity: ${granularity}`);
+  }
+  return match;
+};
+
+/**
+ * Forecast category of an open deal: the rep's override, or one derived from the probability
+ * @param {Object} deal - Open deal
+ * @returns {string} - commit | best_case | pipeline | omitted
+ */
+export const getForecastCategory = (deal) => {
+  if (isCategory(deal.forecastCategory)) return deal.forecastCategory;
+  const probability = deal.probability || 0;
+  if (probability >= COMMIT_PROBABILITY) return 'commit';
+  return probability >= BEST_CASE_PROBABILITY ? 'best_case' : 'pipeline';
+};
+
+/**
+ * Check a category a rep picked for a deal
+ * @param {string|null} category - Category, or null to go back to the probability-based one
+ * @returns {string|null} - The category
+ */
+export const assertForecastCategory = (category) => {
+  if (category !== null && !isCategory(category)) {
+    throw new Error(`Unknown forecast category: ${category}`);
+  }
+  return category;
+};
+
+const emptyNumbers = () => ({ closed: 0, committed: 0, bestCase: 0, weighted: 0, pipeline: 0 });
+
+// Adds one deal to the numbers of the period it closes in
+const addDeal = (numbers, deal) => {
+  const value = deal.value || 0;
+  if (deal.status === 'won') {
+    numbers.closed += value;
+    numbers.committed += value;
+    numbers.bestCase += value;
+    numbers.weighted += value;
+    return;
+  }
+  const category = getForecastCategory(deal);
+  if (category === 'omitted') return;
+  if (category === 'commit') numbers.committed += value;
+  if (category === 'commit' || category === 'best_case') numbers.bestCase += value;
+  numbers.weighted += value * (deal.probability || 0) / 100;
+  numbers.pipeline += value;
+};
+
+const roundNumbers = (numbers) =>
+  Object.fromEntries(Object.entries(numbers).map(([key, value]) => [key, Math.round(value)]));
+
+// Date a deal counts in: when it was won, or when an open deal is expected to close
+const forecastDate = (deal) => (deal.status === 'won' ? deal.actualCloseDate : deal.expectedCloseDate)?.slice(0, 10);
+
+// Period a won or open deal counts in, if any. Open deals expected before the first period are late, not
+// lost, so they count in the first one.
+const periodOf = (deal, periods) => {
+  if (deal.status !== 'won' && deal.status !== 'active') return null;
+  const date = forecastDate(deal);
+  const first = periods[0];
+  if (!date || date > periods[periods.length - 1].end || (deal.status === 'won' && date < first.start)) return null;
+  return date < first.start ? first : periods.find(period => date <= period.end);
+};
+
+/**
+ * Forecast for the current and coming periods
+ * @param {Array} deals - Deals to forecast
+ * @param {Object} options
+ * @param {string} options.granularity - month | quarter
+ * @param {Date} now - Current time
+ * @returns {Object} - { periods, deals, unscheduled } with the open deals of the forecast and those without a date
+ */
+export const buildForecast = (deals, { granularity = 'month' } = {}, now = new Date()) => {
+  const { periods: count } = getGranularity(granularity);
+  const todayKey = toDateKey(now);
+  const periods = Array.from({ length: count }, (_, index) => ({
+    ...getCalendarPeriod(todayKey, granularity, index),
+    numbers: emptyNumbers()
+  }));
+  const forecastDeals = [];
+  const unscheduled = deals.filter(deal => deal.status === 'active' && !deal.expectedCloseDate);
+  deals.forEach(deal => {
+    const period = periodOf(deal, periods);
+    if (!period) return;
+    addDeal(period.numbers, deal);
+    if (deal.status === 'active') {
+      forecastDeals.push({
+        ...deal,
+        forecastCategory: getForecastCategory(deal),
+        categoryOverridden: isCategory(deal.forecastCategory),
+        weightedValue: Math.round((deal.value || 0) * (deal.probability || 0) / 100),
+        period: period.key,
+        late: deal.expectedCloseDate.slice(0, 10) < todayKey
+      });
+    }
+  });
+
+  return {
+    granularity,
+    periods: periods.map(({ numbers, ...period }) => ({ ...period, ...roundNumbers(numbers) })),
+    deals: forecastDeals.sort((a, b) => a.expectedCloseDate.localeCompare(b.expectedCloseDate)),
+    unscheduled
+  };
+};
+
+/**
+ * Forecast numbers per month and owner, as kept in a daily snapshot
+ * @param {Array} deals - All deals
+ * @param {Date} now - Current time
+ * @returns {Object} - { [month start]: { [ownerId]: { closed, committed, bestCase, weighted, pipeline } } }
+ */
+export const buildForecastSnapshot = (deals, now = new Date()) => {
+  const todayKey = toDateKey(now);
+  const months = Array.from({ length: SNAPSHOT_MONTHS }, (_, index) => getCalendarPeriod(todayKey, 'month', index));
+  const numbers = Object.fromEntries(months.map(month => [month.key, {}]));
+
+  deals.forEach(deal => {
+    const month = periodOf(deal, months);
+    if (!month) return;
+    const owner = deal.ownerId || UNASSIGNED;
+    numbers[month.key][owner] = numbers[month.key][owner] || emptyNumbers();
+    addDeal(numbers[month.key][owner], deal);
+  });
+
+  return Object.fromEntries(Object.entries(numbers).map(([month, owners]) => [
+    month,
+    Object.fromEntries(Object.entries(owners).map(([owner, values]) => [owner, roundNumbers(values)]))
+  ]));
+};
+
+// The forecast as it stood when a period started, or else the first one taken during it
+const snapshotFor = (snapshots, period) => {
+  const covering = snapshots.filter(snapshot =>
+    Object.keys(snapshot.months).some(month => month >= period.start && month <= period.end));
+  return covering.filter(snapshot => snapshot.date <= period.start).pop() ||
+    covering.find(snapshot => snapshot.date <= period.end);
+};
+
+/**
+ * Past forecasts next to what was won, for the current period and the ones before it
+ * @param {Array} snapshots - Forecast snapshots, { date, months } as built by buildForecastSnapshot
+ * @param {Array} deals - Deals to count as actuals
+ * @param {Object} options
+ * @param {string} options.granularity - month | quarter
+ * @param {string} options.ownerId - Only compare this owner's forecast
+ * @param {Date} now - Current time
+ * @returns {Array} - Periods, oldest first, with the forecast (null without a snapshot) and the actual
+ */
+export const compareForecastToActual = (snapshots, deals, { granularity = 'month', ownerId = null } = {}, now = new Date()) => {
+  const { periods: count } = getGranularity(granularity);
+  const todayKey = toDateKey(now);
+  const sorted = [...snapshots].sort((a, b) => a.date.localeCompare(b.date));
+
+  return Array.from({ length: count }, (_, index) => {
+    const period = getCalendarPeriod(todayKey, granularity, index - count + 1);
+    const actual = deals
+      .filter(deal => deal.status === 'won' && (!ownerId || deal.ownerId === ownerId))
+      .filter(deal => {
+        const date = deal.actualCloseDate?.slice(0, 10);
+        return date && date >= period.start && date <= period.end;
+      })
+      .reduce((sum, deal) => sum + (deal.value || 0), 0);
+
+    const snapshot = snapshotFor(sorted, period);
+    let forecast = null;
+    if (snapshot) {
+      forecast = emptyNumbers();
+      Object.entries(snapshot.months)
+        .filter(([month]) => month >= period.start && month <= period.end)
+        .forEach(([, owners]) => Object.entries(owners)
+          .filter(([owner]) => !ownerId || owner === ownerId)
+          .forEach(([, values]) => Object.keys(forecast).forEach(key => {
+            forecast[key] += values[key] || 0;
+          })));
+    }
+
+    return {
+      ...period,
+      snapshotDate: snapshot?.date || null,
+      forecast,
+      actual,
+      variance: forecast ? actual - forecast.weighted : null,
+      attainment: forecast?.committed ? Math.round((actual / forecast.committed) * 100) : null
+    };
+  });
+};
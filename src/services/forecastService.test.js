@@ -0,0 +1,114 @@
+import {
+  buildForecast,
+  buildForecastSnapshot,
+  compareForecastToActual,
+  getForecastCategory,
+  assertForecastCategory
+} from './forecastService';
+
+// Local noon, so the local calendar day is 2024-04-15 in every timezone
+const now = new Date(2024, 3, 15, 12);
+
+const deals = [
+  { id: 'a', title: 'Commit', value: 1000, probability: 80, status: 'active', expectedCloseDate: '2024-04-20', ownerId: 'u1' },
+  { id: 'b', title: 'Best case', value: 2000, probability: 60, status: 'active', expectedCloseDate: '2024-05-10', ownerId: 'u2' },
+  { id: 'c', title: 'Late', value: 500, probability: 20, status: 'active', expectedCloseDate: '2024-03-01', ownerId: 'u1' },
+  { id: 'd', title: 'Omitted', value: 400, probability: 90, status: 'active', expectedCloseDate: '2024-04-30', forecastCategory: 'omitted' },
+  { id: 'e', title: 'Won', value: 300, status: 'won', actualCloseDate: '2024-04-02', ownerId: 'u2' },
+  { id: 'f', title: 'Won before', value: 999, status: 'won', actualCloseDate: '2024-03-10', ownerId: 'u1' },
+  { id: 'g', title: 'Called', value: 700, probability: 10, status: 'active', expectedCloseDate: '2024-06-05', forecastCategory: 'commit' },
+  { id: 'h', title: 'Undated', value: 100, probability: 30, status: 'active' },
+  { id: 'i', title: 'Lost', value: 800, status: 'lost', actualCloseDate: '2024-04-05' }
+];
+
+describe('getForecastCategory', () => {
+  it('derives the category from the probability unless a rep overrode it', () => {
+    expect(getForecastCategory({ probability: 75 })).toBe('commit');
+    expect(getForecastCategory({ probability: 50 })).toBe('best_case');
+    expect(getForecastCategory({ probability: 30 })).toBe('pipeline');
+    expect(getForecastCategory({ probability: 90, forecastCategory: 'pipeline' })).toBe('pipeline');
+  });
+
+  it('rejects unknown categories', () => {
+    expect(assertForecastCategory(null)).toBeNull();
+    expect(() => assertForecastCategory('maybe')).toThrow('Unknown forecast category: maybe');
+  });
+});
+
+describe('buildForecast', () => {
+  it('rolls deals up into committed, best-case and weighted numbers per month', () => {
+    const forecast = buildForecast(deals, { granularity: 'month' }, now);
+
+    expect(forecast.periods.map(period => period.label)).toEqual(['Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep']);
+    expect(forecast.periods[0]).toMatchObject({
+      start: '2024-04-01',
+      end: '2024-04-30',
+      closed: 300,
+      committed: 1300,
+      bestCase: 1300,
+      weighted: 1200,
+      pipeline: 1500
+    });
+    expect(forecast.periods[1]).toMatchObject({ committed: 0, bestCase: 2000, weighted: 1200 });
+    expect(forecast.periods[2]).toMatchObject({ committed: 700, bestCase: 700, weighted: 70 });
+  });
+
+  it('lists the open deals with their category and flags late ones', () => {
+    const forecast = buildForecast(deals, {}, now);
+
+    expect(forecast.deals.map(deal => deal.id)).toEqual(['c', 'a', 'd', 'b', 'g']);
+    expect(forecast.deals[0]).toMatchObject({ period: '2024-04-01', late: true, forecastCategory: 'pipeline', weightedValue: 100 });
+    expect(forecast.deals[4]).toMatchObject({ forecastCategory: 'commit', categoryOverridden: true });
+    expect(forecast.unscheduled.map(deal => deal.id)).toEqual(['h']);
+  });
+
+  it('groups by quarter', () => {
+    const forecast = buildForecast(deals, { granularity: 'quarter' }, now);
+
+    expect(forecast.periods.map(period => period.label)).toEqual(['Q2 2024', 'Q3 2024', 'Q4 2024', 'Q1 2025']);
+    expect(forecast.periods[0]).toMatchObject({ closed: 300, committed: 2000, bestCase: 4000, weighted: 2470 });
+  });
+});
+
+describe('buildForecastSnapshot', () => {
+  it('keeps numbers per month and owner for the year ahead', () => {
+    const months = buildForecastSnapshot(deals, now);
+
+    expect(Object.keys(months)).toHaveLength(12);
+    expect(months['2024-04-01']).toMatchObject({
+      u1: { committed: 1000, weighted: 900, pipeline: 1500 },
+      u2: { closed: 300, committed: 300 }
+    });
+    expect(months['2024-05-01'].u2).toMatchObject({ bestCase: 2000, weighted: 1200 });
+  });
+});
+
+describe('compareForecastToActual', () => {
+  const numbers = (committed, weighted) => ({ closed: 0, committed, bestCase: committed, weighted, pipeline: committed });
+  const snapshots = [
+    { date: '2024-04-03', months: { '2024-04-01': { u1: numbers(5000, 5000) } } },
+    {
+      date: '2024-02-20',
+      months: {
+        '2024-02-01': { u1: numbers(100, 100) },
+        '2024-03-01': { u1: numbers(900, 700) },
+        '2024-04-01': { u1: numbers(1000, 800), u2: numbers(500, 400) }
+      }
+    }
+  ];
+
+  it('uses the forecast as it stood when each period began', () => {
+    const comparison = compareForecastToActual(snapshots, deals, { granularity: 'month' }, now);
+
+    expect(comparison.map(period => period.label)).toEqual(['Nov', 'Dec', 'Jan', 'Feb', 'Mar', 'Apr']);
+    expect(comparison[2]).toMatchObject({ forecast: null, actual: 0, variance: null, attainment: null });
+    expect(comparison[3]).toMatchObject({ snapshotDate: '2024-02-20', forecast: { committed: 100 } });
+    expect(comparison[4]).toMatchObject({ actual: 999, variance: 299, attainment: 111, forecast: { weighted: 700 } });
+    expect(comparison[5]).toMatchObject({ actual: 300, variance: -900, attainment: 20, forecast: { committed: 1500 } });
+  });
+
+  it('compares one owner at a time', () => {
+    const [april] = compareForecastToActual(snapshots, deals, { ownerId: 'u1' }, now).slice(-1);
+    expect(april).toMatchObject({ actual: 0, forecast: { committed: 1000 }, attainment: 0 });
+  });
+});
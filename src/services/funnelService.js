@@ -0,0 +1,129 @@
+// Pipeline funnel analytics: how deals move from stage to stage, how long they spend in each one and
+// which kinds of customers they are won with. crmService records the stage history on every deal.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const daysBetween = (from, to) => (new Date(to) - new Date(from)) / DAY_MS;
+
+const average = (values) => (values.length > 0
+  ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+  : null);
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : null);
+
+/**
+ * Stages a deal went through, oldest first. Deals from before stage history was recorded start out in
+ * their current stage as of their last update.
+ * @param {Object} deal - Deal
+ * @returns {Array} - { stage, enteredAt } entries
+ */
+export const getStageHistory = (deal) => {
+  if (deal.stageHistory?.length) return deal.stageHistory;
+  if (!deal.stage) return [];
+  return [{ stage: deal.stage, enteredAt: deal.updatedAt || deal.createdAt || null }];
+};
+
+/**
+ * Stage history of a deal after a change, with the new stage appended when the stage changed
+ * @param {Object|null} existing - Deal before the change, null when it is created
+ * @param {Object} deal - Deal after the change
+ * @param {string} enteredAt - Time of the change
+ * @returns {Array} - Stage history
+ */
+export const recordStageChange = (existing, deal, enteredAt = new Date().toISOString()) => {
+  const history = existing ? getStageHistory(existing) : [];
+  if (!deal.stage || history[history.length - 1]?.stage === deal.stage) return history;
+  return [...history, { stage: deal.stage, enteredAt }];
+};
+
+// Win rates of closed deals grouped by a customer field, most closed deals first
+const winRatesBy = (closedDeals, customers, field) => {
+  const groups = new Map();
+  closedDeals.forEach(deal => {
+    const key = customers.get(deal.customerId)?.[field] || 'unknown';
+    const group = groups.get(key) || { key, won: 0, lost: 0 };
+    group[deal.status] += 1;
+    groups.set(key, group);
+  });
+  return [...groups.values()]
+    .map(group => ({ ...group, winRate: rate(group.won, group.won + group.lost) }))
+    .sort((a, b) => (b.won + b.lost) - (a.won + a.lost) || a.key.localeCompare(b.key));
+};
+
+/**
+ * Funnel conversion, stage velocity, win rates and cycle length of a set of deals
+ *
+ * The funnel runs through the open stages in board order and ends in the won stage. A deal reached every
+ * stage up to the furthest one in its history, and won deals reached them all. Conversion out of a stage
+ * only counts deals that have left it, so deals still sitting there do not drag the rate down.
+ * @param {Array} deals - Deals to analyse
+ * @param {Array} customers - Customers of those deals, for the industry and tier breakdowns
+ * @param {Array} stages - Pipeline stages in board order, see DEAL_STAGES
+ * @param {Date} now - Current time
+ * @returns {Object} - { stages, winRate, winRateByIndustry, winRateByTier, averageCycleDays, wonDeals }
+ */
+export const buildFunnelAnalytics = (deals, customers, stages, now = new Date()) => {
+  const steps = stages.filter(stage => stage.status === 'active' || stage.status === 'won');
+  const stepIndex = new Map(steps.map((stage, index) => [stage.id, index]));
+  const wonIndex = steps.findIndex(stage => stage.status === 'won');
+
+  const furthestStep = (deal, history) => {
+    if (deal.status === 'won') return wonIndex;
+    const reached = history.map(entry => stepIndex.get(entry.stage)).filter(index => index !== undefined);
+    return reached.length > 0 ? Math.max(...reached) : 0;
+  };
+
+  const stats = steps.map(() => ({ reached: 0, open: 0, durations: [], openAges: [] }));
+  deals.forEach(deal => {
+    const history = getStageHistory(deal);
+    const furthest = furthestStep(deal, history);
+    for (let index = 0; index <= furthest; index += 1) {
+      stats[index].reached += 1;
+    }
+
+    history.forEach((entry, index) => {
+      const step = stepIndex.get(entry.stage);
+      if (step === undefined || step === wonIndex || !entry.enteredAt) return;
+      const next = history[index + 1];
+      if (next) {
+        if (next.enteredAt) stats[step].durations.push(daysBetween(entry.enteredAt, next.enteredAt));
+      } else if (deal.status === 'active') {
+        stats[step].open += 1;
+        stats[step].openAges.push(daysBetween(entry.enteredAt, now));
+      }
+    });
+  });
+
+  const funnel = steps.map((stage, index) => {
+    const { reached, open, durations, openAges } = stats[index];
+    const averageDays = average(durations);
+    const next = stats[index + 1];
+    return {
+      id: stage.id,
+      label: stage.label,
+      reached,
+      conversionRate: next ? rate(next.reached, reached - open) : null,
+      averageDays,
+      openDeals: open,
+      openAverageDays: average(openAges),
+      // Open deals that have been in the stage longer than deals usually take to move on
+      stalledDeals: averageDays === null ? 0 : openAges.filter(age => age > averageDays).length
+    };
+  });
+
+  const customersById = new Map(customers.map(customer => [customer.id, customer]));
+  const closed = deals.filter(deal => deal.status === 'won' || deal.status === 'lost');
+  const won = closed.filter(deal => deal.status === 'won');
+  const cycles = won
+    .filter(deal => deal.createdAt && deal.actualCloseDate)
+    .map(deal => daysBetween(deal.createdAt, deal.actualCloseDate));
+
+  return {
+    stages: funnel,
+    winRate: rate(won.length, closed.length),
+    winRateByIndustry: winRatesBy(closed, customersById, 'industry'),
+    winRateByTier: winRatesBy(closed, customersById, 'tier'),
+    averageCycleDays: average(cycles),
+    wonDeals: won.length
+  };
+};
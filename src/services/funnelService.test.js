@@ -0,0 +1,80 @@
+import { buildFunnelAnalytics, getStageHistory, recordStageChange } from './funnelService';
+
+const now = new Date('2024-04-15T00:00:00Z');
+
+const stages = [
+  { id: 'qualification', label: 'Qualification', status: 'active' },
+  { id: 'proposal', label: 'Proposal', status: 'active' },
+  { id: 'negotiation', label: 'Negotiation', status: 'active' },
+  { id: 'closed-won', label: 'Closed Won', status: 'won' },
+  { id: 'closed-lost', label: 'Closed Lost', status: 'lost' }
+];
+
+const entered = (...entries) => entries.map(([stage, date]) => ({ stage, enteredAt: `${date}T00:00:00Z` }));
+
+const customers = [
+  { id: 'c1', industry: 'fintech', tier: 'enterprise' },
+  { id: 'c2', industry: 'fintech', tier: 'growth' }
+];
+
+const deals = [
+  {
+    id: 'won', customerId: 'c1', status: 'won', stage: 'closed-won', createdAt: '2024-01-01', actualCloseDate: '2024-02-01',
+    stageHistory: entered(['qualification', '2024-01-01'], ['proposal', '2024-01-11'], ['negotiation', '2024-01-21'], ['closed-won', '2024-02-01'])
+  },
+  {
+    id: 'lost', customerId: 'c2', status: 'lost', stage: 'closed-lost',
+    stageHistory: entered(['qualification', '2024-01-01'], ['proposal', '2024-01-06'], ['closed-lost', '2024-02-01'])
+  },
+  {
+    id: 'open', customerId: 'c1', status: 'active', stage: 'negotiation',
+    stageHistory: entered(['qualification', '2024-03-01'], ['proposal', '2024-03-11'], ['negotiation', '2024-03-15'])
+  },
+  { id: 'new', customerId: 'c2', status: 'active', stage: 'qualification', stageHistory: entered(['qualification', '2024-04-05']) },
+  { id: 'legacy', customerId: 'c2', status: 'active', stage: 'proposal', updatedAt: '2024-04-10' }
+];
+
+describe('stage history', () => {
+  it('falls back to the current stage for deals recorded before stage history', () => {
+    expect(getStageHistory({ stage: 'proposal', updatedAt: '2024-04-10' })).toEqual([{ stage: 'proposal', enteredAt: '2024-04-10' }]);
+  });
+
+  it('appends a stage only when it changes', () => {
+    const existing = { stage: 'qualification', stageHistory: entered(['qualification', '2024-04-01']) };
+
+    expect(recordStageChange(existing, { stage: 'qualification' }, '2024-04-02')).toBe(existing.stageHistory);
+    expect(recordStageChange(existing, { stage: 'proposal' }, '2024-04-02')).toEqual([
+      ...existing.stageHistory,
+      { stage: 'proposal', enteredAt: '2024-04-02' }
+    ]);
+    expect(recordStageChange(null, { stage: 'qualification' }, '2024-04-02')).toHaveLength(1);
+  });
+});
+
+describe('buildFunnelAnalytics', () => {
+  const analytics = buildFunnelAnalytics(deals, customers, stages, now);
+  const stage = (id) => analytics.stages.find(item => item.id === id);
+
+  it('counts the deals that reached each stage and how many of those that left it moved on', () => {
+    expect(analytics.stages.map(item => [item.id, item.reached])).toEqual([
+      ['qualification', 5], ['proposal', 4], ['negotiation', 2], ['closed-won', 1]
+    ]);
+    expect(analytics.stages.map(item => item.conversionRate)).toEqual([100, 67, 100, null]);
+  });
+
+  it('averages the time spent in each stage and flags open deals stuck longer than that', () => {
+    expect(stage('qualification')).toMatchObject({ averageDays: 8.3, openDeals: 1, openAverageDays: 10, stalledDeals: 1 });
+    expect(stage('proposal')).toMatchObject({ averageDays: 13.3, openDeals: 1, openAverageDays: 5, stalledDeals: 0 });
+    expect(stage('negotiation')).toMatchObject({ averageDays: 11, stalledDeals: 1 });
+  });
+
+  it('breaks the win rate down by industry and tier and averages the cycle of won deals', () => {
+    expect(analytics.winRate).toBe(50);
+    expect(analytics.winRateByIndustry).toEqual([{ key: 'fintech', won: 1, lost: 1, winRate: 50 }]);
+    expect(analytics.winRateByTier).toEqual([
+      { key: 'enterprise', won: 1, lost: 0, winRate: 100 },
+      { key: 'growth', won: 0, lost: 1, winRate: 0 }
+    ]);
+    expect(analytics).toMatchObject({ averageCycleDays: 31, wonDeals: 1 });
+  });
+});
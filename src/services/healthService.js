@@ -0,0 +1,162 @@
+// Customer health scoring: turns signals already in the data into a 0-100 score with an explanation
+// of each contributing factor. crmService keeps the scores and their history up to date.
+
+// Signals a health score is built from, in display order
+export const HEALTH_FACTORS = [
+  { id: 'recency', label: 'Last contact' },
+  { id: 'activity', label: 'Engagement' },
+  { id: 'deals', label: 'Deals' },
+  { id: 'status', label: 'Status' },
+  { id: 'tier', label: 'Tier' }
+];
+
+// Weights are relative; the other settings are in days or counts. Status and tier scores run 0-100.
+export const DEFAULT_HEALTH_CONFIG = {
+  weights: { recency: 30, activity: 20, deals: 25, status: 15, tier: 10 },
+  recentContactDays: 14,
+  lostContactDays: 90,
+  activityWindowDays: 90,
+  targetActivities: 6,
+  statusScores: { active: 100, inactive: 20 },
+  tierScores: { enterprise: 100, growth: 80, startup: 60 }
+};
+
+// Activities that count as contact with the customer
+const ENGAGEMENT_TYPES = ['call', 'email', 'meeting', 'note', 'task_completed'];
+
+// Score for signals the config has no value for, such as an unknown tier
+const NEUTRAL_SCORE = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const clamp = (value) => Math.max(0, Math.min(100, Math.round(value)));
+
+const plural = (count, word, pluralWord = `${word}s`) => `${count} ${count === 1 ? word : pluralWord}`;
+
+/**
+ * Fill in a partial health config with the defaults and check that it can produce a score
+ * @param {Object} config - Saved or edited config
+ * @returns {Object} - Complete config
+ */
+export const resolveHealthConfig = (config = {}) => {
+  const resolved = {
+    ...DEFAULT_HEALTH_CONFIG,
+    ...config,
+    weights: { ...DEFAULT_HEALTH_CONFIG.weights, ...config.weights },
+    statusScores: { ...DEFAULT_HEALTH_CONFIG.statusScores, ...config.statusScores },
+    tierScores: { ...DEFAULT_HEALTH_CONFIG.tierScores, ...config.tierScores }
+  };
+  const weights = Object.values(resolved.weights);
+  if (weights.some(weight => typeof weight !== 'number' || weight < 0) || weights.every(weight => weight === 0)) {
+    throw new Error('Health score weights must be zero or more and at least one must be above zero');
+  }
+  if (resolved.lostContactDays <= resolved.recentContactDays) {
+    throw new Error('Contact is lost only after it stops being recent');
+  }
+  return resolved;
+};
+
+const scoreRecency = (customer, activities, config, now) => {
+  const dates = [customer.lastContact, ...activities.map(activity => activity.timestamp)]
+    .filter(Boolean)
+    .map(date => new Date(date).getTime());
+  if (dates.length === 0) {
+    return { score: 0, detail: 'No contact recorded' };
+  }
+  const days = Math.max(0, Math.floor((now.getTime() - Math.max(...dates)) / DAY_MS));
+  const { recentContactDays, lostContactDays } = config;
+  const score = days <= recentContactDays
+    ? 100
+    : 100 * (lostContactDays - days) / (lostContactDays - recentContactDays);
+  return { score: clamp(score), detail: days === 0 ? 'Last contact today' : `Last contact ${plural(days, 'day')} ago` };
+};
+
+const scoreActivity = (activities, config, now) => {
+  const since = now.getTime() - config.activityWindowDays * DAY_MS;
+  const count = activities.filter(activity => new Date(activity.timestamp).getTime() >= since).length;
+  return {
+    score: clamp(100 * count / Math.max(1, config.targetActivities)),
+    detail: `${plural(count, 'activity', 'activities')} in the last ${config.activityWindowDays} days`
+  };
+};
+
+const scoreDeals = (deals) => {
+  const open = deals.filter(deal => deal.status === 'active').length;
+  const won = deals.filter(deal => deal.status === 'won').length;
+  const lost = deals.filter(deal => deal.status === 'lost').length;
+  if (open + won + lost === 0) {
+    return { score: NEUTRAL_SCORE, detail: 'No deals yet' };
+  }
+  return { score: clamp(100 * (open + won) / (open + won + lost)), detail: `${open} open, ${won} won, ${lost} lost` };
+};
+
+/**
+ * Health score of a customer with the contribution of every factor
+ * @param {Object} customer - Customer
+ * @param {Object} signals
+ * @param {Array} signals.activities - Activities logged against the customer, its contacts and its deals
+ * @param {Array} signals.deals - The customer's deals
+ * @param {Object} config - Health config, see DEFAULT_HEALTH_CONFIG
+ * @param {Date} now - Current time
+ * @returns {Object} - { score, factors: [{ id, label, weight, score, points, detail }] }
+ */
+export const computeHealthScore = (customer, { activities = [], deals = [] } = {}, config = DEFAULT_HEALTH_CONFIG, now = new Date()) => {
+  const resolved = resolveHealthConfig(config);
+  const engagement = activities.filter(activity => ENGAGEMENT_TYPES.includes(activity.type));
+  const signals = {
+    recency: scoreRecency(customer, engagement, resolved, now),
+    activity: scoreActivity(engagement, resolved, now),
+    deals: scoreDeals(deals),
+    status: { score: resolved.statusScores[customer.status] ?? NEUTRAL_SCORE, detail: `Status is ${customer.status || 'unknown'}` },
+    tier: { score: resolved.tierScores[customer.tier] ?? NEUTRAL_SCORE, detail: `Tier is ${customer.tier || 'unknown'}` }
+  };
+
+  const totalWeight = HEALTH_FACTORS.reduce((sum, factor) => sum + resolved.weights[factor.id], 0);
+  const factors = HEALTH_FACTORS.map(factor => {
+    const weight = resolved.weights[factor.id];
+    const { score, detail } = signals[factor.id];
+    return { ...factor, weight, score, points: Math.round(score * weight / totalWeight), detail };
+  });
+  const score = clamp(factors.reduce((sum, factor) => sum + factor.score * factor.weight, 0) / totalWeight);
+  return { score, factors };
+};
+
+/**
+ * Health scores of many customers at once, matching activities to customers through their contacts and deals
+ * @param {Array} customers - Customers to score
+ * @param {Object} data
+ * @param {Array} data.contacts - Contacts of those customers
+ * @param {Array} data.deals - Deals of those customers
+ * @param {Array} data.activities - Activities to match
+ * @param {Object} config - Health config
+ * @param {Date} now - Current time
+ * @returns {Object} - computeHealthScore results keyed by customer id
+ */
+export const computeHealthScores = (customers, { contacts = [], deals = [], activities = [] }, config = DEFAULT_HEALTH_CONFIG, now = new Date()) => {
+  const contactCustomers = new Map(contacts.map(contact => [contact.id, contact.customerId]));
+  const dealCustomers = new Map(deals.map(deal => [deal.id, deal.customerId]));
+  const customerOf = {
+    customer: (id) => id,
+    contact: (id) => contactCustomers.get(id),
+    deal: (id) => dealCustomers.get(id)
+  };
+
+  const group = (items, getCustomerId) => items.reduce((groups, item) => {
+    const customerId = getCustomerId(item);
+    if (customerId) {
+      if (!groups.has(customerId)) groups.set(customerId, []);
+      groups.get(customerId).push(item);
+    }
+    return groups;
+  }, new Map());
+  const dealsByCustomer = group(deals, deal => deal.customerId);
+  const activitiesByCustomer = group(activities, activity => customerOf[activity.entityType]?.(activity.entityId));
+
+  return Object.fromEntries(customers.map(customer => [
+    customer.id,
+    computeHealthScore(customer, {
+      activities: activitiesByCustomer.get(customer.id) || [],
+      deals: dealsByCustomer.get(customer.id) || []
+    }, config, now)
+  ]));
+};
@@ -0,0 +1,75 @@
+import { computeHealthScore, computeHealthScores, resolveHealthConfig, DEFAULT_HEALTH_CONFIG } from './healthService';
+
+const now = new Date('2024-04-01T12:00:00Z');
+const customer = { id: '1', name: 'Stripe Inc.', status: 'active', tier: 'enterprise', lastContact: '2024-03-30' };
+
+const factor = (result, id) => result.factors.find(item => item.id === id);
+
+describe('computeHealthScore', () => {
+  it('explains every factor and weighs them into one score', () => {
+    const result = computeHealthScore(customer, {
+      activities: [
+        { type: 'call', timestamp: '2024-03-31T10:00:00Z' },
+        { type: 'meeting', timestamp: '2024-03-20T10:00:00Z' },
+        { type: 'deal_created', timestamp: '2024-03-25T10:00:00Z' }
+      ],
+      deals: [{ status: 'active' }, { status: 'won' }, { status: 'won' }, { status: 'lost' }]
+    }, DEFAULT_HEALTH_CONFIG, now);
+
+    expect(factor(result, 'recency')).toMatchObject({ score: 100, points: 30, detail: 'Last contact 1 day ago' });
+    expect(factor(result, 'activity')).toMatchObject({ score: 33, detail: '2 activities in the last 90 days' });
+    expect(factor(result, 'deals')).toMatchObject({ score: 75, detail: '1 open, 2 won, 1 lost' });
+    expect(result.score).toBe(Math.round((100 * 30 + 33 * 20 + 75 * 25 + 100 * 15 + 100 * 10) / 100));
+  });
+
+  it('fades the recency factor between recent and lost contact', () => {
+    const score = (lastContact) =>
+      factor(computeHealthScore({ ...customer, lastContact }, {}, DEFAULT_HEALTH_CONFIG, now), 'recency').score;
+
+    expect(score('2024-03-18')).toBe(100);
+    expect(score('2024-02-09')).toBe(50);
+    expect(score('2023-12-01')).toBe(0);
+    expect(score(null)).toBe(0);
+  });
+
+  it('treats customers without deals, status or tier as neutral on those factors', () => {
+    const result = computeHealthScore({ id: '2' }, {}, DEFAULT_HEALTH_CONFIG, now);
+
+    expect(['deals', 'status', 'tier'].map(id => factor(result, id).score)).toEqual([50, 50, 50]);
+  });
+});
+
+describe('computeHealthScores', () => {
+  it('credits activities on contacts and deals to their customer', () => {
+    const scores = computeHealthScores([customer, { ...customer, id: '2' }], {
+      contacts: [{ id: 'c1', customerId: '1' }],
+      deals: [{ id: 'd1', customerId: '2', status: 'lost' }],
+      activities: [
+        { type: 'email', timestamp: '2024-03-31T10:00:00Z', entityType: 'contact', entityId: 'c1' },
+        { type: 'call', timestamp: '2024-03-31T10:00:00Z', entityType: 'deal', entityId: 'd1' },
+        { type: 'call', timestamp: '2024-03-31T10:00:00Z', entityType: 'contact', entityId: 'unknown' }
+      ]
+    }, DEFAULT_HEALTH_CONFIG, now);
+
+    expect(factor(scores['1'], 'activity').detail).toBe('1 activity in the last 90 days');
+    expect(factor(scores['2'], 'activity').detail).toBe('1 activity in the last 90 days');
+    expect(factor(scores['2'], 'deals').score).toBe(0);
+  });
+});
+
+describe('resolveHealthConfig', () => {
+  it('fills in missing settings from the defaults', () => {
+    const config = resolveHealthConfig({ weights: { tier: 0 }, tierScores: { startup: 90 } });
+
+    expect(config.weights).toEqual({ ...DEFAULT_HEALTH_CONFIG.weights, tier: 0 });
+    expect(config.tierScores.enterprise).toBe(100);
+    expect(config.tierScores.startup).toBe(90);
+  });
+
+  it('rejects configs that cannot produce a score', () => {
+    expect(() => resolveHealthConfig({ weights: { recency: 0, activity: 0, deals: 0, status: 0, tier: 0 } }))
+      .toThrow('Health score weights');
+    expect(() => resolveHealthConfig({ recentContactDays: 30, lostContactDays: 30 }))
+      .toThrow('Contact is lost only after it stops being recent');
+  });
+});
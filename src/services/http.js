@@ -0,0 +1,31 @@
+/**
+ * Thin fetch wrapper shared by the REST data source and the useApi hook
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options; `body` objects are JSON-encoded
+ * @returns {Promise<*>} - Parsed JSON body, or null for empty responses
+ */
+export const request = async (url, options = {}) => {
+  const { body, headers, ...rest } = options;
+
+  const response = await fetch(url, {
+    ...rest,
+    headers: {
+      'Content-Type': 'application/json',
+      ...headers,
+    },
+    body: body !== undefined && typeof body !== 'string' ? JSON.stringify(body) : body,
+  });
+
+  if (!response.ok) {
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+
+  if (response.status === 204) {
+    return null;
+  }
+
+  const text = await response.text();
+  return text ? JSON.parse(text) : null;
+};
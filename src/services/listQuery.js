@@ -0,0 +1,99 @@
+// Searching, sorting and paging for list queries. Results have the shape of a paginated list endpoint
+// (one page of items with total counts and a cursor), so list pages never need every record at once.
+
+export const PAGE_SIZES = [25, 50, 100, 500, 1000];
+export const DEFAULT_PAGE_SIZE = PAGE_SIZES[0];
+
+const isMissing = (value) => value === null || value === undefined || value === '';
+
+// Records sort on a [value, id] key. Missing values go last in either order and the id breaks ties,
+// so every record has one position and a cursor can point between two of them.
+const compareKeys = ([aValue, aId], [bValue, bId], direction) => {
+  if (isMissing(aValue) || isMissing(bValue)) {
+    const missing = Number(isMissing(aValue)) - Number(isMissing(bValue));
+    if (missing !== 0) return missing;
+  } else {
+    const order = typeof aValue === 'number' && typeof bValue === 'number'
+      ? aValue - bValue
+      : String(aValue).localeCompare(String(bValue), undefined, { numeric: true, sensitivity: 'base' });
+    if (order !== 0) return order * direction;
+  }
+  return String(aId).localeCompare(String(bId));
+};
+
+const encodeCursor = (key) => btoa(encodeURIComponent(JSON.stringify(key)));
+
+const decodeCursor = (cursor) => {
+  try {
+    const key = JSON.parse(decodeURIComponent(atob(cursor)));
+    if (Array.isArray(key) && key.length === 2) return key;
+  } catch (error) {
+    // Reported below
+  }
+  throw new Error('Invalid page cursor');
+};
+
+const toPositiveInteger = (value, label) => {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`${label} must be a positive whole number`);
+  }
+  return number;
+};
+
+/**
+ * Whether any of the values contains the search term, ignoring case
+ * @param {string} search - Search term; an empty term matches everything
+ * @param {Array} values - Values to search in
+ * @returns {boolean}
+ */
+export const matchesSearch = (search, values) => {
+  const term = (search || '').trim().toLowerCase();
+  return !term || values.some(value => String(value || '').toLowerCase().includes(term));
+};
+
+/**
+ * One page of records in a stable order. A page past the end gives the last page.
+ * @param {Array} records - Records matching the query
+ * @param {Object} options
+ * @param {Function} options.getSortValue - Value a record sorts on
+ * @param {string} options.sortOrder - asc | desc
+ * @param {number} options.page - Page number from 1, ignored when a cursor is given
+ * @param {number} options.pageSize - Records per page
+ * @param {string|null} options.cursor - nextCursor of the previous page, to continue right after it
+ * @returns {Object} - { items, total, page, pageSize, pageCount, nextCursor }
+ */
+export const paginate = (records, {
+  getSortValue = () => null,
+  sortOrder = 'asc',
+  page = 1,
+  pageSize = DEFAULT_PAGE_SIZE,
+  cursor = null
+} = {}) => {
+  const size = toPositiveInteger(pageSize, 'Page size');
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const keyed = records
+    .map(record => ({ record, key: [getSortValue(record) ?? null, record.id] }))
+    .sort((a, b) => compareKeys(a.key, b.key, direction));
+  const total = keyed.length;
+  const pageCount = Math.max(1, Math.ceil(total / size));
+
+  let start;
+  if (cursor) {
+    const after = decodeCursor(cursor);
+    const index = keyed.findIndex(item => compareKeys(item.key, after, direction) > 0);
+    start = index === -1 ? total : index;
+  } else {
+    start = (Math.min(toPositiveInteger(page, 'Page'), pageCount) - 1) * size;
+  }
+
+  const slice = keyed.slice(start, start + size);
+  return {
+    items: slice.map(item => item.record),
+    total,
+    page: Math.floor(start / size) + 1,
+    pageSize: size,
+    pageCount,
+    nextCursor: start + size < total ? encodeCursor(slice[slice.length - 1].key) : null
+  };
+};
@@ -0,0 +1,55 @@
+import { matchesSearch, paginate } from './listQuery';
+
+const records = [
+  { id: 'a', name: 'Notion', revenue: 500 },
+  { id: 'b', name: 'airtable', revenue: null },
+  { id: 'c', name: 'Stripe', revenue: 14000 },
+  { id: 'd', name: 'Linear', revenue: 500 },
+  { id: 'e', name: 'Figma', revenue: 2000 }
+];
+
+const ids = (result) => result.items.map(record => record.id);
+
+describe('paginate', () => {
+  it('returns one page with total counts', () => {
+    const result = paginate(records, { getSortValue: record => record.name, page: 2, pageSize: 2 });
+
+    expect(ids(result)).toEqual(['d', 'a']);
+    expect(result).toMatchObject({ total: 5, page: 2, pageSize: 2, pageCount: 3 });
+  });
+
+  it('sorts missing values last in either order and breaks ties on the id', () => {
+    const byRevenue = (sortOrder) => ids(paginate(records, { getSortValue: record => record.revenue, sortOrder }));
+
+    expect(byRevenue('asc')).toEqual(['a', 'd', 'e', 'c', 'b']);
+    expect(byRevenue('desc')).toEqual(['c', 'e', 'a', 'd', 'b']);
+  });
+
+  it('continues after a cursor even when records were removed in between', () => {
+    const options = { getSortValue: record => record.revenue, sortOrder: 'desc', pageSize: 2 };
+    const first = paginate(records, options);
+    const second = paginate(records.filter(record => record.id !== 'e'), { ...options, cursor: first.nextCursor });
+    const third = paginate(records, { ...options, cursor: second.nextCursor });
+
+    expect(ids(first)).toEqual(['c', 'e']);
+    expect(ids(second)).toEqual(['a', 'd']);
+    expect(ids(third)).toEqual(['b']);
+    expect(third.nextCursor).toBeNull();
+  });
+
+  it('gives the last page for a page past the end and rejects bad input', () => {
+    expect(paginate(records, { page: 9, pageSize: 2 }).page).toBe(3);
+    expect(paginate([], { page: 2 })).toMatchObject({ items: [], total: 0, page: 1, pageCount: 1 });
+    expect(() => paginate(records, { pageSize: 0 })).toThrow('Page size must be a positive whole number');
+    expect(() => paginate(records, { page: 'two' })).toThrow('Page must be a positive whole number');
+    expect(() => paginate(records, { cursor: 'nope' })).toThrow('Invalid page cursor');
+  });
+});
+
+describe('matchesSearch', () => {
+  it('matches any value ignoring case, and everything for an empty term', () => {
+    expect(matchesSearch('STRI', ['Stripe', null])).toBe(true);
+    expect(matchesSearch('acme', ['Stripe', undefined])).toBe(false);
+    expect(matchesSearch('  ', ['Stripe'])).toBe(true);
+  });
+});
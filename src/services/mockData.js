@@ -0,0 +1,1108 @@
+// Seed data for the demo workspace. Adapters copy it before use, so it is never mutated.
+
+// Dates health scores, tasks and deal analytics depend on are relative to today, so the demo never goes stale
+const daysFromToday = (days) => {
+  const date = new Date();
+  date.setDate(date.getDate() + days);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().split('T')[0];
+};
+
+// Stage history entries from [stage, days from today] pairs
+const stagesEntered = (...entries) =>
+  entries.map(([stage, days]) => ({ stage, enteredAt: `${daysFromToday(days)}T09:00:00.000Z` }));
+
+const monthStartFromToday = (months) => {
+  const date = new Date();
+  const month = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  return `${month.getFullYear()}-${String(month.getMonth() + 1).padStart(2, '0')}-01`;
+};
+
+const customers = [
+  {
+    id: '1',
+    name: 'Stripe Inc.',
+    ownerId: 'user2',
+    email: 'enterprise@stripe.com',
+    phone: '+1-415-555-0100',
+    industry: 'Financial Technology',
+    status: 'active',
+    revenue: 14000000000,
+    employees: 8000,
+    website: 'stripe.com',
+    logo: 'https://logo.clearbit.com/stripe.com',
+    createdAt: '2024-01-15',
+    updatedAt: '2024-03-10',
+    tier: 'enterprise',
+    lastContact: daysFromToday(-7),
+    address: {
+      street: '354 Oyster Point Blvd',
+      city: 'San Francisco',
+      state: 'CA',
+      zipCode: '94080',
+      country: 'USA'
+    }
+  },
+  {
+    id: '2',
+    name: 'Notion Labs',
+    ownerId: 'user2',
+    email: 'partnerships@notion.so',
+    phone: '+1-415-555-0200',
+    industry: 'Productivity Software',
+    status: 'active',
+    revenue: 500000000,
+    employees: 1500,
+    website: 'notion.so',
+    logo: 'https://logo.clearbit.com/notion.so',
+    createdAt: '2024-01-20',
+    updatedAt: '2024-03-12',
+    tier: 'enterprise',
+    lastContact: daysFromToday(-4),
+    address: {
+      street: '2300 Harrison St',
+      city: 'San Francisco',
+      state: 'CA',
+      zipCode: '94110',
+      country: 'USA'
+    }
+  },
+  {
+    id: '3',
+    name: 'Vercel Inc.',
+    ownerId: 'user5',
+    email: 'sales@vercel.com',
+    phone: '+1-628-555-0300',
+    industry: 'Cloud Infrastructure',
+    status: 'active',
+    revenue: 250000000,
+    employees: 450,
+    website: 'vercel.com',
+    logo: 'https://logo.clearbit.com/vercel.com',
+    createdAt: '2024-02-01',
+    updatedAt: '2024-03-15',
+    tier: 'growth',
+    lastContact: daysFromToday(-1),
+    address: {
+      street: '340 S Lemon Ave',
+      city: 'Walnut',
+      state: 'CA',
+      zipCode: '91789',
+      country: 'USA'
+    }
+  },
+  {
+    id: '4',
+    name: 'Linear Software',
+    ownerId: 'user5',
+    email: 'team@linear.app',
+    phone: '+1-415-555-0400',
+    industry: 'Project Management',
+    status: 'active',
+    revenue: 80000000,
+    employees: 120,
+    website: 'linear.app',
+    logo: 'https://logo.clearbit.com/linear.app',
+    createdAt: '2024-02-10',
+    updatedAt: '2024-03-16',
+    tier: 'growth',
+    lastContact: daysFromToday(0),
+    address: {
+      street: '548 Market St',
+      city: 'San Francisco',
+      state: 'CA',
+      zipCode: '94104',
+      country: 'USA'
+    }
+  },
+  {
+    id: '5',
+    name: 'Figma Inc.',
+    ownerId: 'user2',
+    email: 'enterprise@figma.com',
+    phone: '+1-415-555-0500',
+    industry: 'Design Software',
+    status: 'active',
+    revenue: 600000000,
+    employees: 1200,
+    website: 'figma.com',
+    logo: 'https://logo.clearbit.com/figma.com',
+    createdAt: '2024-01-25',
+    updatedAt: '2024-03-14',
+    tier: 'enterprise',
+    lastContact: daysFromToday(-3),
+    address: {
+      street: '760 Market St',
+      city: 'San Francisco',
+      state: 'CA',
+      zipCode: '94102',
+      country: 'USA'
+    }
+  },
+  {
+    id: '6',
+    name: 'Datadog Inc.',
+    ownerId: 'user3',
+    email: 'partnerships@datadog.com',
+    phone: '+1-866-329-4466',
+    industry: 'Cloud Monitoring',
+    status: 'active',
+    revenue: 2100000000,
+    employees: 5000,
+    website: 'datadog.com',
+    logo: 'https://logo.clearbit.com/datadog.com',
+    createdAt: '2024-01-18',
+    updatedAt: '2024-03-13',
+    tier: 'enterprise',
+    lastContact: daysFromToday(-5),
+    address: {
+      street: '620 8th Ave',
+      city: 'New York',
+      state: 'NY',
+      zipCode: '10018',
+      country: 'USA'
+    }
+  },
+  {
+    id: '7',
+    name: 'Retool Inc.',
+    ownerId: 'user5',
+    email: 'sales@retool.com',
+    phone: '+1-415-555-0700',
+    industry: 'Low-Code Platform',
+    status: 'active',
+    revenue: 120000000,
+    employees: 350,
+    website: 'retool.com',
+    logo: 'https://logo.clearbit.com/retool.com',
+    createdAt: '2024-02-05',
+    updatedAt: '2024-03-11',
+    tier: 'growth',
+    lastContact: daysFromToday(-6),
+    address: {
+      street: '548 Market St',
+      city: 'San Francisco',
+      state: 'CA',
+      zipCode: '94104',
+      country: 'USA'
+    }
+  },
+  {
+    id: '8',
+    name: 'Loom Inc.',
+    ownerId: 'user5',
+    email: 'enterprise@loom.com',
+    phone: '+1-415-555-0800',
+    industry: 'Video Communication',
+    status: 'active',
+    revenue: 200000000,
+    employees: 400,
+    website: 'loom.com',
+    logo: 'https://logo.clearbit.com/loom.com',
+    createdAt: '2024-02-15',
+    updatedAt: '2024-03-14',
+    tier: 'growth',
+    lastContact: daysFromToday(-2),
+    address: {
+      street: '140 New Montgomery St',
+      city: 'San Francisco',
+      state: 'CA',
+      zipCode: '94105',
+      country: 'USA'
+    }
+  },
+  {
+    id: '9',
+    name: 'Airtable Inc.',
+    ownerId: 'user3',
+    email: 'team@airtable.com',
+    phone: '+1-415-555-0900',
+    industry: 'Database Software',
+    status: 'inactive',
+    revenue: 350000000,
+    employees: 900,
+    website: 'airtable.com',
+    logo: 'https://logo.clearbit.com/airtable.com',
+    createdAt: '2024-01-22',
+    updatedAt: '2024-03-08',
+    tier: 'enterprise',
+    lastContact: daysFromToday(-16),
+    address: {
+      street: '799 Market St',
+      city: 'San Francisco',
+      state: 'CA',
+      zipCode: '94103',
+      country: 'USA'
+    }
+  },
+  {
+    id: '10',
+    name: 'Webflow Inc.',
+    ownerId: 'user5',
+    email: 'sales@webflow.com',
+    phone: '+1-415-555-1000',
+    industry: 'Web Development',
+    status: 'active',
+    revenue: 150000000,
+    employees: 600,
+    website: 'webflow.com',
+    logo: 'https://logo.clearbit.com/webflow.com',
+    createdAt: '2024-02-08',
+    updatedAt: '2024-03-15',
+    tier: 'growth',
+    lastContact: daysFromToday(-1),
+    address: {
+      street: '398 11th St',
+      city: 'San Francisco',
+      state: 'CA',
+      zipCode: '94103',
+      country: 'USA'
+    }
+  },
+  {
+    id: '11',
+    name: 'Supabase Inc.',
+    ownerId: 'user5',
+    email: 'enterprise@supabase.io',
+    phone: '+1-415-555-1100',
+    industry: 'Backend Infrastructure',
+    status: 'active',
+    revenue: 80000000,
+    employees: 200,
+    website: 'supabase.com',
+    logo: 'https://logo.clearbit.com/supabase.com',
+    createdAt: '2024-02-20',
+    updatedAt: '2024-03-16',
+    tier: 'growth',
+    lastContact: daysFromToday(0),
+    address: {
+      street: '123 Mission St',
+      city: 'San Francisco',
+      state: 'CA',
+      zipCode: '94105',
+      country: 'USA'
+    }
+  },
+  {
+    id: '12',
+    name: 'Railway App',
+    ownerId: 'user5',
+    email: 'team@railway.app',
+    phone: '+1-415-555-1200',
+    industry: 'Cloud Deployment',
+    status: 'active',
+    revenue: 25000000,
+    employees: 50,
+    website: 'railway.app',
+    logo: 'https://logo.clearbit.com/railway.app',
+    createdAt: '2024-02-25',
+    updatedAt: '2024-03-16',
+    tier: 'startup',
+    lastContact: daysFromToday(-9),
+    address: {
+      street: '456 Tech Blvd',
+      city: 'San Francisco',
+      state: 'CA',
+      zipCode: '94107',
+      country: 'USA'
+    }
+  }
+];
+
+const contacts = [
+  {
+    id: '1',
+    customerId: '1',
+    firstName: 'Patrick',
+    lastName: 'Collison',
+    email: 'patrick@stripe.com',
+    phone: '+1-415-555-0101',
+    title: 'CEO & Co-founder',
+    department: 'Executive',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Patrick+Collison&background=635bff&color=fff',
+    linkedin: 'linkedin.com/in/patrickcollison',
+    lastContact: '2024-03-08',
+    createdAt: '2024-01-15',
+    updatedAt: '2024-03-08'
+  },
+  {
+    id: '2',
+    customerId: '1',
+    firstName: 'Claire',
+    lastName: 'Hughes',
+    email: 'claire@stripe.com',
+    phone: '+1-415-555-0102',
+    title: 'COO',
+    department: 'Operations',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Claire+Hughes&background=635bff&color=fff',
+    linkedin: 'linkedin.com/in/clairehughes',
+    lastContact: '2024-03-10',
+    createdAt: '2024-01-16',
+    updatedAt: '2024-03-10'
+  },
+  {
+    id: '3',
+    customerId: '2',
+    firstName: 'Ivan',
+    lastName: 'Zhao',
+    email: 'ivan@notion.so',
+    phone: '+1-415-555-0201',
+    title: 'CEO & Co-founder',
+    department: 'Executive',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Ivan+Zhao&background=000000&color=fff',
+    linkedin: 'linkedin.com/in/ivanzhao',
+    lastContact: '2024-03-11',
+    createdAt: '2024-01-20',
+    updatedAt: '2024-03-11'
+  },
+  {
+    id: '4',
+    customerId: '3',
+    firstName: 'Guillermo',
+    lastName: 'Rauch',
+    email: 'guillermo@vercel.com',
+    phone: '+1-628-555-0301',
+    title: 'CEO & Founder',
+    department: 'Executive',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Guillermo+Rauch&background=000000&color=fff',
+    linkedin: 'linkedin.com/in/guillermo-rauch',
+    lastContact: '2024-03-14',
+    createdAt: '2024-02-01',
+    updatedAt: '2024-03-14'
+  },
+  {
+    id: '5',
+    customerId: '4',
+    firstName: 'Karri',
+    lastName: 'Saarinen',
+    email: 'karri@linear.app',
+    phone: '+1-415-555-0401',
+    title: 'CEO & Co-founder',
+    department: 'Executive',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Karri+Saarinen&background=5e6ad2&color=fff',
+    linkedin: 'linkedin.com/in/karri-saarinen',
+    lastContact: '2024-03-15',
+    createdAt: '2024-02-10',
+    updatedAt: '2024-03-15'
+  },
+  {
+    id: '6',
+    customerId: '5',
+    firstName: 'Dylan',
+    lastName: 'Field',
+    email: 'dylan@figma.com',
+    phone: '+1-415-555-0501',
+    title: 'CEO & Co-founder',
+    department: 'Executive',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Dylan+Field&background=a259ff&color=fff',
+    linkedin: 'linkedin.com/in/dylanfield',
+    lastContact: '2024-03-12',
+    createdAt: '2024-01-25',
+    updatedAt: '2024-03-12'
+  },
+  {
+    id: '7',
+    customerId: '5',
+    firstName: 'Amanda',
+    lastName: 'Kleha',
+    email: 'amanda@figma.com',
+    phone: '+1-415-555-0502',
+    title: 'Chief Business Officer',
+    department: 'Sales',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Amanda+Kleha&background=a259ff&color=fff',
+    linkedin: 'linkedin.com/in/amandakleha',
+    lastContact: '2024-03-13',
+    createdAt: '2024-01-26',
+    updatedAt: '2024-03-13'
+  },
+  {
+    id: '8',
+    customerId: '6',
+    firstName: 'Olivier',
+    lastName: 'Pomel',
+    email: 'olivier@datadog.com',
+    phone: '+1-866-329-4467',
+    title: 'CEO & Co-founder',
+    department: 'Executive',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Olivier+Pomel&background=632ca6&color=fff',
+    linkedin: 'linkedin.com/in/olivier-pomel',
+    lastContact: '2024-03-10',
+    createdAt: '2024-01-18',
+    updatedAt: '2024-03-10'
+  },
+  {
+    id: '9',
+    customerId: '7',
+    firstName: 'David',
+    lastName: 'Hsu',
+    email: 'david@retool.com',
+    phone: '+1-415-555-0701',
+    title: 'CEO & Co-founder',
+    department: 'Executive',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=David+Hsu&background=3d3d3d&color=fff',
+    linkedin: 'linkedin.com/in/davidhsu',
+    lastContact: '2024-03-09',
+    createdAt: '2024-02-05',
+    updatedAt: '2024-03-09'
+  },
+  {
+    id: '10',
+    customerId: '8',
+    firstName: 'Joe',
+    lastName: 'Thomas',
+    email: 'joe@loom.com',
+    phone: '+1-415-555-0801',
+    title: 'CEO & Co-founder',
+    department: 'Executive',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Joe+Thomas&background=625df5&color=fff',
+    linkedin: 'linkedin.com/in/joethomas',
+    lastContact: '2024-03-13',
+    createdAt: '2024-02-15',
+    updatedAt: '2024-03-13'
+  },
+  {
+    id: '11',
+    customerId: '10',
+    firstName: 'Vlad',
+    lastName: 'Magdalin',
+    email: 'vlad@webflow.com',
+    phone: '+1-415-555-1001',
+    title: 'CEO & Co-founder',
+    department: 'Executive',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Vlad+Magdalin&background=4353ff&color=fff',
+    linkedin: 'linkedin.com/in/vladmagdalin',
+    lastContact: '2024-03-14',
+    createdAt: '2024-02-08',
+    updatedAt: '2024-03-14'
+  },
+  {
+    id: '12',
+    customerId: '11',
+    firstName: 'Paul',
+    lastName: 'Copplestone',
+    email: 'paul@supabase.io',
+    phone: '+1-415-555-1101',
+    title: 'CEO & Co-founder',
+    department: 'Executive',
+    status: 'active',
+    avatar: 'https://ui-avatars.com/api/?name=Paul+Copplestone&background=3ecf8e&color=fff',
+    linkedin: 'linkedin.com/in/paulcopplestone',
+    lastContact: '2024-03-15',
+    createdAt: '2024-02-20',
+    updatedAt: '2024-03-15'
+  }
+];
+
+const deals = [
+  {
+    id: '1',
+    customerId: '1',
+    ownerId: 'user2',
+    contactId: '1',
+    title: 'Enterprise Platform License',
+    value: 2500000,
+    stage: 'closed-won',
+    stageHistory: stagesEntered(
+      ['qualification', -130],
+      ['proposal', -105],
+      ['negotiation', -70],
+      ['closed-won', -40]
+    ),
+    probability: 100,
+    expectedCloseDate: daysFromToday(-38),
+    actualCloseDate: daysFromToday(-40),
+    status: 'won',
+    createdAt: daysFromToday(-130),
+    updatedAt: daysFromToday(-40),
+    description: 'Annual enterprise platform license with premium support'
+  },
+  {
+    id: '2',
+    customerId: '2',
+    ownerId: 'user2',
+    contactId: '3',
+    title: 'Team Workspace Solution',
+    value: 750000,
+    stage: 'negotiation',
+    stageHistory: stagesEntered(
+      ['qualification', -75],
+      ['proposal', -50],
+      ['negotiation', -30]
+    ),
+    probability: 75,
+    expectedCloseDate: daysFromToday(25),
+    status: 'active',
+    createdAt: daysFromToday(-75),
+    updatedAt: daysFromToday(-16),
+    description: 'Enterprise team workspace with custom integrations'
+  },
+  {
+    id: '3',
+    customerId: '3',
+    ownerId: 'user5',
+    contactId: '4',
+    title: 'Cloud Deployment Package',
+    value: 450000,
+    stage: 'proposal',
+    stageHistory: stagesEntered(['qualification', -45], ['proposal', -20]),
+    probability: 60,
+    expectedCloseDate: daysFromToday(40),
+    status: 'active',
+    createdAt: daysFromToday(-45),
+    updatedAt: daysFromToday(-6),
+    description: 'Enterprise cloud deployment and CI/CD integration'
+  },
+  {
+    id: '4',
+    customerId: '4',
+    ownerId: 'user5',
+    contactId: '5',
+    title: 'Project Management Suite',
+    value: 180000,
+    stage: 'closed-won',
+    stageHistory: stagesEntered(
+      ['qualification', -150],
+      ['proposal', -135],
+      ['negotiation', -115],
+      ['closed-won', -95]
+    ),
+    probability: 100,
+    expectedCloseDate: daysFromToday(-93),
+    actualCloseDate: daysFromToday(-95),
+    status: 'won',
+    createdAt: daysFromToday(-150),
+    updatedAt: daysFromToday(-95),
+    description: 'Company-wide project management implementation'
+  },
+  {
+    id: '5',
+    customerId: '5',
+    ownerId: 'user2',
+    contactId: '6',
+    title: 'Design System Enterprise',
+    value: 1200000,
+    stage: 'qualification',
+    stageHistory: stagesEntered(['qualification', -20]),
+    probability: 40,
+    expectedCloseDate: daysFromToday(70),
+    status: 'active',
+    createdAt: daysFromToday(-20),
+    updatedAt: daysFromToday(-2),
+    description: 'Enterprise design system with unlimited seats'
+  },
+  {
+    id: '6',
+    customerId: '6',
+    ownerId: 'user3',
+    contactId: '8',
+    title: 'Infrastructure Monitoring',
+    value: 3200000,
+    stage: 'proposal',
+    stageHistory: stagesEntered(['qualification', -60], ['proposal', -28]),
+    probability: 65,
+    expectedCloseDate: daysFromToday(35),
+    status: 'active',
+    createdAt: daysFromToday(-60),
+    updatedAt: daysFromToday(-9),
+    description: 'Full-stack monitoring and APM solution'
+  },
+  {
+    id: '7',
+    customerId: '7',
+    ownerId: 'user5',
+    contactId: '9',
+    title: 'Internal Tools Platform',
+    value: 320000,
+    stage: 'closed-won',
+    stageHistory: stagesEntered(
+      ['qualification', -240],
+      ['proposal', -215],
+      ['negotiation', -190],
+      ['closed-won', -160]
+    ),
+    probability: 100,
+    expectedCloseDate: daysFromToday(-158),
+    actualCloseDate: daysFromToday(-160),
+    status: 'won',
+    createdAt: daysFromToday(-240),
+    updatedAt: daysFromToday(-160),
+    description: 'Low-code internal tools development platform'
+  },
+  {
+    id: '8',
+    customerId: '8',
+    ownerId: 'user5',
+    contactId: '10',
+    title: 'Video Communication Suite',
+    value: 280000,
+    stage: 'negotiation',
+    stageHistory: stagesEntered(
+      ['qualification', -50],
+      ['proposal', -30],
+      ['negotiation', -12]
+    ),
+    probability: 80,
+    expectedCloseDate: daysFromToday(12),
+    status: 'active',
+    createdAt: daysFromToday(-50),
+    updatedAt: daysFromToday(-4),
+    description: 'Async video messaging for remote teams'
+  },
+  {
+    id: '9',
+    customerId: '10',
+    ownerId: 'user5',
+    contactId: '11',
+    title: 'Web Development Platform',
+    value: 420000,
+    stage: 'proposal',
+    stageHistory: stagesEntered(['qualification', -25], ['proposal', -10]),
+    probability: 55,
+    expectedCloseDate: daysFromToday(55),
+    status: 'active',
+    createdAt: daysFromToday(-25),
+    updatedAt: daysFromToday(-3),
+    description: 'No-code website builder enterprise license'
+  },
+  {
+    id: '10',
+    customerId: '11',
+    ownerId: 'user5',
+    contactId: '12',
+    title: 'Backend-as-a-Service',
+    value: 185000,
+    stage: 'closed-won',
+    stageHistory: stagesEntered(
+      ['qualification', -300],
+      ['proposal', -285],
+      ['negotiation', -270],
+      ['closed-won', -250]
+    ),
+    probability: 100,
+    expectedCloseDate: daysFromToday(-247),
+    actualCloseDate: daysFromToday(-250),
+    status: 'won',
+    createdAt: daysFromToday(-300),
+    updatedAt: daysFromToday(-250),
+    description: 'Managed Postgres and real-time subscriptions'
+  },
+  {
+    id: '11',
+    customerId: '1',
+    ownerId: 'user2',
+    contactId: '2',
+    title: 'Payment Processing Expansion',
+    value: 1800000,
+    stage: 'qualification',
+    stageHistory: stagesEntered(['qualification', -10]),
+    probability: 35,
+    expectedCloseDate: daysFromToday(90),
+    status: 'active',
+    createdAt: daysFromToday(-10),
+    updatedAt: daysFromToday(-1),
+    description: 'International payment processing expansion'
+  },
+  {
+    id: '12',
+    customerId: '5',
+    ownerId: 'user2',
+    contactId: '7',
+    title: 'FigJam Enterprise Addon',
+    value: 350000,
+    stage: 'negotiation',
+    stageHistory: stagesEntered(
+      ['qualification', -70],
+      ['proposal', -45],
+      ['negotiation', -35]
+    ),
+    probability: 70,
+    expectedCloseDate: daysFromToday(30),
+    status: 'active',
+    createdAt: daysFromToday(-70),
+    updatedAt: daysFromToday(-20),
+    description: 'Collaborative whiteboarding enterprise addon'
+  },
+  {
+    id: '13',
+    customerId: '9',
+    ownerId: 'user3',
+    contactId: null,
+    title: 'Database Platform Renewal',
+    value: 580000,
+    stage: 'closed-lost',
+    stageHistory: stagesEntered(
+      ['qualification', -120],
+      ['proposal', -90],
+      ['closed-lost', -30]
+    ),
+    probability: 0,
+    expectedCloseDate: daysFromToday(-30),
+    actualCloseDate: daysFromToday(-30),
+    status: 'lost',
+    createdAt: daysFromToday(-120),
+    updatedAt: daysFromToday(-30),
+    description: 'Annual platform renewal - lost to competitor'
+  }
+];
+
+// Sales team. Teams cover a territory; customers matching it belong to the team's book of business.
+const users = [
+  { id: 'user1', name: 'Alex Morgan', email: 'alex.morgan@nexuscrm.com', title: 'Sales Director', role: 'admin', teamId: null },
+  { id: 'user2', name: 'Jordan Lee', email: 'jordan.lee@nexuscrm.com', title: 'Account Executive', role: 'rep', teamId: 'enterprise' },
+  { id: 'user3', name: 'Priya Shah', email: 'priya.shah@nexuscrm.com', title: 'Sales Manager', role: 'sales_manager', teamId: 'enterprise' },
+  { id: 'user4', name: 'Sam Taylor', email: 'sam.taylor@nexuscrm.com', title: 'Finance Analyst', role: 'read_only', teamId: null },
+  { id: 'user5', name: 'Maya Chen', email: 'maya.chen@nexuscrm.com', title: 'Account Executive', role: 'rep', teamId: 'growth' }
+];
+
+const teams = [
+  {
+    id: 'enterprise',
+    name: 'Enterprise',
+    managerId: 'user3',
+    territory: { tiers: ['enterprise'], states: [] }
+  },
+  {
+    id: 'growth',
+    name: 'Growth',
+    managerId: 'user3',
+    territory: { tiers: ['growth', 'startup'], states: [] }
+  }
+];
+
+// Activity log for recent activities. Each activity is linked to the customer, contact or deal it is about.
+const activities = [
+  {
+    id: '1',
+    type: 'deal_won',
+    title: 'Deal Closed',
+    description: 'Backend-as-a-Service deal with Supabase Inc.',
+    value: 185000,
+    timestamp: '2024-03-12T14:30:00Z',
+    userId: 'user1',
+    entityType: 'deal',
+    entityId: '10'
+  },
+  {
+    id: '2',
+    type: 'meeting',
+    title: 'Product Demo',
+    description: 'Enterprise demo with Stripe team',
+    timestamp: '2024-03-11T10:00:00Z',
+    userId: 'user1',
+    entityType: 'customer',
+    entityId: '1'
+  },
+  {
+    id: '3',
+    type: 'deal_won',
+    title: 'Deal Closed',
+    description: 'Project Management Suite with Linear Software',
+    value: 180000,
+    timestamp: '2024-03-08T16:45:00Z',
+    userId: 'user2',
+    entityType: 'deal',
+    entityId: '4'
+  },
+  {
+    id: '4',
+    type: 'email',
+    title: 'Follow-up Sent',
+    description: 'Sent proposal follow-up to Datadog Inc.',
+    timestamp: '2024-03-10T09:15:00Z',
+    userId: 'user1',
+    entityType: 'customer',
+    entityId: '6'
+  },
+  {
+    id: '5',
+    type: 'call',
+    title: 'Discovery Call',
+    description: 'Initial call with Webflow enterprise team',
+    timestamp: '2024-03-14T15:00:00Z',
+    userId: 'user2',
+    entityType: 'customer',
+    entityId: '10'
+  },
+  {
+    id: '6',
+    type: 'deal_created',
+    title: 'New Opportunity',
+    description: 'Payment Processing Expansion with Stripe',
+    value: 1800000,
+    timestamp: '2024-03-01T11:30:00Z',
+    userId: 'user1',
+    entityType: 'deal',
+    entityId: '11'
+  },
+  {
+    id: '7',
+    type: 'contact_added',
+    title: 'New Contact',
+    description: 'Added Amanda Kleha from Figma',
+    timestamp: '2024-01-26T10:00:00Z',
+    userId: 'user2',
+    entityType: 'contact',
+    entityId: '7'
+  },
+  {
+    id: '8',
+    type: 'deal_won',
+    title: 'Deal Closed',
+    description: 'Internal Tools Platform with Retool Inc.',
+    value: 320000,
+    timestamp: '2024-02-28T17:00:00Z',
+    userId: 'user1',
+    entityType: 'deal',
+    entityId: '7'
+  }
+];
+
+const notifications = [
+  {
+    id: 'deal_won:10',
+    type: 'deal_won',
+    title: 'Deal closed won',
+    message: 'Supabase Inc. - Backend-as-a-Service ($185,000)',
+    link: '/deals',
+    entityType: 'deal',
+    entityId: '10',
+    createdAt: '2024-03-12T14:30:00Z',
+    readBy: []
+  },
+  {
+    id: 'health_drop:9:2024-03-11T09:00:00Z',
+    type: 'health_drop',
+    title: 'Health score dropped',
+    message: 'Airtable Inc. dropped from 84% to 72%',
+    link: '/customers/9',
+    entityType: 'customer',
+    entityId: '9',
+    createdAt: '2024-03-11T09:00:00Z',
+    readBy: ['user1']
+  }
+];
+
+// Audit trail of changes made through crmService; the demo data starts without history
+const auditLog = [];
+
+// Daily health score snapshots start with the first scores the app computes
+const healthHistory = [];
+
+// Forecasts taken at the start of each of the last three months, so forecast vs actual has history to show
+const forecastNumbers = (committed, bestCase, weighted, pipeline) => ({ closed: 0, committed, bestCase, weighted, pipeline });
+const forecastSnapshots = [3, 2, 1].map(monthsAgo => {
+  const date = monthStartFromToday(-monthsAgo);
+  const months = Object.fromEntries(Array.from({ length: monthsAgo + 1 }, (_, index) => [
+    monthStartFromToday(index - monthsAgo),
+    {
+      user2: forecastNumbers(1900000 + index * 150000, 2700000, 2250000, 3600000),
+      user3: forecastNumbers(0, 400000, 520000, 3200000),
+      user5: forecastNumbers(180000, 460000, 390000, 900000)
+    }
+  ]));
+  return { id: date, date, months };
+});
+
+// Workspace settings, such as the health score config; defaults apply until an admin changes them
+const settings = [];
+
+// Saved views of the customer list hold its URL query string
+const savedViews = [
+  {
+    id: 'view1',
+    userId: 'user1',
+    resource: 'customers',
+    name: 'Enterprise by revenue',
+    query: 'tier=enterprise&sort=revenue&order=desc',
+    isDefault: false,
+    createdAt: daysFromToday(-14),
+    updatedAt: daysFromToday(-14)
+  }
+];
+
+// Follow-ups: some overdue, some due today and some upcoming
+const tasks = [
+  {
+    id: '1',
+    title: 'Send revised pricing for the platform license',
+    dueDate: daysFromToday(-2),
+    assigneeId: 'user2',
+    entityType: 'deal',
+    entityId: '1',
+    priority: 'high',
+    notes: 'Include the multi-year discount discussed on the last call',
+    logActivityOnComplete: true,
+    done: false,
+    completedAt: null,
+    createdBy: 'user3',
+    createdAt: '2024-03-08',
+    updatedAt: '2024-03-08'
+  },
+  {
+    id: '2',
+    title: 'Schedule quarterly business review',
+    dueDate: daysFromToday(0),
+    assigneeId: 'user2',
+    entityType: 'customer',
+    entityId: '1',
+    priority: 'medium',
+    notes: '',
+    logActivityOnComplete: true,
+    done: false,
+    completedAt: null,
+    createdBy: 'user2',
+    createdAt: '2024-03-09',
+    updatedAt: '2024-03-09'
+  },
+  {
+    id: '3',
+    title: 'Follow up on security questionnaire',
+    dueDate: daysFromToday(3),
+    assigneeId: 'user5',
+    entityType: 'deal',
+    entityId: '3',
+    priority: 'high',
+    notes: '',
+    logActivityOnComplete: false,
+    done: false,
+    completedAt: null,
+    createdBy: 'user5',
+    createdAt: '2024-03-10',
+    updatedAt: '2024-03-10'
+  },
+  {
+    id: '4',
+    title: 'Introduce Amanda to the solutions team',
+    dueDate: daysFromToday(-5),
+    assigneeId: 'user5',
+    entityType: 'contact',
+    entityId: '7',
+    priority: 'low',
+    notes: '',
+    logActivityOnComplete: true,
+    done: false,
+    completedAt: null,
+    createdBy: 'user3',
+    createdAt: '2024-03-01',
+    updatedAt: '2024-03-01'
+  },
+  {
+    id: '5',
+    title: 'Review renewal risk with finance',
+    dueDate: daysFromToday(7),
+    assigneeId: 'user3',
+    entityType: 'customer',
+    entityId: '9',
+    priority: 'medium',
+    notes: '',
+    logActivityOnComplete: false,
+    done: false,
+    completedAt: null,
+    createdBy: 'user3',
+    createdAt: '2024-03-11',
+    updatedAt: '2024-03-11'
+  },
+  {
+    id: '6',
+    title: 'Send onboarding checklist',
+    dueDate: daysFromToday(-1),
+    assigneeId: 'user2',
+    entityType: 'customer',
+    entityId: '5',
+    priority: 'medium',
+    notes: '',
+    logActivityOnComplete: false,
+    done: true,
+    completedAt: '2024-03-12T16:00:00Z',
+    createdBy: 'user2',
+    createdAt: '2024-03-05',
+    updatedAt: '2024-03-12'
+  }
+];
+
+export const seedData = {
+  customers,
+  contacts,
+  deals,
+  activities,
+  notifications,
+  users,
+  teams,
+  auditLog,
+  tasks,
+  healthHistory,
+  settings,
+  forecastSnapshots,
+  savedViews
+};
+
+// Name parts and places for generated customers
+const DEMO_NAMES = [
+  ['Acme', 'Globex', 'Initech', 'Umbrella', 'Hooli', 'Vandelay', 'Soylent', 'Tyrell', 'Cyberdyne', 'Wonka'],
+  ['Labs', 'Systems', 'Analytics', 'Cloud', 'Robotics', 'Health', 'Logistics', 'Media', 'Energy', 'Security']
+];
+const DEMO_PLACES = [
+  ['San Francisco', 'CA', 'USA'],
+  ['New York', 'NY', 'USA'],
+  ['Austin', 'TX', 'USA'],
+  ['Seattle', 'WA', 'USA'],
+  ['Boston', 'MA', 'USA'],
+  ['Chicago', 'IL', 'USA'],
+  ['Denver', 'CO', 'USA'],
+  ['Toronto', 'ON', 'Canada'],
+  ['London', '', 'UK'],
+  ['Berlin', '', 'Germany']
+];
+const DEMO_TIERS = ['enterprise', 'growth', 'startup'];
+const DEMO_OWNERS = ['user2', 'user5', null];
+
+/**
+ * Generated customers for trying the app with a large book of business. Values follow from the
+ * position, so the same count always gives the same customers.
+ * @param {number} count - Number of customers
+ * @returns {Array} - Customers with the ids demo-1, demo-2, ...
+ */
+export const buildDemoCustomers = (count) => {
+  const industries = [...new Set(customers.map(customer => customer.industry))];
+  return Array.from({ length: count }, (item, index) => {
+    const [prefixes, suffixes] = DEMO_NAMES;
+    const name = `${prefixes[index % prefixes.length]} ${suffixes[Math.floor(index / prefixes.length) % suffixes.length]} ${index + 1}`;
+    const domain = `${name.toLowerCase().replace(/\s+/g, '-')}.example`;
+    const [city, state, country] = DEMO_PLACES[(index * 7) % DEMO_PLACES.length];
+    const createdAt = daysFromToday(-(index % 720) - 30);
+    return {
+      id: `demo-${index + 1}`,
+      name,
+      ownerId: DEMO_OWNERS[index % DEMO_OWNERS.length],
+      email: `hello@${domain}`,
+      phone: `+1-555-${String(index % 10000).padStart(4, '0')}`,
+      industry: industries[index % industries.length],
+      status: index % 5 === 0 ? 'inactive' : 'active',
+      revenue: ((index * 7919) % 1000 + 1) * 100000,
+      employees: (index * 37) % 5000 + 10,
+      website: domain,
+      logo: null,
+      createdAt,
+      updatedAt: createdAt,
+      tier: DEMO_TIERS[index % DEMO_TIERS.length],
+      lastContact: daysFromToday(-(index % 90)),
+      address: {
+        street: `${index + 1} Market Street`,
+        city,
+        state,
+        zipCode: String(10000 + (index % 90000)),
+        country
+      }
+    };
+  });
+};
@@ -0,0 +1,158 @@
+// Notification rules and change subscriptions. crmService persists the notifications these rules produce.
+import { getTaskDueStatus } from './taskService';
+
+export const NOTIFICATION_TYPES = {
+  deal_won: { label: 'Deals won' },
+  deal_stale: { label: 'Stale deals' },
+  health_drop: { label: 'Health drops' },
+  task_due: { label: 'Tasks due' }
+};
+
+// Open deals without any update for this long are flagged as stale
+export const STALE_DEAL_DAYS = 14;
+
+// A health score drop of at least this many points, or one that crosses below the at-risk line, is notified
+export const HEALTH_DROP_POINTS = 10;
+export const AT_RISK_HEALTH_SCORE = 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatCurrency = (amount) => `$${Number(amount || 0).toLocaleString('en-US')}`;
+
+/**
+ * Notification for a deal that was just won
+ * @param {Object} deal - Won deal
+ * @param {Object} customer - Customer the deal belongs to
+ * @returns {Object} - Notification
+ */
+export const buildDealWonNotification = (deal, customer) => ({
+  id: `deal_won:${deal.id}`,
+  type: 'deal_won',
+  title: 'Deal closed won',
+  message: `${customer ? `${customer.name} - ` : ''}${deal.title} (${formatCurrency(deal.value)})`,
+  link: '/deals',
+  entityType: 'deal',
+  entityId: deal.id,
+  createdAt: new Date().toISOString(),
+  readBy: []
+});
+
+/**
+ * Notification for a customer whose health score dropped significantly
+ * @param {Object} before - Customer before the change
+ * @param {Object} after - Customer after the change
+ * @returns {Object|null} - Notification, or null when the change is not worth notifying
+ */
+export const buildHealthDropNotification = (before, after) => {
+  const previous = before.healthScore;
+  const current = after.healthScore;
+  if (typeof previous !== 'number' || typeof current !== 'number' || current >= previous) {
+    return null;
+  }
+  const crossedAtRisk = previous >= AT_RISK_HEALTH_SCORE && current < AT_RISK_HEALTH_SCORE;
+  if (previous - current < HEALTH_DROP_POINTS && !crossedAtRisk) {
+    return null;
+  }
+  const createdAt = new Date().toISOString();
+  return {
+    id: `health_drop:${after.id}:${createdAt}`,
+    type: 'health_drop',
+    title: crossedAtRisk ? 'Customer at risk' : 'Health score dropped',
+    message: `${after.name} dropped from ${previous}% to ${current}%`,
+    link: `/customers/${after.id}`,
+    entityType: 'customer',
+    entityId: after.id,
+    createdAt,
+    readBy: []
+  };
+};
+
+/**
+ * Notifications for open deals that have not been updated for STALE_DEAL_DAYS. The id includes the
+ * deal's last update, so a deal that goes stale again after being worked on is notified again.
+ * @param {Array} deals - All deals
+ * @param {Array} customers - All customers
+ * @param {Date} now - Current time
+ * @returns {Array} - Notifications
+ */
+export const buildStaleDealNotifications = (deals, customers, now = new Date()) =>
+  deals
+    .filter(deal => deal.status === 'active' && deal.updatedAt)
+    .map(deal => ({ deal, staleSince: new Date(new Date(deal.updatedAt).getTime() + STALE_DEAL_DAYS * DAY_MS) }))
+    .filter(({ staleSince }) => staleSince <= now)
+    .map(({ deal, staleSince }) => {
+      const customer = customers.find(item => item.id === deal.customerId);
+      return {
+        id: `deal_stale:${deal.id}:${deal.updatedAt}`,
+        type: 'deal_stale',
+        title: 'Deal going stale',
+        message: `${deal.title}${customer ? ` (${customer.name})` : ''} has had no activity for ${STALE_DEAL_DAYS}+ days`,
+        link: '/deals',
+        entityType: 'deal',
+        entityId: deal.id,
+        createdAt: staleSince.toISOString(),
+        readBy: []
+      };
+    });
+
+// Where a notification about a task sends the user: the record the task is linked to
+const TASK_LINKS = {
+  customer: (id) => `/customers/${id}`,
+  contact: () => '/contacts',
+  deal: () => '/deals'
+};
+
+/**
+ * Notifications for open tasks that are due today or overdue, for the task's assignee only. The id includes
+ * the due date, so a task that is rescheduled and comes due again is notified again.
+ * @param {Array} tasks - All tasks
+ * @param {Date} now - Current time
+ * @returns {Array} - Notifications
+ */
+export const buildTaskDueNotifications = (tasks, now = new Date()) =>
+  tasks
+    .map(task => ({ task, status: getTaskDueStatus(task, now) }))
+    .filter(({ status }) => status === 'today' || status === 'overdue')
+    .map(({ task, status }) => ({
+      id: `task_due:${task.id}:${task.dueDate}`,
+      type: 'task_due',
+      title: status === 'overdue' ? 'Task overdue' : 'Task due today',
+      message: status === 'overdue' ? `${task.title} was due on ${task.dueDate}` : `${task.title} is due today`,
+      link: TASK_LINKS[task.entityType]?.(task.entityId) || '/',
+      entityType: 'task',
+      entityId: task.id,
+      userId: task.assigneeId,
+      createdAt: now.toISOString(),
+      readBy: []
+    }));
+
+// Notifications with a userId are for that user only; the others go to the whole team
+export const isNotificationFor = (notification, userId) => !notification.userId || notification.userId === userId;
+
+/**
+ * A notification as one user sees it. Each user reads notifications for themselves, so
+ * readBy keeps who has read it and read is worked out per user.
+ * @param {Object} notification - Stored notification
+ * @param {string} userId - User looking at it
+ * @returns {Object} - Notification with read set for that user
+ */
+export const withReadState = ({ readBy = [], ...notification }, userId) => ({
+  ...notification,
+  read: readBy.includes(userId)
+});
+
+const listeners = new Set();
+
+/**
+ * Listen for notification changes, e.g. to refresh the header badge
+ * @param {Function} listener - Called after notifications are added or marked read
+ * @returns {Function} - Unsubscribe
+ */
+export const subscribeToNotifications = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+export const notifyNotificationListeners = () => {
+  listeners.forEach(listener => listener());
+};
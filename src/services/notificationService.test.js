@@ -0,0 +1,123 @@
+import {
+  buildDealWonNotification,
+  buildHealthDropNotification,
+  buildStaleDealNotifications,
+  buildTaskDueNotifications,
+  isNotificationFor,
+  withReadState,
+  subscribeToNotifications,
+  notifyNotificationListeners
+} from './notificationService';
+
+describe('buildDealWonNotification', () => {
+  it('describes the deal and links to the pipeline', () => {
+    const notification = buildDealWonNotification(
+      { id: '10', title: 'Backend-as-a-Service', value: 185000 },
+      { name: 'Supabase Inc.' }
+    );
+
+    expect(notification).toMatchObject({
+      id: 'deal_won:10',
+      type: 'deal_won',
+      message: 'Supabase Inc. - Backend-as-a-Service ($185,000)',
+      link: '/deals',
+      readBy: []
+    });
+  });
+});
+
+describe('buildHealthDropNotification', () => {
+  const customer = { id: '9', name: 'Airtable Inc.', healthScore: 84 };
+
+  it('ignores small drops and increases', () => {
+    expect(buildHealthDropNotification(customer, { ...customer, healthScore: 80 })).toBeNull();
+    expect(buildHealthDropNotification(customer, { ...customer, healthScore: 90 })).toBeNull();
+  });
+
+  it('notifies large drops', () => {
+    expect(buildHealthDropNotification(customer, { ...customer, healthScore: 72 })).toMatchObject({
+      type: 'health_drop',
+      title: 'Health score dropped',
+      message: 'Airtable Inc. dropped from 84% to 72%',
+      link: '/customers/9'
+    });
+  });
+
+  it('notifies any drop into the at-risk range', () => {
+    expect(buildHealthDropNotification({ ...customer, healthScore: 62 }, { ...customer, healthScore: 58 }))
+      .toMatchObject({ title: 'Customer at risk' });
+  });
+});
+
+describe('buildStaleDealNotifications', () => {
+  const now = new Date('2024-04-01T00:00:00Z');
+  const deals = [
+    { id: '1', title: 'Old', customerId: '1', status: 'active', updatedAt: '2024-03-01' },
+    { id: '2', title: 'Recent', customerId: '1', status: 'active', updatedAt: '2024-03-25' },
+    { id: '3', title: 'Closed', customerId: '1', status: 'won', updatedAt: '2024-01-01' }
+  ];
+
+  it('flags open deals without updates for two weeks', () => {
+    const notifications = buildStaleDealNotifications(deals, [{ id: '1', name: 'Stripe Inc.' }], now);
+
+    expect(notifications).toHaveLength(1);
+    expect(notifications[0]).toMatchObject({
+      id: 'deal_stale:1:2024-03-01',
+      message: 'Old (Stripe Inc.) has had no activity for 14+ days',
+      createdAt: '2024-03-15T00:00:00.000Z'
+    });
+  });
+});
+
+describe('buildTaskDueNotifications', () => {
+  const now = new Date(2024, 2, 14, 9, 0);
+  const tasks = [
+    { id: '1', title: 'Send pricing', dueDate: '2024-03-12', entityType: 'customer', entityId: '4', assigneeId: 'user2' },
+    { id: '2', title: 'Book QBR', dueDate: '2024-03-14', entityType: 'deal', entityId: '1' },
+    { id: '3', title: 'Plan renewal', dueDate: '2024-03-20' },
+    { id: '4', title: 'Already done', dueDate: '2024-03-01', done: true }
+  ];
+
+  it('flags open tasks that are due today or overdue and links to their record', () => {
+    const notifications = buildTaskDueNotifications(tasks, now);
+
+    expect(notifications).toEqual([
+      expect.objectContaining({
+        id: 'task_due:1:2024-03-12',
+        title: 'Task overdue',
+        message: 'Send pricing was due on 2024-03-12',
+        link: '/customers/4',
+        userId: 'user2'
+      }),
+      expect.objectContaining({ id: 'task_due:2:2024-03-14', title: 'Task due today', link: '/deals' })
+    ]);
+  });
+});
+
+describe('subscribeToNotifications', () => {
+  it('calls listeners until they unsubscribe', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToNotifications(listener);
+
+    notifyNotificationListeners();
+    unsubscribe();
+    notifyNotificationListeners();
+
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('notification recipients and read state', () => {
+  it('shows team-wide notifications to everyone and addressed ones to their user', () => {
+    expect(isNotificationFor({ id: 'a' }, 'user1')).toBe(true);
+    expect(isNotificationFor({ id: 'b', userId: 'user2' }, 'user2')).toBe(true);
+    expect(isNotificationFor({ id: 'b', userId: 'user2' }, 'user1')).toBe(false);
+  });
+
+  it('works out read per user', () => {
+    const notification = { id: 'a', readBy: ['user1'] };
+
+    expect(withReadState(notification, 'user1')).toEqual({ id: 'a', read: true });
+    expect(withReadState(notification, 'user2')).toEqual({ id: 'a', read: false });
+  });
+});
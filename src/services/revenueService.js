@@ -0,0 +1,237 @@
+// Revenue analytics: buckets won deals by close date over a chosen range and compares them with the
+// period before it. crmService loads the deals.
+import { toDateKey } from './taskService';
+
+// Ranges the revenue chart offers. Custom ranges take a start and end date.
+export const REVENUE_RANGES = [
+  { id: '6m', label: '6 Months' },
+  { id: '1y', label: '1 Year' },
+  { id: 'ytd', label: 'Year to Date' },
+  { id: 'custom', label: 'Custom' }
+];
+
+export const REVENUE_GRANULARITIES = [
+  { id: 'week', label: 'Weekly' },
+  { id: 'month', label: 'Monthly' },
+  { id: 'quarter', label: 'Quarterly' }
+];
+
+// Fixed ranges cover whole months up to today and compare with the same span shifted back
+const MONTH_RANGES = {
+  '6m': { months: 6 },
+  '1y': { months: 12 }
+};
+
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date keys are handled as UTC midnights so the arithmetic never crosses a daylight saving change
+const parseKey = (key) => new Date(`${key}T00:00:00Z`);
+const formatKey = (date) => date.toISOString().split('T')[0];
+const isDateKey = (key) => /^\d{4}-\d{2}-\d{2}$/.test(key || '') && !Number.isNaN(parseKey(key).getTime());
+
+const addDays = (key, days) => formatKey(new Date(parseKey(key).getTime() + days * DAY_MS));
+
+const addMonths = (key, months) => {
+  const date = parseKey(key);
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return formatKey(target);
+};
+
+const daysBetween = (start, end) => Math.round((parseKey(end) - parseKey(start)) / DAY_MS);
+
+const quarterLabel = (date) => `Q${Math.floor(date.getUTCMonth() / 3) + 1} ${date.getUTCFullYear()}`;
+
+// How each granularity finds the bucket a date falls in, steps between buckets and labels them
+const BUCKETS = {
+  week: {
+    start: (key) => addDays(key, -((parseKey(key).getUTCDay() + 6) % 7)),
+    shift: (key, count) => addDays(key, 7 * count),
+    label: (date) => `${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}`,
+    fullLabel: (date) => `Week of ${MONTHS[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}`
+  },
+  month: {
+    start: (key) => `${key.slice(0, 7)}-01`,
+    shift: (key, count) => addMonths(key, count),
+    label: (date) => MONTHS[date.getUTCMonth()],
+    fullLabel: (date) => `${MONTHS[date.getUTCMonth()]} ${date.getUTCFullYear()}`
+  },
+  quarter: {
+    start: (key) => {
+      const date = parseKey(key);
+      return formatKey(new Date(Date.UTC(date.getUTCFullYear(), Math.floor(date.getUTCMonth() / 3) * 3, 1)));
+    },
+    shift: (key, count) => addMonths(key, 3 * count),
+    label: quarterLabel,
+    fullLabel: quarterLabel
+  }
+};
+
+/**
+ * The whole week, month or quarter a date falls in, or one a number of periods before or after it
+ * @param {string} key - Date in the period (YYYY-MM-DD)
+ * @param {string} granularity - week | month | quarter
+ * @param {number} offset - Periods to step, negative for earlier ones
+ * @returns {Object} - { key, label, fullLabel, start, end } with inclusive date keys
+ */
+export const getCalendarPeriod = (key, granularity, offset = 0) => {
+  const bucket = BUCKETS[granularity];
+  if (!bucket) {
+    throw new Error(`Unknown revenue granularity: ${granularity}`);
+  }
+  const start = bucket.shift(bucket.start(key), offset);
+  const date = parseKey(start);
+  return {
+    key: start,
+    label: bucket.label(date),
+    fullLabel: bucket.fullLabel(date),
+    start,
+    end: addDays(bucket.shift(start, 1), -1)
+  };
+};
+
+/**
+ * Dates a revenue range covers and the period it is compared with
+ * @param {Object} options
+ * @param {string} options.range - 6m | 1y | ytd | custom
+ * @param {string} options.start - First day of a custom range (YYYY-MM-DD)
+ * @param {string} options.end - Last day of a custom range (YYYY-MM-DD)
+ * @param {Date} now - Current time
+ * @returns {Object} - { start, end, previous: { start, end } } with inclusive date keys
+ */
+export const resolveRevenueRange = ({ range = '6m', start, end } = {}, now = new Date()) => {
+  const todayKey = toDateKey(now);
+
+  if (MONTH_RANGES[range]) {
+    const { months } = MONTH_RANGES[range];
+    const rangeStart = addMonths(`${todayKey.slice(0, 7)}-01`, 1 - months);
+    return {
+      start: rangeStart,
+      end: todayKey,
+      previous: { start: addMonths(rangeStart, -months), end: addMonths(todayKey, -months) }
+    };
+  }
+
+  if (range === 'ytd') {
+    const rangeStart = `${todayKey.slice(0, 4)}-01-01`;
+    return {
+      start: rangeStart,
+      end: todayKey,
+      previous: { start: addMonths(rangeStart, -12), end: addMonths(todayKey, -12) }
+    };
+  }
+
+  if (range === 'custom') {
+    if (!isDateKey(start) || !isDateKey(end)) {
+      throw new Error('A custom range needs a start and an end date');
+    }
+    if (start > end) {
+      throw new Error('The start date must be on or before the end date');
+    }
+    const previousEnd = addDays(start, -1);
+    return {
+      start,
+      end,
+      previous: { start: addDays(previousEnd, -daysBetween(start, end)), end: previousEnd }
+    };
+  }
+
+  throw new Error(`Unknown revenue range: ${range}`);
+};
+
+/**
+ * Percent change from one period to the next, rounded to one decimal
+ * @param {number} current - Value this period
+ * @param {number} previous - Value last period
+ * @returns {number|null} - Change in percent, or null when there is nothing to compare with
+ */
+export const percentChange = (current, previous) => {
+  if (!previous) return null;
+  return Math.round(((current - previous) / previous) * 1000) / 10;
+};
+
+const inRange = (key, { start, end }) => Boolean(key) && key >= start && key <= end;
+
+const sumValues = (deals) => deals.reduce((sum, deal) => sum + (deal.value || 0), 0);
+
+// Empty buckets from the one holding the range start through the one holding its end
+const buildBuckets = (range, granularity) => {
+  const bucket = BUCKETS[granularity];
+  const buckets = [];
+  for (let key = bucket.start(range.start); key <= range.end; key = bucket.shift(key, 1)) {
+    const date = parseKey(key);
+    const nextKey = bucket.shift(key, 1);
+    buckets.push({
+      key,
+      label: bucket.label(date),
+      fullLabel: bucket.fullLabel(date),
+      start: key < range.start ? range.start : key,
+      end: nextKey > range.end ? range.end : addDays(nextKey, -1),
+      value: 0,
+      deals: 0
+    });
+  }
+  return buckets;
+};
+
+const aggregate = (deals, range, granularity) => {
+  const buckets = buildBuckets(range, granularity);
+  const byKey = new Map(buckets.map(bucket => [bucket.key, bucket]));
+  deals.forEach(deal => {
+    const closeDate = deal.actualCloseDate.slice(0, 10);
+    if (!inRange(closeDate, range)) return;
+    const bucket = byKey.get(BUCKETS[granularity].start(closeDate));
+    bucket.value += deal.value || 0;
+    bucket.deals += 1;
+  });
+  return buckets;
+};
+
+/**
+ * Won revenue over a range, bucketed by close date and compared with the previous period. Also compares
+ * the value of deals opened in each period, which stands in for pipeline growth.
+ * @param {Array} deals - Deals to aggregate
+ * @param {Object} options
+ * @param {string} options.range - 6m | 1y | ytd | custom
+ * @param {string} options.granularity - week | month | quarter
+ * @param {string} options.start - First day of a custom range
+ * @param {string} options.end - Last day of a custom range
+ * @param {Date} now - Current time
+ * @returns {Object} - Range, buckets with their previous period value, totals and percent changes
+ */
+export const buildRevenueAnalytics = (deals, { range = '6m', granularity = 'month', start, end } = {}, now = new Date()) => {
+  if (!BUCKETS[granularity]) {
+    throw new Error(`Unknown revenue granularity: ${granularity}`);
+  }
+  const period = resolveRevenueRange({ range, start, end }, now);
+  const won = deals.filter(deal => deal.status === 'won' && deal.actualCloseDate);
+
+  const current = aggregate(won, period, granularity);
+  const previous = aggregate(won, period.previous, granularity);
+  const buckets = current.map((bucket, index) => ({ ...bucket, previousValue: previous[index]?.value ?? 0 }));
+
+  const total = sumValues(current);
+  const previousTotal = sumValues(previous);
+  const openedIn = (dates) => sumValues(deals.filter(deal => inRange(deal.createdAt?.slice(0, 10), dates)));
+  const pipelineAdded = openedIn(period);
+  const previousPipelineAdded = openedIn(period.previous);
+
+  return {
+    range,
+    granularity,
+    start: period.start,
+    end: period.end,
+    previous: period.previous,
+    buckets,
+    total,
+    previousTotal,
+    change: percentChange(total, previousTotal),
+    dealCount: buckets.reduce((sum, bucket) => sum + bucket.deals, 0),
+    pipelineAdded,
+    previousPipelineAdded,
+    pipelineChange: percentChange(pipelineAdded, previousPipelineAdded)
+  };
+};
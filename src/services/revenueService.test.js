@@ -0,0 +1,79 @@
+import { buildRevenueAnalytics, percentChange, resolveRevenueRange } from './revenueService';
+
+// Local noon, so the local calendar day is 2024-04-15 in every timezone
+const now = new Date(2024, 3, 15, 12);
+
+const deals = [
+  { id: '1', value: 100, status: 'won', actualCloseDate: '2024-04-10', createdAt: '2024-03-01' },
+  { id: '2', value: 200, status: 'won', actualCloseDate: '2024-01-05', createdAt: '2023-09-01' },
+  { id: '3', value: 50, status: 'won', actualCloseDate: '2023-09-20', createdAt: '2023-06-01' },
+  { id: '4', value: 999, status: 'won', actualCloseDate: '2023-10-20', createdAt: '2023-01-01' },
+  { id: '5', value: 500, status: 'lost', actualCloseDate: '2024-02-01', createdAt: '2024-01-10' },
+  { id: '6', value: 300, status: 'active', createdAt: '2024-03-20' }
+];
+
+describe('resolveRevenueRange', () => {
+  it('covers whole months up to today and compares with the same span before', () => {
+    expect(resolveRevenueRange({ range: '6m' }, now)).toEqual({
+      start: '2023-11-01',
+      end: '2024-04-15',
+      previous: { start: '2023-05-01', end: '2023-10-15' }
+    });
+    expect(resolveRevenueRange({ range: 'ytd' }, now)).toEqual({
+      start: '2024-01-01',
+      end: '2024-04-15',
+      previous: { start: '2023-01-01', end: '2023-04-15' }
+    });
+  });
+
+  it('compares custom ranges with the days right before them', () => {
+    expect(resolveRevenueRange({ range: 'custom', start: '2024-04-01', end: '2024-04-14' }, now).previous)
+      .toEqual({ start: '2024-03-18', end: '2024-03-31' });
+  });
+
+  it('rejects incomplete or inverted custom ranges', () => {
+    expect(() => resolveRevenueRange({ range: 'custom', start: '2024-04-01' }, now)).toThrow('needs a start and an end');
+    expect(() => resolveRevenueRange({ range: 'custom', start: '2024-04-02', end: '2024-04-01' }, now))
+      .toThrow('on or before the end date');
+  });
+});
+
+describe('buildRevenueAnalytics', () => {
+  it('buckets won deals by close date next to the previous period', () => {
+    const result = buildRevenueAnalytics(deals, { range: '6m', granularity: 'month' }, now);
+
+    expect(result.buckets.map(bucket => bucket.label)).toEqual(['Nov', 'Dec', 'Jan', 'Feb', 'Mar', 'Apr']);
+    expect(result.buckets.map(bucket => bucket.value)).toEqual([0, 0, 200, 0, 0, 100]);
+    expect(result.buckets.map(bucket => bucket.previousValue)).toEqual([0, 0, 0, 0, 50, 0]);
+    expect(result.buckets[5]).toMatchObject({ start: '2024-04-01', end: '2024-04-15', deals: 1 });
+    expect(result).toMatchObject({ total: 300, previousTotal: 50, change: 500, dealCount: 2 });
+  });
+
+  it('compares the value of deals opened in each period', () => {
+    const result = buildRevenueAnalytics(deals, { range: '6m' }, now);
+    expect(result).toMatchObject({ pipelineAdded: 900, previousPipelineAdded: 250, pipelineChange: 260 });
+  });
+
+  it('supports weekly and quarterly buckets clipped to the range', () => {
+    const weekly = buildRevenueAnalytics(deals, { range: 'custom', granularity: 'week', start: '2024-04-01', end: '2024-04-14' }, now);
+    expect(weekly.buckets.map(bucket => [bucket.label, bucket.value])).toEqual([['Apr 1', 0], ['Apr 8', 100]]);
+    expect(weekly.buckets[1].fullLabel).toBe('Week of Apr 8, 2024');
+
+    const quarterly = buildRevenueAnalytics(deals, { range: '1y', granularity: 'quarter' }, now);
+    expect(quarterly.buckets.map(bucket => bucket.label)).toEqual(['Q2 2023', 'Q3 2023', 'Q4 2023', 'Q1 2024', 'Q2 2024']);
+    expect(quarterly.buckets[0]).toMatchObject({ key: '2023-04-01', start: '2023-05-01', end: '2023-06-30' });
+    expect(quarterly.buckets.map(bucket => bucket.value)).toEqual([0, 50, 999, 200, 100]);
+  });
+
+  it('rejects unknown granularities', () => {
+    expect(() => buildRevenueAnalytics(deals, { granularity: 'day' }, now)).toThrow('Unknown revenue granularity');
+  });
+});
+
+describe('percentChange', () => {
+  it('has nothing to compare with when the previous period is empty', () => {
+    expect(percentChange(100, 0)).toBeNull();
+    expect(percentChange(50, 200)).toBe(-75);
+    expect(percentChange(105, 100)).toBe(5);
+  });
+});
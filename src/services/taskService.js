@@ -0,0 +1,63 @@
+// Task rules: priorities, due dates and the order tasks are worked in. crmService stores the tasks.
+
+// Priorities from most to least urgent
+export const TASK_PRIORITIES = [
+  { id: 'high', label: 'High' },
+  { id: 'medium', label: 'Medium' },
+  { id: 'low', label: 'Low' }
+];
+
+const PRIORITY_RANK = Object.fromEntries(TASK_PRIORITIES.map((priority, index) => [priority.id, index]));
+
+/**
+ * Calendar date in local time, in the YYYY-MM-DD form date inputs and task due dates use
+ * @param {Date} date - Date to convert
+ * @returns {string} - Date key
+ */
+export const toDateKey = (date) => {
+  const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+  return local.toISOString().split('T')[0];
+};
+
+/**
+ * Where a task stands against its due date
+ * @param {Object} task - Task
+ * @param {Date} now - Current time
+ * @returns {string} - done | overdue | today | upcoming | unscheduled
+ */
+export const getTaskDueStatus = (task, now = new Date()) => {
+  if (task.done) return 'done';
+  if (!task.dueDate) return 'unscheduled';
+  const todayKey = toDateKey(now);
+  if (task.dueDate < todayKey) return 'overdue';
+  return task.dueDate === todayKey ? 'today' : 'upcoming';
+};
+
+export const isTaskOverdue = (task, now = new Date()) => getTaskDueStatus(task, now) === 'overdue';
+
+/**
+ * Open tasks first, soonest due date first (unscheduled last), then by priority and title
+ * @param {Array} tasks - Tasks to sort
+ * @returns {Array} - Sorted copy
+ */
+export const sortTasks = (tasks) =>
+  [...tasks].sort((a, b) =>
+    Number(Boolean(a.done)) - Number(Boolean(b.done)) ||
+    (a.dueDate || '9999-12-31').localeCompare(b.dueDate || '9999-12-31') ||
+    (PRIORITY_RANK[a.priority] ?? PRIORITY_RANK.medium) - (PRIORITY_RANK[b.priority] ?? PRIORITY_RANK.medium) ||
+    a.title.localeCompare(b.title)
+  );
+
+/**
+ * Timeline activity logged when a task linked to a record is completed
+ * @param {Object} task - Completed task
+ * @returns {Object} - Activity without id, userId or timestamp
+ */
+export const buildTaskCompletedActivity = (task) => ({
+  type: 'task_completed',
+  title: `Completed task: ${task.title}`,
+  description: task.notes || '',
+  entityType: task.entityType,
+  entityId: task.entityId,
+  taskId: task.id
+});
@@ -0,0 +1,45 @@
+import { getTaskDueStatus, isTaskOverdue, sortTasks, toDateKey, buildTaskCompletedActivity } from './taskService';
+
+const now = new Date(2024, 2, 14, 15, 30);
+
+describe('getTaskDueStatus', () => {
+  it('compares the due date with the local calendar day', () => {
+    expect(toDateKey(now)).toBe('2024-03-14');
+    expect(getTaskDueStatus({ dueDate: '2024-03-13' }, now)).toBe('overdue');
+    expect(getTaskDueStatus({ dueDate: '2024-03-14' }, now)).toBe('today');
+    expect(getTaskDueStatus({ dueDate: '2024-03-15' }, now)).toBe('upcoming');
+    expect(getTaskDueStatus({ dueDate: null }, now)).toBe('unscheduled');
+  });
+
+  it('never treats completed tasks as overdue', () => {
+    expect(getTaskDueStatus({ dueDate: '2024-03-01', done: true }, now)).toBe('done');
+    expect(isTaskOverdue({ dueDate: '2024-03-01', done: true }, now)).toBe(false);
+  });
+});
+
+describe('sortTasks', () => {
+  it('lists open tasks by due date and priority, then completed ones', () => {
+    const tasks = [
+      { title: 'Done', dueDate: '2024-03-01', priority: 'high', done: true },
+      { title: 'Someday', dueDate: null, priority: 'high' },
+      { title: 'Later', dueDate: '2024-03-20', priority: 'low' },
+      { title: 'Soon, low', dueDate: '2024-03-15', priority: 'low' },
+      { title: 'Soon, high', dueDate: '2024-03-15', priority: 'high' }
+    ];
+
+    expect(sortTasks(tasks).map(task => task.title)).toEqual(['Soon, high', 'Soon, low', 'Later', 'Someday', 'Done']);
+  });
+});
+
+describe('buildTaskCompletedActivity', () => {
+  it('logs the task on the record it is linked to', () => {
+    expect(buildTaskCompletedActivity({ id: 't1', title: 'Send pricing', entityType: 'deal', entityId: '1' })).toEqual({
+      type: 'task_completed',
+      title: 'Completed task: Send pricing',
+      description: '',
+      entityType: 'deal',
+      entityId: '1',
+      taskId: 't1'
+    });
+  });
+});
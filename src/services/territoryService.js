@@ -0,0 +1,67 @@
+// Teams, territories and books of business. crmService loads the records; these helpers only compute.
+
+/**
+ * Whether a customer falls inside a team's territory. Empty criteria match every customer.
+ * @param {Object} customer - Customer
+ * @param {Object} territory - { tiers, states }
+ * @returns {boolean}
+ */
+export const matchesTerritory = (customer, territory = {}) => {
+  const { tiers = [], states = [] } = territory;
+  return (tiers.length === 0 || tiers.includes(customer.tier)) &&
+    (states.length === 0 || states.includes(customer.address?.state));
+};
+
+/**
+ * Team a customer belongs to: the owner's team, or else the first team whose territory covers it
+ * @param {Object} customer - Customer
+ * @param {Array} teams - All teams
+ * @param {Array} users - All users
+ * @returns {Object|null} - Team
+ */
+export const findTeamForCustomer = (customer, teams, users = []) => {
+  const owner = users.find(user => user.id === customer.ownerId);
+  return teams.find(team => team.id === owner?.teamId) ||
+    teams.find(team => matchesTerritory(customer, team.territory)) ||
+    null;
+};
+
+/**
+ * Users a territory's customers can be handed to: the team's members and its manager
+ * @param {Object} team - Team
+ * @param {Array} users - All users
+ * @returns {Array} - Users
+ */
+export const getTeamMembers = (team, users) =>
+  users.filter(user => user.teamId === team.id || user.id === team.managerId);
+
+const sumValues = (deals) => deals.reduce((sum, deal) => sum + (deal.value || 0), 0);
+
+/**
+ * Per-owner totals for every user who owns something, plus an "Unassigned" row when records have no owner
+ * @param {Object} data
+ * @param {Array} data.users - All users
+ * @param {Array} data.teams - All teams
+ * @param {Array} data.customers - All customers
+ * @param {Array} data.deals - All deals
+ * @returns {Array} - { owner, team, customers, openDeals, pipelineValue, wonValue }, largest pipeline first
+ */
+export const buildBooksOfBusiness = ({ users, teams, customers, deals }) => {
+  const ownerIds = [...new Set([...customers, ...deals].map(record => record.ownerId || null))];
+
+  return ownerIds
+    .map(ownerId => {
+      const owner = users.find(user => user.id === ownerId) || null;
+      const ownedDeals = deals.filter(deal => (deal.ownerId || null) === ownerId);
+      const openDeals = ownedDeals.filter(deal => deal.status === 'active');
+      return {
+        owner,
+        team: teams.find(team => team.id === owner?.teamId) || null,
+        customers: customers.filter(customer => (customer.ownerId || null) === ownerId).length,
+        openDeals: openDeals.length,
+        pipelineValue: sumValues(openDeals),
+        wonValue: sumValues(ownedDeals.filter(deal => deal.status === 'won'))
+      };
+    })
+    .sort((a, b) => (b.pipelineValue - a.pipelineValue) || (b.wonValue - a.wonValue));
+};
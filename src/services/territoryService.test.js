@@ -0,0 +1,51 @@
+import { matchesTerritory, findTeamForCustomer, getTeamMembers, buildBooksOfBusiness } from './territoryService';
+
+const teams = [
+  { id: 'enterprise', name: 'Enterprise', managerId: 'user3', territory: { tiers: ['enterprise'], states: [] } },
+  { id: 'west', name: 'West', managerId: 'user3', territory: { tiers: [], states: ['CA', 'WA'] } }
+];
+
+const users = [
+  { id: 'user2', name: 'Jordan Lee', teamId: 'enterprise' },
+  { id: 'user3', name: 'Priya Shah', teamId: null },
+  { id: 'user5', name: 'Maya Chen', teamId: 'west' }
+];
+
+describe('territories', () => {
+  it('matches customers on every criterion that is set', () => {
+    expect(matchesTerritory({ tier: 'growth', address: { state: 'CA' } }, teams[1].territory)).toBe(true);
+    expect(matchesTerritory({ tier: 'growth', address: { state: 'NY' } }, teams[1].territory)).toBe(false);
+    expect(matchesTerritory({ tier: 'startup' }, {})).toBe(true);
+  });
+
+  it('puts customers in their owner\'s team before looking at territories', () => {
+    const customer = { tier: 'enterprise', address: { state: 'CA' }, ownerId: 'user5' };
+    expect(findTeamForCustomer(customer, teams, users).id).toBe('west');
+    expect(findTeamForCustomer({ ...customer, ownerId: null }, teams, users).id).toBe('enterprise');
+    expect(findTeamForCustomer({ tier: 'growth', address: { state: 'TX' } }, teams, users)).toBeNull();
+  });
+
+  it('lists a team\'s members and its manager', () => {
+    expect(getTeamMembers(teams[0], users).map(user => user.id)).toEqual(['user2', 'user3']);
+  });
+});
+
+describe('buildBooksOfBusiness', () => {
+  it('totals customers and deals per owner, with unassigned records in their own row', () => {
+    const books = buildBooksOfBusiness({
+      users,
+      teams,
+      customers: [{ id: '1', ownerId: 'user2' }, { id: '2', ownerId: 'user5' }, { id: '3', ownerId: null }],
+      deals: [
+        { id: '1', ownerId: 'user2', status: 'active', value: 100 },
+        { id: '2', ownerId: 'user2', status: 'won', value: 50 },
+        { id: '3', ownerId: 'user5', status: 'active', value: 300 }
+      ]
+    });
+
+    expect(books.map(book => book.owner?.id || null)).toEqual(['user5', 'user2', null]);
+    expect(books[1]).toMatchObject({ customers: 1, openDeals: 1, pipelineValue: 100, wonValue: 50 });
+    expect(books[1].team.name).toBe('Enterprise');
+    expect(books[2]).toMatchObject({ owner: null, customers: 1, openDeals: 0 });
+  });
+});
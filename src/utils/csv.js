@@ -0,0 +1,69 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, embedded commas and line breaks)
+ * @param {string} text - CSV contents
+ * @param {string} delimiter - Field separator
+ * @returns {Array} - Rows as arrays of strings, without blank lines
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  const endField = () => {
+    row.push(field);
+    field = '';
+  };
+
+  const endRow = () => {
+    endField();
+    if (row.some(value => value.trim() !== '')) {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endField();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+};
+
+/**
+ * Parse CSV text whose first row holds the column names
+ * @param {string} text - CSV contents
+ * @returns {Object} - { headers, rows }
+ */
+export const parseCsvWithHeaders = (text) => {
+  const [headers = [], ...rows] = parseCsv(text);
+  return {
+    headers: headers.map(header => header.trim()),
+    rows
+  };
+};
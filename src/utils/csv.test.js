@@ -0,0 +1,26 @@
+import { parseCsv, parseCsvWithHeaders } from './csv';
+
+describe('parseCsv', () => {
+  it('splits rows and fields', () => {
+    expect(parseCsv('a,b\r\n1,2\n3,4')).toEqual([['a', 'b'], ['1', '2'], ['3', '4']]);
+  });
+
+  it('handles quoted fields with commas, quotes and line breaks', () => {
+    expect(parseCsv('"Stripe, Inc.","The ""best""","line one\nline two"')).toEqual([
+      ['Stripe, Inc.', 'The "best"', 'line one\nline two']
+    ]);
+  });
+
+  it('skips blank lines and strips the byte order mark', () => {
+    expect(parseCsv('﻿name\n\n,\nStripe\n')).toEqual([['name'], ['Stripe']]);
+  });
+});
+
+describe('parseCsvWithHeaders', () => {
+  it('separates the trimmed header row from the data rows', () => {
+    expect(parseCsvWithHeaders(' Company , Email\nStripe,hi@stripe.com')).toEqual({
+      headers: ['Company', 'Email'],
+      rows: [['Stripe', 'hi@stripe.com']]
+    });
+  });
+});
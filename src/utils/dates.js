@@ -0,0 +1,21 @@
+const UNITS = [
+  { unit: 'y', ms: 365 * 24 * 60 * 60 * 1000 },
+  { unit: 'mo', ms: 30 * 24 * 60 * 60 * 1000 },
+  { unit: 'w', ms: 7 * 24 * 60 * 60 * 1000 },
+  { unit: 'd', ms: 24 * 60 * 60 * 1000 },
+  { unit: 'h', ms: 60 * 60 * 1000 },
+  { unit: 'm', ms: 60 * 1000 }
+];
+
+/**
+ * Compact relative time, e.g. "2h ago" or "3d ago"
+ * @param {string|Date} date - Date to describe
+ * @param {Date} now - Reference time
+ * @returns {string} - Relative time
+ */
+export const formatRelativeTime = (date, now = new Date()) => {
+  const elapsed = now - new Date(date);
+  if (elapsed < 60 * 1000) return 'just now';
+  const { unit, ms } = UNITS.find(item => elapsed >= item.ms);
+  return `${Math.floor(elapsed / ms)}${unit} ago`;
+};
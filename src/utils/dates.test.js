@@ -0,0 +1,17 @@
+import { formatRelativeTime } from './dates';
+
+describe('formatRelativeTime', () => {
+  const now = new Date('2024-03-15T12:00:00Z');
+
+  it('describes recent times', () => {
+    expect(formatRelativeTime('2024-03-15T11:59:30Z', now)).toBe('just now');
+    expect(formatRelativeTime('2024-03-15T11:45:00Z', now)).toBe('15m ago');
+    expect(formatRelativeTime('2024-03-15T10:00:00Z', now)).toBe('2h ago');
+  });
+
+  it('uses the largest whole unit', () => {
+    expect(formatRelativeTime('2024-03-12T12:00:00Z', now)).toBe('3d ago');
+    expect(formatRelativeTime('2024-02-15T12:00:00Z', now)).toBe('4w ago');
+    expect(formatRelativeTime('2023-01-01T12:00:00Z', now)).toBe('1y ago');
+  });
+});
@@ -0,0 +1,138 @@
+// Helpers for turning lists of records into downloadable CSV, JSON and XLSX files
+import { createXlsx } from './xlsx';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv;charset=utf-8' },
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  {
+    id: 'xlsx',
+    label: 'Excel (XLSX)',
+    extension: 'xlsx',
+    mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  }
+];
+
+/**
+ * Flatten nested objects into dotted keys, e.g. { address: { city } } becomes { 'address.city' }
+ * @param {Object} record - Record to flatten
+ * @param {string} prefix - Key prefix used while recursing
+ * @returns {Object} - Flat record
+ */
+export const flattenRecord = (record, prefix = '') =>
+  Object.entries(record || {}).reduce((flat, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenRecord(value, path));
+    } else {
+      flat[path] = Array.isArray(value) ? value.join(', ') : value;
+    }
+    return flat;
+  }, {});
+
+/**
+ * Build the rows to export: flattened records limited to the chosen columns, in column order
+ * @param {Array} records - Records to export
+ * @param {Array} columns - [{ key, label }] where key is a dotted path
+ * @returns {Array} - Arrays of cell values, one per record
+ */
+export const toRows = (records, columns) =>
+  records.map(record => {
+    const flat = flattenRecord(record);
+    return columns.map(column => (flat[column.key] == null ? '' : flat[column.key]));
+  });
+
+// Spreadsheet apps run text starting with one of these as a formula, e.g. =HYPERLINK(...)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const escapeCsvValue = (value) => {
+  // A leading apostrophe makes the cell plain text; numbers such as -5 stay numbers
+  const text = typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize records to CSV with a header row of column labels
+ * @param {Array} records - Records to export
+ * @param {Array} columns - [{ key, label }]
+ * @returns {string} - CSV text
+ */
+export const toCsv = (records, columns) =>
+  [columns.map(column => column.label), ...toRows(records, columns)]
+    .map(row => row.map(escapeCsvValue).join(','))
+    .join('\r\n');
+
+/**
+ * Serialize records to JSON, keeping only the chosen columns keyed by their dotted paths
+ * @param {Array} records - Records to export
+ * @param {Array} columns - [{ key, label }]
+ * @returns {string} - Pretty-printed JSON
+ */
+export const toJson = (records, columns) =>
+  JSON.stringify(
+    toRows(records, columns).map(row =>
+      columns.reduce((item, column, index) => {
+        item[column.key] = row[index];
+        return item;
+      }, {})
+    ),
+    null,
+    2
+  );
+
+/**
+ * Serialize records in the given format
+ * @param {string} format - csv | json | xlsx
+ * @param {Array} records - Records to export
+ * @param {Array} columns - [{ key, label }]
+ * @param {string} sheetName - Worksheet name for XLSX
+ * @returns {string|Uint8Array} - File contents
+ */
+export const serializeRecords = (format, records, columns, sheetName = 'Sheet1') => {
+  switch (format) {
+    case 'csv':
+      // Byte order mark so Excel opens UTF-8 CSV files with the right encoding
+      return `\uFEFF${toCsv(records, columns)}`;
+    case 'json':
+      return toJson(records, columns);
+    case 'xlsx':
+      return createXlsx([columns.map(column => column.label), ...toRows(records, columns)], sheetName);
+    default:
+      throw new Error(`Unsupported export format "${format}"`);
+  }
+};
+
+/**
+ * Trigger a browser download of the given contents
+ * @param {string|Uint8Array} contents - File contents
+ * @param {string} filename - Name of the downloaded file
+ * @param {string} mimeType - MIME type of the file
+ */
+export const downloadFile = (contents, filename, mimeType) => {
+  const url = URL.createObjectURL(new Blob([contents], { type: mimeType }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Export records as a file download
+ * @param {Object} options
+ * @param {Array} options.records - Records to export, already filtered and sorted
+ * @param {Array} options.columns - [{ key, label }]
+ * @param {string} options.format - csv | json | xlsx
+ * @param {string} options.filename - File name without extension
+ * @returns {string} - Name of the downloaded file
+ */
+export const exportRecords = ({ records, columns, format, filename }) => {
+  const { extension, mimeType } = EXPORT_FORMATS.find(item => item.id === format) || {};
+  if (!extension) {
+    throw new Error(`Unsupported export format "${format}"`);
+  }
+  const fullName = `${filename}.${extension}`;
+  downloadFile(serializeRecords(format, records, columns, filename), fullName, mimeType);
+  return fullName;
+};
@@ -0,0 +1,77 @@
+import { flattenRecord, toCsv, toJson, serializeRecords } from './export';
+
+const customers = [
+  {
+    id: '1',
+    name: 'Stripe, Inc.',
+    revenue: 14000000000,
+    address: { city: 'San Francisco', country: 'USA' }
+  },
+  {
+    id: '2',
+    name: 'The "Linear" Company',
+    address: { city: 'Remote' }
+  }
+];
+
+const columns = [
+  { key: 'name', label: 'Company' },
+  { key: 'revenue', label: 'Revenue' },
+  { key: 'address.city', label: 'City' },
+  { key: 'address.country', label: 'Country' }
+];
+
+describe('flattenRecord', () => {
+  it('flattens nested objects into dotted keys', () => {
+    expect(flattenRecord(customers[0])).toEqual({
+      id: '1',
+      name: 'Stripe, Inc.',
+      revenue: 14000000000,
+      'address.city': 'San Francisco',
+      'address.country': 'USA'
+    });
+  });
+
+  it('joins arrays into a single value', () => {
+    expect(flattenRecord({ tags: ['vip', 'renewal'] })).toEqual({ tags: 'vip, renewal' });
+  });
+});
+
+describe('toCsv', () => {
+  it('writes a header row and the chosen columns in order', () => {
+    const [header, first] = toCsv(customers, columns).split('\r\n');
+
+    expect(header).toBe('Company,Revenue,City,Country');
+    expect(first).toBe('"Stripe, Inc.",14000000000,San Francisco,USA');
+  });
+
+  it('escapes quotes and leaves missing values empty', () => {
+    const rows = toCsv(customers, columns).split('\r\n');
+    expect(rows[2]).toBe('"The ""Linear"" Company",,Remote,');
+  });
+
+  it('keeps text that looks like a formula from running in a spreadsheet', () => {
+    const records = [
+      { name: '=HYPERLINK("http://evil.example","Click")', revenue: -5, address: { city: '+1 555', country: '@SUM(A1)' } },
+      { name: '\tTabbed', revenue: 10, address: { city: '-Remote', country: '\rReturn' } }
+    ];
+    const [, first, second] = toCsv(records, columns).split('\r\n');
+
+    expect(first).toBe('"\'=HYPERLINK(""http://evil.example"",""Click"")",-5,\'+1 555,\'@SUM(A1)');
+    expect(second).toBe('\'\tTabbed,10,\'-Remote,"\'\rReturn"');
+  });
+});
+
+describe('toJson', () => {
+  it('keeps only the chosen columns keyed by their paths', () => {
+    expect(JSON.parse(toJson(customers.slice(0, 1), columns.slice(0, 1).concat(columns[2])))).toEqual([
+      { name: 'Stripe, Inc.', 'address.city': 'San Francisco' }
+    ]);
+  });
+});
+
+describe('serializeRecords', () => {
+  it('rejects unknown formats', () => {
+    expect(() => serializeRecords('pdf', customers, columns)).toThrow('Unsupported export format "pdf"');
+  });
+});
@@ -0,0 +1,64 @@
+// Lightweight fuzzy matching for the command palette
+
+const WORD_SEPARATOR = /[\s\-_.@/]/;
+
+/**
+ * Score how well a query matches a piece of text. Substring matches rank highest, earlier and
+ * word-start matches rank above later ones, and the query may also match as a subsequence
+ * (e.g. "stpe" matches "Stripe").
+ * @param {string} query - Search text
+ * @param {string} text - Text to match against
+ * @returns {number|null} - Higher is better, null when the text does not match
+ */
+export const fuzzyScore = (query, text) => {
+  const needle = query.trim().toLowerCase();
+  const haystack = (text || '').toLowerCase();
+  if (!needle) return 0;
+  if (!haystack) return null;
+
+  const index = haystack.indexOf(needle);
+  if (index !== -1) {
+    const atWordStart = index === 0 || WORD_SEPARATOR.test(haystack[index - 1]);
+    return 1000 + (index === 0 ? 200 : 0) + (atWordStart ? 100 : 0) - index - (haystack.length - needle.length) / 100;
+  }
+
+  let score = 0;
+  let position = 0;
+  let previous = -2;
+  for (const char of needle) {
+    if (char === ' ') continue;
+    const found = haystack.indexOf(char, position);
+    if (found === -1) return null;
+    if (found === previous + 1) {
+      score += 5;
+    } else if (found === 0 || WORD_SEPARATOR.test(haystack[found - 1])) {
+      score += 8;
+    } else {
+      score += 1 - Math.min(found - position, 10) / 10;
+    }
+    previous = found;
+    position = found + 1;
+  }
+  return score;
+};
+
+/**
+ * Rank items by their best matching field
+ * @param {Array} items - Items to search
+ * @param {string} query - Search text
+ * @param {Function} getFields - Returns the strings to match for an item
+ * @param {number} limit - Maximum number of results
+ * @returns {Array} - Matching items, best first
+ */
+export const fuzzySearch = (items, query, getFields, limit = Infinity) =>
+  items
+    .map(item => {
+      const scores = getFields(item)
+        .map(field => fuzzyScore(query, field))
+        .filter(score => score !== null);
+      return { item, score: scores.length ? Math.max(...scores) : null };
+    })
+    .filter(result => result.score !== null)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(result => result.item);
@@ -0,0 +1,31 @@
+import { fuzzyScore, fuzzySearch } from './fuzzySearch';
+
+describe('fuzzyScore', () => {
+  it('matches substrings and subsequences case-insensitively', () => {
+    expect(fuzzyScore('STRIPE', 'Stripe Inc.')).not.toBeNull();
+    expect(fuzzyScore('stpe', 'Stripe Inc.')).not.toBeNull();
+    expect(fuzzyScore('xyz', 'Stripe Inc.')).toBeNull();
+  });
+
+  it('ranks prefix matches above later substrings and subsequences', () => {
+    expect(fuzzyScore('lin', 'Linear')).toBeGreaterThan(fuzzyScore('lin', 'Berlin Labs'));
+    expect(fuzzyScore('lin', 'Berlin Labs')).toBeGreaterThan(fuzzyScore('lin', 'Lucid Innovations'));
+  });
+});
+
+describe('fuzzySearch', () => {
+  const customers = [
+    { name: 'Notion Labs', email: 'partnerships@notion.so' },
+    { name: 'Stripe Inc.', email: 'enterprise@stripe.com' },
+    { name: 'Supabase Inc.', email: 'team@supabase.io' }
+  ];
+
+  it('returns matches best first across fields, up to the limit', () => {
+    expect(fuzzySearch(customers, 'inc', c => [c.name, c.email]).map(c => c.name)).toEqual([
+      'Stripe Inc.',
+      'Supabase Inc.'
+    ]);
+    expect(fuzzySearch(customers, 'notion', c => [c.name, c.email]).map(c => c.name)).toEqual(['Notion Labs']);
+    expect(fuzzySearch(customers, 'inc', c => [c.name], 1)).toHaveLength(1);
+  });
+});
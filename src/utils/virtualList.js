@@ -0,0 +1,62 @@
+// Windowing math for long lists and grids of fixed-height rows. Only the rows in view, plus a few on
+// either side, are rendered; padding above and below keeps the scrollbar the size of the whole list.
+
+/**
+ * How many items fit side by side
+ * @param {number} width - Width of the list in px
+ * @param {number} minItemWidth - Narrowest an item may get, or 0 for a single column
+ * @param {number} gap - Space between items in px
+ * @returns {number} - Columns, at least 1
+ */
+export const getColumnCount = (width, minItemWidth, gap = 0) => {
+  if (!minItemWidth || !width) return 1;
+  return Math.max(1, Math.floor((width + gap) / (minItemWidth + gap)));
+};
+
+/**
+ * Items to render for a scroll position
+ * @param {Object} options
+ * @param {number} options.count - Number of items
+ * @param {number} options.columns - Items per row
+ * @param {number} options.rowHeight - Height of a row in px, including any gap below it
+ * @param {number} options.scrollTop - Scroll position of the list in px
+ * @param {number} options.viewportHeight - Visible height of the list in px
+ * @param {number} options.overscan - Rows rendered beyond each edge of the viewport
+ * @returns {Object} - { start, end, paddingTop, paddingBottom }, end being exclusive
+ */
+export const getVirtualWindow = ({ count, columns = 1, rowHeight, scrollTop, viewportHeight, overscan = 5 }) => {
+  const rowCount = Math.ceil(count / columns);
+  const firstRow = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const lastRow = Math.min(rowCount, Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan);
+  return {
+    start: Math.min(count, firstRow * columns),
+    end: Math.min(count, lastRow * columns),
+    paddingTop: firstRow * rowHeight,
+    paddingBottom: Math.max(0, rowCount - Math.max(lastRow, firstRow)) * rowHeight
+  };
+};
+
+/**
+ * Item the focus moves to for a navigation key, or null for other keys
+ * @param {string} key - KeyboardEvent key
+ * @param {number} index - Item that has the focus
+ * @param {Object} options
+ * @param {number} options.count - Number of items
+ * @param {number} options.columns - Items per row
+ * @param {number} options.pageRows - Rows that fit in the viewport, for Page Up and Page Down
+ * @returns {number|null}
+ */
+export const getNextIndex = (key, index, { count, columns = 1, pageRows = 1 }) => {
+  const moves = {
+    ArrowDown: columns,
+    ArrowUp: -columns,
+    PageDown: pageRows * columns,
+    PageUp: -pageRows * columns,
+    ...(columns > 1 ? { ArrowRight: 1, ArrowLeft: -1 } : {})
+  };
+  if (count === 0) return null;
+  if (key === 'Home') return 0;
+  if (key === 'End') return count - 1;
+  if (!(key in moves)) return null;
+  return Math.min(count - 1, Math.max(0, index + moves[key]));
+};
@@ -0,0 +1,47 @@
+import { getColumnCount, getNextIndex, getVirtualWindow } from './virtualList';
+
+describe('getVirtualWindow', () => {
+  it('renders only the rows in view plus the overscan', () => {
+    expect(getVirtualWindow({ count: 10000, rowHeight: 72, scrollTop: 72 * 500, viewportHeight: 720, overscan: 5 }))
+      .toEqual({ start: 495, end: 515, paddingTop: 495 * 72, paddingBottom: (10000 - 515) * 72 });
+  });
+
+  it('works in whole rows of a grid and stops at the last item', () => {
+    expect(getVirtualWindow({ count: 10, columns: 3, rowHeight: 100, scrollTop: 0, viewportHeight: 250, overscan: 1 }))
+      .toEqual({ start: 0, end: 10, paddingTop: 0, paddingBottom: 0 });
+    expect(getVirtualWindow({ count: 100, columns: 4, rowHeight: 100, scrollTop: 1000, viewportHeight: 200, overscan: 0 }))
+      .toEqual({ start: 40, end: 48, paddingTop: 1000, paddingBottom: 1300 });
+  });
+
+  it('renders nothing for an empty list', () => {
+    expect(getVirtualWindow({ count: 0, rowHeight: 72, scrollTop: 0, viewportHeight: 500 }))
+      .toEqual({ start: 0, end: 0, paddingTop: 0, paddingBottom: 0 });
+  });
+});
+
+describe('getColumnCount', () => {
+  it('fits as many items as their minimum width allows', () => {
+    expect(getColumnCount(1000, 300, 20)).toBe(3);
+    expect(getColumnCount(940, 300, 20)).toBe(3);
+    expect(getColumnCount(200, 300, 20)).toBe(1);
+    expect(getColumnCount(1000, 0)).toBe(1);
+  });
+});
+
+describe('getNextIndex', () => {
+  const grid = { count: 10, columns: 3, pageRows: 2 };
+
+  it('moves by rows and columns and stays within the list', () => {
+    expect(getNextIndex('ArrowDown', 1, grid)).toBe(4);
+    expect(getNextIndex('ArrowRight', 9, grid)).toBe(9);
+    expect(getNextIndex('ArrowUp', 1, grid)).toBe(0);
+    expect(getNextIndex('PageDown', 2, grid)).toBe(8);
+    expect(getNextIndex('End', 0, grid)).toBe(9);
+  });
+
+  it('ignores other keys and sideways keys in a single column', () => {
+    expect(getNextIndex('ArrowRight', 1, { count: 10 })).toBeNull();
+    expect(getNextIndex('Enter', 1, grid)).toBeNull();
+    expect(getNextIndex('Home', 0, { count: 0 })).toBeNull();
+  });
+});
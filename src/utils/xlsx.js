@@ -0,0 +1,148 @@
+// Minimal XLSX writer: a single worksheet of inline strings and numbers packed in an uncompressed zip.
+// Enough for Excel, Numbers, LibreOffice and Google Sheets without shipping a spreadsheet library.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+// Control characters other than tab and newlines are not allowed in XML
+const isXmlChar = (char) => {
+  const code = char.charCodeAt(0);
+  return code >= 0x20 || code === 0x09 || code === 0x0a || code === 0x0d;
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .split('')
+    .filter(isXmlChar)
+    .join('');
+
+// Column letters for a zero-based index: 0 -> A, 25 -> Z, 26 -> AA
+const columnName = (index) => {
+  let name = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+};
+
+const cellXml = (value, ref) => {
+  if (typeof value === 'number' && Number.isFinite(value)) {
+    return `<c r="${ref}"><v>${value}</v></c>`;
+  }
+  if (typeof value === 'boolean') {
+    return `<c r="${ref}" t="b"><v>${value ? 1 : 0}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value ?? '')}</t></is></c>`;
+};
+
+const sheetXml = (rows) => {
+  const body = rows
+    .map((row, rowIndex) => {
+      const cells = row.map((value, colIndex) => cellXml(value, `${columnName(colIndex)}${rowIndex + 1}`)).join('');
+      return `<row r="${rowIndex + 1}">${cells}</row>`;
+    })
+    .join('');
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${body}</sheetData></worksheet>`;
+};
+
+const packageFiles = (rows, sheetName) => ({
+  '[Content_Types].xml':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+    '</Types>',
+  '_rels/.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    '</Relationships>',
+  'xl/workbook.xml':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    `<sheets><sheet name="${escapeXml(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31))}" sheetId="1" r:id="rId1"/></sheets>` +
+    '</workbook>',
+  'xl/_rels/workbook.xml.rels':
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+    '</Relationships>',
+  'xl/worksheets/sheet1.xml': sheetXml(rows)
+});
+
+const uint16 = (value) => [value & 0xff, (value >>> 8) & 0xff];
+const uint32 = (value) => [value & 0xff, (value >>> 8) & 0xff, (value >>> 16) & 0xff, (value >>> 24) & 0xff];
+
+// Store-only zip archive (no compression), which every spreadsheet app accepts
+const zip = (files) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const directory = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, contents]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(contents);
+    const crc = crc32(data);
+    const common = [
+      ...uint16(20), ...uint16(0x0800), ...uint16(0), ...uint16(0), ...uint16(0x21),
+      ...uint32(crc), ...uint32(data.length), ...uint32(data.length), ...uint16(nameBytes.length), ...uint16(0)
+    ];
+
+    const header = Uint8Array.from([...uint32(0x04034b50), ...common]);
+    chunks.push(header, nameBytes, data);
+
+    directory.push(Uint8Array.from([
+      ...uint32(0x02014b50), ...uint16(20), ...common,
+      ...uint16(0), ...uint16(0), ...uint16(0), ...uint32(0), ...uint32(offset)
+    ]), nameBytes);
+
+    offset += header.length + nameBytes.length + data.length;
+  });
+
+  const directorySize = directory.reduce((size, chunk) => size + chunk.length, 0);
+  const count = Object.keys(files).length;
+  const end = Uint8Array.from([
+    ...uint32(0x06054b50), ...uint16(0), ...uint16(0), ...uint16(count), ...uint16(count),
+    ...uint32(directorySize), ...uint32(offset), ...uint16(0)
+  ]);
+
+  const parts = [...chunks, ...directory, end];
+  const output = new Uint8Array(parts.reduce((size, chunk) => size + chunk.length, 0));
+  let position = 0;
+  parts.forEach(chunk => {
+    output.set(chunk, position);
+    position += chunk.length;
+  });
+  return output;
+};
+
+/**
+ * Build an XLSX workbook with one worksheet
+ * @param {Array} rows - Arrays of cell values; numbers and booleans keep their type, everything else is text
+ * @param {string} sheetName - Worksheet name
+ * @returns {Uint8Array} - XLSX file contents
+ */
+export const createXlsx = (rows, sheetName = 'Sheet1') => zip(packageFiles(rows, sheetName));
@@ -6,6 +6,7 @@ test.describe('Accessibility Tests', () => {
 
   test.beforeEach(async ({ page }) => {
     pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
   });
 
   test('should have proper heading structure on dashboard', async ({ page }) => {
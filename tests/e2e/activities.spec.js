@@ -0,0 +1,55 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Activity logging', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+  });
+
+  test('should log, edit and delete an activity on a customer', async ({ page }) => {
+    await page.goto('/customers/1');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByRole('button', { name: 'Log Activity' }).click();
+    await page.locator('.activity-composer__type', { hasText: 'Meeting' }).click();
+    await page.getByLabel('Subject').fill('Quarterly business review');
+    await page.getByLabel('Notes').fill('Agreed on expansion scope');
+    await page.getByRole('button', { name: 'Log Activity' }).click();
+
+    const item = page.locator('.activity-log__item', { hasText: 'Quarterly business review' });
+    await expect(item).toBeVisible();
+    await expect(item).toContainText('Agreed on expansion scope');
+
+    await item.hover();
+    await item.getByTitle('Edit activity').click();
+    await page.getByLabel('Subject').fill('QBR with finance');
+    await page.getByRole('button', { name: 'Save Activity' }).click();
+    await expect(page.locator('.activity-log__item', { hasText: 'QBR with finance' })).toBeVisible();
+
+    page.once('dialog', dialog => dialog.accept());
+    const edited = page.locator('.activity-log__item', { hasText: 'QBR with finance' });
+    await edited.hover();
+    await edited.getByTitle('Delete activity').click();
+    await expect(edited).toHaveCount(0);
+  });
+
+  test('should show activities logged on a deal in its customer timeline', async ({ page }) => {
+    await page.goto('/deals');
+    await pageHelpers.waitForPageLoad();
+
+    await page.locator('.deal-card__title', { hasText: 'Enterprise Platform License' }).click();
+    await page.getByRole('button', { name: 'Log Activity' }).click();
+    await page.locator('.activity-composer__type', { hasText: 'Call' }).click();
+    await page.getByLabel('Subject').fill('Pricing call');
+    await page.getByRole('button', { name: 'Log Activity' }).click();
+    await expect(page.locator('.activity-log__item', { hasText: 'Pricing call' })).toBeVisible();
+
+    await page.goto('/customers/1');
+    const item = page.locator('.activity-log__item', { hasText: 'Pricing call' });
+    await expect(item).toBeVisible();
+    await expect(item).toContainText('Deal');
+  });
+});
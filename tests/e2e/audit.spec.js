@@ -0,0 +1,27 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Audit trail', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+    await page.goto('/deals');
+    await pageHelpers.waitForPageLoad();
+  });
+
+  test('should show who changed a deal value in its history', async ({ page }) => {
+    await page.locator('.deal-card__title', { hasText: 'Enterprise Platform License' }).click();
+    await page.getByLabel('Value (USD)').fill('2750000');
+    await page.getByRole('button', { name: 'Update Deal' }).click();
+
+    await page.locator('.deal-card__title', { hasText: 'Enterprise Platform License' }).click();
+    const entry = page.locator('.record-history__entry').first();
+    await expect(entry).toContainText('Alex Morgan updated this deal');
+    await expect(entry.getByRole('row', { name: /Value/ })).toContainText('2,500,000');
+    await expect(entry.getByRole('row', { name: /Value/ })).toContainText('2,750,000');
+    await expect(page.locator('.activity-log__item', { hasText: 'Value changed from $2,500,000 to $2,750,000' }))
+      .toBeVisible();
+  });
+});
@@ -0,0 +1,60 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Authentication', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+  });
+
+  test('should send signed-out users to the login page and back after signing in', async ({ page }) => {
+    await page.goto('/deals');
+    await expect(page).toHaveURL('/login');
+
+    await page.getByLabel('Email').fill('jordan.lee@nexuscrm.com');
+    await page.getByLabel('Password').fill('demo1234');
+    await page.getByRole('button', { name: 'Sign In' }).click();
+
+    await expect(page).toHaveURL('/deals');
+    await expect(page.locator('.header__user-name')).toHaveText('Jordan Lee');
+  });
+
+  test('should reject invalid credentials', async ({ page }) => {
+    await page.goto('/login');
+    await page.getByLabel('Email').fill('alex.morgan@nexuscrm.com');
+    await page.getByLabel('Password').fill('wrong-password');
+    await page.getByRole('button', { name: 'Sign In' }).click();
+
+    await expect(page.getByRole('alert')).toHaveText('Invalid email or password');
+    await expect(page).toHaveURL('/login');
+  });
+
+  test('should keep the session across reloads and end it on sign out', async ({ page }) => {
+    await pageHelpers.signIn();
+    await page.goto('/');
+    await expect(page.locator('.header__user-name')).toHaveText('Alex Morgan');
+
+    await page.reload();
+    await expect(page.locator('.header__user-name')).toHaveText('Alex Morgan');
+
+    await page.locator('.header__profile').click();
+    await page.getByRole('button', { name: 'Sign Out' }).click();
+    await expect(page).toHaveURL('/login');
+
+    await page.goto('/customers');
+    await expect(page).toHaveURL('/login');
+  });
+
+  test('should sign out when the session has expired', async ({ page }) => {
+    await page.addInitScript(() => {
+      window.localStorage.setItem('nexus-crm:session', JSON.stringify({
+        user: { id: 'user1', name: 'Alex Morgan', email: 'alex.morgan@nexuscrm.com', title: 'Sales Director', role: 'admin' },
+        token: 'mock-user1',
+        expiresAt: new Date(Date.now() - 1000).toISOString()
+      }));
+    });
+    await page.goto('/');
+    await expect(page).toHaveURL('/login');
+  });
+});
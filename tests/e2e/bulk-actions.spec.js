@@ -0,0 +1,96 @@
+import fs from 'fs';
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Customer bulk actions', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+  });
+
+  test('should change the tier of the selected customers and undo it', async ({ page }) => {
+    await page.getByLabel('Select Stripe Inc.').check();
+    await page.getByLabel('Select Notion Labs').check();
+    await expect(page.getByText('2 selected')).toBeVisible();
+
+    await page.getByLabel('Change tier').selectOption('startup');
+    await expect(page.getByRole('status')).toContainText('Updated 2 customers');
+    await expect(page.getByRole('row', { name: /Stripe Inc\./ })).toContainText('startup');
+
+    await page.getByRole('button', { name: 'Undo' }).click();
+    await expect(page.getByRole('row', { name: /Stripe Inc\./ })).toContainText('enterprise');
+  });
+
+  test('should tag the selected customers and find them by tag', async ({ page }) => {
+    await page.getByLabel('Select Stripe Inc.').check();
+    await page.getByLabel('Tag').fill('trade-show');
+    await page.getByRole('button', { name: 'Add tag' }).click();
+
+    await page.getByPlaceholder('Search customers...').fill('trade-show');
+    await expect(page.locator('.customers__row')).toHaveCount(1);
+    await expect(page.locator('.customer-tag')).toHaveText('trade-show');
+  });
+
+  test('should unassign the selected customers', async ({ page }) => {
+    await page.getByLabel('Select Stripe Inc.').check();
+    await page.getByLabel('Assign owner').selectOption({ label: 'Unassigned' });
+
+    await expect(page.getByRole('status')).toContainText('Unassigned 1 customer');
+    await expect(page.getByRole('row', { name: /Stripe Inc\./ })).toContainText('Unassigned');
+  });
+
+  test('should clear the selection when the search changes', async ({ page }) => {
+    await page.getByLabel('Select Stripe Inc.').check();
+    await expect(page.getByText('1 selected')).toBeVisible();
+
+    await page.getByPlaceholder('Search customers...').fill('Notion');
+    await expect(page.getByRole('region', { name: 'Bulk actions' })).toBeHidden();
+  });
+
+  test('should export the selected customers in the order the list is sorted', async ({ page }) => {
+    await page.goto('/customers?order=desc');
+    await pageHelpers.waitForPageLoad();
+    await page.getByLabel('Select Notion Labs').check();
+    await page.getByLabel('Select Stripe Inc.').check();
+
+    await page.getByRole('button', { name: 'Export selected' }).click();
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.getByRole('button', { name: 'Export 2 customers' }).click()
+    ]);
+
+    const csv = fs.readFileSync(await download.path(), 'utf8');
+    expect(csv.indexOf('Stripe Inc.')).toBeLessThan(csv.indexOf('Notion Labs'));
+  });
+
+  test('should only offer to select everything matching when it is more than the page', async ({ page }) => {
+    await page.getByLabel('Select all customers on this page').check();
+    const rows = await page.locator('.customers__row').count();
+
+    await expect(page.getByText(`${rows} selected`)).toBeVisible();
+    await expect(page.getByRole('button', { name: /Select all \d+ matching customers/ })).toBeHidden();
+  });
+
+  test('should delete the selected customers after one confirmation and bring them back', async ({ page }) => {
+    await page.getByLabel('Select Stripe Inc.').check();
+    await page.getByLabel('Select Notion Labs').check();
+
+    let dialogs = 0;
+    page.on('dialog', dialog => {
+      dialogs += 1;
+      dialog.accept();
+    });
+    await page.getByRole('button', { name: 'Delete selected' }).click();
+
+    await expect(page.getByRole('status')).toContainText('Deleted 2 customers');
+    await expect(page.getByRole('row', { name: /Stripe Inc\./ })).toHaveCount(0);
+    expect(dialogs).toBe(1);
+
+    await page.getByRole('button', { name: 'Undo' }).click();
+    await expect(page.getByRole('row', { name: /Stripe Inc\./ })).toHaveCount(1);
+  });
+});
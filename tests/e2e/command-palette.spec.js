@@ -0,0 +1,57 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Command Palette', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+  });
+
+  test('should open with the keyboard shortcut and close with Escape', async ({ page }) => {
+    await page.keyboard.press('ControlOrMeta+k');
+    await expect(page.getByRole('dialog', { name: 'Command palette' })).toBeVisible();
+
+    await page.keyboard.press('Escape');
+    await expect(page.getByRole('dialog', { name: 'Command palette' })).toBeHidden();
+  });
+
+  test('should fuzzy search records and open them with the keyboard', async ({ page }) => {
+    await page.getByRole('button', { name: 'Search and commands' }).click();
+    await page.getByRole('combobox').fill('strpe');
+
+    await expect(page.getByRole('option', { name: /Stripe Inc\./ })).toBeVisible();
+    await page.keyboard.press('Enter');
+
+    await expect(page).toHaveURL(/\/customers\/1$/);
+
+    await page.keyboard.press('ControlOrMeta+k');
+    await expect(page.getByText('Recent')).toBeVisible();
+    await expect(page.getByRole('option', { name: /Stripe Inc\./ })).toBeVisible();
+  });
+
+  test('should run the New customer action', async ({ page }) => {
+    await page.keyboard.press('ControlOrMeta+k');
+    await page.getByRole('combobox').fill('new customer');
+    await page.keyboard.press('Enter');
+
+    await expect(page).toHaveURL('/customers');
+    await expect(page.getByRole('heading', { name: 'Add New Customer' })).toBeVisible();
+  });
+
+  test('should log a call for a customer', async ({ page }) => {
+    await page.keyboard.press('ControlOrMeta+k');
+    await page.getByRole('option', { name: /Log call for/ }).click();
+    await page.getByRole('combobox').fill('notion');
+    await page.keyboard.press('Enter');
+
+    await page.getByLabel('Call notes').fill('Discussed the renewal timeline');
+    await page.getByRole('button', { name: 'Log call' }).click();
+
+    await expect(page).toHaveURL(/\/customers\/2$/);
+    await expect(page.getByText('Call with Notion Labs')).toBeVisible();
+  });
+});
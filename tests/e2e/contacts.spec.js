@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+import { testContacts } from '../fixtures/test-data';
+
+test.describe('Contacts Directory', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+    await page.goto('/contacts');
+    await pageHelpers.waitForPageLoad();
+  });
+
+  test('should display contacts page with correct elements', async ({ page }) => {
+    await expect(page.getByRole('heading', { name: 'Contacts' })).toBeVisible();
+    await expect(page.getByPlaceholder('Search contacts...')).toBeVisible();
+    await expect(page.getByRole('button', { name: 'Add Contact' })).toBeVisible();
+  });
+
+  test('should filter contacts by search term', async ({ page }) => {
+    await page.getByPlaceholder('Search contacts...').fill('Collison');
+
+    await expect(page.locator('.contacts__table tbody tr')).toHaveCount(1);
+    await expect(page.getByText('Patrick Collison')).toBeVisible();
+  });
+
+  test('should filter contacts by department', async ({ page }) => {
+    await page.getByLabel('Filter by department').selectOption('Sales');
+
+    const rows = page.locator('.contacts__table tbody tr');
+    await expect(rows).not.toHaveCount(0);
+    for (const row of await rows.all()) {
+      await expect(row).toContainText('Sales');
+    }
+  });
+
+  test('should switch to card view', async ({ page }) => {
+    await page.getByRole('button', { name: 'Card view' }).click();
+    await expect(page.locator('.contact-card').first()).toBeVisible();
+  });
+
+  test('should link each contact to its company', async ({ page }) => {
+    const companyLink = page.locator('.contacts__table tbody tr').first().locator('.contacts__company-link');
+    await expect(companyLink).toHaveAttribute('href', /\/customers\/.+/);
+  });
+
+  test('should create a new contact', async ({ page }) => {
+    const contactData = testContacts[0];
+
+    await pageHelpers.clickButtonByText('Add Contact');
+    await pageHelpers.waitForModal('Add New Contact');
+
+    await pageHelpers.fillFieldByLabel('First Name', contactData.firstName);
+    await pageHelpers.fillFieldByLabel('Last Name', contactData.lastName);
+    await pageHelpers.fillFieldByLabel('Email', contactData.email);
+    await pageHelpers.fillFieldByLabel('Phone', contactData.phone);
+    await pageHelpers.fillFieldByLabel('Job Title', contactData.title);
+    await page.locator('#contact-customer').selectOption({ index: 1 });
+
+    await pageHelpers.clickButtonByText('Create Contact');
+    await page.waitForSelector('.modal-overlay', { state: 'hidden' });
+
+    await expect(page.getByText(`${contactData.firstName} ${contactData.lastName}`)).toBeVisible();
+  });
+});
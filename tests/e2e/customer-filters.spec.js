@@ -0,0 +1,45 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Customer filter builder', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+  });
+
+  test('should filter customers on several conditions and keep them in the URL', async ({ page }) => {
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByRole('button', { name: 'Filters' }).click();
+    const builder = page.getByRole('region', { name: 'Filter builder' });
+
+    await builder.getByRole('button', { name: '+ Add condition' }).click();
+    await builder.getByLabel('Field').selectOption('city');
+    await builder.getByLabel('Operator').selectOption('is');
+    await builder.getByLabel('Value').fill('San Francisco');
+
+    await builder.getByRole('button', { name: '+ Add condition' }).click();
+    await builder.getByLabel('Field').nth(1).selectOption('healthScore');
+    await builder.getByLabel('Operator').nth(1).selectOption('lte');
+    await builder.getByLabel('Value').nth(1).fill('79');
+
+    await expect(page).toHaveURL(/filter=/);
+    await expect(page.getByRole('button', { name: /Filters\s*2/ })).toBeVisible();
+
+    await page.reload();
+    await pageHelpers.waitForPageLoad();
+    await expect(page.getByRole('region', { name: 'Filter builder' }).getByLabel('Value').first()).toHaveValue('San Francisco');
+  });
+
+  test('should clear all conditions', async ({ page }) => {
+    const filter = JSON.stringify({ match: 'all', rules: [{ field: 'industry', operator: 'in', value: ['Fintech'] }] });
+    await page.goto(`/customers?filter=${encodeURIComponent(filter)}`);
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByRole('button', { name: 'Clear all conditions' }).click();
+    await expect(page).not.toHaveURL(/filter=/);
+  });
+});
@@ -7,6 +7,7 @@ test.describe('Customer Management', () => {
 
   test.beforeEach(async ({ page }) => {
     pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
     await page.goto('/customers');
     await pageHelpers.waitForPageLoad();
   });
@@ -248,9 +249,67 @@ test.describe('Customer Management', () => {
     const customerCards = page.locator('.customer-card');
     await expect(customerCards.first()).toBeVisible();
   });
-});
 
+  test('should open the customer detail page from the table', async ({ page }) => {
+    await pageHelpers.waitForLoadingToComplete();
+
+    await page.getByRole('link', { name: 'Stripe Inc.' }).click();
+
+    await expect(page).toHaveURL(/\/customers\/1$/);
+    await expect(page.getByRole('heading', { name: 'Stripe Inc.' })).toBeVisible();
+    await expect(page.getByText('Account Health')).toBeVisible();
+    await expect(page.getByText('Patrick Collison')).toBeVisible();
+    await expect(page.getByText('Enterprise Platform License')).toBeVisible();
+  });
+
+  test('should filter the customer activity timeline', async ({ page }) => {
+    await page.goto('/customers/1');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByRole('button', { name: 'Meetings' }).click();
+
+    await expect(page.locator('.activity-log__item')).toHaveCount(1);
+    await expect(page.getByText('Product Demo')).toBeVisible();
+  });
+
+  test('should export the filtered customers as CSV', async ({ page }) => {
+    await pageHelpers.waitForLoadingToComplete();
+    await page.getByPlaceholder('Search customers...').fill('Stripe');
+
+    await page.getByRole('button', { name: 'Export' }).click();
+    await expect(page.getByText('Exporting 1 of')).toBeVisible();
+
+    const [download] = await Promise.all([
+      page.waitForEvent('download'),
+      page.getByRole('button', { name: 'Export 1 customer' }).click()
+    ]);
 
+    expect(download.suggestedFilename()).toMatch(/^customers-\d{4}-\d{2}-\d{2}\.csv$/);
+  });
 
+  test('should import customers from a CSV file', async ({ page }) => {
+    await pageHelpers.waitForLoadingToComplete();
+    await page.getByRole('button', { name: 'Import' }).click();
 
+    await page.getByLabel('CSV file').setInputFiles({
+      name: 'customers.csv',
+      mimeType: 'text/csv',
+      buffer: Buffer.from([
+        'Company,Email,Phone,Industry,City,State',
+        'Ramp,sales@ramp.com,+1-555-0110,Financial Technology,New York,NY',
+        'Stripe Inc.,enterprise@stripe.com,+1-415-555-0100,Financial Technology,San Francisco,CA',
+        'Broken Row,not-an-email,,,,'
+      ].join('\n'))
+    });
+    await page.getByRole('button', { name: 'Next' }).click();
+    await page.getByRole('button', { name: 'Review' }).click();
 
+    await expect(page.getByText('matches Stripe Inc. by email')).toBeVisible();
+    await expect(page.getByText('Please enter a valid email address')).toBeVisible();
+
+    await page.getByRole('button', { name: 'Import 2 rows' }).click();
+    await page.getByRole('button', { name: 'Done' }).click();
+
+    await expect(page.getByRole('link', { name: 'Ramp' })).toBeVisible();
+  });
+});
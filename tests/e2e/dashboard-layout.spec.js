@@ -0,0 +1,89 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+const users = {
+  rep: { id: 'user2', name: 'Jordan Lee', email: 'jordan.lee@nexuscrm.com', title: 'Account Executive', role: 'rep' },
+  manager: { id: 'user3', name: 'Priya Shah', email: 'priya.shah@nexuscrm.com', title: 'Sales Manager', role: 'sales_manager' }
+};
+
+test.describe('Dashboard layout', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+  });
+
+  const widgetTitles = (page) => page.locator('.dashboard-widget').evaluateAll(
+    widgets => widgets.map(widget => widget.getAttribute('aria-label'))
+  );
+
+  test('should show managers the books of business', async ({ page }) => {
+    await pageHelpers.signIn(users.manager);
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+
+    await expect(page.getByRole('region', { name: 'Books of Business' })).toBeVisible();
+  });
+
+  test('should start reps from their tasks without the books of business', async ({ page }) => {
+    await pageHelpers.signIn(users.rep);
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+
+    expect((await widgetTitles(page)).slice(0, 2)).toEqual(['Key Metrics', 'My Tasks']);
+    await expect(page.getByRole('region', { name: 'Books of Business' })).toHaveCount(0);
+
+    await page.getByRole('button', { name: 'Customize' }).click();
+    await expect(page.getByLabel('Add widget').locator('option', { hasText: 'Books of Business' })).toHaveCount(0);
+  });
+
+  test('should keep a customized layout after a reload', async ({ page }) => {
+    await pageHelpers.signIn(users.rep);
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByRole('button', { name: 'Customize' }).click();
+    await page.getByRole('button', { name: 'Remove Top Customers' }).click();
+    await page.getByRole('button', { name: 'Move Recent Activity earlier' }).click();
+    await page.getByLabel('Recent Activity size').selectOption('full');
+    await page.getByLabel('Recent Activity activities shown').selectOption('5');
+    await page.getByLabel('Add widget').selectOption({ label: 'Pipeline Funnel' });
+    await page.getByRole('button', { name: 'Done' }).click();
+
+    await page.reload();
+    await pageHelpers.waitForPageLoad();
+
+    const titles = await widgetTitles(page);
+    expect(titles).not.toContain('Top Customers');
+    expect(titles.indexOf('Recent Activity')).toBeLessThan(titles.indexOf('Sales Pipeline'));
+    expect(titles[titles.length - 1]).toBe('Pipeline Funnel');
+    await expect(page.getByRole('region', { name: 'Recent Activity' })).toHaveClass(/dashboard-widget--full/);
+    await expect(page.locator('.activity-item')).toHaveCount(5);
+  });
+
+  test('should reset to the default layout', async ({ page }) => {
+    await pageHelpers.signIn(users.rep);
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+    const defaults = await widgetTitles(page);
+
+    await page.getByRole('button', { name: 'Customize' }).click();
+    await page.getByRole('button', { name: 'Remove My Tasks' }).click();
+    expect(await widgetTitles(page)).not.toContain('My Tasks');
+
+    await page.getByRole('button', { name: 'Reset Layout' }).click();
+    expect(await widgetTitles(page)).toEqual(defaults);
+  });
+
+  test('should reorder widgets by dragging them', async ({ page }) => {
+    await pageHelpers.signIn(users.rep);
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByRole('button', { name: 'Customize' }).click();
+    await page.getByRole('region', { name: 'Quick Actions' })
+      .dragTo(page.getByRole('region', { name: 'Key Metrics' }));
+
+    expect((await widgetTitles(page))[0]).toBe('Quick Actions');
+  });
+});
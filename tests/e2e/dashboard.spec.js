@@ -6,6 +6,7 @@ test.describe('CRM Dashboard', () => {
 
   test.beforeEach(async ({ page }) => {
     pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
     await page.goto('/');
     await pageHelpers.waitForPageLoad();
   });
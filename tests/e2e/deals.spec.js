@@ -0,0 +1,58 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+import { testDeals } from '../fixtures/test-data';
+
+test.describe('Deals Pipeline', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+    await page.goto('/deals');
+    await pageHelpers.waitForPageLoad();
+  });
+
+  test('should display a column for every pipeline stage', async ({ page }) => {
+    await expect(page.getByRole('heading', { name: 'Deals' })).toBeVisible();
+
+    const stages = ['qualification', 'proposal', 'negotiation', 'closed-won', 'closed-lost'];
+    for (const stage of stages) {
+      await expect(page.locator(`.deal-column[data-stage="${stage}"]`)).toBeVisible();
+    }
+  });
+
+  test('should show total and weighted value per column', async ({ page }) => {
+    const column = page.locator('.deal-column[data-stage="negotiation"]');
+    await expect(column.locator('.deal-column__totals')).toContainText('weighted');
+  });
+
+  test('should move a deal to another stage by dragging', async ({ page }) => {
+    const card = page.locator('.deal-column[data-stage="proposal"] .deal-card').first();
+    const title = await card.locator('.deal-card__title').textContent();
+    const target = page.locator('.deal-column[data-stage="negotiation"]');
+
+    await card.dragTo(target);
+
+    await expect(target.getByText(title)).toBeVisible();
+    await expect(target.locator('.deal-card', { hasText: title }).locator('.deal-card__probability'))
+      .toHaveText('75%');
+  });
+
+  test('should create a new deal', async ({ page }) => {
+    const dealData = testDeals[0];
+
+    await pageHelpers.clickButtonByText('Add Deal');
+    await pageHelpers.waitForModal('Add New Deal');
+
+    await pageHelpers.fillFieldByLabel('Deal Title', dealData.title);
+    await page.getByLabel('Customer').selectOption({ index: 1 });
+    await pageHelpers.fillFieldByLabel('Value (USD)', String(dealData.value));
+    await pageHelpers.fillFieldByLabel('Expected Close Date', dealData.expectedCloseDate);
+    await page.getByLabel('Stage').selectOption(dealData.stage);
+
+    await pageHelpers.clickButtonByText('Create Deal');
+    await page.waitForSelector('.modal-overlay', { state: 'hidden' });
+
+    await expect(page.locator('.deal-column[data-stage="proposal"]').getByText(dealData.title)).toBeVisible();
+  });
+});
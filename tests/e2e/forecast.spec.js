@@ -0,0 +1,40 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Forecast', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+    await page.goto('/forecast');
+    await pageHelpers.waitForPageLoad();
+  });
+
+  test('should show the forecast by month and quarter', async ({ page }) => {
+    const periods = page.getByRole('table', { name: 'Forecast by period' });
+    await expect(periods.locator('tbody tr')).toHaveCount(6);
+
+    await page.getByRole('button', { name: 'Quarterly' }).click();
+    await expect(periods.locator('tbody tr')).toHaveCount(4);
+    await expect(periods.locator('tbody tr').first()).toContainText(/Q\d \d{4}/);
+  });
+
+  test('should let a deal be omitted from the forecast', async ({ page }) => {
+    const firstPeriod = page.getByRole('table', { name: 'Forecast by period' }).locator('tbody tr').first();
+    const weighted = firstPeriod.locator('.forecast__weighted');
+    const before = await weighted.textContent();
+
+    const category = page.getByRole('table', { name: 'Forecast deals' }).getByRole('combobox').first();
+    await category.selectOption('omitted');
+
+    await expect(weighted).not.toHaveText(before);
+    await expect(category).toHaveValue('omitted');
+  });
+
+  test('should compare past forecasts with actuals', async ({ page }) => {
+    const comparison = page.getByRole('table', { name: 'Forecast vs actual' });
+    await expect(comparison.locator('tbody tr')).toHaveCount(6);
+    await expect(comparison).toContainText(/as of/);
+  });
+});
@@ -0,0 +1,26 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Pipeline funnel', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+  });
+
+  test('should show conversion and time in stage', async ({ page }) => {
+    const funnel = page.getByRole('list', { name: 'Pipeline funnel' });
+    await expect(funnel.locator('.funnel__stage')).toHaveCount(4);
+    await expect(funnel.locator('.funnel__stage').first()).toContainText('Qualification');
+    await expect(funnel).toContainText(/% move on/);
+    await expect(funnel).toContainText(/in stage on average/);
+  });
+
+  test('should break down the win rate by industry and tier', async ({ page }) => {
+    await expect(page.getByRole('table', { name: 'Win rate by industry' })).toBeVisible();
+    await expect(page.getByRole('table', { name: 'Win rate by tier' })).toContainText(/won \/ \d+ lost/);
+  });
+});
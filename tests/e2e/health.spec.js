@@ -0,0 +1,37 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Health scores', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+  });
+
+  test('should explain the factors behind a customer health score', async ({ page }) => {
+    await page.goto('/customers/1');
+    await pageHelpers.waitForPageLoad();
+
+    const factors = page.getByRole('list', { name: 'Health factors' });
+    await expect(factors.locator('.health-breakdown__factor')).toHaveCount(5);
+    await expect(factors).toContainText(/Last contact \d+ days ago/);
+    await expect(factors).toContainText('Status is active');
+    await expect(page.locator('.health-breakdown__history')).toContainText('Tracked since');
+  });
+
+  test('should rescore customers when an admin changes the weights', async ({ page }) => {
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByRole('button', { name: 'Health Scoring' }).click();
+    for (const label of ['Last contact', 'Engagement', 'Deals', 'Tier']) {
+      await page.getByLabel(label, { exact: true }).fill('0');
+    }
+    await page.getByLabel('Status', { exact: true }).fill('10');
+    await page.getByRole('button', { name: 'Save and Rescore' }).click();
+
+    const row = page.locator('tbody tr', { hasText: 'Stripe Inc.' });
+    await expect(row.locator('.health-score__value')).toHaveText('100%');
+  });
+});
@@ -6,6 +6,7 @@ test.describe('Navigation', () => {
 
   test.beforeEach(async ({ page }) => {
     pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
   });
 
   test('should navigate between all pages', async ({ page }) => {
@@ -99,13 +100,13 @@ test.describe('Navigation', () => {
     await page.goto('/contacts');
     await pageHelpers.waitForPageLoad();
     await expect(page).toHaveURL('/contacts');
-    await expect(page.getByText('Coming soon...')).toBeVisible();
+    await expect(page.getByRole('heading', { name: 'Contacts' })).toBeVisible();
     
     // Navigate directly to deals page
     await page.goto('/deals');
     await pageHelpers.waitForPageLoad();
     await expect(page).toHaveURL('/deals');
-    await expect(page.getByText('Coming soon...')).toBeVisible();
+    await expect(page.getByRole('heading', { name: 'Deals' })).toBeVisible();
   });
 
   test('should handle invalid routes gracefully', async ({ page }) => {
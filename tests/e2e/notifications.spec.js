@@ -0,0 +1,49 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Notifications', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+  });
+
+  test('should show the unread count and clear it with Mark all read', async ({ page }) => {
+    const bell = page.getByRole('button', { name: 'Notifications' });
+    await expect(bell.locator('.header__notification-badge')).toBeVisible();
+
+    await bell.click();
+    await expect(page.getByText('Supabase Inc. - Backend-as-a-Service ($185,000)')).toBeVisible();
+    await page.getByRole('button', { name: 'Mark all read' }).click();
+
+    await expect(bell.locator('.header__notification-badge')).toBeHidden();
+  });
+
+  test('should filter the notifications page by type and read state', async ({ page }) => {
+    await page.getByRole('button', { name: 'Notifications' }).click();
+    await page.getByRole('button', { name: 'View all notifications' }).click();
+
+    await expect(page).toHaveURL('/notifications');
+    await expect(page.getByRole('heading', { name: 'Notifications' })).toBeVisible();
+
+    await page.getByLabel('Filter by type').selectOption('health_drop');
+    await expect(page.getByText('Airtable Inc. dropped from 84% to 72%')).toBeVisible();
+    await expect(page.getByText('Deal going stale')).toBeHidden();
+
+    await page.getByRole('tab', { name: /Unread/ }).click();
+    await expect(page.getByText("You're all caught up")).toBeVisible();
+  });
+
+  test('should keep read state after a reload', async ({ page }) => {
+    await page.goto('/notifications');
+    await page.getByRole('button', { name: 'Mark all read' }).click();
+
+    await page.reload();
+    await pageHelpers.waitForPageLoad();
+
+    await expect(page.getByRole('tab', { name: 'Unread (0)' })).toBeVisible();
+  });
+});
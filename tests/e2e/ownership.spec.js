@@ -0,0 +1,64 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+const users = {
+  rep: { id: 'user2', name: 'Jordan Lee', email: 'jordan.lee@nexuscrm.com', title: 'Account Executive', role: 'rep' },
+  manager: { id: 'user3', name: 'Priya Shah', email: 'priya.shah@nexuscrm.com', title: 'Sales Manager', role: 'sales_manager' }
+};
+
+test.describe('Ownership and territories', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+  });
+
+  test('should filter customers to the signed-in owner', async ({ page }) => {
+    await pageHelpers.signIn(users.rep);
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByLabel('Filter by owner').selectOption('mine');
+    const rows = page.locator('.customers__table tbody tr');
+    await expect(rows).toHaveCount(3);
+    await expect(rows.filter({ hasText: 'Jordan Lee' })).toHaveCount(3);
+  });
+
+  test('should not offer reassignment to reps', async ({ page }) => {
+    await pageHelpers.signIn(users.rep);
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByLabel('Select all customers on this page').check();
+    await expect(page.getByRole('region', { name: 'Bulk actions' })).toBeVisible();
+    await expect(page.getByLabel('Assign owner')).toBeHidden();
+  });
+
+  test('should let managers reassign customers in bulk', async ({ page }) => {
+    await pageHelpers.signIn(users.manager);
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByLabel('Select Stripe Inc.').check();
+    await page.getByLabel('Select Notion Labs').check();
+    await expect(page.getByText('2 selected')).toBeVisible();
+
+    await page.getByLabel('Assign owner').selectOption({ label: 'Maya Chen' });
+
+    await expect(page.getByRole('row', { name: /Stripe Inc\./ })).toContainText('Maya Chen');
+    await expect(page.getByRole('row', { name: /Notion Labs/ })).toContainText('Maya Chen');
+  });
+
+  test('should show books of business to managers', async ({ page }) => {
+    await pageHelpers.signIn(users.manager);
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+
+    const books = page.locator('.dashboard__card--books');
+    await expect(books.getByRole('heading', { name: 'Books of Business' })).toBeVisible();
+    await expect(books.getByRole('row', { name: /Jordan Lee/ })).toBeVisible();
+
+    await page.getByRole('button', { name: 'My Deals' }).click();
+    await expect(page.getByRole('button', { name: 'My Deals' })).toHaveAttribute('aria-pressed', 'true');
+  });
+});
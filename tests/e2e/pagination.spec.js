@@ -0,0 +1,41 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('List pagination', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+  });
+
+  test('should show the range of customers on the page and the total', async ({ page }) => {
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    await expect(page.locator('.pagination-info')).toHaveText(/Showing 1–\d+ of \d+ customers/);
+    await expect(page.getByRole('button', { name: 'Previous page' })).toBeDisabled();
+
+    await page.getByPlaceholder('Search customers...').fill('Stripe');
+    await expect(page.locator('.pagination-info')).toHaveText('Showing 1–1 of 1 customers');
+  });
+
+  test('should keep the page size in the URL and open a page past the end on the last page', async ({ page }) => {
+    await page.goto('/customers?page=40');
+    await pageHelpers.waitForPageLoad();
+
+    await expect(page.getByRole('button', { name: 'Page 1' })).toHaveAttribute('aria-current', 'page');
+    await expect(page.getByRole('button', { name: 'Next page' })).toBeDisabled();
+
+    await page.getByLabel('Rows per page').selectOption('50');
+    await expect(page).toHaveURL(/size=50/);
+  });
+
+  test('should page contacts', async ({ page }) => {
+    await page.goto('/contacts');
+    await pageHelpers.waitForPageLoad();
+
+    await expect(page.locator('.pagination-info')).toHaveText(/Showing 1–\d+ of \d+ contacts/);
+    await expect(page.getByRole('navigation', { name: 'Pagination' })).toBeVisible();
+  });
+});
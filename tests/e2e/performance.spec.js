@@ -6,6 +6,7 @@ test.describe('Performance Tests', () => {
 
   test.beforeEach(async ({ page }) => {
     pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
   });
 
   test('should load dashboard within performance budget', async ({ page }) => {
@@ -0,0 +1,62 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+const users = {
+  rep: { id: 'user2', name: 'Jordan Lee', email: 'jordan.lee@nexuscrm.com', title: 'Account Executive', role: 'rep' },
+  manager: { id: 'user3', name: 'Priya Shah', email: 'priya.shah@nexuscrm.com', title: 'Sales Manager', role: 'sales_manager' },
+  readOnly: { id: 'user4', name: 'Sam Taylor', email: 'sam.taylor@nexuscrm.com', title: 'Finance Analyst', role: 'read_only' }
+};
+
+test.describe('Role-based access', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+  });
+
+  test('should hide every change for read-only users', async ({ page }) => {
+    await pageHelpers.signIn(users.readOnly);
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    await expect(page.getByRole('button', { name: 'Add Customer' })).toBeHidden();
+    await expect(page.getByRole('button', { name: 'Import' })).toBeHidden();
+    await expect(page.getByTitle('Edit')).toHaveCount(0);
+    await expect(page.getByTitle('Delete')).toHaveCount(0);
+
+    await page.goto('/deals');
+    await expect(page.getByRole('button', { name: 'Add Deal' })).toBeHidden();
+    await page.locator('.deal-card__title').first().click();
+    await expect(page.getByRole('heading', { name: 'Deal Details' })).toBeVisible();
+    await expect(page.getByLabel('Deal Title')).toBeDisabled();
+    await expect(page.getByRole('button', { name: 'Update Deal' })).toBeHidden();
+  });
+
+  test('should let managers edit but not delete customers', async ({ page }) => {
+    await pageHelpers.signIn(users.manager);
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    await expect(page.getByTitle('Edit').first()).toBeVisible();
+    await expect(page.getByTitle('Delete')).toHaveCount(0);
+  });
+
+  test('should let reps edit only the customers they create', async ({ page }) => {
+    await pageHelpers.signIn(users.rep);
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+    const editButtons = await page.getByTitle('Edit').count();
+
+    await page.getByRole('button', { name: 'Add Customer' }).click();
+    await page.getByLabel('Company Name').fill('Rep Owned Co');
+    await page.getByLabel('Email').fill('hello@repowned.co');
+    await page.getByLabel('Phone').fill('+1-555-0199');
+    await page.getByLabel('Industry').fill('Software');
+    await page.getByLabel('City').fill('Austin');
+    await page.getByLabel('State').fill('TX');
+    await page.getByRole('button', { name: 'Create Customer' }).click();
+
+    await expect(page.getByTitle('Edit')).toHaveCount(editButtons + 1);
+    await expect(page.getByRole('row', { name: /Rep Owned Co/ }).getByTitle('Edit')).toBeVisible();
+  });
+});
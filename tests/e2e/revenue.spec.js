@@ -0,0 +1,37 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Revenue analytics', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+  });
+
+  test('should chart won revenue over the selected range', async ({ page }) => {
+    const chart = page.locator('.revenue-chart');
+    await expect(chart.locator('.chart-bar-wrapper')).toHaveCount(6);
+
+    await page.getByRole('button', { name: '1 Year' }).click();
+    await expect(page.getByRole('button', { name: '1 Year' })).toHaveAttribute('aria-pressed', 'true');
+    await expect(chart.locator('.chart-bar-wrapper')).toHaveCount(12);
+
+    await page.getByLabel('Granularity').selectOption('quarter');
+    await expect(chart.locator('.chart-bar-label').first()).toHaveText(/^Q\d \d{4}$/);
+    await expect(chart).toContainText('Previous period');
+  });
+
+  test('should validate custom ranges', async ({ page }) => {
+    await page.getByRole('button', { name: 'Custom', exact: true }).click();
+    await page.getByLabel('From').fill('2030-02-01');
+    await page.getByLabel('To').fill('2030-01-01');
+
+    await expect(page.getByRole('alert')).toContainText('The start date must be on or before the end date');
+
+    await page.getByLabel('From').fill('2029-12-01');
+    await expect(page.locator('.revenue-chart')).toContainText('No deals were won in this period');
+  });
+});
@@ -0,0 +1,68 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Customer list URL state and saved views', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+  });
+
+  test('should keep search, filters, sorting and view mode in the URL', async ({ page }) => {
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByPlaceholder('Search customers...').fill('tech');
+    await page.locator('.customers__select').first().selectOption('enterprise');
+    await page.getByRole('columnheader', { name: /Revenue/ }).click();
+    await expect(page).toHaveURL(/q=tech/);
+    await expect(page).toHaveURL(/tier=enterprise/);
+    await expect(page).toHaveURL(/sort=revenue/);
+
+    await page.goto('/deals');
+    await page.goBack();
+    await expect(page.getByPlaceholder('Search customers...')).toHaveValue('tech');
+    await expect(page.locator('.customers__select').first()).toHaveValue('enterprise');
+  });
+
+  test('should open a shared link with its filters applied', async ({ page }) => {
+    await page.goto('/customers?status=inactive&view=grid');
+    await pageHelpers.waitForPageLoad();
+
+    await expect(page.locator('.customers__grid')).toBeVisible();
+    await expect(page.locator('.customers__select').nth(1)).toHaveValue('inactive');
+  });
+
+  test('should save, open and delete a view', async ({ page }) => {
+    await page.goto('/customers?tier=enterprise&status=inactive');
+    await pageHelpers.waitForPageLoad();
+
+    const sidebar = page.getByRole('complementary', { name: 'Saved views' });
+    await sidebar.getByRole('button', { name: 'Save current view' }).click();
+    await sidebar.getByLabel('View name').fill('Enterprise at risk');
+    await sidebar.getByRole('button', { name: 'Save' }).click();
+    await expect(sidebar.getByRole('link', { name: 'Enterprise at risk' })).toHaveAttribute('aria-current', 'page');
+
+    await sidebar.getByRole('link', { name: 'All customers' }).click();
+    await expect(page).toHaveURL(/\/customers$/);
+    await sidebar.getByRole('link', { name: 'Enterprise at risk' }).click();
+    await expect(page).toHaveURL(/tier=enterprise&status=inactive/);
+
+    page.once('dialog', dialog => dialog.accept());
+    await sidebar.getByRole('button', { name: 'Delete Enterprise at risk' }).click();
+    await expect(sidebar.getByRole('link', { name: 'Enterprise at risk' })).toHaveCount(0);
+  });
+
+  test('should open the default view when the list has no query', async ({ page }) => {
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    const sidebar = page.getByRole('complementary', { name: 'Saved views' });
+    await sidebar.getByRole('button', { name: 'Open Enterprise by revenue by default' }).click();
+
+    await page.goto('/customers');
+    await expect(page).toHaveURL(/tier=enterprise&sort=revenue&order=desc/);
+    await expect(sidebar.getByRole('link', { name: 'Enterprise by revenue' })).toHaveAttribute('aria-current', 'page');
+  });
+});
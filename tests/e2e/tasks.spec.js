@@ -0,0 +1,42 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Tasks', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn({
+      id: 'user2',
+      name: 'Jordan Lee',
+      email: 'jordan.lee@nexuscrm.com',
+      title: 'Account Executive',
+      role: 'rep'
+    });
+  });
+
+  test('should highlight overdue tasks on the dashboard', async ({ page }) => {
+    await page.goto('/');
+    await pageHelpers.waitForPageLoad();
+
+    const card = page.locator('.dashboard__card--tasks');
+    await expect(card.locator('.dashboard__overdue')).toHaveText('1 overdue');
+    const overdue = card.locator('.task-list__item--overdue');
+    await expect(overdue).toContainText('Send revised pricing for the platform license');
+    await expect(overdue.locator('.task-list__due')).toContainText('Overdue');
+  });
+
+  test('should log an activity when a task on a customer is completed', async ({ page }) => {
+    await page.goto('/customers/1');
+    await pageHelpers.waitForPageLoad();
+
+    await page.getByRole('button', { name: 'Add Task' }).click();
+    await page.getByLabel('Task').fill('Send security whitepaper');
+    await page.getByRole('button', { name: 'Add Task' }).click();
+
+    await page.getByRole('checkbox', { name: 'Complete Send security whitepaper' }).check();
+    await expect(page.locator('.activity-log__item', { hasText: 'Completed task: Send security whitepaper' }))
+      .toBeVisible();
+    await expect(page.locator('.task-panel .task-list__item', { hasText: 'Send security whitepaper' })).toHaveCount(0);
+  });
+});
@@ -0,0 +1,57 @@
+import { test, expect } from '@playwright/test';
+import { PageHelpers } from '../utils/page-helpers';
+
+test.describe('Customer list windowing', () => {
+  let pageHelpers;
+
+  test.beforeEach(async ({ page }) => {
+    pageHelpers = new PageHelpers(page);
+    await pageHelpers.signIn();
+  });
+
+  test('should move between customers with the keyboard and open one with Enter', async ({ page }) => {
+    await page.goto('/customers');
+    await pageHelpers.waitForPageLoad();
+
+    const rows = page.locator('.customers__row');
+    await rows.first().focus();
+    await page.keyboard.press('ArrowDown');
+    await expect(rows.nth(1)).toBeFocused();
+
+    await page.keyboard.press('End');
+    await expect(rows.last()).toBeFocused();
+
+    await page.keyboard.press('Home');
+    await expect(rows.first()).toBeFocused();
+
+    await page.keyboard.press('Enter');
+    await expect(page).toHaveURL(/\/customers\/[^/]+$/);
+  });
+
+  test('should keep the table header in view while scrolling', async ({ page }) => {
+    await page.goto('/customers?size=100');
+    await pageHelpers.waitForPageLoad();
+
+    const header = page.locator('.customers__table th').first();
+    const before = await header.boundingBox();
+    await page.locator('.customers__table-wrapper').evaluate(wrapper => { wrapper.scrollTop = wrapper.scrollHeight; });
+    const after = await header.boundingBox();
+
+    expect(after.y).toBeCloseTo(before.y, 0);
+  });
+
+  test('should return to the same row after visiting a customer', async ({ page }) => {
+    await page.goto('/customers?view=grid');
+    await pageHelpers.waitForPageLoad();
+
+    const cards = page.locator('.customer-card');
+    await cards.first().focus();
+    await page.keyboard.press('ArrowRight');
+    const name = await cards.nth(1).locator('h3').textContent();
+    await page.keyboard.press('Enter');
+    await expect(page).toHaveURL(/\/customers\/[^/]+$/);
+
+    await page.goBack();
+    await expect(page.locator('.customer-card[tabindex="0"] h3')).toHaveText(name);
+  });
+});
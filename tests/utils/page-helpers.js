@@ -7,6 +7,22 @@ export class PageHelpers {
     this.page = page;
   }
 
+  /**
+   * Start the test signed in as a demo user, without going through the login page.
+   * The session is seeded once per tab, so signing out and reloading stays signed out.
+   */
+  async signIn(user = { id: 'user1', name: 'Alex Morgan', email: 'alex.morgan@nexuscrm.com', title: 'Sales Director', role: 'admin' }) {
+    await this.page.addInitScript((sessionUser) => {
+      if (window.sessionStorage.getItem('e2e:session-seeded')) return;
+      window.sessionStorage.setItem('e2e:session-seeded', 'true');
+      window.localStorage.setItem('nexus-crm:session', JSON.stringify({
+        user: sessionUser,
+        token: `mock-${sessionUser.id}`,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      }));
+    }, user);
+  }
+
   /**
    * Wait for page to be fully loaded
    */